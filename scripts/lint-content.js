@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Content lint — validates every course under src/content/: its index.json manifest, each chapter it lists with
+ * its translations (chapters/ch1.hi.json…), and any chapter file the manifest forgot. Usage: npm run lint:content   (exits 1 on any error or warning)
+ */
+import { readdir, readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadCourse } from "../src/lib/content/load.js";
+import { LOCALE_IDS } from "../src/lib/i18n/index.js";
+import { formatIssue, validateChapter } from "../src/lib/content/validate.js";
+
+const root = fileURLToPath(new URL("../src/content", import.meta.url));
+
+let files = 0, errors = 0, warnings = 0;
+const report = (file, issues) => {
+  for (const issue of issues) {
+    console.error(formatIssue(issue, `src/content/${file}`));
+    if (issue.level === "error") errors++; else warnings++;
+  }
+};
+
+async function* jsonFiles(dir, prefix = "") {
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) yield* jsonFiles(join(dir, entry.name), rel);
+    else if (entry.name.endsWith(".json")) yield rel;
+  }
+}
+
+for (const track of await readdir(root, { withFileTypes: true })) {
+  if (!track.isDirectory()) continue;
+  const dir = join(root, track.name);
+  let course;
+  try { course = await loadCourse(track.name, { root, log: false }); }
+  catch (e) { report(`${track.name}/index.json`, [{ level: "error", path: "(root)", message: `cannot load manifest: ${e.message}` }]); continue; }
+  files++;
+  report(`${track.name}/index.json`, course.issues);
+  for (const ch of course.chapters) {
+    if (!ch.exists) { report(`${track.name}/${ch.file}`, [{ level: "error", path: "(root)", message: "listed in index.json but missing or not valid JSON" }]); continue; }
+    files++;
+    report(`${track.name}/${ch.file}`, ch.issues);
+    for (const variant of Object.values(ch.variants)) { files++; report(`${track.name}/${variant.file}`, variant.issues); }
+  }
+  const listed = new Set(course.chapters.flatMap((c) => [c.file, ...Object.values(c.variants ?? {}).map((v) => v.file)]));
+  for await (const rel of jsonFiles(dir)) {
+    if (rel === "index.json" || listed.has(rel) || !rel.startsWith("chapters/")) continue;
+    files++;
+    const translation = /^(.*)\.([a-z]{2,3})\.json$/.exec(rel);
+    if (translation && listed.has(`${translation[1]}.json`)) {
+      report(`${track.name}/${rel}`, [{ level: "warning", path: "(root)", message: `translation for unsupported locale "${translation[2]}" (supported: ${LOCALE_IDS.join(", ")})` }]);
+      continue;
+    }
+    let data;
+    try { data = JSON.parse(await readFile(join(dir, rel), "utf8")); }
+    catch (e) { report(`${track.name}/${rel}`, [{ level: "error", path: "(root)", message: `invalid JSON: ${e.message}` }]); continue; }
+    report(`${track.name}/${rel}`, [{ level: "warning", path: "(root)", message: "not listed in index.json, so players never see it" }, ...validateChapter(data)]);
+  }
+}
+
+const summary = `${files} content file${files === 1 ? "" : "s"} checked — ${errors} error${errors === 1 ? "" : "s"}, ${warnings} warning${warnings === 1 ? "" : "s"}`;
+if (errors || warnings) { console.error(`\n✖ ${summary}`); process.exit(1); }
+console.log(`✔ ${summary}`);
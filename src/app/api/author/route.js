@@ -0,0 +1,22 @@
+import { ContentWriteError, writeChapter } from "@/lib/content/write";
+import { handler, HttpError, readJson } from "@/lib/server/http";
+import { TRACKS } from "@/lib/quest/tracks";
+
+/**
+ * /api/author — save a chapter from the /author editor straight into src/content (development server only)
+ *   PUT { track, chapter }  → { file, created, issues }  created: the chapter was also appended to index.json
+ *                             422 { error, issues } when the chapter doesn't validate
+ */
+const COURSES = new Set(TRACKS.map((t) => t.content));
+
+export const PUT = handler(async (request) => {
+  if (process.env.NODE_ENV !== "development") throw new HttpError(403, "writing content is only available on the dev server — export the file instead");
+  const { track, chapter } = await readJson(request, 1024 * 1024);
+  if (!COURSES.has(track)) throw new HttpError(400, `unknown track "${track}"`);
+  try {
+    return Response.json(await writeChapter(track, chapter));
+  } catch (e) {
+    if (e instanceof ContentWriteError) return Response.json({ error: e.message, issues: e.issues }, { status: e.status });
+    throw e;
+  }
+});
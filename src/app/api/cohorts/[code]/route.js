@@ -0,0 +1,29 @@
+import { loadCourse } from "@/lib/content/load";
+import { cohortReport, cohortSummary, getCohort, leaveCohort, roleIn } from "@/lib/server/cohorts";
+import { handler, HttpError, requireUser } from "@/lib/server/http";
+
+/**
+ * /api/cohorts/<code> — one class
+ *   GET     → { cohort, role, chapters, learners }  instructors get every learner's row (completion, XP, weakest topics);
+ *                                                   learners get the leaderboard only (rank, name, XP, chapters done)
+ *   DELETE  → { cohort: null }  a learner leaves; the instructor closes the class
+ */
+export const GET = handler(async (request, { params }) => {
+  const user = await requireUser();
+  const cohort = await getCohort((await params).code);
+  const role = roleIn(cohort, user);
+  if (!role) throw new HttpError(403, "join this class to see it");
+  const course = await loadCourse(cohort.track, { log: false });
+  const rows = await cohortReport(cohort, course);
+  const learners = role === "instructor" ? rows : rows.map(({ rank, username, xp, doneCount }) => ({ rank, username, xp, doneCount }));
+  return Response.json({
+    cohort: cohortSummary(cohort), role,
+    chapters: course.chapters.map((c) => ({ id: c.id, title: c.title })),
+    learners,
+  });
+});
+
+export const DELETE = handler(async (request, { params }) => {
+  await leaveCohort(await requireUser(), (await params).code);
+  return Response.json({ cohort: null });
+});
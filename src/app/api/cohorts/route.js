@@ -0,0 +1,26 @@
+import { cohortsFor, cohortSummary, createCohort, joinCohort } from "@/lib/server/cohorts";
+import { handler, HttpError, readJson, requireUser } from "@/lib/server/http";
+import { TRACKS } from "@/lib/quest/tracks";
+
+/**
+ * /api/cohorts — instructor classes (see src/lib/server/cohorts.js)
+ *   GET                                    → { owned, joined }  summaries of the classes the user runs / joined
+ *   POST { mode: "create", name, track }   → { cohort }  opens a class on a course and returns its code
+ *   POST { mode: "join", code }            → { cohort }  joins a class (joining twice is a no-op)
+ */
+const COURSES = new Set(TRACKS.map((t) => t.content));
+
+export const GET = handler(async () => {
+  return Response.json(await cohortsFor(await requireUser()));
+});
+
+export const POST = handler(async (request) => {
+  const user = await requireUser();
+  const { mode, name, track, code } = await readJson(request, 4 * 1024);
+  if (mode === "create") {
+    if (!COURSES.has(track)) throw new HttpError(400, `unknown track "${track}"`);
+    return Response.json({ cohort: cohortSummary(await createCohort(user, { name, track })) });
+  }
+  if (mode === "join") return Response.json({ cohort: cohortSummary(await joinCohort(user, code)) });
+  throw new HttpError(400, `unknown mode "${mode}"`);
+});
@@ -0,0 +1,36 @@
+import { getStore } from "@/lib/server/store";
+import { handler, HttpError, readJson, requireUser } from "@/lib/server/http";
+import { mergeSaves, migrate } from "@/lib/quest/save";
+import { TRACKS } from "@/lib/quest/tracks";
+
+/**
+ * /api/progress — the signed-in player's save per course (format in src/lib/quest/save.js)
+ *   GET ?track=git               → { save | null }
+ *   PUT { track, save }          → { save }  the stored save merged with the upload (see mergeSaves), so two devices
+ *                                            syncing in any order converge: max XP, union of achievements, OR of completion.
+ */
+const COURSES = new Set(TRACKS.map((t) => t.content));
+
+function courseOf(track) {
+  if (!COURSES.has(track)) throw new HttpError(400, `unknown track "${track}"`);
+  return track;
+}
+
+export const GET = handler(async (request) => {
+  const user = await requireUser();
+  const track = courseOf(new URL(request.url).searchParams.get("track"));
+  return Response.json({ save: await getStore().get("saves", `${user.id}:${track}`) });
+});
+
+export const PUT = handler(async (request) => {
+  const user = await requireUser();
+  const body = await readJson(request, 1024 * 1024); // saves carry their answer history
+  const track = courseOf(body.track);
+  const incoming = { ...migrate(body.save), track };
+  const store = getStore();
+  const key = `${user.id}:${track}`;
+  const stored = await store.get("saves", key);
+  const merged = mergeSaves(stored ? migrate(stored) : null, incoming);
+  await store.put("saves", key, merged);
+  return Response.json({ save: merged });
+});
@@ -0,0 +1,28 @@
+import { cookies } from "next/headers";
+import { createSession, endSession, login, register, sessionCookie, userForSession, SESSION_COOKIE } from "@/lib/server/accounts";
+import { handler, HttpError, readJson, sessionToken } from "@/lib/server/http";
+
+/**
+ * /api/session — simple accounts for progress sync
+ *   GET                                        → { user | null }
+ *   POST { username, password, mode? }         → { user }  (mode "register" creates the account first; sets the session cookie)
+ *   DELETE                                     → { user: null } (signs out)
+ */
+export const GET = handler(async () => {
+  return Response.json({ user: await userForSession(await sessionToken()) });
+});
+
+export const POST = handler(async (request) => {
+  const { username, password, mode = "login" } = await readJson(request, 4 * 1024);
+  if (mode !== "login" && mode !== "register") throw new HttpError(400, `unknown mode "${mode}"`);
+  const user = mode === "register" ? await register(username, password) : await login(username, password);
+  const { token, expires } = await createSession(user);
+  (await cookies()).set(sessionCookie(token, expires));
+  return Response.json({ user });
+});
+
+export const DELETE = handler(async () => {
+  await endSession(await sessionToken());
+  (await cookies()).delete(SESSION_COOKIE);
+  return Response.json({ user: null });
+});
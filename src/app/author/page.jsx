@@ -0,0 +1,18 @@
+import { loadCourse } from "@/lib/content/load";
+import { TRACKS } from "@/lib/quest/tracks";
+import ChapterEditor from "@/components/author/ChapterEditor";
+
+/**
+ * Chapter authoring — form editor with live preview for src/content/<track>/chapters/*.json
+ * Route: /author
+ * Server entry: hands the editor every course's chapters to open as a starting point; saving to disk is dev-only.
+ */
+export const metadata = { title: "Chapter Editor — AgenForge" };
+
+export default async function AuthorPage() {
+  const courses = await Promise.all(TRACKS.map(async (t) => {
+    const course = await loadCourse(t.content, { log: false });
+    return { content: t.content, title: t.title, chapters: course.chapters.map(({ id, file, title, data }) => ({ id, file, title, data })) };
+  }));
+  return <ChapterEditor courses={courses} canWrite={process.env.NODE_ENV === "development"} />;
+}
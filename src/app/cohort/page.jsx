@@ -0,0 +1,13 @@
+import CohortDashboard from "@/components/cohort/CohortDashboard";
+
+/**
+ * Cohorts — instructors open a class and share its code; learners join it and show up on the class leaderboard.
+ * Route: /cohort (optionally /cohort?code=<code> to open one class)
+ * Everything goes through /api/cohorts on this app's own server, so a class runs offline on a local network.
+ */
+export const metadata = { title: "Classes — AgenForge" };
+
+export default async function CohortPage({ searchParams }) {
+  const { code = null } = await searchParams;
+  return <CohortDashboard initial={typeof code === "string" ? code : null} />;
+}
@@ -0,0 +1,27 @@
+import { notFound } from "next/navigation";
+import { loadCourse } from "@/lib/content/load";
+import { TRACKS, getTrack } from "@/lib/quest/tracks";
+import QuestGame from "@/components/quest/QuestGame";
+
+/**
+ * Quest games — one route per track in src/lib/quest/tracks.js
+ * Route: /games/<slug> (e.g. /games/git-quest-train, /games/docker-dungeon)
+ * Server entry: reads the track's course manifest (src/content/<track>/index.json) and its chapters, then hands them to the client engine.
+ */
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+  return TRACKS.map((t) => ({ slug: t.slug }));
+}
+
+export async function generateMetadata({ params }) {
+  const track = getTrack((await params).slug);
+  return track ? { title: `${track.title} — AgenForge` } : {};
+}
+
+export default async function QuestPage({ params }) {
+  const track = getTrack((await params).slug);
+  if (!track) notFound();
+  const course = await loadCourse(track.content);
+  return <QuestGame course={course} track={track} />;
+}
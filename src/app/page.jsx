@@ -1,10 +1,13 @@
 import Link from "next/link";
+import { LocaleSwitcher, Price, T } from "@/components/i18n/I18nProvider";
+import { TRACKS, trackHref } from "@/lib/quest/tracks";
 
 // AgenForge Landing Page (Next.js App Router)
 // Drop this file at: app/page.jsx
 // TailwindCSS required. No external UI libraries used.
-// The Git game lives at: app/games/git-quest-train/page.jsx → route "/games/git-quest-train".
-// Add more game pages at: app/games/<slug>/page.jsx and update the cards below.
+// Games are served by app/games/[slug]/page.jsx → routes "/games/<slug>" (e.g. "/games/git-quest-train").
+// Add a game by registering a track in lib/quest/tracks.js with content under content/<track>/, then update the cards below.
+// Text goes through <T k="…"/> (catalogues in lib/i18n/messages), so add new copy there rather than inline.
 
 export const metadata = {
   title: "AgenForge — Gamified DevOps Learning",
@@ -34,13 +37,16 @@ function Navbar() {
         <span className="text-lg font-semibold tracking-tight">AgenForge</span>
       </Link>
       <nav className="hidden gap-6 text-sm text-zinc-300 sm:flex">
-        <Link href="#games" className="hover:text-emerald-300">Games</Link>
-        <Link href="#how" className="hover:text-emerald-300">How it works</Link>
-        <Link href="#pricing" className="hover:text-emerald-300">Pricing</Link>
+        <Link href="#games" className="hover:text-emerald-300"><T k="nav.games" /></Link>
+        <Link href="#how" className="hover:text-emerald-300"><T k="nav.how" /></Link>
+        <Link href="#pricing" className="hover:text-emerald-300"><T k="nav.pricing" /></Link>
+        <Link href="/stats" className="hover:text-emerald-300"><T k="nav.stats" /></Link>
+        <Link href="/cohort" className="hover:text-emerald-300"><T k="nav.classes" /></Link>
       </nav>
       <div className="flex items-center gap-2">
+        <LocaleSwitcher />
         <Link href="/games/git-quest-train" className="rounded-xl border border-emerald-500/30 bg-emerald-500/10 px-3 py-2 text-sm text-emerald-300 hover:bg-emerald-500/20">
-          Play Git Quest
+          <T k="nav.playGit" />
         </Link>
       </div>
     </header>
@@ -53,37 +59,36 @@ function Hero() {
       <div className="grid items-center gap-8 lg:grid-cols-2">
         <div>
           <h1 className="text-3xl font-bold leading-tight sm:text-5xl">
-            Gamified <span className="text-emerald-400">DevOps</span> Learning
+            <T k="hero.titleBefore" /> <span className="text-emerald-400"><T k="hero.titleAccent" /></span> <T k="hero.titleAfter" />
           </h1>
           <p className="mt-3 max-w-prose text-zinc-300">
-            Learn Git, Docker, Kubernetes, Jenkins, Terraform and more through quick missions,
-            XP, coins, and boss battles. Built for speed-learning and real skills.
+            <T k="hero.body" />
           </p>
           <div className="mt-6 flex flex-wrap items-center gap-3">
-            {/* IMPORTANT: this links to app/games/git-quest-train/page.jsx → "/games/git-quest-train" */}
+            {/* IMPORTANT: this links to app/games/[slug]/page.jsx → "/games/git-quest-train" */}
             <Link
               href="/games/git-quest-train"
               className="rounded-xl bg-emerald-500 px-6 py-3 text-base font-semibold text-black shadow-lg hover:bg-emerald-400"
             >
-              Start Git Quest →
+              <T k="hero.start" />
             </Link>
             <Link
               href="#games"
               className="rounded-xl border border-white/15 bg-white/5 px-6 py-3 text-base font-medium text-zinc-100 hover:bg-white/10"
             >
-              Browse All Games
+              <T k="hero.browse" />
             </Link>
           </div>
           <p className="mt-4 text-xs text-zinc-400" id="how">
-            No signup needed for beta. Play in the browser. Save progress coming soon.
+            <T k="hero.note" />
           </p>
         </div>
         <div className="rounded-2xl border border-white/10 bg-black/40 p-5">
           <ul className="grid grid-cols-2 gap-3 text-sm text-zinc-200">
-            <li className="rounded-xl bg-white/5 p-3 ring-1 ring-white/10">⚡ 3–5 min micro-levels</li>
-            <li className="rounded-xl bg-white/5 p-3 ring-1 ring-white/10">🪙 Earn coins & XP</li>
-            <li className="rounded-xl bg-white/5 p-3 ring-1 ring-white/10">🏆 Badges & streaks</li>
-            <li className="rounded-xl bg-white/5 p-3 ring-1 ring-white/10">🧪 Real CLI scenarios</li>
+            <li className="rounded-xl bg-white/5 p-3 ring-1 ring-white/10"><T k="hero.feature.micro" /></li>
+            <li className="rounded-xl bg-white/5 p-3 ring-1 ring-white/10"><T k="hero.feature.coins" /></li>
+            <li className="rounded-xl bg-white/5 p-3 ring-1 ring-white/10"><T k="hero.feature.badges" /></li>
+            <li className="rounded-xl bg-white/5 p-3 ring-1 ring-white/10"><T k="hero.feature.cli" /></li>
           </ul>
         </div>
       </div>
@@ -92,59 +97,14 @@ function Hero() {
 }
 
 function GameGrid() {
-  const games = [
-    {
-      slug: "git-quest",
-      title: "Git Quest",
-      desc: "Init, config, commits, branches, remotes.",
-      level: "Beginner • 3 levels",
-      href: "/games/git-quest-train",
-      status: "live",
-      emoji: "🗡️",
-    },
-    {
-      slug: "docker-dungeon",
-      title: "Docker Dungeon",
-      desc: "Images, containers, ports, volumes.",
-      level: "Beginner • 3 levels",
-      href: "/games/docker-dungeon",
-      status: "soon",
-      emoji: "🧱",
-    },
-    {
-      slug: "k8s-arena",
-      title: "Kubernetes Arena",
-      desc: "Pods, Deployments, Services, rollouts.",
-      level: "Intermediate • 4 levels",
-      href: "/games/k8s-arena",
-      status: "soon",
-      emoji: "🛡️",
-    },
-    {
-      slug: "jenkins-runner",
-      title: "Jenkins Runner",
-      desc: "Pipelines, agents, triggers, artifacts.",
-      level: "Intermediate • 4 levels",
-      href: "/games/jenkins-runner",
-      status: "soon",
-      emoji: "🏃",
-    },
-    {
-      slug: "terraform-trials",
-      title: "Terraform Trials",
-      desc: "HCL, plan/apply, state & modules.",
-      level: "Intermediate • 4 levels",
-      href: "/games/terraform-trials",
-      status: "soon",
-      emoji: "🗺️",
-    },
-  ];
+  // Same list as the World Hub's portals (src/lib/quest/tracks.js).
+  const games = TRACKS.map((t) => ({ ...t, href: trackHref(t) }));
 
   return (
     <section id="games" className="mx-auto mt-12 max-w-6xl">
       <div className="mb-4 flex items-end justify-between">
-        <h2 className="text-2xl font-semibold">Games</h2>
-        <span className="text-xs text-zinc-400">More are coming soon</span>
+        <h2 className="text-2xl font-semibold"><T k="games.title" /></h2>
+        <span className="text-xs text-zinc-400"><T k="games.more" /></span>
       </div>
       <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
         {games.map((g) => (
@@ -168,19 +128,19 @@ function GameCard({ game }) {
               : "bg-white/10 text-zinc-300"
           }`}
         >
-          {isLive ? "Live" : "Coming soon"}
+          <T k={isLive ? "games.live" : "games.soon"} />
         </span>
       </div>
       <h3 className="mt-3 text-lg font-semibold">{game.title}</h3>
-      <p className="mt-1 text-sm text-zinc-300">{game.desc}</p>
-      <p className="mt-2 text-xs text-zinc-400">{game.level}</p>
+      <p className="mt-1 text-sm text-zinc-300"><T k={`games.${game.slug}.desc`} /></p>
+      <p className="mt-2 text-xs text-zinc-400"><T k={`games.${game.level}`} vars={{ n: game.levels }} /></p>
       <div className="mt-4">
         {isLive ? (
           <Link
             href={game.href}
             className="inline-flex items-center gap-2 rounded-xl bg-emerald-500 px-4 py-2 text-sm font-semibold text-black hover:bg-emerald-400"
           >
-            Play now <span aria-hidden>→</span>
+            <T k="games.playNow" /> <span aria-hidden>→</span>
           </Link>
         ) : (
           <button
@@ -189,7 +149,7 @@ function GameCard({ game }) {
             className="inline-flex cursor-not-allowed items-center gap-2 rounded-xl border border-white/15 bg-white/5 px-4 py-2 text-sm text-zinc-300"
             title="This quest will unlock soon"
           >
-            Locked
+            <T k="games.locked" />
           </button>
         )}
       </div>
@@ -205,22 +165,22 @@ function CTA() {
     <section id="pricing" className="mt-14 rounded-3xl border border-white/10 bg-white/5 p-6 sm:p-10">
       <div className="grid items-center gap-8 lg:grid-cols-2">
         <div>
-          <h3 className="text-xl font-semibold">Intro Price — ₹299</h3>
+          <h3 className="text-xl font-semibold"><T k="pricing.intro" /> — <Price amount={299} /></h3>
           <p className="mt-2 text-sm text-zinc-300">
-            Unlock all current and upcoming quests. Lifetime access for early adopters.
+            <T k="pricing.body" />
           </p>
           <ul className="mt-3 list-disc space-y-1 pl-5 text-sm text-zinc-200">
-            <li>All beginner + intermediate quests</li>
-            <li>New quests added monthly</li>
-            <li>Progress sync (soon)</li>
+            <li><T k="pricing.perk.quests" /></li>
+            <li><T k="pricing.perk.monthly" /></li>
+            <li><T k="pricing.perk.sync" /></li>
           </ul>
         </div>
         <div className="flex flex-wrap gap-3">
           <Link href="/games/git-quest-train" className="rounded-xl bg-emerald-500 px-6 py-3 text-sm font-semibold text-black hover:bg-emerald-400">
-            Play Git Quest Free
+            <T k="pricing.playFree" />
           </Link>
           <button className="rounded-xl border border-white/15 bg-white/5 px-6 py-3 text-sm text-zinc-100 hover:bg-white/10">
-            Buy Access (Coming Soon)
+            <T k="pricing.buy" />
           </button>
         </div>
       </div>
@@ -231,11 +191,11 @@ function CTA() {
 function Footer() {
   return (
     <footer className="mt-16 flex flex-col items-center justify-between gap-4 border-t border-white/10 py-8 text-sm text-zinc-400 sm:flex-row">
-      <p>© {new Date().getFullYear()} AgenForge. All rights reserved.</p>
+      <p><T k="footer.rights" vars={{ year: new Date().getFullYear() }} /></p>
       <div className="flex items-center gap-4">
-        <Link href="/privacy" className="hover:text-emerald-300">Privacy</Link>
-        <Link href="/terms" className="hover:text-emerald-300">Terms</Link>
-        <Link href="#how" className="hover:text-emerald-300">How it works</Link>
+        <Link href="/privacy" className="hover:text-emerald-300"><T k="footer.privacy" /></Link>
+        <Link href="/terms" className="hover:text-emerald-300"><T k="footer.terms" /></Link>
+        <Link href="#how" className="hover:text-emerald-300"><T k="nav.how" /></Link>
       </div>
     </footer>
   );
@@ -0,0 +1,16 @@
+import { loadCourse } from "@/lib/content/load";
+import { TRACKS, getTrack } from "@/lib/quest/tracks";
+import StatsDashboard from "@/components/stats/StatsDashboard";
+
+/**
+ * Learner stats — progress over time for every track, built from the event log in each save.
+ * Route: /stats (optionally /stats?track=<slug> to open on one track)
+ * Server entry: loads every track's course so the charts can name chapters, topics and questions.
+ */
+export const metadata = { title: "Your Stats — AgenForge" };
+
+export default async function StatsPage({ searchParams }) {
+  const courses = await Promise.all(TRACKS.map(async (track) => ({ track, course: await loadCourse(track.content, { log: false }) })));
+  const initial = getTrack((await searchParams).track)?.slug ?? null;
+  return <StatsDashboard courses={courses} initial={initial} />;
+}
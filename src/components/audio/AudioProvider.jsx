@@ -0,0 +1,80 @@
+"use client";
+import { createContext, useCallback, useContext, useEffect, useId, useMemo, useState } from "react";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import { BUSES, DEFAULT_AUDIO, createAudioManager, normalizeAudio } from "@/lib/audio";
+import { cn } from "@/lib/utils";
+
+const STORAGE_KEY = "agenforgeAudio";
+
+const silent = { emit: () => {}, play: () => {}, loop: () => {} };
+const SoundContext = createContext({ settings: DEFAULT_AUDIO, setVolume: () => {}, setMuted: () => {}, audio: silent });
+
+/**
+ * Sound for the whole app (mixer and sound config: src/lib/audio). Mute and volumes are a per-device choice like
+ * the locale, so they live under their own storage key rather than in a course save. The audio context starts on
+ * the first pointer or key press anywhere on the page.
+ */
+export default function AudioProvider({ children }) {
+  const [audio] = useState(createAudioManager);
+  const [settings, setSettings] = useState(DEFAULT_AUDIO);
+
+  useEffect(() => {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "null"); } catch {}
+    if (saved) setSettings(normalizeAudio(saved));
+  }, []);
+  useEffect(() => { audio.setSettings(settings); }, [audio, settings]);
+
+  useEffect(() => {
+    const unlock = () => {
+      audio.unlock();
+      if (audio.unlocked) for (const type of ["pointerdown", "keydown"]) window.removeEventListener(type, unlock, true);
+    };
+    for (const type of ["pointerdown", "keydown"]) window.addEventListener(type, unlock, true);
+    return () => {
+      for (const type of ["pointerdown", "keydown"]) window.removeEventListener(type, unlock, true);
+      audio.dispose();
+    };
+  }, [audio]);
+
+  const update = useCallback((fn) => setSettings((s) => {
+    const next = normalizeAudio(fn(s));
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(next)); } catch {}
+    return next;
+  }), []);
+  const setVolume = useCallback((bus, v) => update((s) => ({ ...s, volume: { ...s.volume, [bus]: v } })), [update]);
+  const setMuted = useCallback((muted) => update((s) => ({ ...s, muted })), [update]);
+  const value = useMemo(() => ({ settings, setVolume, setMuted, audio }), [settings, setVolume, setMuted, audio]);
+  return <SoundContext.Provider value={value}>{children}</SoundContext.Provider>;
+}
+
+/** → { settings: { muted, volume }, setVolume(bus, 0–1), setMuted(bool), audio: { emit(event), play(id), loop(bus, id) } } */
+export function useAudio() {
+  return useContext(SoundContext);
+}
+
+/** Mute toggle with a drop-down mixer (master and one slider per bus). */
+export function AudioControls({ className }) {
+  const { settings, setVolume, setMuted } = useAudio();
+  const { t, n } = useI18n();
+  const id = useId();
+  const pct = (v) => n(v, { style: "percent" });
+  return (
+    <div className={cn("flex items-center gap-1", className)}>
+      <button onClick={()=> setMuted(!settings.muted)} aria-pressed={settings.muted} title={t("audio.mute")} aria-label={t("audio.mute")}
+        className="rounded-lg bg-white/10 px-2 py-1 text-xs hover:bg-white/20">{settings.muted ? "🔇" : "🔊"}</button>
+      <details className="relative">
+        <summary className="cursor-pointer list-none rounded-lg bg-white/10 px-2 py-1 text-xs hover:bg-white/20">{t("audio.mixer")}</summary>
+        <div className="absolute right-0 z-30 mt-1 w-56 space-y-2 rounded-xl border border-white/10 bg-zinc-950/95 p-3 text-xs shadow-xl">
+          {["master", ...BUSES].map((bus) => (
+            <label key={bus} htmlFor={`${id}-${bus}`} className="block">
+              <span className="flex justify-between text-zinc-300"><span>{t(`audio.${bus}`)}</span><span className="text-zinc-500">{pct(settings.volume[bus])}</span></span>
+              <input id={`${id}-${bus}`} type="range" min={0} max={1} step={0.05} value={settings.volume[bus]} disabled={settings.muted}
+                onChange={(e)=> setVolume(bus, Number(e.target.value))} className="w-full accent-emerald-400 disabled:opacity-40" />
+            </label>
+          ))}
+        </div>
+      </details>
+    </div>
+  );
+}
@@ -0,0 +1,276 @@
+"use client";
+import Link from "next/link";
+import { Component, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import ChapterPanel from "@/components/quest/ChapterPanel";
+import { emptyChapter, emptyQuestion, emptyTopic, formatChapter, moveItem, nextTopicId, setIn, tidyChapter } from "@/lib/content/author";
+import { HIGHLIGHT_LANGS } from "@/lib/content/highlight";
+import { hasErrors, validateChapter } from "@/lib/content/validate";
+import { FEEDBACK_DELAY } from "@/lib/quest/machine";
+import { AddButton, EditorContext, Field, INPUT, Issues, JsonInput, NumberInput, RowControls, TextInput, useEditor } from "./Fields";
+import QuestionEditor from "./QuestionEditor";
+import { cn } from "@/lib/utils";
+
+const DRAFT_KEY = "agenforgeAuthorDraft";
+
+/**
+ * Chapter editor (/author) — a form over one chapter's JSON with the validator running on every keystroke and a live
+ * preview through the real ChapterPanel. Exports the file as it would sit in src/content/<track>/chapters/;
+ * on the dev server it can also save it there directly (/api/author). The draft survives reloads in localStorage.
+ */
+export default function ChapterEditor({ courses, canWrite }) {
+  const [track, setTrack] = useState(courses[0]?.content ?? "git");
+  const [chapter, setChapter] = useState(() => emptyChapter());
+  const [rev, setRev] = useState(0); // bumped when rows move or a chapter loads, so uncontrolled fields remount
+  const [preview, setPreview] = useState({ screen: "lesson", topicIdx: 0, attempt: 0 });
+  const [status, setStatus] = useState(null);
+  const loaded = useRef(false);
+
+  useEffect(() => {
+    try {
+      const draft = JSON.parse(window.localStorage.getItem(DRAFT_KEY) ?? "null");
+      if (draft?.chapter) { setChapter(draft.chapter); setTrack((t) => draft.track ?? t); setRev((r) => r + 1); }
+    } catch {}
+    loaded.current = true;
+  }, []);
+  useEffect(() => {
+    if (loaded.current) window.localStorage.setItem(DRAFT_KEY, JSON.stringify({ track, chapter }));
+  }, [track, chapter]);
+
+  const issues = useMemo(() => validateChapter(tidyChapter(chapter)), [chapter]);
+  const editor = useMemo(() => ({
+    edit: (path, value) => setChapter((c) => setIn(c, path, value)),
+    issuesAt: (key, prefix) => issues.filter((i) => i.path === key || (prefix && (i.path.startsWith(`${key}.`) || i.path.startsWith(`${key}[`)))),
+  }), [issues]);
+
+  const restructure = (next) => { setChapter(next); setRev((r) => r + 1); };
+  const load = (data, from) => { restructure(data); setPreview({ screen: "lesson", topicIdx: 0, attempt: 0 }); setStatus({ ok: true, text: `Loaded ${from}` }); };
+  const topics = chapter.topics ?? [];
+  const questions = chapter.boss?.questions ?? [];
+
+  /********************** Export **********************/
+  const fileName = `${chapter.id || "chapter"}.json`;
+  function download() {
+    const url = URL.createObjectURL(new Blob([formatChapter(chapter)], { type: "application/json" }));
+    const a = document.createElement("a");
+    a.href = url; a.download = fileName; a.click();
+    URL.revokeObjectURL(url);
+  }
+  async function copy() {
+    try { await navigator.clipboard.writeText(formatChapter(chapter)); setStatus({ ok: true, text: "Copied the JSON" }); }
+    catch { setStatus({ ok: false, text: "Couldn't reach the clipboard — use Download" }); }
+  }
+  async function importFile(file) {
+    try { load(JSON.parse(await file.text()), file.name); }
+    catch (e) { setStatus({ ok: false, text: `${file.name} is not valid JSON: ${e.message}` }); }
+  }
+  async function saveToDisk() {
+    setStatus({ ok: true, text: "Saving…" });
+    try {
+      const res = await fetch("/api/author", { method: "PUT", headers: { "content-type": "application/json" }, body: JSON.stringify({ track, chapter }) });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body.error ?? `save failed (${res.status})`);
+      setStatus({ ok: true, text: `Saved ${body.file}${body.created ? " and added it to index.json" : ""}` });
+    } catch (e) { setStatus({ ok: false, text: e.message }); }
+  }
+
+  const course = courses.find((c) => c.content === track);
+  const errors = issues.filter((i) => i.level === "error").length;
+  return (
+    <EditorContext.Provider value={editor}>
+      <main className="min-h-screen w-full bg-gradient-to-b from-zinc-950 via-black to-zinc-900 text-zinc-100">
+        <div className="mx-auto max-w-7xl px-4 py-4">
+          <header className="mb-4 flex flex-wrap items-center justify-between gap-3">
+            <div>
+              <h1 className="text-xl font-semibold">Chapter Editor</h1>
+              <p className="text-xs text-zinc-400">Write a chapter, watch it play, export the JSON.</p>
+            </div>
+            <Link href="/" className="rounded-lg border border-white/10 bg-white/10 px-3 py-1 text-xs hover:bg-white/20">Home</Link>
+          </header>
+
+          <div className="mb-4 flex flex-wrap items-center gap-2 rounded-2xl border border-white/10 bg-white/5 p-3 text-sm">
+            <select aria-label="Course" value={track} onChange={(e)=> setTrack(e.target.value)} className="rounded bg-black/40 px-2 py-1 ring-1 ring-white/10">
+              {courses.map((c) => <option key={c.content} value={c.content}>{c.title}</option>)}
+            </select>
+            <select aria-label="Open a chapter" value="" onChange={(e)=> {
+              const pick = course?.chapters.find((c) => c.id === e.target.value);
+              if (e.target.value === "new") load(emptyChapter(`ch${(course?.chapters.length ?? 0) + 1}`), "a blank chapter");
+              else if (pick?.data) load(structuredClone(pick.data), `${track}/${pick.file}`);
+            }} className="rounded bg-black/40 px-2 py-1 ring-1 ring-white/10">
+              <option value="" disabled>Open…</option>
+              <option value="new">New chapter</option>
+              {course?.chapters.filter((c) => c.data).map((c) => <option key={c.id} value={c.id}>{c.id} — {c.title}</option>)}
+            </select>
+            <label className="cursor-pointer rounded bg-white/10 px-2 py-1 hover:bg-white/20">
+              Import JSON<input type="file" accept="application/json,.json" className="hidden" onChange={(e)=> { const f = e.target.files?.[0]; if (f) importFile(f); e.target.value = ""; }} />
+            </label>
+            <span className="mx-1 h-5 w-px bg-white/10" />
+            <button onClick={download} className="rounded bg-white/10 px-2 py-1 hover:bg-white/20">Download {fileName}</button>
+            <button onClick={copy} className="rounded bg-white/10 px-2 py-1 hover:bg-white/20">Copy JSON</button>
+            {canWrite && (
+              <button onClick={saveToDisk} disabled={hasErrors(issues)} title={hasErrors(issues) ? "Fix the errors first" : undefined}
+                className="rounded bg-emerald-500/20 px-2 py-1 text-emerald-300 ring-1 ring-emerald-500/30 hover:bg-emerald-500/30 disabled:opacity-40">
+                Save to src/content/{track}/
+              </button>
+            )}
+            {status && <span className={cn("text-xs", status.ok ? "text-zinc-400" : "text-red-300")}>{status.text}</span>}
+          </div>
+
+          <div className="grid gap-4 lg:grid-cols-[minmax(0,1fr)_minmax(0,1fr)]">
+            <div className="space-y-4">
+              <Section title="Chapter">
+                <div className="grid gap-2 sm:grid-cols-[8rem_1fr]">
+                  <TextInput label="Id (file name)" path={["id"]} value={chapter.id} mono />
+                  <TextInput label="Title" path={["title"]} value={chapter.title} />
+                </div>
+                <TextInput label="Lore" path={["lore"]} value={chapter.lore} rows={2} />
+              </Section>
+
+              <Section title={`Topics (${topics.length})`}>
+                <Issues path={["topics"]} />
+                {topics.map((t, i) => (
+                  <TopicEditor key={`${rev}-${i}`} topic={t} index={i} count={topics.length} active={preview.screen !== "boss" && preview.topicIdx === i}
+                    onPreview={(screen)=> setPreview({ screen, topicIdx: i, attempt: 0 })}
+                    onMove={(from, to)=> restructure({ ...chapter, topics: moveItem(topics, from, to) })}
+                    onRemove={topics.length > 1 ? (at)=> restructure({ ...chapter, topics: topics.filter((_, j) => j !== at) }) : null} />
+                ))}
+                <AddButton onClick={()=> setChapter({ ...chapter, topics: [...topics, { ...emptyTopic(topics.length + 1), id: nextTopicId(topics) }] })}>topic</AddButton>
+              </Section>
+
+              <Section title="Boss" action={<button onClick={()=> setPreview({ screen: "boss", topicIdx: topics.length, attempt: preview.attempt + 1 })} className="text-xs text-emerald-300 hover:underline">Preview fight</button>}>
+                <div className="grid gap-2 sm:grid-cols-[8rem_1fr]">
+                  <TextInput label="Id" path={["boss", "id"]} value={chapter.boss?.id} mono />
+                  <TextInput label="Title" path={["boss", "title"]} value={chapter.boss?.title} />
+                </div>
+                <TextInput label="Intro" path={["boss", "intro"]} value={chapter.boss?.intro} rows={2} />
+                <div className="grid grid-cols-3 gap-2">
+                  <NumberInput label="Lives" path={["boss", "lives"]} value={chapter.boss?.lives} min={1} max={10} hint="default 3" />
+                  <NumberInput label="Seconds per question" path={["boss", "timePerQuestion"]} value={chapter.boss?.timePerQuestion} min={5} max={600} hint="empty: untimed" />
+                  <NumberInput label="Base XP" path={["boss", "xp"]} value={chapter.boss?.xp} min={0} />
+                </div>
+                <Issues path={["boss", "questions"]} />
+                {questions.map((q, i) => (
+                  <div key={`${rev}-${i}`} className="rounded-xl border border-white/10 bg-black/30 p-3">
+                    <div className="mb-2 flex items-center justify-between text-xs text-zinc-400">
+                      <span>Question {i + 1}</span>
+                      <RowControls index={i} length={questions.length} label={`question ${i + 1}`}
+                        onMove={(from, to)=> restructure(setIn(chapter, ["boss", "questions"], moveItem(questions, from, to)))}
+                        onRemove={questions.length > 1 ? (at)=> restructure(setIn(chapter, ["boss", "questions"], questions.filter((_, j) => j !== at))) : null} />
+                    </div>
+                    <QuestionEditor q={q} path={["boss", "questions", i]} />
+                  </div>
+                ))}
+                <AddButton onClick={()=> setChapter(setIn(chapter, ["boss", "questions"], [...questions, emptyQuestion("mcq")]))}>question</AddButton>
+              </Section>
+            </div>
+
+            <div className="space-y-4 lg:sticky lg:top-4 lg:self-start">
+              <Preview chapter={chapter} view={preview} setView={setPreview} />
+              <Section title={issues.length ? `Validation — ${errors} error${errors === 1 ? "" : "s"}, ${issues.length - errors} warning${issues.length - errors === 1 ? "" : "s"}` : "Validation"}>
+                {issues.length ? (
+                  <ul className="max-h-48 space-y-0.5 overflow-auto font-mono text-[11px]">
+                    {issues.map((i, n) => <li key={n} className={i.level === "error" ? "text-red-300" : "text-amber-300"}>{i.path} — {i.message}</li>)}
+                  </ul>
+                ) : (
+                  <p className="text-xs text-emerald-300">✓ Valid — ready to export.</p>
+                )}
+              </Section>
+            </div>
+          </div>
+        </div>
+      </main>
+    </EditorContext.Provider>
+  );
+}
+
+function Section({ title, action, children }) {
+  return (
+    <section className="space-y-2 rounded-2xl border border-white/10 bg-white/5 p-4">
+      <div className="flex items-center justify-between"><h2 className="text-sm font-semibold">{title}</h2>{action}</div>
+      {children}
+    </section>
+  );
+}
+
+function TopicEditor({ topic, index, count, active, onPreview, onMove, onRemove }) {
+  const path = ["topics", index];
+  const at = (...keys) => [...path, ...keys];
+  const { edit } = useEditor();
+  return (
+    <details open={active} className={cn("rounded-xl border bg-black/30 p-3", active ? "border-emerald-500/30" : "border-white/10")}>
+      <summary className="flex cursor-pointer items-center justify-between gap-2 text-sm">
+        <span className="truncate">{index + 1}. {topic.title || <span className="text-zinc-500">Untitled topic</span>}</span>
+        <span className="flex items-center gap-2" onClick={(e)=> e.preventDefault()}>
+          <button type="button" onClick={()=> onPreview("lesson")} className="text-xs text-emerald-300 hover:underline">Preview</button>
+          <RowControls index={index} length={count} onMove={onMove} onRemove={onRemove} label={`topic ${index + 1}`} />
+        </span>
+      </summary>
+      <div className="mt-3 space-y-2">
+        <div className="grid gap-2 sm:grid-cols-[8rem_1fr]">
+          <TextInput label="Id" path={at("id")} value={topic.id} mono />
+          <TextInput label="Title" path={at("title")} value={topic.title} />
+        </div>
+        <TextInput label="Lesson" path={at("lesson")} value={topic.lesson} rows={5} hint="Markdown: `code`, **bold**, - lists, | tables |, ``` blocks. Line breaks are kept as typed." />
+        <div className="grid gap-2 sm:grid-cols-[1fr_8rem]">
+          <TextInput label="Demo commands" path={at("demo", "code")} value={topic.demo?.code} rows={4} mono />
+          <Field label="Highlighting" path={at("demo", "lang")}>
+            <select value={topic.demo?.lang ?? ""} onChange={(e)=> edit(at("demo", "lang"), e.target.value || undefined)} className={cn(INPUT, "mt-0.5")}>
+              <option value="">Auto</option>
+              {HIGHLIGHT_LANGS.map((l) => <option key={l} value={l}>{l}</option>)}
+            </select>
+          </Field>
+        </div>
+        <TextInput label="Demo notes" path={at("demo", "notes")} value={topic.demo?.notes} />
+        <JsonInput label="Animated commit graph (optional)" path={at("demo", "graph")} value={topic.demo?.graph} rows={3} hint={'{ "setup": { "init": true }, "steps": ["git commit -m first"] }'} />
+        <div className="flex items-center justify-between pt-1">
+          <label className="flex items-center gap-2 text-xs text-zinc-300">
+            <input type="checkbox" checked={!!topic.quiz} onChange={(e)=> edit(at("quiz"), e.target.checked ? emptyQuestion("mcq") : undefined)} />
+            Challenge after the lesson
+          </label>
+          {topic.quiz && <button type="button" onClick={()=> onPreview("quiz")} className="text-xs text-emerald-300 hover:underline">Preview challenge</button>}
+        </div>
+        {topic.quiz && <QuestionEditor q={topic.quiz} path={at("quiz")} />}
+      </div>
+    </details>
+  );
+}
+
+/********************** Preview **********************/
+// The subset of the quest machine (src/lib/quest/machine.js) a single chapter needs, without progress or rewards.
+function usePreviewSend(chapter, setView) {
+  const timer = useRef(null);
+  useEffect(() => () => clearTimeout(timer.current), []);
+  return useCallback((event) => {
+    const advance = (v) => (v.topicIdx + 1 < (chapter.topics?.length ?? 0) ? { screen: "lesson", topicIdx: v.topicIdx + 1, attempt: 0 } : { screen: "boss", topicIdx: v.topicIdx + 1, attempt: 0 });
+    switch (event.type) {
+      case "START_QUIZ": setView((v) => ({ ...v, screen: "quiz" })); break;
+      case "NEXT": setView(advance); break;
+      case "CORRECT": clearTimeout(timer.current); timer.current = setTimeout(()=> setView(advance), event.delay ?? FEEDBACK_DELAY); break;
+      case "RETRY": setView((v) => ({ ...v, attempt: v.attempt + 1 })); break;
+      default: break;
+    }
+  }, [chapter.topics?.length, setView]);
+}
+
+function Preview({ chapter, view, setView }) {
+  const send = usePreviewSend(chapter, setView);
+  const data = useMemo(() => tidyChapter(chapter), [chapter]);
+  return (
+    <Section title="Live preview" action={<button onClick={()=> setView((v) => ({ ...v, attempt: v.attempt + 1 }))} className="text-xs text-zinc-400 hover:text-zinc-200">Restart</button>}>
+      <div className="max-h-[60vh] overflow-auto rounded-xl border border-white/10 bg-zinc-950/60 p-3">
+        <PreviewBoundary key={JSON.stringify(data)}>
+          <ChapterPanel chapter={data} view={view} send={send} coins={99} onSpend={()=> {}} />
+        </PreviewBoundary>
+      </div>
+    </Section>
+  );
+}
+
+// Half-typed content can be unplayable (no options yet…); show that instead of taking the editor down.
+class PreviewBoundary extends Component {
+  state = { error: null };
+  static getDerivedStateFromError(error) { return { error }; }
+  render() {
+    if (this.state.error) return <p className="text-xs text-amber-300">Preview unavailable until the errors are fixed ({this.state.error.message}).</p>;
+    return this.props.children;
+  }
+}
@@ -0,0 +1,108 @@
+"use client";
+import { createContext, useContext, useState } from "react";
+import { pathKey } from "@/lib/content/author";
+import { cn } from "@/lib/utils";
+
+/**
+ * Form fields for the chapter editor. Each takes its `path` into the chapter (["topics", 0, "title"]) and reads the
+ * editor from context: `edit(path, value)` to change the draft, `issuesAt(key)` for the validator's messages there.
+ */
+export const EditorContext = createContext({ edit: () => {}, issuesAt: () => [] });
+export const useEditor = () => useContext(EditorContext);
+
+export const INPUT = "w-full rounded border border-white/10 bg-black/40 px-2 py-1.5 text-sm outline-none ring-emerald-500/30 focus:ring";
+
+export function Issues({ path, prefix = false }) {
+  const { issuesAt } = useEditor();
+  const list = issuesAt(pathKey(path), prefix);
+  if (!list.length) return null;
+  return (
+    <ul className="mt-1 space-y-0.5 text-[11px]">
+      {list.map((i, n) => <li key={n} className={i.level === "error" ? "text-red-300" : "text-amber-300"}>{prefix && i.path !== pathKey(path) ? `${i.path}: ` : ""}{i.message}</li>)}
+    </ul>
+  );
+}
+
+export function Field({ label, path, hint, prefix, children }) {
+  return (
+    <label className="block">
+      <span className="text-xs text-zinc-400">{label}</span>
+      {children}
+      {hint && <span className="mt-0.5 block text-[11px] text-zinc-500">{hint}</span>}
+      {path && <Issues path={path} prefix={prefix} />}
+    </label>
+  );
+}
+
+export function TextInput({ label, path, value, hint, rows = 0, mono = false, placeholder }) {
+  const { edit } = useEditor();
+  const props = { value: value ?? "", placeholder, onChange: (e) => edit(path, e.target.value), className: cn(INPUT, "mt-0.5", mono && "font-mono text-xs") };
+  return (
+    <Field label={label} path={path} hint={hint}>
+      {rows ? <textarea rows={rows} {...props} /> : <input {...props} />}
+    </Field>
+  );
+}
+
+/** Empty clears the field (→ undefined) so optional numbers don't export as 0. */
+export function NumberInput({ label, path, value, hint, min, max }) {
+  const { edit } = useEditor();
+  return (
+    <Field label={label} path={path} hint={hint}>
+      <input type="number" min={min} max={max} value={value ?? ""} onChange={(e)=> edit(path, e.target.value === "" ? undefined : Number(e.target.value))} className={cn(INPUT, "mt-0.5")} />
+    </Field>
+  );
+}
+
+/**
+ * One string per line → an array (or a single string when `single` and there's one line, as answerText allows).
+ * Keeps its own text so blank lines survive while typing; remount (key) to load a different value.
+ */
+export function LinesInput({ label, path, value, hint, rows = 2, single = false, mono = false }) {
+  const { edit } = useEditor();
+  const [text, setText] = useState(() => (Array.isArray(value) ? value : value ? [value] : []).join("\n"));
+  function change(next) {
+    setText(next);
+    const lines = next.split("\n").map((l) => l.trim()).filter(Boolean);
+    edit(path, single ? (lines.length > 1 ? lines : lines[0] ?? "") : lines);
+  }
+  return (
+    <Field label={label} path={path} hint={hint} prefix>
+      <textarea rows={rows} value={text} onChange={(e)=> change(e.target.value)} className={cn(INPUT, "mt-0.5", mono && "font-mono text-xs")} />
+    </Field>
+  );
+}
+
+/** Raw JSON for the nested parts without a form (repo setups, goals, graph demos); empty removes the field. */
+export function JsonInput({ label, path, value, hint, rows = 4 }) {
+  const { edit } = useEditor();
+  const [text, setText] = useState(() => (value === undefined ? "" : JSON.stringify(value, null, 2)));
+  const [error, setError] = useState(null);
+  function change(next) {
+    setText(next);
+    if (!next.trim()) { setError(null); edit(path, undefined); return; }
+    try { edit(path, JSON.parse(next)); setError(null); } catch (e) { setError(e.message); }
+  }
+  return (
+    <Field label={label} path={path} hint={hint} prefix>
+      <textarea rows={rows} spellCheck={false} value={text} onChange={(e)=> change(e.target.value)} className={cn(INPUT, "mt-0.5 font-mono text-xs", error && "border-red-500/50")} />
+      {error && <span className="block text-[11px] text-red-300">JSON: {error}</span>}
+    </Field>
+  );
+}
+
+/** ↑ ↓ ✕ for one row of a list. */
+export function RowControls({ index, length, onMove, onRemove, label }) {
+  const btn = "rounded bg-white/10 px-1.5 text-xs hover:bg-white/20 disabled:opacity-30";
+  return (
+    <span className="flex shrink-0 gap-1">
+      <button type="button" aria-label={`Move ${label} up`} disabled={index === 0} onClick={()=> onMove(index, index - 1)} className={btn}>↑</button>
+      <button type="button" aria-label={`Move ${label} down`} disabled={index === length - 1} onClick={()=> onMove(index, index + 1)} className={btn}>↓</button>
+      {onRemove && <button type="button" aria-label={`Remove ${label}`} onClick={()=> onRemove(index)} className={cn(btn, "text-red-300")}>✕</button>}
+    </span>
+  );
+}
+
+export function AddButton({ onClick, children }) {
+  return <button type="button" onClick={onClick} className="rounded bg-white/5 px-2 py-1 text-xs text-zinc-300 ring-1 ring-white/10 hover:bg-white/10">+ {children}</button>;
+}
@@ -0,0 +1,128 @@
+"use client";
+import { AUTHOR_TYPES, moveItem, retypeQuestion } from "@/lib/content/author";
+import { AddButton, Field, INPUT, Issues, JsonInput, LinesInput, NumberInput, RowControls, TextInput, useEditor } from "./Fields";
+import { cn } from "@/lib/utils";
+
+const TYPE_LABELS = { mcq: "Multiple choice", blank: "Fill the blank", multi: "Select all", order: "Put in order", match: "Match pairs", fix: "Fix the command", terminal: "Terminal task" };
+
+/**
+ * Form for one question of any type (src/lib/content/schema.js QUESTION_TYPES). Correct answers are picked on the
+ * options themselves — a radio for mcq, checkboxes for multi, list order for order — so no index is ever typed.
+ */
+export default function QuestionEditor({ q, path }) {
+  const { edit } = useEditor();
+  const at = (...keys) => [...path, ...keys];
+  return (
+    <div className="space-y-2">
+      <div className="grid gap-2 sm:grid-cols-[auto_1fr]">
+        <Field label="Type" path={at("type")}>
+          <select value={q.type} onChange={(e)=> edit(path, retypeQuestion(q, e.target.value))} className={cn(INPUT, "mt-0.5")}>
+            {AUTHOR_TYPES.map((t) => <option key={t} value={t}>{TYPE_LABELS[t] ?? t}</option>)}
+          </select>
+        </Field>
+        <TextInput label="Prompt" path={at("prompt")} value={q.prompt} rows={2} hint="`backticks` for commands; ____ marks the blank" />
+      </div>
+
+      {(q.type === "mcq" || q.type === "multi") && <OptionsEditor q={q} path={path} />}
+      {q.type === "order" && <StringList label="Items, in the correct order (players get them shuffled)" items={q.items} path={at("items")} noun="item" />}
+      {q.type === "match" && <PairsEditor pairs={q.pairs} path={at("pairs")} />}
+      {q.type === "fix" && <TextInput label="Broken command" path={at("broken")} value={q.broken} mono />}
+      {(q.type === "blank" || q.type === "fix") && (
+        <LinesInput key={`${q.type}-answer`} label="Accepted answers" path={at("answerText")} value={q.answerText} single mono
+          hint="One per line. /pattern/i for a regular expression; flags and spacing are normalized." />
+      )}
+      {q.type === "terminal" && (
+        <>
+          <TextInput label="Message of the day" path={at("motd")} value={q.motd} />
+          <JsonInput label="Repository setup" path={at("setup")} value={q.setup} rows={5} hint="{ init, commits, branches, head, workdir, … }" />
+          <JsonInput label="Goal" path={at("goal")} value={q.goal} rows={4} hint={'{ "description": "…", "checks": [{ "head": "main" }] }'} />
+        </>
+      )}
+
+      <TextInput label="Explanation (shown after answering)" path={at("explain")} value={q.explain} rows={2} />
+      <div className="grid gap-2 sm:grid-cols-[8rem_1fr]">
+        <NumberInput label="XP" path={at("xp")} value={q.xp} min={0} />
+        <LinesInput key={`${q.type}-hints`} label="Hints (one per line, revealed in order)" path={at("hints")} value={q.hints} />
+      </div>
+    </div>
+  );
+}
+
+// Where index `i` ends up after moving `from` → `to`.
+const movedIndex = (i, from, to, length) => moveItem([...Array(length).keys()], from, to).indexOf(i);
+
+function OptionsEditor({ q, path }) {
+  const { edit } = useEditor();
+  const multi = q.type === "multi";
+  const options = q.options ?? [];
+  const answers = multi ? q.answers ?? [] : [q.answer];
+  const setAnswers = (list) => edit([...path, multi ? "answers" : "answer"], multi ? [...list].sort((a, b) => a - b) : list[0] ?? 0);
+
+  function update(next, remap) {
+    edit(path, { ...q, options: next, ...(multi ? { answers: answers.map(remap).filter((i) => i >= 0).sort((a, b) => a - b) } : { answer: Math.max(0, remap(q.answer)) }) });
+  }
+  const move = (from, to) => update(moveItem(options, from, to), (i) => movedIndex(i, from, to, options.length));
+  const remove = (at) => update(options.filter((_, i) => i !== at), (i) => (i === at ? -1 : i > at ? i - 1 : i));
+
+  return (
+    <fieldset>
+      <legend className="text-xs text-zinc-400">Options — {multi ? "tick every correct one" : "pick the correct one"}</legend>
+      <ul className="mt-1 space-y-1">
+        {options.map((opt, i) => (
+          <li key={i} className="flex items-center gap-2">
+            <input type={multi ? "checkbox" : "radio"} name={`${path.join(".")}-answer`} aria-label={`Option ${i + 1} is correct`} checked={answers.includes(i)}
+              onChange={(e)=> setAnswers(multi ? (e.target.checked ? [...answers, i] : answers.filter((a) => a !== i)) : [i])} />
+            <input value={opt} onChange={(e)=> edit([...path, "options", i], e.target.value)} aria-label={`Option ${i + 1}`} className={INPUT} />
+            <RowControls index={i} length={options.length} onMove={move} onRemove={options.length > 2 ? remove : null} label={`option ${i + 1}`} />
+          </li>
+        ))}
+      </ul>
+      <div className="mt-1"><AddButton onClick={()=> edit([...path, "options"], [...options, ""])}>option</AddButton></div>
+      <Issues path={[...path, "options"]} prefix />
+      <Issues path={[...path, multi ? "answers" : "answer"]} />
+    </fieldset>
+  );
+}
+
+function StringList({ label, items = [], path, noun }) {
+  const { edit } = useEditor();
+  return (
+    <fieldset>
+      <legend className="text-xs text-zinc-400">{label}</legend>
+      <ol className="mt-1 space-y-1">
+        {items.map((item, i) => (
+          <li key={i} className="flex items-center gap-2">
+            <span className="w-5 text-right text-xs text-zinc-500">{i + 1}.</span>
+            <input value={item} onChange={(e)=> edit([...path, i], e.target.value)} aria-label={`${noun} ${i + 1}`} className={INPUT} />
+            <RowControls index={i} length={items.length} onMove={(from, to)=> edit(path, moveItem(items, from, to))}
+              onRemove={items.length > 2 ? (at)=> edit(path, items.filter((_, j) => j !== at)) : null} label={`${noun} ${i + 1}`} />
+          </li>
+        ))}
+      </ol>
+      <div className="mt-1"><AddButton onClick={()=> edit(path, [...items, ""])}>{noun}</AddButton></div>
+      <Issues path={path} prefix />
+    </fieldset>
+  );
+}
+
+function PairsEditor({ pairs = [], path }) {
+  const { edit } = useEditor();
+  return (
+    <fieldset>
+      <legend className="text-xs text-zinc-400">Pairs — left is shown, players pick the right (shuffled)</legend>
+      <ul className="mt-1 space-y-1">
+        {pairs.map(([left, right], i) => (
+          <li key={i} className="flex items-center gap-2">
+            <input value={left} onChange={(e)=> edit([...path, i, 0], e.target.value)} aria-label={`Pair ${i + 1} left`} className={INPUT} />
+            <span className="text-zinc-500">→</span>
+            <input value={right} onChange={(e)=> edit([...path, i, 1], e.target.value)} aria-label={`Pair ${i + 1} right`} className={INPUT} />
+            <RowControls index={i} length={pairs.length} onMove={(from, to)=> edit(path, moveItem(pairs, from, to))}
+              onRemove={pairs.length > 2 ? (at)=> edit(path, pairs.filter((_, j) => j !== at)) : null} label={`pair ${i + 1}`} />
+          </li>
+        ))}
+      </ul>
+      <div className="mt-1"><AddButton onClick={()=> edit(path, [...pairs, ["", ""]])}>pair</AddButton></div>
+      <Issues path={path} prefix />
+    </fieldset>
+  );
+}
@@ -0,0 +1,290 @@
+"use client";
+import Link from "next/link";
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import AccountControls from "@/components/quest/AccountControls";
+import { intlTag } from "@/lib/i18n";
+import * as api from "@/lib/quest/sync";
+import { TRACKS } from "@/lib/quest/tracks";
+import { cn } from "@/lib/utils";
+
+const REFRESH_MS = 30_000;
+const trackOf = (content) => TRACKS.find((t) => t.content === content);
+
+/**
+ * Class dashboard (/cohort) — sign in, open or join classes, and view one: the leaderboard for everyone,
+ * plus per-learner completion, XP and weakest topics for the instructor. Learners' numbers come from their
+ * synced saves, so they must be signed in to the same account while playing.
+ */
+export default function CohortDashboard({ initial }) {
+  const { t } = useI18n();
+  const [user, setUser] = useState(undefined); // undefined while checking the session
+  const [status, setStatus] = useState("local");
+  const [lists, setLists] = useState({ owned: [], joined: [] });
+  const [open, setOpen] = useState(initial);
+  const [err, setErr] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try { setLists(await api.listCohorts()); setErr(null); }
+    catch (e) { setErr(e.message); }
+  }, []);
+
+  useEffect(() => {
+    api.getSession().then((u) => { setUser(u); setStatus(u ? "synced" : "local"); }).catch(() => { setUser(null); setStatus("offline"); });
+  }, []);
+  useEffect(() => { if (user) refresh(); }, [user, refresh]);
+
+  // The shape AccountControls expects from useSync, minus the save syncing this page doesn't do.
+  const account = useMemo(() => ({
+    user, status, error: null,
+    signIn: async (username, password, mode) => { const u = await api.signIn(username, password, mode); setUser(u); setStatus("synced"); },
+    signOut: async () => { try { await api.signOut(); } catch {} setUser(null); setStatus("local"); setOpen(null); setLists({ owned: [], joined: [] }); },
+  }), [user, status]);
+
+  return (
+    <main className="min-h-screen w-full bg-gradient-to-b from-zinc-950 via-black to-zinc-900 text-zinc-100">
+      <div className="mx-auto max-w-6xl px-4 py-4">
+        <header className="mb-4 flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <h1 className="text-xl font-semibold">{t("cohort.title")}</h1>
+            <p className="text-xs text-zinc-400">{t("cohort.intro")}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            {user !== undefined && <AccountControls sync={account} />}
+            <Link href="/" className="rounded-lg border border-white/10 bg-white/10 px-3 py-1 text-xs hover:bg-white/20">{t("nav.home")}</Link>
+          </div>
+        </header>
+
+        {user === undefined ? (
+          <p className="text-sm text-zinc-400">{t("cohort.loading")}</p>
+        ) : !user ? (
+          <div className="rounded-2xl border border-white/10 bg-white/5 p-8 text-center text-sm text-zinc-300">
+            {t(status === "offline" ? "cohort.offline" : "cohort.signIn")}
+          </div>
+        ) : open ? (
+          <CohortView code={open} onBack={()=> { setOpen(null); refresh(); }} />
+        ) : (
+          <div className="grid gap-4 lg:grid-cols-[1fr_1fr]">
+            <JoinForm onJoined={(c)=> setOpen(c.code)} />
+            <CreateForm onCreated={(c)=> setOpen(c.code)} />
+            {err && <p className="text-sm text-red-300 lg:col-span-2">{err}</p>}
+            <CohortList title={t("cohort.owned")} rows={lists.owned} empty={t("cohort.ownedEmpty")} onOpen={setOpen} />
+            <CohortList title={t("cohort.joined")} rows={lists.joined} empty={t("cohort.joinedEmpty")} onOpen={setOpen} />
+          </div>
+        )}
+      </div>
+    </main>
+  );
+}
+
+/********************** Lobby **********************/
+const INPUT = "w-full rounded border border-white/10 bg-black/40 p-2 text-sm outline-none ring-emerald-500/30 focus:ring";
+const BUTTON = "rounded bg-emerald-500/20 px-3 py-2 text-sm text-emerald-300 ring-1 ring-emerald-500/30 hover:bg-emerald-500/30 disabled:opacity-50";
+
+// Submit handler with busy/error state for the two lobby forms.
+function useAction(fn) {
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState(null);
+  const run = async (e) => {
+    e.preventDefault();
+    setBusy(true); setErr(null);
+    try { await fn(); } catch (x) { setErr(x.message); } finally { setBusy(false); }
+  };
+  return { busy, err, run };
+}
+
+function JoinForm({ onJoined, initial = "" }) {
+  const { t } = useI18n();
+  const [code, setCode] = useState(initial);
+  const { busy, err, run } = useAction(async () => onJoined(await api.joinCohort(code)));
+  return (
+    <form onSubmit={run} className="rounded-2xl border border-white/10 bg-white/5 p-4">
+      <h2 className="text-sm font-semibold">{t("cohort.join")}</h2>
+      <label className="mt-2 block text-xs text-zinc-400" htmlFor="cohort-code">{t("cohort.code")}</label>
+      <div className="mt-1 flex gap-2">
+        <input id="cohort-code" value={code} onChange={(e)=> setCode(e.target.value)} placeholder={t("cohort.codeExample")} autoComplete="off" className={cn(INPUT, "font-mono uppercase tracking-widest")} />
+        <button type="submit" disabled={busy || !code.trim()} className={BUTTON}>{t("cohort.joinButton")}</button>
+      </div>
+      {err && <p className="mt-2 text-xs text-red-300">{err}</p>}
+    </form>
+  );
+}
+
+function CreateForm({ onCreated }) {
+  const { t } = useI18n();
+  const [name, setName] = useState("");
+  const [track, setTrack] = useState(TRACKS[0].content);
+  const { busy, err, run } = useAction(async () => onCreated(await api.createCohort(name, track)));
+  return (
+    <form onSubmit={run} className="rounded-2xl border border-white/10 bg-white/5 p-4">
+      <h2 className="text-sm font-semibold">{t("cohort.create")}</h2>
+      <div className="mt-2 grid gap-2 sm:grid-cols-[1fr_auto_auto]">
+        <input aria-label={t("cohort.name")} value={name} onChange={(e)=> setName(e.target.value)} placeholder={t("cohort.nameExample")} maxLength={60} className={INPUT} />
+        <select aria-label={t("cohort.course")} value={track} onChange={(e)=> setTrack(e.target.value)} className={INPUT}>
+          {TRACKS.map((tr) => <option key={tr.content} value={tr.content}>{tr.title}</option>)}
+        </select>
+        <button type="submit" disabled={busy || !name.trim()} className={BUTTON}>{t("cohort.createButton")}</button>
+      </div>
+      {err && <p className="mt-2 text-xs text-red-300">{err}</p>}
+    </form>
+  );
+}
+
+function CohortList({ title, rows, empty, onOpen }) {
+  const { t, n } = useI18n();
+  return (
+    <section className="rounded-2xl border border-white/10 bg-white/5 p-4">
+      <h2 className="text-sm font-semibold">{title}</h2>
+      {rows.length ? (
+        <ul className="mt-2 grid gap-2">
+          {rows.map((c) => (
+            <li key={c.code}>
+              <button onClick={()=> onOpen(c.code)} className="flex w-full items-center justify-between gap-3 rounded-lg bg-white/5 p-2 text-left text-sm hover:bg-white/10">
+                <span className="min-w-0">
+                  <span className="block truncate font-medium">{c.name}</span>
+                  <span className="text-xs text-zinc-400">{t("cohort.listMeta", { track: trackOf(c.track)?.title ?? c.track, members: t(c.members === 1 ? "cohort.members.one" : "cohort.members", { n: n(c.members) }), owner: c.owner })}</span>
+                </span>
+                <span className="font-mono text-xs tracking-widest text-zinc-300">{c.code}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mt-2 text-xs text-zinc-400">{empty}</p>
+      )}
+    </section>
+  );
+}
+
+/********************** Class view **********************/
+function CohortView({ code, onBack }) {
+  const { t, n } = useI18n();
+  const [report, setReport] = useState(null);
+  const [err, setErr] = useState(null);
+  const [outsider, setOutsider] = useState(false); // opened from a shared ?code= link without being a member
+  const [copied, setCopied] = useState(false);
+
+  const load = useCallback(async () => {
+    try { setReport(await api.cohortReport(code)); setErr(null); setOutsider(false); }
+    catch (e) { setErr(e.message); setOutsider(e.status === 403); }
+  }, [code]);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  async function leave() {
+    const instructor = report?.role === "instructor";
+    if (!window.confirm(t(instructor ? "cohort.closeConfirm" : "cohort.leaveConfirm"))) return;
+    try { await api.leaveCohort(code); onBack(); } catch (e) { setErr(e.message); }
+  }
+
+  async function copy() {
+    try { await navigator.clipboard.writeText(report.cohort.code); setCopied(true); setTimeout(()=> setCopied(false), 1500); } catch {}
+  }
+
+  const back = <button onClick={onBack} className="rounded-lg bg-white/10 px-3 py-1 text-xs hover:bg-white/20">{t("cohort.back")}</button>;
+  if (outsider) return <div className="grid gap-3">{back}<JoinForm initial={code} onJoined={load} /></div>;
+  if (!report) return <div className="grid gap-3">{back}<p className="text-sm text-zinc-400">{err ?? t("cohort.loading")}</p></div>;
+
+  const { cohort, role, chapters, learners } = report;
+  const track = trackOf(cohort.track);
+  return (
+    <div className="grid gap-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        {back}
+        <div className="flex items-center gap-2">
+          <button onClick={load} className="rounded-lg bg-white/10 px-3 py-1 text-xs hover:bg-white/20">{t("cohort.refresh")}</button>
+          <button onClick={leave} className="rounded-lg bg-red-500/15 px-3 py-1 text-xs text-red-300 hover:bg-red-500/25">{t(role === "instructor" ? "cohort.close" : "cohort.leave")}</button>
+        </div>
+      </div>
+
+      <section className="flex flex-wrap items-center justify-between gap-4 rounded-2xl border border-white/10 bg-white/5 p-4">
+        <div>
+          <h2 className="text-lg font-semibold">{cohort.name}</h2>
+          <p className="text-xs text-zinc-400">{t("cohort.meta", { track: track?.title ?? cohort.track, owner: cohort.owner, members: t(cohort.members === 1 ? "cohort.members.one" : "cohort.members", { n: n(cohort.members) }) })}</p>
+          {role === "learner" && track && (
+            <Link href={`/games/${track.slug}`} className="mt-2 inline-block text-xs text-emerald-300 hover:underline">{t("cohort.play", { track: track.title })}</Link>
+          )}
+        </div>
+        <div className="text-right">
+          <div className="text-[11px] uppercase tracking-wide text-zinc-400">{t("cohort.code")}</div>
+          <button onClick={copy} title={t("cohort.copyCode")} className="font-mono text-3xl font-bold tracking-[0.3em] text-emerald-300">{cohort.code}</button>
+          <div className="h-4 text-[11px] text-zinc-400">{copied ? t("cohort.copied") : ""}</div>
+        </div>
+      </section>
+      {err && <p className="text-sm text-red-300">{err}</p>}
+
+      <Leaderboard learners={learners} chapters={chapters.length} />
+      {role === "instructor" && <ProgressTable learners={learners} chapters={chapters} />}
+    </div>
+  );
+}
+
+function Leaderboard({ learners, chapters }) {
+  const { t, n } = useI18n();
+  return (
+    <section className="rounded-2xl border border-white/10 bg-white/5 p-4">
+      <h2 className="text-sm font-semibold">{t("cohort.leaderboard")}</h2>
+      {learners.length ? (
+        <ol className="mt-2 grid gap-1">
+          {learners.map((l) => (
+            <li key={l.username} className={cn("flex items-center gap-3 rounded-lg px-2 py-1.5 text-sm", l.rank <= 3 ? "bg-amber-500/10" : "bg-white/5")}>
+              <span className="w-8 text-right font-mono text-zinc-400">{["🥇", "🥈", "🥉"][l.rank - 1] ?? `#${l.rank}`}</span>
+              <span className="flex-1 truncate">{l.username}</span>
+              <span className="text-xs text-zinc-400">{t("cohort.chapters", { done: n(l.doneCount), total: n(chapters) })}</span>
+              <span className="w-20 text-right font-semibold">{t("cohort.xp", { xp: n(l.xp) })}</span>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="mt-2 text-xs text-zinc-400">{t("cohort.noLearners")}</p>
+      )}
+    </section>
+  );
+}
+
+function ProgressTable({ learners, chapters }) {
+  const { locale, t, n } = useI18n();
+  if (!learners.length) return null;
+  const dateFmt = new Intl.DateTimeFormat(intlTag(locale), { dateStyle: "medium", timeStyle: "short" });
+  return (
+    <section className="overflow-x-auto rounded-2xl border border-white/10 bg-white/5 p-4">
+      <h2 className="text-sm font-semibold">{t("cohort.progress")}</h2>
+      <table className="mt-2 w-full text-left text-xs">
+        <thead className="text-zinc-400">
+          <tr>
+            <th scope="col" className="py-1 pr-3 font-medium">{t("cohort.learner")}</th>
+            {chapters.map((c, i) => <th key={c.id} scope="col" title={c.title} className="px-1 text-center font-medium">{i + 1}</th>)}
+            <th scope="col" className="px-3 text-right font-medium">{t("hud.xp")}</th>
+            <th scope="col" className="px-3 font-medium">{t("cohort.weakest")}</th>
+            <th scope="col" className="pl-3 font-medium">{t("cohort.lastActive")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {learners.map((l) => (
+            <tr key={l.username} className="border-t border-white/5">
+              <th scope="row" className="py-1.5 pr-3 font-medium">{l.username}</th>
+              {chapters.map((c) => (
+                <td key={c.id} className="px-1 text-center" aria-label={`${c.title}: ${t(l.done[c.id] ? "cohort.done" : "cohort.notDone")}`}>
+                  <span className={l.done[c.id] ? "text-emerald-300" : "text-zinc-600"}>{l.done[c.id] ? "✓" : "·"}</span>
+                </td>
+              ))}
+              <td className="px-3 text-right font-semibold">{n(l.xp)}</td>
+              <td className="px-3">
+                {l.weakest.length ? l.weakest.map((w) => (
+                  <span key={w.id} className="mr-1 inline-block rounded bg-rose-500/10 px-1.5 py-0.5 text-rose-200">
+                    {w.ch ? t("stats.where", { n: w.ch, name: w.name }) : w.label} · {n(w.accuracy / 100, { style: "percent" })}
+                  </span>
+                )) : <span className="text-zinc-500">—</span>}
+              </td>
+              <td className="pl-3 text-zinc-400">{l.lastActive ? dateFmt.format(new Date(l.lastActive)) : t("cohort.neverSynced")}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+}
@@ -0,0 +1,62 @@
+"use client";
+import { AnimatePresence, motion } from "framer-motion";
+import { useMemo } from "react";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import { layoutGraph } from "@/lib/git-sim";
+
+/**
+ * Commit graph — live DAG of a simulated repo (commits, branch pointers, HEAD, tags).
+ * Nodes are keyed by commit id, so moving between repo states animates instead of redrawing.
+ */
+
+export const LANE_COLORS = ["#34d399", "#60a5fa", "#f472b6", "#fbbf24", "#a78bfa", "#f87171"];
+const COL = 56, ROW = 46, PAD = 28, R = 9;
+
+export default function CommitGraph({ repo, className = "" }) {
+  const { t } = useI18n();
+  const g = useMemo(() => layoutGraph(repo), [repo]);
+  const byId = useMemo(() => Object.fromEntries(g.nodes.map((n) => [n.id, n])), [g]);
+  const pos = (n) => ({ x: PAD + n.col * COL, y: PAD + n.lane * ROW });
+  const width = PAD * 2 + Math.max(1, g.cols - 1) * COL + 90;
+  const height = PAD * 2 + Math.max(0, g.lanes.length - 1) * ROW + 18;
+
+  if (!g.nodes.length) {
+    return <div className={`flex h-24 items-center justify-center text-xs text-zinc-500 ${className}`}>{t(repo.initialized ? "graph.empty" : "graph.noRepo")}</div>;
+  }
+
+  return (
+    <div className={`overflow-x-auto ${className}`}>
+      <svg width={width} height={height} className="block">
+        <AnimatePresence initial={false}>
+          {g.edges.map((e) => {
+            const a = pos(byId[e.from]), b = pos(byId[e.to]);
+            const midX = a.x + COL / 2;
+            const d = a.y === b.y ? `M${a.x},${a.y} L${b.x},${b.y}` : `M${a.x},${a.y} C${midX},${a.y} ${midX},${b.y} ${Math.min(b.x, midX + COL / 2)},${b.y} L${b.x},${b.y}`;
+            return (
+              <motion.path key={e.id} d={d} fill="none" stroke={LANE_COLORS[byId[e.to].lane % LANE_COLORS.length]} strokeWidth={2} strokeOpacity={0.7}
+                initial={{ pathLength: 0, opacity: 0 }} animate={{ pathLength: 1, opacity: 1, d }} exit={{ opacity: 0 }} transition={{ duration: 0.45 }} />
+            );
+          })}
+          {g.nodes.map((n) => {
+            const { x, y } = pos(n);
+            const color = LANE_COLORS[n.lane % LANE_COLORS.length];
+            return (
+              <motion.g key={n.id} initial={{ opacity: 0, x, y: y - 12 }} animate={{ opacity: 1, x, y }} exit={{ opacity: 0, scale: 0.6 }} transition={{ type: "spring", stiffness: 220, damping: 24 }}>
+                <title>{`${n.id} ${n.message}`}</title>
+                <circle r={R} fill={n.merge ? "#0b0f17" : color} stroke={color} strokeWidth={n.head ? 4 : 2} />
+                {n.head && <circle r={R + 5} fill="none" stroke="#fde047" strokeWidth={1.5} strokeDasharray="3 3" />}
+                <text y={R + 13} textAnchor="middle" className="fill-zinc-500 font-mono text-[9px]">{n.id.slice(0, 7)}</text>
+                {n.refs.map((ref, i) => (
+                  <g key={ref} transform={`translate(${R + 6}, ${-R - 4 - i * 15})`}>
+                    <rect x={0} y={-10} rx={4} height={14} width={ref.length * 6 + 10} fill={ref.startsWith("HEAD") ? "#fde04733" : ref.startsWith("tag:") ? "#fbbf2433" : "#ffffff14"} />
+                    <text x={5} y={0} className={ref.startsWith("HEAD") ? "fill-yellow-200 font-mono text-[10px]" : "fill-zinc-200 font-mono text-[10px]"}>{ref}</text>
+                  </g>
+                ))}
+              </motion.g>
+            );
+          })}
+        </AnimatePresence>
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+"use client";
+import { useFrame, useThree } from "@react-three/fiber";
+import { Line, Text } from "@react-three/drei";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { layoutGraph } from "@/lib/git-sim";
+import { LANE_COLORS } from "./CommitGraph";
+
+/**
+ * Commit graph in 3D — the same layout as <CommitGraph>, drawn as glowing nodes floating over the station.
+ * Nodes ease toward their new column/lane when the demo steps, mirroring the 2D animation (requesting frames until
+ * they settle, for on-demand canvases).
+ */
+
+const COL = 1.1, ROW = 0.9;
+
+function Node({ node, target }) {
+  const ref = useRef();
+  const [initial] = useState(() => [target.x, target.y + 0.6, target.z]);
+  const color = LANE_COLORS[node.lane % LANE_COLORS.length];
+  const invalidate = useThree((s) => s.invalidate);
+  useEffect(() => { invalidate(); }, [target, invalidate]);
+  useFrame((state, delta) => {
+    if (!ref.current) return;
+    ref.current.position.lerp(target, Math.min(1, delta * 6));
+    if (ref.current.position.distanceToSquared(target) > 1e-6) state.invalidate();
+  });
+  return (
+    <group ref={ref} position={initial}>
+      <mesh>
+        <sphereGeometry args={[node.head ? 0.2 : 0.15, 20, 20]} />
+        <meshStandardMaterial color={color} emissive={color} emissiveIntensity={node.head ? 1.6 : 0.8} />
+      </mesh>
+      {node.refs.length > 0 && (
+        <Text position={[0, 0.38, 0]} fontSize={0.16} color={node.head ? "#fde047" : "#e5e7eb"} anchorX="center" anchorY="bottom">
+          {node.refs.join("  ")}
+        </Text>
+      )}
+      <Text position={[0, -0.3, 0]} fontSize={0.11} color="#94a3b8" anchorX="center" anchorY="top">{node.id.slice(0, 7)}</Text>
+    </group>
+  );
+}
+
+export default function CommitGraph3D({ repo, position = [0, 4, -3] }) {
+  const g = useMemo(() => layoutGraph(repo), [repo]);
+  const targets = useMemo(() => {
+    const offsetX = ((g.cols - 1) * COL) / 2;
+    return Object.fromEntries(g.nodes.map((n) => [n.id, { x: n.col * COL - offsetX, y: -n.lane * ROW, z: 0 }]));
+  }, [g]);
+  if (!g.nodes.length) return null;
+  return (
+    <group position={position}>
+      {g.edges.map((e) => {
+        const a = targets[e.from], b = targets[e.to];
+        return <Line key={e.id} points={[[a.x, a.y, a.z], [b.x, b.y, b.z]]} color="#64748b" lineWidth={2} transparent opacity={0.8} />;
+      })}
+      {g.nodes.map((n) => <Node key={n.id} node={n} target={targets[n.id]} />)}
+    </group>
+  );
+}
@@ -0,0 +1,51 @@
+"use client";
+import { useEffect, useMemo, useState } from "react";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import { buildDemoStates } from "@/lib/git-sim";
+import { cn } from "@/lib/utils";
+import CodeBlock, { NotesCallout } from "@/components/quest/CodeBlock";
+import Markdown from "@/components/quest/Markdown";
+import CommitGraph from "./CommitGraph";
+
+/**
+ * Graph demo — the "Try this" box plus a commit graph that animates through the states in `demo.graph`
+ * as the learner steps through `demo.code`.
+ * `onStateChange(repo)` lets the page mirror the current state elsewhere (e.g. the 3D station).
+ * The step is not reset when `demo` changes: key the component by topic to start a new demo from the beginning.
+ */
+export default function GraphDemo({ demo, onStateChange }) {
+  const { t } = useI18n();
+  const states = useMemo(() => buildDemoStates(demo.graph, demo.code), [demo]);
+  const [step, setStep] = useState(0);
+  const state = states[Math.min(step, states.length - 1)];
+  const last = states.length - 1;
+
+  useEffect(() => { onStateChange?.(state.repo); }, [state, onStateChange]);
+  useEffect(() => () => onStateChange?.(null), [onStateChange]);
+
+  return (
+    <div className="mt-3 grid gap-3 lg:grid-cols-2">
+      <div>
+        <CodeBlock title={t("chapter.tryThis")} code={demo.code} lang={demo.lang} activeLine={state.line} />
+        {demo.notes && <NotesCallout><Markdown text={demo.notes} /></NotesCallout>}
+      </div>
+      <div className="rounded-lg border border-white/10 bg-zinc-950 p-3">
+        <div className="mb-2 flex items-center justify-between">
+          <div className="text-xs text-zinc-400">{t("demo.graph")}</div>
+          <div className="flex items-center gap-1 text-xs">
+            <button onClick={() => setStep(0)} disabled={step === 0} aria-label={t("demo.first")} title={t("demo.first")} className="rounded bg-white/10 px-2 py-0.5 hover:bg-white/20 disabled:opacity-40">⏮</button>
+            <button onClick={() => setStep((s) => Math.max(0, s - 1))} disabled={step === 0} className="rounded bg-white/10 px-2 py-0.5 hover:bg-white/20 disabled:opacity-40">{t("demo.prev")}</button>
+            <span className="px-1 text-zinc-400">{step}/{last}</span>
+            <button onClick={() => setStep((s) => Math.min(last, s + 1))} disabled={step === last} className="rounded bg-emerald-500/20 px-2 py-0.5 text-emerald-300 ring-1 ring-emerald-500/30 hover:bg-emerald-500/30 disabled:opacity-40">{t("demo.next")}</button>
+          </div>
+        </div>
+        <CommitGraph repo={state.repo} />
+        <div className={cn("mt-2 rounded bg-black/40 px-2 py-1 font-mono text-xs", state.error ? "text-red-300" : "text-zinc-300")}>
+          {state.run ? <><span className="text-emerald-400">$</span> {state.run}</> : <span className="text-zinc-500">{t("demo.pressNext")}</span>}
+          {state.run && (state.error || state.caption) && <div className="text-zinc-500">{state.error ?? state.caption}</div>}
+          {!state.run && <div className="text-zinc-500">{state.caption ?? t("demo.start")}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
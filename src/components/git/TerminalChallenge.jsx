@@ -0,0 +1,99 @@
+"use client";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import { createRepo, evaluateGoal, runCommand } from "@/lib/git-sim";
+import { cn } from "@/lib/utils";
+
+/**
+ * Terminal challenge — the "terminal" quiz type.
+ * Runs learner commands against the simulated repo from `data.setup` and passes once `data.goal` holds.
+ */
+export default function TerminalChallenge({ data, onSolved }) {
+  const { t } = useI18n();
+  const [repo, setRepo] = useState(() => createRepo(data.setup));
+  const [lines, setLines] = useState(() => (data.motd ? [{ kind: "out", text: data.motd }] : []));
+  const [input, setInput] = useState("");
+  const [history, setHistory] = useState([]);
+  const [cursor, setCursor] = useState(-1);
+  const solvedRef = useRef(false);
+  const scrollRef = useRef(null);
+  const inputRef = useRef(null);
+
+  const goal = useMemo(() => evaluateGoal(repo, data.goal), [repo, data.goal]);
+
+  useEffect(() => {
+    if (goal.ok && !solvedRef.current) { solvedRef.current = true; onSolved?.(); }
+  }, [goal.ok, onSolved]);
+  useEffect(() => { scrollRef.current?.scrollTo(0, scrollRef.current.scrollHeight); }, [lines]);
+
+  function run(line) {
+    const res = runCommand(repo, line);
+    setHistory((h) => (line.trim() ? [...h, line] : h));
+    setCursor(-1);
+    if (res.clear) { setLines([]); return; }
+    setLines((l) => [...l, { kind: "cmd", text: line }, ...(res.output ? [{ kind: res.error ? "err" : "out", text: res.output }] : [])]);
+    setRepo(res.repo);
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "Enter") { e.preventDefault(); run(input); setInput(""); return; }
+    if (e.key === "ArrowUp" && history.length) {
+      e.preventDefault();
+      const next = cursor < 0 ? history.length - 1 : Math.max(0, cursor - 1);
+      setCursor(next); setInput(history[next]);
+    }
+    if (e.key === "ArrowDown" && cursor >= 0) {
+      e.preventDefault();
+      const next = cursor + 1;
+      if (next >= history.length) { setCursor(-1); setInput(""); } else { setCursor(next); setInput(history[next]); }
+    }
+  }
+
+  function reset() {
+    setRepo(createRepo(data.setup));
+    setLines([]);
+    inputRef.current?.focus();
+  }
+
+  return (
+    <div className="mt-3 grid gap-3 md:grid-cols-[1fr_240px]">
+      <div className="rounded-lg border border-white/10 bg-zinc-950 font-mono text-xs" onClick={() => inputRef.current?.focus()}>
+        <div ref={scrollRef} className="max-h-72 min-h-40 overflow-auto p-3">
+          {lines.map((l, i) => (
+            <pre key={i} className={cn("whitespace-pre-wrap", l.kind === "cmd" ? "text-zinc-100" : l.kind === "err" ? "text-red-300" : "text-zinc-400")}>
+              {l.kind === "cmd" ? <><span className="text-emerald-400">$</span> {l.text}</> : l.text}
+            </pre>
+          ))}
+          <div className="flex items-center gap-2">
+            <span className="text-emerald-400">$</span>
+            <input
+              ref={inputRef}
+              className="w-full bg-transparent text-zinc-100 outline-none"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              onKeyDown={onKeyDown}
+              placeholder="git status"
+              spellCheck={false}
+              autoCapitalize="off"
+              autoComplete="off"
+            />
+          </div>
+        </div>
+      </div>
+      <div className="rounded-lg border border-white/10 bg-black/40 p-3 text-xs">
+        <div className="mb-2 flex items-center justify-between">
+          <span className="text-zinc-400">{t("terminal.goal")}</span>
+          <button onClick={reset} className="rounded bg-white/10 px-2 py-0.5 hover:bg-white/20">{t("terminal.reset")}</button>
+        </div>
+        {data.goal?.description && <p className="mb-2 text-zinc-300">{data.goal.description}</p>}
+        <ul className="grid gap-1">
+          {goal.results.map((r, i) => (
+            <li key={i} className={cn("flex gap-2", r.ok ? "text-emerald-300" : "text-zinc-400")}>
+              <span>{r.ok ? "✓" : "○"}</span><span>{r.key ? t(r.key, r.vars, r.label) : r.label}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+"use client";
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { DEFAULT_LOCALE, LOCALES, formatNumber, formatPrice, isLocale, matchLocale, translate } from "@/lib/i18n";
+
+const STORAGE_KEY = "agenforgeLocale";
+
+const context = (locale, setLocale) => ({
+  locale,
+  setLocale,
+  t: (key, vars, fallback) => translate(locale, key, vars, fallback),
+  n: (value, options) => formatNumber(locale, value, options),
+  price: (amount, currency) => formatPrice(locale, amount, currency),
+});
+
+const I18nContext = createContext(context(DEFAULT_LOCALE, () => {}));
+
+/**
+ * Locale for the whole app (catalogues and formatting: src/lib/i18n). Pages render in English on the server;
+ * after mount the provider switches to the saved choice, else the browser's preferred languages, and keeps
+ * <html lang> in step so screen readers and fonts pick the right script.
+ */
+export default function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(DEFAULT_LOCALE);
+
+  useEffect(() => {
+    let saved = null;
+    try { saved = localStorage.getItem(STORAGE_KEY); } catch {}
+    setLocaleState(isLocale(saved) ? saved : matchLocale(navigator.languages?.length ? navigator.languages : [navigator.language]));
+  }, []);
+  useEffect(() => { document.documentElement.lang = locale; }, [locale]);
+
+  const setLocale = useCallback((id) => {
+    if (!isLocale(id)) return;
+    setLocaleState(id);
+    try { localStorage.setItem(STORAGE_KEY, id); } catch {}
+  }, []);
+  const value = useMemo(() => context(locale, setLocale), [locale, setLocale]);
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+/** → { locale, setLocale, t(key, vars?, fallback?), n(number, options?), price(amount, currency?) } */
+export function useI18n() {
+  return useContext(I18nContext);
+}
+
+/********************** Server-page helpers **********************/
+// Small client islands so server components (the landing page) can show translated text.
+export function T({ k, vars }) {
+  return useI18n().t(k, vars);
+}
+
+export function Price({ amount, currency }) {
+  return useI18n().price(amount, currency);
+}
+
+export function LocaleSwitcher({ className }) {
+  const { locale, setLocale, t } = useI18n();
+  return (
+    <select value={locale} onChange={(e)=> setLocale(e.target.value)} aria-label={t("locale.label")} title={t("locale.label")}
+      className={className ?? "rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-xs text-zinc-200 outline-none hover:bg-white/10"}>
+      {LOCALES.map((l) => <option key={l.id} value={l.id} lang={l.id}>{l.name}</option>)}
+    </select>
+  );
+}
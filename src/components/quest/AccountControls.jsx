@@ -0,0 +1,61 @@
+"use client";
+import { useState } from "react";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import { cn } from "@/lib/utils";
+
+// Sync status → its colour; the label is "account.status.<status>".
+const STATUS = {
+  local: "text-zinc-400",
+  syncing: "text-sky-300",
+  synced: "text-emerald-300",
+  offline: "text-amber-300",
+  error: "text-red-300",
+};
+
+/** Account & sync status — sign in / create an account to sync progress (see src/lib/quest/useSync.js). */
+export default function AccountControls({ sync }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState({ username: "", password: "" });
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState(null);
+  const status = sync.status in STATUS ? sync.status : "local";
+
+  async function submit(mode) {
+    setBusy(true); setErr(null);
+    try { await sync.signIn(form.username, form.password, mode); setOpen(false); setForm({ username: "", password: "" }); }
+    catch (e) { setErr(e.message); }
+    finally { setBusy(false); }
+  }
+
+  return (
+    <div className="relative">
+      <button onClick={()=> setOpen((o)=> !o)} className="rounded-lg border border-white/10 bg-white/10 px-2 py-1 text-left text-xs hover:bg-white/20">
+        <div className="font-semibold">{sync.user ? sync.user.username : t("account.signInToSync")}</div>
+        <div className={cn("text-[10px]", STATUS[status])} title={sync.error ?? undefined}>{t(`account.status.${status}`)}</div>
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full z-20 mt-1 w-60 rounded-xl border border-white/10 bg-zinc-950 p-3 text-xs shadow-xl">
+          {sync.user ? (
+            <div className="space-y-2">
+              <p className="text-zinc-300">{t("account.signedInAs", { name: sync.user.username })}</p>
+              {sync.error && <p className="text-red-300">{sync.error}</p>}
+              <button onClick={()=> { sync.signOut(); setOpen(false); }} className="w-full rounded bg-white/10 px-2 py-1 hover:bg-white/20">{t("account.signOut")}</button>
+            </div>
+          ) : (
+            <form className="space-y-2" onSubmit={(e)=> { e.preventDefault(); submit("login"); }}>
+              <input autoComplete="username" placeholder={t("account.username")} value={form.username} onChange={(e)=> setForm((f)=> ({ ...f, username: e.target.value }))} className="w-full rounded border border-white/10 bg-black/40 p-2 outline-none ring-emerald-500/30 focus:ring" />
+              <input type="password" autoComplete="current-password" placeholder={t("account.password")} value={form.password} onChange={(e)=> setForm((f)=> ({ ...f, password: e.target.value }))} className="w-full rounded border border-white/10 bg-black/40 p-2 outline-none ring-emerald-500/30 focus:ring" />
+              {err && <p className="text-red-300">{err}</p>}
+              <div className="flex gap-2">
+                <button type="submit" disabled={busy} className="flex-1 rounded bg-emerald-500/20 px-2 py-1 text-emerald-300 ring-1 ring-emerald-500/30 hover:bg-emerald-500/30 disabled:opacity-50">{t("account.signIn")}</button>
+                <button type="button" disabled={busy} onClick={()=> submit("register")} className="flex-1 rounded bg-white/10 px-2 py-1 hover:bg-white/20 disabled:opacity-50">{t("account.register")}</button>
+              </div>
+              <p className="text-[10px] text-zinc-500">{t("account.offline")}</p>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+"use client";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import { intlTag } from "@/lib/i18n";
+import { cn } from "@/lib/utils";
+
+/**
+ * Badge gallery — every achievement on the track (rows from `gallery()` in src/lib/quest/achievements.js),
+ * unlocked ones with their date, locked ones dimmed with the rule's description as the goal.
+ */
+export default function BadgeGallery({ rows, onClose }) {
+  const { locale, t, n } = useI18n();
+  const dateFmt = new Intl.DateTimeFormat(intlTag(locale), { dateStyle: "medium" });
+  const unlocked = rows.filter((r) => r.unlocked).length;
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/70 p-4" role="dialog" aria-modal="true" aria-label={t("badges.title")} onClick={onClose}>
+      <div className="max-h-[80vh] w-full max-w-2xl overflow-auto rounded-2xl border border-white/10 bg-zinc-950 p-4" onClick={(e)=> e.stopPropagation()}>
+        <div className="mb-3 flex items-center justify-between">
+          <div>
+            <div className="text-lg font-semibold">{t("badges.title")}</div>
+            <p className="text-xs text-zinc-400">{t("badges.count", { n: n(unlocked), total: n(rows.length) })}</p>
+          </div>
+          <button onClick={onClose} className="rounded-lg bg-white/10 px-3 py-1 text-sm hover:bg-white/20">{t("badges.close")}</button>
+        </div>
+        <ul className="grid gap-2 sm:grid-cols-2">
+          {rows.map((r) => (
+            <li key={r.id} className={cn("flex items-start gap-3 rounded-xl border p-3", r.unlocked ? "border-amber-500/30 bg-amber-500/5" : "border-white/10 bg-white/5 opacity-60")}>
+              <span className={cn("text-2xl", !r.unlocked && "grayscale")} aria-hidden>{r.unlocked ? r.icon : "🔒"}</span>
+              <div className="min-w-0">
+                <div className="text-sm font-medium">{t(`${r.key}.title`, r.vars, r.title)}</div>
+                <p className="text-xs text-zinc-400">{t(`${r.key}.description`, r.vars, r.description)}</p>
+                {r.unlocked && (
+                  <p className="mt-1 text-[11px] text-amber-300">{r.unlockedAt ? t("badges.unlockedOn", { date: dateFmt.format(new Date(r.unlockedAt)) }) : t("badges.unlocked")}</p>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+"use client";
+import { useFrame, useThree } from "@react-three/fiber";
+import { Sparkles, Text } from "@react-three/drei";
+import { useEffect, useRef } from "react";
+
+/**
+ * The chapter boss in the 3D scene — a floating crystal with an HP bar, mirroring the BossPanel battle.
+ * It flashes and recoils when hit, swells when the player loses a life, and collapses once defeated.
+ */
+export default function BossModel({ battle, title, position = [0, 2, -3] }) {
+  const body = useRef();
+  const mat = useRef();
+  const fx = useRef({ hp: battle.hp, lives: battle.lives, flash: 0, taunt: 0, scale: 0 });
+  const invalidate = useThree((s) => s.invalidate);
+  useEffect(() => { invalidate(); }, [battle, invalidate]);
+
+  useFrame((state, delta) => {
+    const f = fx.current;
+    if (battle.hp < f.hp) f.flash = 1;
+    if (battle.lives < f.lives) f.taunt = 1;
+    f.hp = battle.hp; f.lives = battle.lives;
+    f.flash = Math.max(0, f.flash - delta * 2.5);
+    f.taunt = Math.max(0, f.taunt - delta * 1.5);
+    const target = battle.status === "won" ? 0 : 1 + f.taunt * 0.35;
+    f.scale += (target - f.scale) * Math.min(1, delta * 5);
+    if (!body.current) return;
+    const t = state.clock.getElapsedTime();
+    body.current.scale.setScalar(f.scale);
+    body.current.rotation.y = t * (battle.status === "lost" ? 2 : 0.6);
+    body.current.rotation.x = Math.sin(t * 0.8) * 0.2;
+    body.current.position.x = Math.sin(t * 60) * 0.08 * f.flash; // recoil shake
+    body.current.position.y = Math.sin(t * 1.6) * 0.15;
+    if (mat.current) mat.current.emissiveIntensity = 0.6 + f.flash * 3 + f.taunt * 1.5;
+    if (f.flash || f.taunt || Math.abs(target - f.scale) > 1e-3) state.invalidate(); // finish the effect on a demand canvas
+  });
+
+  const hpFrac = battle.maxHp ? battle.hp / battle.maxHp : 0;
+  return (
+    <group position={position}>
+      <group ref={body}>
+        <mesh castShadow>
+          <icosahedronGeometry args={[0.9, 0]} />
+          <meshStandardMaterial ref={mat} color="#7f1d1d" emissive="#ef4444" emissiveIntensity={0.6} metalness={0.4} roughness={0.3} flatShading />
+        </mesh>
+        <Sparkles count={24} scale={2.4} size={3} speed={0.8} color="#f87171" />
+      </group>
+
+      {/* HP bar */}
+      <group position={[0, 1.6, 0]}>
+        <mesh><planeGeometry args={[2, 0.14]} /><meshBasicMaterial color="#27272a" /></mesh>
+        <mesh position={[-(1 - hpFrac), 0, 0.001]} scale={[Math.max(hpFrac, 0.0001), 1, 1]}>
+          <planeGeometry args={[2, 0.14]} />
+          <meshBasicMaterial color="#ef4444" />
+        </mesh>
+        <Text position={[0, 0.25, 0]} fontSize={0.2} color="#fecaca" anchorX="center" anchorY="bottom">
+          {battle.status === "won" ? "DEFEATED" : battle.status === "lost" ? `${title} prevails` : title}
+        </Text>
+      </group>
+    </group>
+  );
+}
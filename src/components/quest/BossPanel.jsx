@@ -0,0 +1,138 @@
+"use client";
+import { useEffect, useId, useReducer, useRef, useState } from "react";
+import TerminalChallenge from "@/components/git/TerminalChallenge";
+import { answerBattle, battleXP, createBattle, currentQuestion } from "@/lib/quest/boss";
+import { hintXPFactor, revealed } from "@/lib/quest/hints";
+import { gradeQuestion, initialAnswer } from "@/lib/quest/questions";
+import { cn } from "@/lib/utils";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import HintBar from "./HintBar";
+import QuestionInput from "./QuestionInput";
+
+/**
+ * Chapter boss — a battle (src/lib/quest/boss.js): correct answers drain the boss's HP, misses and timeouts cost lives.
+ * Reports each answer with `onAnswer(idx, ok, { score, ms, timedOut })`, the outcome with `onWin({ xp, accuracy, … })` or `onLose()`,
+ * and mirrors the fight to the 3D scene through `onBattleChange(battle)`. A lost fight shows the defeat screen; `onRetry` restarts.
+ * Hints bought with `onSpend(coins, kind)` stick to their question for the rest of the fight. Each new question takes
+ * focus, so keyboard and screen-reader players follow the fight without hunting for it.
+ */
+export default function BossPanel({ boss, coins = 0, onSpend, onAnswer, onWin, onLose, onRetry, onMiss, onBattleChange }) {
+  const { t } = useI18n();
+  const [battle, dispatch] = useReducer((state, action) => {
+    if (action.type === "answer") return answerBattle(state, action);
+    // Timer tick: every type but terminal is timed; a terminal lab runs until solved.
+    const idx = currentQuestion(state);
+    const timed = state.timeLimit && idx != null && boss.questions[idx].type !== "terminal";
+    return timed && action.at - state.startedAt >= state.timeLimit ? answerBattle(state, { ok: false, at: action.at, timedOut: true }) : state;
+  }, boss, (b) => createBattle(b));
+  const [draft, setDraft] = useState({ key: null, value: null });
+  const [last, setLast] = useState(null); // feedback for the previous answer
+  const [hints, setHints] = useState({}); // question idx → bought hint kinds
+  const [now, setNow] = useState(() => Date.now());
+  const reported = useRef(0);
+  const prompt = useRef(null);
+  const formId = useId();
+  const promptId = useId();
+
+  const idx = currentQuestion(battle);
+  const q = idx != null ? boss.questions[idx] : null;
+  // The answer being edited belongs to one turn; a new question (or a timeout) starts from its initial answer.
+  const turn = `${idx}-${battle.answers.length}`;
+  const answer = draft.key === turn ? draft.value : q && initialAnswer(q);
+  const setAnswer = (value) => setDraft({ key: turn, value });
+  const timed = !!battle.timeLimit && q?.type !== "terminal" && battle.status === "fighting";
+  const remaining = timed ? Math.min(battle.timeLimit, Math.max(0, battle.timeLimit - (now - battle.startedAt))) : null;
+
+  useEffect(() => {
+    if (!timed) return;
+    const t = setInterval(() => { const at = Date.now(); setNow(at); dispatch({ type: "tick", at }); }, 250);
+    return () => clearInterval(t);
+  }, [timed]);
+
+  // Report new answers (including timeouts from the tick) and the outcome exactly once.
+  useEffect(() => {
+    const fresh = battle.answers.slice(reported.current);
+    reported.current = battle.answers.length;
+    for (const a of fresh) { onAnswer?.(a.idx, a.ok, a); if (!a.ok) onMiss?.(); }
+    if (fresh.length && battle.status === "won") onWin?.(battleXP(battle, boss));
+    if (fresh.length && battle.status === "lost") onLose?.();
+  }, [battle, boss, onAnswer, onMiss, onWin, onLose]);
+
+  useEffect(() => { onBattleChange?.(battle); }, [battle, onBattleChange]);
+
+  useEffect(() => { prompt.current?.focus(); }, [turn]);
+
+  if (!boss.questions?.length) return <div className="rounded-xl border border-white/10 bg-black/40 p-4 text-sm text-zinc-300">{t("boss.notConfigured")}</div>;
+
+  function submit() {
+    const { ok, score, detail, hint } = gradeQuestion(q, answer);
+    const say = (m) => t(m.key, m.vars, m.text);
+    setLast(ok ? null : `${score > 0 && detail ? t("boss.glancing", { detail: say(detail) }) : t("boss.missed")}${hint ? ` ${say(hint)}` : ""} ${t("boss.comeBack")}`);
+    dispatch({ type: "answer", ok, score, xpFactor: hintXPFactor(hints[idx]), at: Date.now() });
+  }
+  function buy(offer) {
+    if (coins < offer.cost) return;
+    onSpend(offer.cost, offer.kind);
+    setHints((h) => ({ ...h, [idx]: [...(h[idx] ?? []), offer.kind] }));
+  }
+
+  if (battle.status === "lost") {
+    const right = battle.answers.filter((a) => a.ok).length;
+    return (
+      <div role="alert" className="rounded-xl border border-red-500/30 bg-red-500/10 p-4 text-center">
+        <div className="text-lg font-semibold text-red-300">{t("boss.defeated", { boss: boss.title ?? t("boss.theBoss") })}</div>
+        <p className="mt-1 text-sm text-zinc-300">{t("boss.landed", { right, total: battle.maxHp })}</p>
+        <p className="mt-1 text-xs text-zinc-400">{t("boss.reviewTip")}</p>
+        <button autoFocus onClick={onRetry} className="mt-3 rounded-lg bg-white/10 px-4 py-2 text-sm hover:bg-white/20">{t("boss.retry")}</button>
+      </div>
+    );
+  }
+  if (!q) return null;
+
+  return (
+    <section aria-labelledby={promptId} className="rounded-xl border border-white/10 bg-black/40 p-4">
+      <div className="text-sm font-medium">{boss.title ?? t("boss.default")}</div>
+      <p className="mt-1 text-sm text-zinc-300">{boss.intro ?? t("boss.intro")}</p>
+
+      <div className="mt-3 grid gap-2 text-xs sm:grid-cols-2">
+        <div>
+          <div className="mb-1 flex justify-between text-zinc-400"><span>{t("boss.hp")}</span><span>{battle.hp}/{battle.maxHp}</span></div>
+          <div className="flex gap-1">
+            {Array.from({ length: battle.maxHp }, (_, i) => (
+              <div key={i} className={cn("h-2 flex-1 rounded-sm transition-colors", i < battle.hp ? "bg-red-500" : "bg-zinc-700")} />
+            ))}
+          </div>
+        </div>
+        <div>
+          <div className="mb-1 flex justify-between text-zinc-400"><span>{t("boss.lives")}</span><span>{battle.lives}/{battle.maxLives}</span></div>
+          <div className="tracking-widest" aria-label={t("boss.livesLeft", { n: battle.lives })}>
+            {Array.from({ length: battle.maxLives }, (_, i) => <span key={i} className={i < battle.lives ? "text-rose-400" : "text-zinc-700"}>♥</span>)}
+          </div>
+        </div>
+      </div>
+      {timed && (
+        <div className="mt-2 h-1.5 w-full overflow-hidden rounded bg-zinc-800" role="timer" aria-label={t("boss.secondsLeft", { n: Math.ceil(remaining/1000) })}>
+          <div className={cn("h-full transition-[width] duration-200", remaining < 5000 ? "bg-red-500" : "bg-amber-400")} style={{ width: `${(remaining / battle.timeLimit) * 100}%` }} />
+        </div>
+      )}
+
+      <div className="mt-3">
+        <p id={promptId} ref={prompt} tabIndex={-1} className="text-sm text-zinc-200 outline-none">{q.prompt ?? t("quiz.noPrompt")}</p>
+        {q.type === "terminal"
+          ? <TerminalChallenge key={turn} data={q} onSolved={()=> dispatch({ type: "answer", ok: true, xpFactor: hintXPFactor(hints[idx]), at: Date.now() })} />
+          : (
+            <form id={formId} onSubmit={(e)=> { e.preventDefault(); submit(); }}>
+              <QuestionInput key={turn} q={q} value={answer} onChange={setAnswer} hidden={revealed(q, hints[idx]).hidden} labelledBy={promptId} />
+            </form>
+          )}
+        {onSpend && <HintBar q={q} used={hints[idx] ?? []} coins={coins} onBuy={buy} />}
+      </div>
+      <div role="status">{last && <div className="mt-2 text-xs text-amber-300">{last}</div>}</div>
+      {q.type !== "terminal" && (
+        <div className="mt-3 flex justify-end">
+          <button type="submit" form={formId} className="rounded bg-emerald-500/20 px-4 py-2 text-sm text-emerald-300 ring-1 ring-emerald-500/30 hover:bg-emerald-500/30">{t("quiz.submit")}</button>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,34 @@
+"use client";
+import { useFrame, useThree } from "@react-three/fiber";
+import { useEffect, useMemo } from "react";
+import { Vector3 } from "three";
+
+const scratch = new Vector3();
+
+/**
+ * Glides the orbit camera to look at `target` ([x, y, z], e.g. the chapter highlighted in the ChapterNav), keeping
+ * the player's current angle and distance. Needs the scene's OrbitControls with `makeDefault`; `instant` jumps
+ * straight there (reduced motion). A null target leaves the camera where it is. Asks for frames while gliding, so it
+ * also works on an on-demand canvas.
+ */
+export default function CameraFollow({ target, instant = false }) {
+  const controls = useThree((s) => s.controls);
+  const camera = useThree((s) => s.camera);
+  const invalidate = useThree((s) => s.invalidate);
+  const key = target?.join(",");
+  const goal = useMemo(() => (key ? new Vector3(...key.split(",").map(Number)) : null), [key]);
+
+  useEffect(() => { if (goal) invalidate(); }, [goal, invalidate]);
+
+  useFrame((_, delta) => {
+    if (!goal || !controls) return;
+    scratch.copy(goal).sub(controls.target);
+    if (scratch.lengthSq() < 1e-5) return;
+    scratch.multiplyScalar(instant ? 1 : 1 - Math.exp(-delta * 4));
+    controls.target.add(scratch);
+    camera.position.add(scratch);
+    controls.update();
+    invalidate();
+  });
+  return null;
+}
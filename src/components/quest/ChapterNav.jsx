@@ -0,0 +1,72 @@
+"use client";
+import { useId, useImperativeHandle, useRef, useState } from "react";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import { cn } from "@/lib/utils";
+
+const STATUS_CLS = {
+  done: "bg-emerald-500/15 text-emerald-200 ring-emerald-500/30",
+  open: "bg-red-500/10 text-zinc-100 ring-red-500/30",
+  locked: "bg-amber-500/10 text-amber-200 ring-amber-500/30",
+  missing: "bg-white/5 text-zinc-400 ring-white/10",
+};
+const DOT_CLS = { done: "bg-emerald-400", open: "bg-red-400", locked: "bg-amber-400", missing: "bg-zinc-500" };
+
+/**
+ * The chapters as a keyboard and screen-reader route through the 3D scene — one button per bogie/stone, in order.
+ * A single tab stop (roving tabindex): arrow keys, Home and End move along it and report the highlighted chapter
+ * through `onFocusChange(i | null)` so the scene can light it up and the camera follow; Enter or Space opens it.
+ * Each button says its status in words, so nothing depends on the coloured lights. `ref.focus(i)` puts focus back
+ * on a chapter (e.g. after leaving it).
+ */
+export default function ChapterNav({ ref, chapters, done, isLocked, lockReason, onFocusChange, onOpen }) {
+  const { t } = useI18n();
+  const [active, setActive] = useState(0);
+  const buttons = useRef([]);
+  const helpId = useId();
+
+  useImperativeHandle(ref, () => ({
+    focus(i) { setActive(i); buttons.current[i]?.focus(); },
+  }), []);
+
+  const statusOf = (i) => (done[i] ? "done" : !chapters[i].exists ? "missing" : isLocked(i) ? "locked" : "open");
+
+  function onKeyDown(e, i) {
+    const to = { ArrowRight: i + 1, ArrowDown: i + 1, ArrowLeft: i - 1, ArrowUp: i - 1, Home: 0, End: chapters.length - 1 }[e.key];
+    if (to == null) return;
+    e.preventDefault();
+    const next = (to + chapters.length) % chapters.length;
+    setActive(next);
+    buttons.current[next]?.focus();
+  }
+
+  return (
+    <nav aria-label={t("chapterNav.label")} onBlur={(e)=> { if (!e.currentTarget.contains(e.relatedTarget)) onFocusChange?.(null); }}>
+      <p id={helpId} className="sr-only">{t("chapterNav.help")}</p>
+      <ol className="flex flex-wrap gap-1.5">
+        {chapters.map((c, i) => {
+          const status = statusOf(i);
+          const word = t(`chapterNav.${status}`);
+          return (
+            <li key={c.id}>
+              <button
+                ref={(el)=> { buttons.current[i] = el; }}
+                type="button"
+                tabIndex={i === active ? 0 : -1}
+                aria-label={`${t("chapterNav.item", { n: i + 1, title: c.title, status: word })}${status === "locked" ? `. ${lockReason(i)}` : ""}`}
+                aria-describedby={helpId}
+                aria-disabled={status === "locked" || undefined}
+                onFocus={()=> { setActive(i); onFocusChange?.(i); }}
+                onKeyDown={(e)=> onKeyDown(e, i)}
+                onClick={()=> { if (status !== "locked") onOpen(i); }}
+                className={cn("flex items-center gap-1.5 rounded-lg px-2 py-1 text-xs ring-1 outline-none focus-visible:ring-2 focus-visible:ring-yellow-300", STATUS_CLS[status], status === "locked" && "cursor-not-allowed")}
+              >
+                <span aria-hidden className={cn("h-2 w-2 rounded-full", DOT_CLS[status])} />
+                {t("quest.chShort", { n: i + 1 })} · {word}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </nav>
+  );
+}
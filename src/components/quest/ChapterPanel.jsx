@@ -0,0 +1,89 @@
+"use client";
+import { useEffect, useRef } from "react";
+import GraphDemo from "@/components/git/GraphDemo";
+import QuizPanel from "./QuizPanel";
+import BossPanel from "./BossPanel";
+import CodeBlock, { NotesCallout } from "./CodeBlock";
+import Markdown from "./Markdown";
+import { useI18n } from "@/components/i18n/I18nProvider";
+
+// A quiz pays half its XP for getting there eventually, the rest in proportion to the first attempt's score.
+const partialXP = (xp, credit) => Math.round(xp * (0.5 + 0.5 * credit));
+
+/**
+ * Chapter flow — lesson (Markdown) and demo per topic, its challenge, then the boss. Renders the quest machine's `view`
+ * (screen lesson | quiz | boss, see src/lib/quest/machine.js) and reports back with `send`; every answer is also
+ * reported through `onTopicAnswer(topicId, ok, { score, ms })` / `onBossAnswer(questionIdx, ok, { score, ms })` for the save file.
+ * The boss fight's result goes to `onBossWon({ xp, accuracy, … })`, its live state to `onBattleChange` (3D boss).
+ * `coins`/`onSpend` run the hint shop in both. Each lesson takes focus on its heading, so keyboard players start reading there.
+ */
+export default function ChapterPanel({ chapter, view, send, coins, onSpend, onAward, onMiss, onTopicAnswer, onBossAnswer, onBossWon, onBattleChange, onDemoState }) {
+  const { t } = useI18n();
+  const topic = chapter.topics?.[view.topicIdx] || null;
+  const award = (xp) => onAward?.(xp ?? 40);
+  const heading = useRef(null);
+  useEffect(() => { if (view.screen === "lesson") heading.current?.focus(); }, [view.screen, view.topicIdx]);
+  return (
+    <div>
+      <div className="mb-2">
+        <h2 className="text-lg font-semibold">{chapter.title}</h2>
+        {chapter.lore && <p className="mt-1 text-sm text-zinc-300">{chapter.lore}</p>}
+        {chapter.topics && <p className="mt-1 text-xs text-zinc-400">{t("chapter.topicOf", { n: Math.min(view.topicIdx+1, chapter.topics.length), total: chapter.topics.length })}</p>}
+      </div>
+
+      {view.screen === "lesson" && topic && (
+        <div className="rounded-xl border border-white/10 bg-black/40 p-4">
+          <h3 ref={heading} tabIndex={-1} className="text-sm font-medium outline-none">{topic.title}</h3>
+          {topic.lesson && <Markdown text={topic.lesson} className="mt-2 text-sm text-zinc-200" />}
+          {topic.demo?.code && topic.demo.graph && (
+            <GraphDemo key={`${chapter.id}:${topic.id}`} demo={topic.demo} onStateChange={onDemoState} />
+          )}
+          {topic.demo?.code && !topic.demo.graph && (
+            <div className="mt-3">
+              <CodeBlock title={t("chapter.tryThis")} code={topic.demo.code} lang={topic.demo.lang} />
+              {topic.demo.notes && <NotesCallout><Markdown text={topic.demo.notes} /></NotesCallout>}
+            </div>
+          )}
+          <div className="mt-3">
+            {topic.quiz ? (
+              <button onClick={()=> send({ type: "START_QUIZ" })} className="rounded-lg bg-emerald-500/20 px-4 py-2 text-sm text-emerald-300 ring-1 ring-emerald-500/30 hover:bg-emerald-500/30">{t("chapter.startChallenge")}</button>
+            ) : (
+              <button onClick={()=> { award(20); send({ type: "NEXT" }); }} className="rounded-lg bg-white/10 px-4 py-2 text-sm hover:bg-white/20">{t("chapter.nextTopic")}</button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {view.screen === "quiz" && topic?.quiz && (
+        <QuizPanel
+          key={`${view.topicIdx}-${view.attempt}`}
+          data={topic.quiz}
+          coins={coins}
+          onSpend={onSpend}
+          onAttempt={(a)=> onTopicAnswer?.(topic.id, a.correct, a)}
+          onCorrect={(delay, credit = 1, hintFactor = 1)=>{ award(Math.round(partialXP(topic.quiz.xp ?? 40, credit) * hintFactor)); send({ type: "CORRECT", delay }); }}
+          onWrong={()=>{ onMiss?.(); send({ type: "WRONG" }); }}
+        />
+      )}
+
+      {view.screen === "boss" && chapter.boss && (
+        <BossPanel
+          key={view.attempt}
+          boss={chapter.boss}
+          coins={coins}
+          onSpend={onSpend}
+          onAnswer={onBossAnswer}
+          onMiss={()=> onMiss?.()}
+          onWin={(result)=>{ award(result.xp); onBossWon?.(result); send({ type: "BOSS_WON" }); }}
+          onLose={()=> send({ type: "BOSS_LOST" })}
+          onRetry={()=> send({ type: "RETRY" })}
+          onBattleChange={onBattleChange}
+        />
+      )}
+
+      {!topic && view.screen !== "boss" && (
+        <div className="rounded-xl border border-white/10 bg-black/40 p-4 text-sm text-zinc-300">{t("chapter.noTopics")}</div>
+      )}
+    </div>
+  );
+}
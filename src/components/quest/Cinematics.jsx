@@ -0,0 +1,70 @@
+"use client";
+import { useFrame, useThree } from "@react-three/fiber";
+import { useEffect, useRef } from "react";
+import { Vector3 } from "three";
+import { activeShot, cuesBetween } from "@/lib/quest/cutscenes";
+
+const goal = new Vector3();
+const eye = new Vector3();
+
+/**
+ * Plays a cutscene timeline (src/lib/quest/cutscenes.js) on the scene's camera. `scene` is
+ * { timeline, startedAt (performance.now(), also its identity), skipped } or null; `resolve(anchor, now)` → [x, y, z] places the
+ * timeline's anchors. Cues are reported through `onCue(cue)` as the clock passes them and `onEnd()` fires once
+ * at the end (straight away when skipped). While it plays the orbit controls are off; grabbing the view skips it.
+ * Needs the OrbitControls with `makeDefault`; `instant` (reduced motion) cuts instead of easing.
+ */
+export default function Cinematics({ scene, resolve, instant = false, onCue, onEnd, onInterrupt }) {
+  const controls = useThree((s) => s.controls);
+  const camera = useThree((s) => s.camera);
+  const invalidate = useThree((s) => s.invalidate);
+  const playing = scene ? scene.startedAt : null;
+  const played = useRef({ key: null, at: -1, shot: -1, from: null, ended: false });
+
+  useEffect(() => {
+    if (!controls || !playing) return;
+    controls.enabled = false;
+    invalidate(); // start the clock on an on-demand canvas
+    const grab = () => onInterrupt?.();
+    controls.domElement?.addEventListener("pointerdown", grab);
+    controls.domElement?.addEventListener("wheel", grab, { passive: true });
+    return () => {
+      controls.enabled = true;
+      controls.domElement?.removeEventListener("pointerdown", grab);
+      controls.domElement?.removeEventListener("wheel", grab);
+    };
+  }, [controls, playing, invalidate, onInterrupt]);
+
+  useFrame((state) => {
+    if (!scene || !controls) return;
+    const p = played.current;
+    if (p.key !== scene.startedAt) Object.assign(p, { key: scene.startedAt, at: -1, shot: -1, from: null, ended: false });
+    if (p.ended) return;
+    const { timeline } = scene;
+    const now = performance.now();
+    const elapsed = scene.skipped ? timeline.duration : Math.min(timeline.duration, now - scene.startedAt);
+
+    for (const cue of cuesBetween(timeline, p.at, elapsed)) onCue?.(cue);
+    p.at = elapsed;
+
+    const active = activeShot(timeline, elapsed);
+    if (active) {
+      if (active.index !== p.shot) {
+        p.shot = active.index;
+        p.from = { eye: camera.position.clone(), target: controls.target.clone() };
+      }
+      const anchor = resolve(active.shot.anchor, now);
+      if (anchor) {
+        goal.fromArray(anchor);
+        eye.fromArray(active.shot.offset).add(goal);
+        const t = instant || scene.skipped ? 1 : active.t;
+        camera.position.lerpVectors(p.from.eye, eye, t);
+        controls.target.lerpVectors(p.from.target, goal, t);
+        controls.update();
+      }
+    }
+    if (elapsed >= timeline.duration) { p.ended = true; onEnd?.(); }
+    state.invalidate();
+  });
+  return null;
+}
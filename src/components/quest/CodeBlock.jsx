@@ -0,0 +1,66 @@
+"use client";
+import { useEffect, useState } from "react";
+import { highlight } from "@/lib/content/highlight";
+import { cn } from "@/lib/utils";
+import { useI18n } from "@/components/i18n/I18nProvider";
+
+const TOKEN_CLS = {
+  comment: "text-zinc-500 italic",
+  command: "text-emerald-300 font-semibold",
+  subcommand: "text-sky-300",
+  flag: "text-amber-300",
+  string: "text-orange-200",
+  variable: "text-fuchsia-300",
+  operator: "text-zinc-400",
+  keyword: "text-violet-300 font-semibold",
+  key: "text-sky-300",
+  number: "text-pink-300",
+  plain: "text-zinc-200",
+};
+
+/**
+ * A highlighted code block (tokens from src/lib/content/highlight.js) with a copy button.
+ * `lang` overrides the guessed language; `activeLine` marks the line a step-through demo is on.
+ */
+export default function CodeBlock({ code, lang, activeLine = -1, title, className }) {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+  useEffect(() => {
+    if (!copied) return;
+    const t = setTimeout(()=> setCopied(false), 1500);
+    return () => clearTimeout(t);
+  }, [copied]);
+
+  async function copy() {
+    try { await navigator.clipboard.writeText(code); setCopied(true); } catch {}
+  }
+
+  return (
+    <div className={cn("rounded-lg border border-white/10 bg-zinc-950 p-3", className)}>
+      <div className="mb-1 flex items-center justify-between gap-2">
+        {title ? <div className="text-xs text-zinc-400">{title}</div> : <span />}
+        <button onClick={copy} aria-label={t("code.copyLabel")} className="rounded bg-white/10 px-2 py-0.5 text-[11px] text-zinc-300 hover:bg-white/20">
+          {copied ? t("code.copied") : t("code.copy")}
+        </button>
+      </div>
+      <pre className="overflow-auto font-mono text-sm"><code>
+        {highlight(code, lang).map((tokens, i) => (
+          <span key={i} className={cn("block", i === activeLine && "-mx-1 rounded bg-emerald-500/20 px-1")}>
+            {tokens.length ? tokens.map((t, j) => <span key={j} className={TOKEN_CLS[t.type]}>{t.text}</span>) : " "}
+          </span>
+        ))}
+      </code></pre>
+    </div>
+  );
+}
+
+/** Demo notes as a collapsible callout. */
+export function NotesCallout({ children, defaultOpen = false }) {
+  const { t } = useI18n();
+  return (
+    <details open={defaultOpen} className="mt-2 rounded-lg border border-sky-500/20 bg-sky-500/5 text-xs">
+      <summary className="cursor-pointer select-none px-3 py-1.5 text-sky-200 marker:text-sky-400">{t("code.notes")}</summary>
+      <div className="px-3 pb-2 text-zinc-300">{children}</div>
+    </details>
+  );
+}
@@ -0,0 +1,49 @@
+"use client";
+import { motion } from "framer-motion";
+import { useId } from "react";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import { intlTag } from "@/lib/i18n";
+
+/**
+ * End of the line — the certificate and credits shown over the scene once the departure cutscene has run.
+ * `chapters` are the course's chapters (for the roll), `finishedAt` the ISO time the last one was cleared;
+ * `still` (reduced motion) holds the roll in place instead of scrolling it.
+ */
+export default function Credits({ title, chapters, guide, xp, badges, finishedAt, still = false, onBack }) {
+  const { locale, t, n } = useI18n();
+  const headingId = useId();
+  const date = new Intl.DateTimeFormat(intlTag(locale), { dateStyle: "long" }).format(finishedAt ? new Date(finishedAt) : new Date());
+  const roll = (
+    <ul className="space-y-1 text-xs text-zinc-300">
+      {chapters.map((c, i) => <li key={c.id}>{t("quest.chShort", { n: i + 1 })} — {c.title}</li>)}
+      <li className="pt-2 text-zinc-400">{t("credits.guide", { name: guide })}</li>
+      <li className="text-zinc-400">{t("credits.madeWith")}</li>
+    </ul>
+  );
+  return (
+    <div role="dialog" aria-labelledby={headingId} className="absolute inset-0 z-20 flex items-center justify-center bg-black/80 p-4">
+      <div className="w-full max-w-md rounded-2xl border-4 border-double border-amber-400/60 bg-zinc-950 p-6 text-center shadow-2xl">
+        <div className="text-[10px] uppercase tracking-[0.3em] text-amber-300">{t("credits.certificate")}</div>
+        <h2 id={headingId} className="mt-2 text-2xl font-semibold">{title}</h2>
+        <p className="mt-1 text-xs text-zinc-400">{t("credits.awarded", { date })}</p>
+        <div className="mt-4 flex justify-center gap-3 text-xs">
+          <span className="rounded-lg bg-white/5 px-2 py-1">{t("credits.xp", { xp: n(xp) })}</span>
+          <span className="rounded-lg bg-white/5 px-2 py-1">{t("credits.chapters", { n: n(chapters.length) })}</span>
+          <span className="rounded-lg bg-white/5 px-2 py-1">{t("credits.badges", { n: n(badges) })}</span>
+        </div>
+        <div className="mt-4 text-[10px] uppercase tracking-widest text-zinc-500">{t("credits.roll")}</div>
+        <div className="relative mt-1 h-28 overflow-hidden">
+          {still ? <div className="h-full overflow-y-auto">{roll}</div> : (
+            <motion.div initial={{ y: "100%" }} animate={{ y: "-100%" }} transition={{ duration: 4 + chapters.length * 0.8, ease: "linear", repeat: Infinity }}>
+              {roll}
+            </motion.div>
+          )}
+        </div>
+        <div className="mt-4 flex justify-center gap-2 print:hidden">
+          <button onClick={()=> window.print()} className="rounded-lg bg-white/10 px-4 py-2 text-sm hover:bg-white/20">{t("credits.print")}</button>
+          <button autoFocus onClick={onBack} className="rounded-lg bg-emerald-500/20 px-4 py-2 text-sm text-emerald-200 ring-1 ring-emerald-500/30 hover:bg-emerald-500/30">{t("quest.continue")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
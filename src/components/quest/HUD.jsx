@@ -0,0 +1,65 @@
+import { motion } from "framer-motion";
+import { useState } from "react";
+import { useI18n } from "@/components/i18n/I18nProvider";
+
+/********************** HUD **********************/
+// Pass `onClick` to make the stat a button (e.g. Badges opens the gallery).
+export function HUDStat({ label, value, onClick }) {
+  const body = (
+    <>
+      <div className="text-[10px] text-zinc-400">{label}</div>
+      <div className="font-semibold">{value}</div>
+    </>
+  );
+  const cls = "rounded-lg border border-white/10 bg-white/5 px-2 py-1 text-left text-xs";
+  return onClick ? <button onClick={onClick} className={`${cls} hover:bg-white/10`}>{body}</button> : <div className={cls}>{body}</div>;
+}
+
+/********************** Overlays & NPC **********************/
+export function IntroOverlay({ show, title, text, onStart }) {
+  const { t } = useI18n();
+  if (!show) return null;
+  return (
+    <div className="absolute inset-0 z-10 flex items-center justify-center bg-black/60">
+      <div className="rounded-2xl border border-white/10 bg-black/70 p-4 text-center">
+        <div className="text-lg font-semibold">{title}</div>
+        <p className="mt-2 text-sm text-zinc-300">{text}</p>
+        <button onClick={onStart} className="mt-3 rounded bg-white/10 px-4 py-2 text-sm hover:bg-white/20">{t("intro.start")}</button>
+      </div>
+    </div>
+  );
+}
+
+/** The track's guide NPC (the Conductor on the train) speaking a line. */
+export function GuideBubble({ speaker = "Conductor", text }) {
+  return (
+    <div className="mb-3 rounded-xl border border-white/10 bg-black/50 p-3">
+      <div className="text-xs text-emerald-300">{speaker}:</div>
+      <p className="text-sm text-zinc-200">{text}</p>
+    </div>
+  );
+}
+
+const CONFETTI_COLORS = ["#34d399", "#fde047", "#60a5fa", "#f472b6", "#f97316"];
+
+/** A burst of confetti falling over the scene — decoration only, so leave it out for reduced motion. */
+export function Confetti({ count = 40 }) {
+  const [pieces] = useState(() => Array.from({ length: count }, (_, i) => ({
+    x: Math.random() * 100, delay: Math.random() * 0.4, drift: (Math.random() - 0.5) * 80, spin: (Math.random() - 0.5) * 720,
+    color: CONFETTI_COLORS[i % CONFETTI_COLORS.length],
+  })));
+  return (
+    <div aria-hidden className="pointer-events-none absolute inset-0 z-10 overflow-hidden">
+      {pieces.map((p, i) => (
+        <motion.span
+          key={i}
+          className="absolute top-0 h-2 w-1.5 rounded-sm"
+          style={{ left: `${p.x}%`, background: p.color }}
+          initial={{ y: -20, x: 0, rotate: 0, opacity: 1 }}
+          animate={{ y: "75vh", x: p.drift, rotate: p.spin, opacity: 0 }}
+          transition={{ duration: 2.4, delay: p.delay, ease: "easeIn" }}
+        />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+"use client";
+import { hintOffers, hintXPFactor, revealed } from "@/lib/quest/hints";
+import { useI18n } from "@/components/i18n/I18nProvider";
+
+/**
+ * Hint shop under a question (QuizPanel, BossPanel): buy the next authored hint, 50/50 or the first letter
+ * with coins. `used` is the question's purchase list; `onBuy(offer)` spends the coins and records it.
+ */
+export default function HintBar({ q, used, coins, onBuy, disabled }) {
+  const { t } = useI18n();
+  const offers = hintOffers(q, used);
+  const { texts } = revealed(q, used);
+  if (!offers.length && !texts.length) return null;
+  const factor = hintXPFactor(used);
+  const say = (m) => (m.key ? t(m.key, m.vars, m.text) : m.text);
+  return (
+    <div className="mt-3 rounded-lg border border-amber-500/20 bg-amber-500/5 p-2 text-xs">
+      {texts.map((m, i) => <p key={i} className="text-amber-200">💡 {say(m)}</p>)}
+      <div className="mt-1 flex flex-wrap items-center gap-2">
+        {offers.map((o) => (
+          <button key={o.kind} disabled={disabled || coins < o.cost} onClick={()=> onBuy(o)} className="rounded bg-amber-500/15 px-2 py-1 text-amber-200 ring-1 ring-amber-500/30 hover:bg-amber-500/25 disabled:opacity-40">
+            {t(`hint.${o.kind}`, o, o.label)} · {o.cost} 🪙
+          </button>
+        ))}
+        {factor < 1 && <span className="text-zinc-400">{t("hint.pays", { pct: Math.round(factor * 100) })}</span>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import { Fragment } from "react";
+import { parseMarkdown } from "@/lib/content/markdown";
+import { cn } from "@/lib/utils";
+import CodeBlock from "./CodeBlock";
+
+/**
+ * Lesson text as Markdown (parser and supported syntax: src/lib/content/markdown.js). Everything renders as React
+ * elements from the parsed tree — no HTML strings — so content can't inject markup.
+ * `inline` renders a single paragraph's contents without the wrapping block, for short text like notes.
+ */
+export default function Markdown({ text, className, inline = false }) {
+  const blocks = parseMarkdown(text);
+  if (inline && blocks.length === 1 && blocks[0].type === "paragraph") return <span className={className}><Inline nodes={blocks[0].children} /></span>;
+  return <div className={cn("space-y-2", className)}>{blocks.map((b, i) => <Block key={i} block={b} />)}</div>;
+}
+
+const ALIGN = { left: "text-left", center: "text-center", right: "text-right" };
+const HEADING_CLS = ["text-base font-semibold", "text-sm font-semibold", "text-sm font-medium text-zinc-100"];
+
+function Block({ block }) {
+  switch (block.type) {
+    case "heading": {
+      const Tag = `h${Math.min(block.level + 2, 6)}`; // lesson headings sit under the topic title
+      return <Tag className={HEADING_CLS[Math.min(block.level, 3) - 1]}><Inline nodes={block.children} /></Tag>;
+    }
+    case "list": {
+      const Tag = block.ordered ? "ol" : "ul";
+      return (
+        <Tag start={block.ordered && block.start !== 1 ? block.start : undefined} className={cn("space-y-1 pl-5", block.ordered ? "list-decimal" : "list-disc", "marker:text-zinc-500")}>
+          {block.items.map((item, i) => (
+            <li key={i}>
+              <Inline nodes={item.children} />
+              {item.blocks.map((b, j) => <div key={j} className="mt-1"><Block block={b} /></div>)}
+            </li>
+          ))}
+        </Tag>
+      );
+    }
+    case "table":
+      return (
+        <div className="overflow-x-auto">
+          <table className="w-full border-collapse text-left text-xs">
+            <thead>
+              <tr>{block.head.map((c, i) => <th key={i} scope="col" className={cn("border-b border-white/15 px-2 py-1 font-semibold", ALIGN[block.align[i]])}><Inline nodes={c} /></th>)}</tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, r) => (
+                <tr key={r} className="border-b border-white/5">
+                  {row.map((c, i) => <td key={i} className={cn("px-2 py-1 align-top", ALIGN[block.align[i]])}><Inline nodes={c} /></td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    case "code":
+      return <CodeBlock code={block.text} lang={block.lang ?? undefined} />;
+    case "quote":
+      return <blockquote className="space-y-2 border-l-2 border-emerald-500/40 pl-3 text-zinc-300">{block.blocks.map((b, i) => <Block key={i} block={b} />)}</blockquote>;
+    case "hr":
+      return <hr className="border-white/10" />;
+    default:
+      return <p><Inline nodes={block.children} /></p>;
+  }
+}
+
+function Inline({ nodes }) {
+  return nodes.map((n, i) => {
+    switch (n.type) {
+      case "code": return <code key={i} className="rounded bg-white/10 px-1 py-0.5 font-mono text-[0.85em] text-emerald-200">{n.text}</code>;
+      case "strong": return <strong key={i} className="font-semibold text-zinc-50"><Inline nodes={n.children} /></strong>;
+      case "em": return <em key={i}><Inline nodes={n.children} /></em>;
+      case "br": return <br key={i} />;
+      case "link": {
+        const external = /^(https?:|mailto:)/i.test(n.href);
+        return <a key={i} href={n.href} className="text-emerald-300 underline underline-offset-2 hover:text-emerald-200" {...(external ? { target: "_blank", rel: "noopener noreferrer" } : {})}><Inline nodes={n.children} /></a>;
+      }
+      default: return <Fragment key={i}>{n.text}</Fragment>;
+    }
+  });
+}
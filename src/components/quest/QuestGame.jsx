@@ -0,0 +1,444 @@
+"use client";
+import { Canvas } from "@react-three/fiber";
+import { OrbitControls, PerformanceMonitor } from "@react-three/drei";
+import { EffectComposer, Bloom, DepthOfField, Vignette } from "@react-three/postprocessing";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useMachine } from "@xstate/react";
+import { useReducedMotion } from "framer-motion";
+import Link from "next/link";
+import CommitGraph3D from "@/components/git/CommitGraph3D";
+import BossModel from "./BossModel";
+import { localizeCourse } from "@/lib/content/localize";
+import { hasErrors } from "@/lib/content/validate";
+import { useProgress } from "@/lib/quest/useProgress";
+import { AUTO_START, QUALITY, QUALITY_SETTINGS, activeTier, stepTier } from "@/lib/quest/quality";
+import { TIMELINES, departProgress } from "@/lib/quest/cutscenes";
+import { questMachine, questInput, questView } from "@/lib/quest/machine";
+import { dueCards } from "@/lib/quest/review";
+import { achievementsFor, gallery } from "@/lib/quest/achievements";
+import { cn } from "@/lib/utils";
+import CameraFollow from "./CameraFollow";
+import Cinematics from "./Cinematics";
+import Credits from "./Credits";
+import ChapterNav from "./ChapterNav";
+import ChapterPanel from "./ChapterPanel";
+import { HUDStat, IntroOverlay, GuideBubble, Confetti } from "./HUD";
+import { LocaleSwitcher, useI18n } from "@/components/i18n/I18nProvider";
+import { AudioControls, useAudio } from "@/components/audio/AudioProvider";
+import { SCENE_AUDIO } from "@/lib/audio";
+import SaveControls from "./SaveControls";
+import AccountControls from "./AccountControls";
+import BadgeGallery from "./BadgeGallery";
+import ReviewPanel from "./ReviewPanel";
+import { MINIGAMES } from "./minigames";
+import { courseMinigames } from "@/lib/quest/minigames";
+import { getTheme } from "./themes";
+
+/**
+ * Quest engine — the game shell shared by every track (see src/lib/quest/tracks.js).
+ * Route: /games/[slug] (src/app/games/[slug]/page.jsx loads the course manifest on the server)
+ * Owns progression, HUD, chapter panels and mini-games; the 3D world comes from the track's theme.
+ * Where the player is (intro, map, lesson, quiz, boss, …) lives in the quest statechart (src/lib/quest/machine.js);
+ * this component renders its view and turns its emitted events into saved progress and rewards.
+ * Also wired in here: i18n (src/lib/i18n), scene quality (src/lib/quest/quality.js), cutscenes
+ * (src/lib/quest/cutscenes.js), audio (src/lib/audio) and mini-games (src/lib/quest/minigames).
+ */
+export default function QuestGame({ course: source, track }) {
+  const { locale, t, n } = useI18n();
+  const course = useMemo(() => localizeCourse(source, locale), [source, locale]);
+  const chapters = course.chapters;
+  const theme = getTheme(track.theme);
+  const copy = (key, vars = null) => t(`theme.${theme.id}.${key}`, vars, theme.copy[key]);
+  const { audio } = useAudio();
+  const { save, done, meta, setMeta, completeChapter, recordHint, clearHints, recordTopic, recordBoss, reviewCard, awardXP, spendCoins, breakStreak, recordEvent, exportSave, importSave, sync } = useProgress(track.storageKey, course.id);
+  const [demoRepo, setDemoRepo] = useState(null); // graph demo state mirrored in the scene
+  const [battle, setBattle] = useState(null); // boss fight mirrored in the scene
+  const [bossResult, setBossResult] = useState(null); // { xp, accuracy, avgSeconds } of the last won fight
+  const [showBadges, setShowBadges] = useState(false);
+  const [unlockToast, setUnlockToast] = useState(null);
+  const [focused, setFocused] = useState(null); // chapter highlighted from the ChapterNav
+  const navRef = useRef(null);
+  const systemReducedMotion = useReducedMotion();
+  const reducedMotion = meta.settings?.reducedMotion ?? systemReducedMotion ?? false;
+  const [autoTier, setAutoTier] = useState(AUTO_START);
+  const qualitySetting = meta.settings?.quality ?? "auto";
+  const quality = QUALITY[activeTier(qualitySetting, autoTier)];
+  const still = reducedMotion || !quality.idleMotion; // no idle motion: an idle scene stops drawing frames
+
+  // Chapters declare their mini-game ("minigame": { id, config }); the machine plays it after the chapter is cleared.
+  const minigames = useMemo(() => courseMinigames(course, MINIGAMES), [course]);
+  const [snapshot, send, actor] = useMachine(questMachine, { input: questInput(course, { minigames }) });
+  const view = questView(snapshot);
+
+  // Achievements: every reward and milestone is reported as an event (rules in src/lib/quest/achievements.js).
+  const achievements = useMemo(() => achievementsFor(course, Object.fromEntries(Object.values(minigames).map((m) => [m.id, MINIGAMES[m.id]]))), [course, minigames]);
+  const report = useCallback((event) => recordEvent(event, achievements), [recordEvent, achievements]);
+  const award = useCallback((amount) => { awardXP(amount); report({ type: "xpAwarded", amount }); }, [awardXP, report]);
+
+  // Saved progress loads after mount; keep the machine's unlock guards and resume point in sync with it.
+  useEffect(() => {
+    send({ type: "SYNC", done, resume: meta.resume ?? null, sequentialUnlock: meta.settings?.sequentialUnlock ?? true });
+  }, [send, done, meta.resume, meta.settings]);
+
+  useEffect(() => {
+    const subs = [
+      actor.on("chapterComplete", ({ idx, id }) => {
+        completeChapter(id);
+        setMeta((m) => ({ ...m, resume: null }));
+        award(120);
+        report({ type: "chapterComplete", chapterId: id, idx });
+        clearHints(id); // after the badges have seen this run's count
+      }),
+      actor.on("checkpoint", ({ resume }) => setMeta((m) => ({ ...m, resume }))),
+      actor.on("minigameWon", ({ id }) => { award(MINIGAMES[id].xp); report({ type: "minigameWon", id }); }),
+    ];
+    return () => subs.forEach((s) => s.unsubscribe());
+  }, [actor, completeChapter, clearHints, setMeta, award, report]);
+
+  useEffect(() => { if (view.idx == null) setDemoRepo(null); }, [view.idx]);
+  useEffect(() => {
+    const bed = SCENE_AUDIO[theme.id] ?? {};
+    audio.loop("ambience", bed.ambience ?? null);
+    audio.loop("music", bed.music ?? null);
+    return () => { audio.loop("ambience", null); audio.loop("music", null); };
+  }, [audio, theme.id]);
+
+  // Leaving a chapter unmounts the panel that had focus; hand it back to that chapter in the list.
+  const lastChapter = useRef(null);
+  useEffect(() => {
+    if (view.idx != null) { lastChapter.current = view.idx; return; }
+    if (view.screen === "map" && lastChapter.current != null && (!document.activeElement || document.activeElement === document.body)) navRef.current?.focus(lastChapter.current);
+    lastChapter.current = null;
+  }, [view.idx, view.screen]);
+
+  // Toast achievements unlocked just now (not ones arriving with a loaded, imported or synced save).
+  const seenAchievements = useRef(null);
+  useEffect(() => {
+    const unlocked = meta.achievements;
+    const fresh = seenAchievements.current ? Object.keys(unlocked).filter((id) => !seenAchievements.current.has(id) && Date.now() - Date.parse(unlocked[id] ?? "") < 5000) : [];
+    seenAchievements.current = new Set(Object.keys(unlocked));
+    if (!fresh.length) return;
+    audio.emit("badgeUnlocked");
+    setUnlockToast(achievements.filter((a) => fresh.includes(a.id)));
+    const t = setTimeout(() => setUnlockToast(null), 4000);
+    return () => clearTimeout(t);
+  }, [meta.achievements, achievements, audio]);
+  useEffect(() => { if (view.screen !== "boss" && view.screen !== "complete") setBattle(null); }, [view.screen]);
+
+  const allComplete = useMemo(() => chapters.length > 0 && chapters.every((c) => done[c.id]), [chapters, done]);
+  const inChapter = ["lesson", "quiz", "boss"].includes(view.screen);
+  const currentChapter = (view.idx != null && chapters[view.idx]?.data) || null;
+  const currentEntry = view.idx != null ? chapters[view.idx] : null;
+  const Mini = view.screen === "minigame" ? MINIGAMES[view.minigame?.id] : null;
+  const due = useMemo(() => dueCards(save.review), [save.review]);
+
+  /********************** Cutscenes **********************/
+  // { id, timeline, idx, startedAt, cues: { [cue]: { at, … } }, skipped, ended } — kept after the end so the
+  // departure's credits stay up until the player moves on.
+  const [cutscene, setCutscene] = useState(null);
+  const play = useCallback((id, idx) => setCutscene({ id, timeline: TIMELINES[id], idx, startedAt: performance.now(), cues: {}, skipped: false, ended: false }), []);
+  const skipCutscene = useCallback(() => setCutscene((c) => (c && !c.ended && !c.skipped ? { ...c, skipped: true } : c)), []);
+  const onCue = useCallback((cue) => {
+    if (cue.sound) audio.emit(cue.sound);
+    setCutscene((c) => c && { ...c, cues: { ...c.cues, [cue.cue]: cue } });
+  }, [audio]);
+  const onCutsceneEnd = useCallback(() => setCutscene((c) => c && { ...c, ended: true }), []);
+  const flownTo = useRef(null);
+  useEffect(() => {
+    if (view.screen === "complete") play("chapterClear", view.idx);
+    else if (view.screen === "departure") play("departure", null);
+    else if (inChapter && view.idx !== flownTo.current) play("flyTo", view.idx);
+    else if (!inChapter) setCutscene(null);
+    flownTo.current = inChapter ? view.idx : null;
+  }, [view.screen, view.idx, inChapter, play]);
+  const playing = cutscene && !cutscene.ended ? cutscene : null;
+  useEffect(() => {
+    if (!playing) return;
+    const onKey = (e) => { if (e.key === "Escape") skipCutscene(); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [playing, skipCutscene]);
+
+  // What the scene shows follows the cues: a cleared chapter lights up on "light", the finale waits for "signal".
+  const cues = cutscene?.cues ?? {};
+  const sceneDone = chapters.map((c, i) => !!done[c.id] && !(cutscene?.id === "chapterClear" && cutscene.idx === i && !cues.light));
+  const finale = allComplete && !["complete", "minigame"].includes(view.screen) && (view.screen !== "departure" || !!cues.signal);
+  const departAt = view.screen === "departure" && cues.depart ? (cutscene.skipped ? -Infinity : cutscene.startedAt + cues.depart.at) : null;
+  const resolveAnchor = useCallback((anchor, now) => {
+    if (anchor === "chapter") return cutscene?.idx != null && theme.chapterPosition ? theme.chapterPosition(cutscene.idx, chapters.length) : null;
+    const progress = departProgress(departAt, now, theme.departure?.duration ?? 1);
+    return theme.anchors?.[anchor]?.({ progress, count: chapters.length }) ?? null;
+  }, [cutscene?.idx, theme, chapters.length, departAt]);
+  const line = cues.say && !cutscene.ended && (cues.say.line === "cleared" ? copy("cleared", { n: cutscene.idx + 1 }) : copy(cues.say.line));
+  const finishedAt = useMemo(() => Object.values(save.chapters).map((c) => c.completedAt).filter(Boolean).sort().at(-1) ?? null, [save.chapters]);
+
+  function canOpen(i) { if (!meta.settings?.sequentialUnlock) return true; return (chapters[i]?.requires ?? []).every((id) => done[id]); }
+  function lockReason(i) {
+    const missing = (chapters[i]?.requires ?? []).filter((id) => !done[id]);
+    return t("quest.locked", { chapters: missing.map((id) => t("quest.chShort", { n: chapters.findIndex((c) => c.id === id) + 1 })).join(", ") });
+  }
+  function openChapter(i) {
+    if (!canOpen(i)) return;
+    if (view.screen === "intro") send({ type: "START" });
+    if (inChapter) send({ type: "ABANDON" }); // clicking another chapter in the scene switches to it
+    send({ type: "OPEN_CHAPTER", idx: i });
+  }
+
+  return (
+    <main className="min-h-screen w-full bg-gradient-to-b from-[#030712] via-[#050a16] to-[#0b1020] text-zinc-100">
+      <div className="mx-auto max-w-7xl px-4 py-4">
+        <header className="mb-3 flex items-center justify-between">
+          <div>
+            <h1 className="text-xl font-semibold">{course.title} — {t(`theme.${theme.id}.name`, null, theme.name)}</h1>
+            <p className="text-xs text-zinc-400">{course.description || t("quest.tagline")}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <HUDStat label={t("hud.xp")} value={n(meta.xp)} />
+            <HUDStat label={t("hud.coins")} value={n(meta.coins)} />
+            <HUDStat label={t("hud.streak")} value={n(meta.streak)} />
+            <HUDStat label={t("hud.badges")} value={`${n(achievements.filter((a) => a.id in meta.achievements).length)}/${n(achievements.length)}`} onClick={()=> setShowBadges(true)} />
+            <HUDStat label={t("hud.due")} value={n(due.length)} />
+            <SaveControls track={course.id} onExport={exportSave} onImport={importSave} />
+            <AccountControls sync={sync} />
+            <Link href={`/stats?track=${track.slug}`} className="rounded-lg border border-white/10 bg-white/10 px-3 py-1 text-xs hover:bg-white/20">{t("nav.stats")}</Link>
+            <Link href="/" className="rounded-lg border border-white/10 bg-white/10 px-3 py-1 text-xs hover:bg-white/20">{t("nav.home")}</Link>
+            <button onClick={()=> setMeta((m)=> ({ ...m, settings: { ...m.settings, reducedMotion: !reducedMotion } }))} aria-pressed={reducedMotion}
+              className={cn("rounded-lg border border-white/10 px-3 py-1 text-xs hover:bg-white/20", reducedMotion ? "bg-emerald-500/20 text-emerald-200" : "bg-white/10")}>
+              {t("settings.reducedMotion")}
+            </button>
+            <select value={qualitySetting} onChange={(e)=> setMeta((m)=> ({ ...m, settings: { ...m.settings, quality: e.target.value } }))} aria-label={t("settings.quality")}
+              className="rounded-lg border border-white/10 bg-white/10 px-2 py-1 text-xs">
+              {QUALITY_SETTINGS.map((q) => (
+                <option key={q} value={q} className="bg-zinc-900">
+                  {q === "auto" ? t("settings.quality.autoTier", { tier: t(`settings.quality.${autoTier}`) }) : t(`settings.quality.${q}`)}
+                </option>
+              ))}
+            </select>
+            <AudioControls />
+            <LocaleSwitcher />
+          </div>
+        </header>
+
+        <div className="relative h-[72vh] w-full overflow-hidden rounded-2xl border border-white/10">
+          <div className="absolute inset-0" aria-hidden>
+            <Canvas camera={theme.camera} shadows dpr={quality.dpr} frameloop="demand">
+              <color attach="background" args={["#0b0f17"]} />
+              <fog attach="fog" args={["#0b0f17", 18, 42]} />
+              <ambientLight intensity={0.45} />
+              <directionalLight key={quality.shadowMapSize} castShadow={quality.shadows} position={[12, 14, 6]} intensity={1.2} shadow-mapSize-width={quality.shadowMapSize} shadow-mapSize-height={quality.shadowMapSize} />
+              {/* Auto quality: sparse on-demand frames would read as a slow machine, so only measure while idle motion keeps the loop running. */}
+              {qualitySetting === "auto" && !still && (
+                <PerformanceMonitor flipflops={3} onDecline={()=> setAutoTier((q)=> stepTier(q, -1))} onIncline={()=> setAutoTier((q)=> stepTier(q, 1))} onFallback={()=> setAutoTier("low")} />
+              )}
+
+              <theme.Scene
+                chapters={chapters}
+                done={sceneDone}
+                complete={finale}
+                departAt={departAt}
+                isLocked={(i)=> !canOpen(i)}
+                lockReason={lockReason}
+                chapterLabel={(i)=> t("quest.chShort", { n: i + 1 })}
+                copy={copy}
+                onOpenChapter={openChapter}
+                track={track}
+                focused={focused}
+                reducedMotion={still}
+                quality={quality}
+              />
+
+              {/* Live commit graph from the open lesson's demo */}
+              {demoRepo && <CommitGraph3D repo={demoRepo} position={theme.demoGraphPosition} />}
+
+              {/* Boss encounter */}
+              {battle && currentChapter?.boss && (
+                <BossModel
+                  battle={battle}
+                  title={currentChapter.boss.title ?? "Boss"}
+                  position={typeof theme.bossPosition === "function" ? theme.bossPosition(chapters.length) : theme.bossPosition}
+                />
+              )}
+
+              <OrbitControls makeDefault enablePan={false} {...theme.controls} />
+              <CameraFollow target={!playing && focused != null && theme.chapterPosition ? theme.chapterPosition(focused, chapters.length) : null} instant={reducedMotion} />
+              <Cinematics scene={playing} resolve={resolveAnchor} instant={reducedMotion} onCue={onCue} onEnd={onCutsceneEnd} onInterrupt={skipCutscene} />
+
+              {/* Postprocessing */}
+              {!reducedMotion && (quality.bloom || quality.dof || quality.vignette) && (
+                <EffectComposer>
+                  {quality.bloom && <Bloom intensity={0.55} luminanceThreshold={0.2} luminanceSmoothing={0.18} />}
+                  {quality.dof && <DepthOfField focusDistance={0.02} focalLength={0.02} bokehScale={1.5} />}
+                  {quality.vignette && <Vignette eskil={false} offset={0.25} darkness={0.6} />}
+                </EffectComposer>
+              )}
+            </Canvas>
+          </div>
+
+          {/* Cutscene overlays */}
+          {playing && cues.confetti && !reducedMotion && <Confetti key={cutscene.startedAt} />}
+          {line && (
+            <div className="pointer-events-none absolute inset-x-0 top-3 z-10 flex justify-center px-3" role="status">
+              <div className="max-w-md"><GuideBubble speaker={t(`guide.${track.slug}`, null, track.guide)} text={line} /></div>
+            </div>
+          )}
+          {playing && playing.timeline.duration > 2000 && !playing.skipped && (
+            <button onClick={skipCutscene} className="absolute bottom-14 right-3 z-10 rounded-lg bg-black/60 px-3 py-1.5 text-xs text-zinc-200 ring-1 ring-white/15 hover:bg-black/80">
+              {t("cutscene.skip")}
+            </button>
+          )}
+          {view.screen === "departure" && cues.credits && (
+            <Credits
+              title={course.title}
+              chapters={chapters}
+              guide={t(`guide.${track.slug}`, null, track.guide)}
+              xp={meta.xp}
+              badges={achievements.filter((a) => a.id in meta.achievements).length}
+              finishedAt={finishedAt}
+              still={reducedMotion}
+              onBack={()=> send({ type: "BACK" })}
+            />
+          )}
+
+          {/* Intro overlay */}
+          <IntroOverlay show={view.screen === "intro"} title={course.title} text={copy("intro")} onStart={()=> send({ type: "START" })} />
+
+          {view.screen === "map" && view.resume && chapters[view.resume.idx] && (
+            <button onClick={()=> send({ type: "RESUME" })} className="absolute left-3 top-3 rounded-lg bg-emerald-500/20 px-3 py-2 text-xs text-emerald-200 ring-1 ring-emerald-500/30 hover:bg-emerald-500/30">
+              {t("quest.resume", { n: view.resume.idx + 1, topic: view.resume.topicIdx + 1 })}
+            </button>
+          )}
+          {view.screen === "map" && due.length > 0 && (
+            <button onClick={()=> send({ type: "REVIEW" })} className="absolute right-3 top-3 rounded-lg bg-sky-500/20 px-3 py-2 text-xs text-sky-200 ring-1 ring-sky-500/30 hover:bg-sky-500/30">
+              {t("quest.reviewDue", { n: due.length })}
+            </button>
+          )}
+
+          {/* HUD tips */}
+          <div className="pointer-events-none absolute bottom-3 left-3 rounded-lg bg-black/50 px-3 py-2 text-xs text-zinc-200 ring-1 ring-white/10">
+            {copy("tip")}
+          </div>
+          <div className="absolute bottom-3 right-3 rounded-lg bg-black/50 px-3 py-2 text-xs text-zinc-200 ring-1 ring-white/10">
+            {t("quest.found", { found: chapters.filter(c=>c.exists).length, total: chapters.length })}
+          </div>
+        </div>
+
+        <div className="mt-2">
+          <ChapterNav
+            ref={navRef}
+            chapters={chapters}
+            done={chapters.map((c) => !!done[c.id])}
+            isLocked={(i)=> !canOpen(i)}
+            lockReason={lockReason}
+            onFocusChange={setFocused}
+            onOpen={openChapter}
+          />
+        </div>
+
+        {/* Panels */}
+        {inChapter && (
+          <div className="mt-3 rounded-2xl border border-white/10 bg-white/5 p-4">
+            <div className="mb-2 flex items-center justify-between">
+              <div className="text-sm text-zinc-400">
+                {t("quest.chapterOf", { n: view.idx + 1, total: chapters.length })}
+                {currentEntry?.minutes ? <span className="ml-2 text-xs text-zinc-500">{t("quest.minutes", { n: currentEntry.minutes })}</span> : null}
+              </div>
+              <button onClick={()=> send({ type: "ABANDON" })} className="rounded-lg bg-white/10 px-3 py-1 text-xs hover:bg-white/20">{copy("back")}</button>
+            </div>
+            <GuideBubble speaker={t(`guide.${track.slug}`, null, track.guide)} text={currentChapter?.lore || copy("pending")} />
+
+            {!currentChapter && (
+              <div className="text-sm text-zinc-300">
+                <p className="font-semibold">{t("quest.noContent")}</p>
+                <p>{t("quest.createFile", { file: `src/content/${course.id}/${currentEntry?.file}` })}</p>
+              </div>
+            )}
+
+            {hasErrors(currentEntry?.issues ?? []) && (
+              <div className="mb-3 rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-xs text-red-200">
+                <p className="font-semibold">{t("quest.jsonProblems")}</p>
+                <ul className="mt-1 list-disc pl-5">
+                  {currentEntry.issues.filter((x)=> x.level === "error").map((x,i)=> <li key={i}><code>{x.path}</code> — {x.message}</li>)}
+                </ul>
+              </div>
+            )}
+
+            {currentChapter && (
+              <ChapterPanel
+                chapter={currentChapter}
+                view={view}
+                send={send}
+                coins={meta.coins}
+                onSpend={(cost, kind)=> { spendCoins(cost); recordHint(currentEntry.id); report({ type: "hintBought", kind, cost }); }}
+                onAward={award}
+                onMiss={()=> breakStreak()}
+                onTopicAnswer={(topicId, ok, detail)=> { audio.emit(ok ? "correct" : "wrong"); recordTopic(currentEntry.id, topicId, ok, currentChapter.topics.find((t)=> t.id === topicId)?.quiz, detail); }}
+                onBossAnswer={(qIdx, ok, detail)=> { audio.emit(ok ? "bossHit" : "wrong"); recordBoss(currentEntry.id, qIdx, ok, currentChapter.boss?.questions?.[qIdx], detail); }}
+                onBossWon={(result)=> { setBossResult(result); report({ type: "bossWon", chapterId: currentEntry.id, ...result }); }}
+                onBattleChange={setBattle}
+                onDemoState={setDemoRepo}
+              />
+            )}
+          </div>
+        )}
+
+        {/* Daily Review */}
+        {view.screen === "review" && (
+          <div className="mt-3 rounded-2xl border border-white/10 bg-white/5 p-4">
+            <div className="mb-2 flex items-center justify-between">
+              <div className="text-sm font-semibold">{t("review.title")}</div>
+              <button onClick={()=> send({ type: "ABANDON" })} className="rounded-lg bg-white/10 px-3 py-1 text-xs hover:bg-white/20">{copy("back")}</button>
+            </div>
+            <ReviewPanel
+              course={course}
+              cards={due}
+              onGrade={(id, quality, ok)=> { reviewCard(id, quality); if (ok) award(10); else breakStreak(); report({ type: "reviewGraded", ok }); }}
+              onFinish={()=> send({ type: "FINISH" })}
+            />
+          </div>
+        )}
+
+        {/* Chapter cleared */}
+        {view.screen === "complete" && (
+          <div className="mt-3 rounded-2xl border border-emerald-500/30 bg-emerald-500/10 p-4 text-center">
+            <div className="text-lg font-semibold text-emerald-300">{t("quest.cleared", { n: view.idx + 1 })}</div>
+            <p className="mt-1 text-sm text-zinc-300">{t("quest.bonus", { title: currentEntry?.title, xp: 120 })}</p>
+            {bossResult && (
+              <p className="mt-1 text-xs text-zinc-400">
+                {t("quest.bossSummary", { xp: n(bossResult.xp), accuracy: n(bossResult.accuracy, { style: "percent" }), seconds: n(bossResult.avgSeconds, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) })}
+                {bossResult.hintFactor < 1 ? t("quest.hintCut", { factor: n(bossResult.hintFactor, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) }) : ""}
+              </p>
+            )}
+            <button onClick={()=> send({ type: "CONTINUE" })} className="mt-3 rounded-lg bg-white/10 px-4 py-2 text-sm hover:bg-white/20">{t("quest.continue")}</button>
+          </div>
+        )}
+
+        {/* Departure */}
+        {view.screen === "departure" && (
+          <div className="mt-3 rounded-2xl border border-white/10 bg-white/5 p-4 text-center">
+            <div className="text-lg font-semibold">{t("quest.complete", { title: course.title })}</div>
+            <p className="mt-1 text-sm text-zinc-300">{copy("departure")}</p>
+            <button onClick={()=> send({ type: "BACK" })} className="mt-3 rounded-lg bg-white/10 px-4 py-2 text-sm hover:bg-white/20">{copy("back")}</button>
+          </div>
+        )}
+
+        {showBadges && <BadgeGallery rows={gallery(achievements, save)} onClose={()=> setShowBadges(false)} />}
+        {unlockToast && (
+          <div className="fixed bottom-4 right-4 z-50 space-y-2" role="status">
+            {unlockToast.map((a) => (
+              <div key={a.id} className="rounded-xl border border-amber-500/40 bg-zinc-950/90 px-4 py-2 text-sm shadow-lg">
+                <span className="mr-2">{a.icon}</span>{t("quest.badgeUnlocked")} <span className="font-semibold text-amber-300">{t(`${a.key}.title`, a.vars, a.title)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Mini‑game modal */}
+        {Mini && (
+          <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+            <Mini.Panel config={view.minigame.config} onWin={()=> send({ type: "MINIGAME_WON" })} onClose={()=> send({ type: "CLOSE" })} />
+          </div>
+        )}
+      </div>
+    </main>
+  );
+}
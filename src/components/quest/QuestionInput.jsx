@@ -0,0 +1,105 @@
+"use client";
+import { Reorder } from "framer-motion";
+import { useId } from "react";
+import { matchOptions } from "@/lib/quest/questions";
+import { cn } from "@/lib/utils";
+import { useI18n } from "@/components/i18n/I18nProvider";
+
+const choice = (active) => cn("flex items-center gap-2 rounded border p-2 text-sm", active ? "border-emerald-500 bg-emerald-500/10" : "border-white/10 hover:bg-white/5");
+const field = "w-full rounded border border-white/10 bg-black/40 p-2 text-sm outline-none ring-emerald-500/30 focus:ring";
+
+/**
+ * Shared answer input for every non-terminal question type (mcq, blank, multi, order, match, fix), used by
+ * QuizPanel and BossPanel. Controlled: `value` has the shape `gradeQuestion` expects (src/lib/quest/questions.js),
+ * seeded with `initialAnswer(q)`; `hidden` lists mcq options removed by 50/50. Render it inside the panel's <form>
+ * (Enter in a text field submits) and pass `labelledBy`, the id of the prompt, to name the group or field.
+ */
+export default function QuestionInput({ q, value, onChange, disabled, hidden = [], labelledBy }) {
+  const { t } = useI18n();
+  const name = useId();
+
+  if (q.type === "mcq") {
+    return (
+      <fieldset aria-labelledby={labelledBy} className="mt-3 grid gap-2">
+        {q.options?.map((opt,i)=> !hidden.includes(i) && (
+          <label key={i} className={choice(value===i)}>
+            <input type="radio" name={name} checked={value===i} disabled={disabled} onChange={()=>onChange(i)} />
+            <span>{opt}</span>
+          </label>
+        ))}
+      </fieldset>
+    );
+  }
+
+  if (q.type === "multi") {
+    const picked = value ?? [];
+    const toggle = (i) => onChange(picked.includes(i) ? picked.filter((x) => x !== i) : [...picked, i]);
+    return (
+      <fieldset aria-labelledby={labelledBy} aria-describedby={`${name}-help`} className="mt-3 grid gap-2">
+        <div id={`${name}-help`} className="text-xs text-zinc-400">{t("input.selectAll")}</div>
+        {q.options?.map((opt,i)=> (
+          <label key={i} className={choice(picked.includes(i))}>
+            <input type="checkbox" name={name} checked={picked.includes(i)} disabled={disabled} onChange={()=>toggle(i)} />
+            <span>{opt}</span>
+          </label>
+        ))}
+      </fieldset>
+    );
+  }
+
+  if (q.type === "order") {
+    const order = value ?? [];
+    const move = (pos, by) => {
+      const next = [...order];
+      [next[pos], next[pos + by]] = [next[pos + by], next[pos]];
+      onChange(next);
+    };
+    return (
+      <div className="mt-3">
+        <div id={`${name}-help`} className="mb-2 text-xs text-zinc-400">{t("input.orderHelp")}</div>
+        <Reorder.Group as="ol" axis="y" values={order} onReorder={disabled ? () => {} : onChange} aria-labelledby={labelledBy} aria-describedby={`${name}-help`} className="grid gap-2">
+          {order.map((item, pos) => (
+            <Reorder.Item as="li" key={item} value={item} dragListener={!disabled} className="flex cursor-grab items-center gap-2 rounded border border-white/10 bg-zinc-900 p-2 text-sm active:cursor-grabbing">
+              <span className="w-5 text-right text-xs text-zinc-500">{pos + 1}.</span>
+              <span className="flex-1 font-mono">{q.items[item]}</span>
+              <button type="button" aria-label={`${t("input.moveUp")}: ${q.items[item]}`} disabled={disabled || pos === 0} onClick={()=>move(pos, -1)} className="rounded px-1.5 text-zinc-400 hover:bg-white/10 disabled:opacity-30">↑</button>
+              <button type="button" aria-label={`${t("input.moveDown")}: ${q.items[item]}`} disabled={disabled || pos === order.length - 1} onClick={()=>move(pos, 1)} className="rounded px-1.5 text-zinc-400 hover:bg-white/10 disabled:opacity-30">↓</button>
+            </Reorder.Item>
+          ))}
+        </Reorder.Group>
+      </div>
+    );
+  }
+
+  if (q.type === "match") {
+    const chosen = value ?? [];
+    const options = matchOptions(q);
+    return (
+      <fieldset aria-labelledby={labelledBy} className="mt-3 grid gap-2">
+        {q.pairs.map(([left], i) => (
+          <label key={i} className="grid items-center gap-2 rounded border border-white/10 p-2 text-sm sm:grid-cols-2">
+            <code className="text-emerald-300">{left}</code>
+            <select className={field} value={chosen[i] ?? ""} disabled={disabled} onChange={(e)=> onChange(chosen.map((c, j) => (j === i ? (e.target.value === "" ? null : Number(e.target.value)) : c)))}>
+              <option value="">{t("input.choose")}</option>
+              {options.map((o) => <option key={o.idx} value={o.idx}>{o.label}</option>)}
+            </select>
+          </label>
+        ))}
+      </fieldset>
+    );
+  }
+
+  if (q.type === "fix") {
+    return (
+      <div className="mt-3">
+        <div id={`${name}-help`} className="mb-1 text-xs text-zinc-400">{t("input.fixHelp")}</div>
+        <input className={cn(field, "font-mono")} spellCheck={false} autoCapitalize="off" autoComplete="off" value={value ?? ""} disabled={disabled} onChange={(e)=>onChange(e.target.value)} aria-labelledby={labelledBy} aria-describedby={`${name}-help`} />
+      </div>
+    );
+  }
+
+  // blank
+  return (
+    <input className={cn(field, "mt-3")} autoCapitalize="off" autoComplete="off" value={value ?? ""} disabled={disabled} onChange={(e)=>onChange(e.target.value)} aria-labelledby={labelledBy} placeholder={t("input.typeAnswer")} />
+  );
+}
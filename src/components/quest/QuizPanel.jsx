@@ -0,0 +1,68 @@
+"use client";
+import { useEffect, useId, useRef, useState } from "react";
+import TerminalChallenge from "@/components/git/TerminalChallenge";
+import { hintXPFactor, revealed } from "@/lib/quest/hints";
+import { gradeQuestion, initialAnswer } from "@/lib/quest/questions";
+import { cn } from "@/lib/utils";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import HintBar from "./HintBar";
+import QuestionInput from "./QuestionInput";
+
+/**
+ * Topic challenge — one question (any type, see src/lib/quest/questions.js). `onCorrect(pauseMs, credit)` fires
+ * immediately; the quest machine holds the feedback for `pauseMs` before advancing, so leaving the chapter meanwhile
+ * cancels it. `credit` is the first attempt's score (0–1) and `hintFactor` the cut for bought hints, both for the XP.
+ * `onWrong` breaks the streak; `onAttempt({ correct, score, ms })` logs every submission. Hints are on sale when `onSpend(coins, kind)` is given (see src/lib/quest/hints.js).
+ * Focus lands on the prompt when the panel opens and feedback is announced through a live region.
+ */
+export default function QuizPanel({ data, onCorrect, onWrong, onAttempt, coins = 0, onSpend }) {
+  const { t } = useI18n();
+  const [answer, setAnswer] = useState(() => initialAnswer(data));
+  const [feedback, setFeedback] = useState(null);
+  const [firstScore, setFirstScore] = useState(null);
+  const [hints, setHints] = useState([]);
+  const [shownAt] = useState(() => Date.now());
+  const promptId = useId();
+  const prompt = useRef(null);
+  useEffect(() => { prompt.current?.focus(); }, []);
+  function buy(offer) {
+    if (coins < offer.cost) return;
+    onSpend(offer.cost, offer.kind);
+    setHints((h) => [...h, offer.kind]);
+  }
+  function submit() {
+    if (feedback?.ok) return;
+    const { score, ok, detail, hint } = gradeQuestion(data, answer);
+    const credit = firstScore ?? score;
+    if (firstScore == null) setFirstScore(score);
+    const say = (m) => t(m.key, m.vars, m.text);
+    setFeedback({ ok, score, msg: ok ? t("quiz.correct") : hint ? `💡 ${say(hint)}` : score > 0 ? `${t("quiz.partly")}${detail ? ` (${say(detail)})` : ""}` : t("quiz.wrong") });
+    onAttempt?.({ correct: ok, score, ms: Date.now() - shownAt });
+    if (ok) onCorrect?.(undefined, credit, hintXPFactor(hints)); else onWrong?.(score);
+  }
+  function solved() {
+    setFeedback({ ok: true, msg: t("quiz.goal") });
+    onAttempt?.({ correct: true, score: 1, ms: Date.now() - shownAt });
+    onCorrect?.(900, 1, hintXPFactor(hints));
+  }
+  return (
+    <section aria-labelledby={promptId} className="rounded-xl border border-white/10 bg-black/40 p-4">
+      <div className="text-sm font-medium">{t("quiz.challenge")}</div>
+      <p id={promptId} ref={prompt} tabIndex={-1} className="mt-1 text-sm text-zinc-300 outline-none">{data.prompt ?? t("quiz.noPrompt")}</p>
+      {data.type === "terminal" ? <TerminalChallenge data={data} onSolved={solved} /> : (
+        <form onSubmit={(e)=> { e.preventDefault(); submit(); }}>
+          <QuestionInput q={data} value={answer} onChange={setAnswer} disabled={feedback?.ok} hidden={revealed(data, hints).hidden} labelledBy={promptId} />
+          <div className="mt-3 flex justify-end">
+            <button type="submit" disabled={feedback?.ok} className="rounded bg-emerald-500/20 px-4 py-2 text-sm text-emerald-300 ring-1 ring-emerald-500/30 hover:bg-emerald-500/30 disabled:opacity-50">{t("quiz.submit")}</button>
+          </div>
+        </form>
+      )}
+      {onSpend && <HintBar q={data} used={hints} coins={coins} onBuy={buy} disabled={feedback?.ok} />}
+      <div role="status">
+        {feedback && (
+          <div className={cn("mt-2 text-sm", feedback.ok?"text-emerald-300":feedback.score>0?"text-amber-300":"text-red-300")}>{feedback.msg} — {data.explain ?? ""}</div>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,64 @@
+"use client";
+import { useState } from "react";
+import { GRADE, resolveCard } from "@/lib/quest/review";
+import QuizPanel from "./QuizPanel";
+import { useI18n } from "@/components/i18n/I18nProvider";
+
+const SESSION_SIZE = 20;
+
+/**
+ * Daily Review — replays due cards (missed questions from any chapter). The first answer to each card grades it
+ * (`onGrade(cardId, quality, ok)`); the player may keep trying afterwards, but it no longer counts.
+ */
+export default function ReviewPanel({ course, cards, onGrade, onFinish }) {
+  const { t } = useI18n();
+  // Freeze the session at start so grading (which reschedules cards) doesn't reshuffle it.
+  const [items] = useState(() => cards.map((card) => ({ card, ...resolveCard(course, card) })).filter((x) => x.question).slice(0, SESSION_SIZE));
+  const [pos, setPos] = useState(0);
+  const [results, setResults] = useState({}); // cardId → first-answer ok
+
+  const item = items[pos];
+  const graded = item && item.card.id in results;
+  function grade(ok) {
+    if (graded) return;
+    setResults((r) => ({ ...r, [item.card.id]: ok }));
+    onGrade(item.card.id, ok ? GRADE.good : GRADE.again, ok);
+  }
+
+  if (!items.length) {
+    return (
+      <div className="rounded-xl border border-white/10 bg-black/40 p-4 text-sm text-zinc-300">
+        <p>{t("review.empty")}</p>
+        <button onClick={onFinish} className="mt-3 rounded-lg bg-white/10 px-4 py-2 text-sm hover:bg-white/20">{t("review.back")}</button>
+      </div>
+    );
+  }
+
+  if (!item) {
+    const right = Object.values(results).filter(Boolean).length;
+    return (
+      <div className="rounded-xl border border-emerald-500/30 bg-emerald-500/10 p-4 text-center">
+        <div className="text-lg font-semibold text-emerald-300">{t("review.complete")}</div>
+        <p className="mt-1 text-sm text-zinc-300">{t("review.remembered", { right, total: items.length })}</p>
+        <button onClick={onFinish} className="mt-3 rounded-lg bg-white/10 px-4 py-2 text-sm hover:bg-white/20">{t("review.back")}</button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="mb-2 flex items-center justify-between text-xs text-zinc-400">
+        <span>{t("review.card", { n: pos + 1, total: items.length, ch: item.chapter.index + 1, label: item.label })}</span>
+        <span>{t("review.correct", { n: Object.values(results).filter(Boolean).length })}</span>
+      </div>
+      <QuizPanel key={item.card.id} data={item.question} onCorrect={()=> grade(true)} onWrong={()=> grade(false)} />
+      {graded && (
+        <div className="mt-3 flex justify-end">
+          <button onClick={()=> setPos((p)=> p + 1)} className="rounded-lg bg-emerald-500/20 px-4 py-2 text-sm text-emerald-300 ring-1 ring-emerald-500/30 hover:bg-emerald-500/30">
+            {pos + 1 < items.length ? t("review.next") : t("review.finish")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+"use client";
+import { useRef, useState } from "react";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import { cn } from "@/lib/utils";
+
+/** Export / Import save — downloads the signed save as JSON, or loads one back (see src/lib/quest/save.js). */
+export default function SaveControls({ track, onExport, onImport }) {
+  const { t } = useI18n();
+  const fileRef = useRef(null);
+  const [status, setStatus] = useState(null);
+
+  async function download() {
+    const env = await onExport();
+    const blob = new Blob([JSON.stringify(env, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${track}-save-${env.exportedAt.slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    setStatus({ ok: true, msg: t("save.exported") });
+  }
+
+  async function upload(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      await onImport(await file.text());
+      setStatus({ ok: true, msg: t("save.imported") });
+    } catch (err) {
+      setStatus({ ok: false, msg: t("save.importFailed", { error: err.message }) });
+    }
+  }
+
+  return (
+    <div className="relative flex items-center gap-1">
+      <button onClick={download} className="rounded-lg border border-white/10 bg-white/10 px-2 py-1 text-xs hover:bg-white/20">{t("save.export")}</button>
+      <button onClick={()=> fileRef.current?.click()} className="rounded-lg border border-white/10 bg-white/10 px-2 py-1 text-xs hover:bg-white/20">{t("save.import")}</button>
+      <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={upload} />
+      {status && (
+        <div role="status" className={cn("absolute right-0 top-full mt-1 whitespace-nowrap rounded bg-black/80 px-2 py-1 text-[10px]", status.ok ? "text-emerald-300" : "text-red-300")}>
+          {status.msg}
+        </div>
+      )}
+    </div>
+  );
+}
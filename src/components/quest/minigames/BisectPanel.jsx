@@ -0,0 +1,60 @@
+"use client";
+import { useMemo, useState } from "react";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import { bisectStatus, createBisect, startBisect, testCommit } from "@/lib/quest/minigames";
+import { cn } from "@/lib/utils";
+import MinigameFrame from "./MinigameFrame";
+
+/********************** Mini‑game: Bisect Hunt **********************/
+// Rules: src/lib/quest/minigames/bisect.js. Commits are listed newest first, like `git log`.
+export default function BisectPanel({ config = {}, onWin, onClose }) {
+  const { t, n } = useI18n();
+  const [attempt, setAttempt] = useState(0);
+  const game = useMemo(() => createBisect(config, attempt), [config, attempt]);
+  const [state, setState] = useState(() => startBisect(game));
+  const status = bisectStatus(game, state);
+  const culprit = game.commits[game.bad];
+
+  const retry = () => {
+    setAttempt((a) => a + 1);
+    setState(startBisect(createBisect(config, attempt + 1)));
+  };
+  const mark = (idx) => {
+    if (idx === 0) return "good";
+    if (idx === game.commits.length - 1) return "bad";
+    return state.tested[idx] ?? null;
+  };
+
+  return (
+    <MinigameFrame id="bisect" intro={t("minigame.bisect.intro", { budget: n(game.budget) })} solved={status === "won"}
+      solvedText={t("minigame.bisect.found", { sha: culprit.sha, message: culprit.message })} onWin={onWin} onClose={onClose}>
+      <div className="mb-2 flex justify-between text-xs text-zinc-400">
+        <span>{t("minigame.bisect.steps", { n: n(state.steps), budget: n(game.budget) })}</span>
+        <span>{t("minigame.bisect.range", { n: n(state.bad - state.good - 1) })}</span>
+      </div>
+      <ol className="space-y-0.5 font-mono text-xs">
+        {game.commits.map((c, idx) => ({ c, idx })).reverse().map(({ c, idx }) => {
+          const verdict = mark(idx);
+          const inRange = idx > state.good && idx < state.bad;
+          return (
+            <li key={idx} className={cn("flex items-center gap-2 rounded px-2 py-0.5", inRange ? "bg-white/5" : "opacity-50")}>
+              <span className="text-amber-300">{c.sha}</span>
+              <span className="flex-1 truncate">{c.message}{idx === game.commits.length - 1 && <span className="ml-1 text-sky-300">(HEAD)</span>}</span>
+              {verdict && <span className={verdict === "good" ? "text-emerald-300" : "text-rose-300"}>{t(`minigame.bisect.${verdict}`)}</span>}
+              {inRange && status === "playing" && (
+                <button onClick={()=> setState((s)=> testCommit(game, s, idx))} aria-label={`${t("minigame.bisect.test")}: ${c.sha} ${c.message}`}
+                  className="rounded bg-white/10 px-2 py-0.5 hover:bg-white/20">{t("minigame.bisect.test")}</button>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+      {status === "lost" && (
+        <div role="alert" className="mt-3 flex flex-wrap items-center justify-between gap-2 rounded-xl border border-rose-500/30 bg-rose-500/10 p-3 text-sm text-rose-200">
+          <span>{t("minigame.bisect.lost", { sha: culprit.sha })}</span>
+          <button autoFocus onClick={retry} className="rounded-lg bg-white/10 px-4 py-2 text-sm hover:bg-white/20">{t("minigame.bisect.retry")}</button>
+        </div>
+      )}
+    </MinigameFrame>
+  );
+}
@@ -0,0 +1,73 @@
+"use client";
+import { useMemo, useState } from "react";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import { MERGE_DEFAULTS, checkMerge, initialPicks, mergeLevel, mergedText } from "@/lib/quest/minigames";
+import { cn } from "@/lib/utils";
+import MinigameFrame from "./MinigameFrame";
+
+/********************** Mini‑game: Merge Maze **********************/
+// Rules and level generation: src/lib/quest/minigames/mergeMaze.js.
+export default function MergeMazePanel({ config = {}, onWin, onClose }) {
+  const { t } = useI18n();
+  const levels = config.levels ?? MERGE_DEFAULTS.levels;
+  const [levelIdx, setLevelIdx] = useState(0);
+  const level = useMemo(() => mergeLevel(config, levelIdx), [config, levelIdx]);
+  const [picks, setPicks] = useState(() => initialPicks(level));
+  const [result, setResult] = useState(null); // checkMerge() of the last commit attempt
+  const solved = levelIdx === levels - 1 && result?.ok;
+
+  const choose = (block, row, side) => {
+    setPicks((p) => p.map((b, i) => (i === block ? b.map((s, j) => (j === row ? side : s)) : b)));
+    setResult(null);
+  };
+  const next = () => {
+    const l = mergeLevel(config, levelIdx + 1);
+    setLevelIdx((i) => i + 1);
+    setPicks(initialPicks(l));
+    setResult(null);
+  };
+  const cell = (text) => (text == null ? <span className="italic text-zinc-500">{t("minigame.merge-maze.gone")}</span> : text);
+
+  return (
+    <MinigameFrame id="merge-maze" intro={t("minigame.merge-maze.intro")} solved={solved} solvedText={t("minigame.merge-maze.solved")} onWin={onWin} onClose={onClose}>
+      <div className="mb-2 text-xs text-zinc-400">{t("minigame.level", { n: levelIdx + 1, total: levels })} · <code>config.yml</code></div>
+      <div className="space-y-2 font-mono text-xs">
+        {level.blocks.map((b, i) => (b.type === "clean" ? (
+          <div key={i} className="px-2 text-zinc-500">{b.lines.map((l) => <div key={l}>{l}</div>)}</div>
+        ) : (
+          <fieldset key={i} className={cn("rounded-lg border p-2", result?.wrong.includes(i) ? "border-rose-500/50 bg-rose-500/5" : "border-amber-500/30 bg-amber-500/5")}>
+            <legend className="px-1 text-[10px] uppercase tracking-widest text-amber-300">{t("minigame.merge-maze.hunk")}</legend>
+            <div className="grid grid-cols-3 gap-1 text-[10px] uppercase tracking-widest text-zinc-500">
+              <span>{t("minigame.merge-maze.base")}</span><span>{t("minigame.merge-maze.ours")}</span><span>{t("minigame.merge-maze.theirs")}</span>
+            </div>
+            {b.rows.map((r, j) => (
+              <div key={j} className="mt-1 grid grid-cols-3 gap-1">
+                <span className="truncate px-2 py-1 text-zinc-400">{cell(r.base)}</span>
+                {["ours", "theirs"].map((side) => (
+                  <button key={side} onClick={()=> choose(i, j, side)} aria-pressed={picks[i][j] === side}
+                    aria-label={`${t(`minigame.merge-maze.${side}`)}: ${r[side] ?? t("minigame.merge-maze.gone")}`} disabled={solved}
+                    className={cn("truncate rounded px-2 py-1 text-left", picks[i][j] === side ? "bg-emerald-500/25 text-emerald-100 ring-1 ring-emerald-400/60" : "bg-white/5 text-zinc-300 hover:bg-white/10")}>
+                    {cell(r[side])}
+                  </button>
+                ))}
+              </div>
+            ))}
+          </fieldset>
+        )))}
+      </div>
+
+      <div className="mt-3 rounded-lg border border-white/10 bg-black/40 p-2">
+        <div className="text-[10px] uppercase tracking-widest text-zinc-500">{t("minigame.merge-maze.result")}</div>
+        <pre className="mt-1 text-xs text-zinc-200">{mergedText(level, picks).join("\n")}</pre>
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        {!result?.ok && <button onClick={()=> setResult(checkMerge(level, picks))} className="rounded-lg bg-white/10 px-4 py-2 text-sm hover:bg-white/20">{t("minigame.merge-maze.commit")}</button>}
+        {result?.ok && !solved && <button autoFocus onClick={next} className="rounded-lg bg-emerald-500/20 px-4 py-2 text-sm text-emerald-200 ring-1 ring-emerald-500/30 hover:bg-emerald-500/30">{t("minigame.next")}</button>}
+        <span role="status" className={cn("text-xs", result?.ok ? "text-emerald-300" : "text-rose-300")}>
+          {result && (result.ok ? (!solved && t("minigame.merge-maze.levelDone")) : t("minigame.merge-maze.wrong", { n: result.wrong.length }))}
+        </span>
+      </div>
+    </MinigameFrame>
+  );
+}
@@ -0,0 +1,30 @@
+"use client";
+import { useId } from "react";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import { MINIGAME_INFO } from "@/lib/quest/minigames";
+
+/**
+ * Shared chrome for a mini-game panel: title, intro, close, and — once `solved` — a success note with the button
+ * that hands the win to the engine (so the player sees the result before the modal goes).
+ */
+export default function MinigameFrame({ id, intro, solved, solvedText, onWin, onClose, children }) {
+  const { t } = useI18n();
+  const headingId = useId();
+  const info = MINIGAME_INFO[id];
+  return (
+    <section role="dialog" aria-labelledby={headingId} className="max-h-[90vh] w-full max-w-2xl overflow-y-auto rounded-2xl border border-emerald-500/30 bg-zinc-950/95 p-4 shadow-2xl">
+      <div className="mb-2 flex items-center justify-between gap-2">
+        <h2 id={headingId} className="text-sm font-semibold text-emerald-300">{info.icon} {t(`minigame.${id}.title`, null, info.title)}</h2>
+        <button onClick={onClose} className="rounded bg-white/10 px-2 py-1 text-xs hover:bg-white/20">{t("minigame.close")}</button>
+      </div>
+      {intro && <p className="text-xs text-zinc-300">{intro}</p>}
+      <div className="mt-3">{children}</div>
+      {solved && (
+        <div role="status" className="mt-3 flex flex-wrap items-center justify-between gap-2 rounded-xl border border-emerald-500/30 bg-emerald-500/10 p-3">
+          <span className="text-sm text-emerald-300">{solvedText}</span>
+          <button autoFocus onClick={onWin} className="rounded-lg bg-emerald-500/20 px-4 py-2 text-sm text-emerald-200 ring-1 ring-emerald-500/30 hover:bg-emerald-500/30">{t("quest.continue")}</button>
+        </div>
+      )}
+    </section>
+  );
+}
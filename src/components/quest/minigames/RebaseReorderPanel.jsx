@@ -0,0 +1,49 @@
+"use client";
+import { useState } from "react";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import { REBASE_ACTIONS, checkTodo, createTodo } from "@/lib/quest/minigames";
+import { cn } from "@/lib/utils";
+import MinigameFrame from "./MinigameFrame";
+
+/********************** Mini‑game: Rebase Reorder **********************/
+// Rules: src/lib/quest/minigames/rebaseReorder.js.
+export default function RebaseReorderPanel({ config = {}, onWin, onClose }) {
+  const { t } = useI18n();
+  const [todo, setTodo] = useState(() => createTodo(config));
+  const [result, setResult] = useState(undefined); // undefined: not run yet; null: success; else checkTodo()'s failure
+  const solved = result === null;
+  const message = (id) => todo.find((c) => c.id === id)?.message ?? config.commits?.find((c) => c.id === id)?.message ?? id;
+
+  const update = (fn) => { setTodo(fn); setResult(undefined); };
+  const move = (pos, by) => update((list) => {
+    const next = [...list];
+    [next[pos], next[pos + by]] = [next[pos + by], next[pos]];
+    return next;
+  });
+  const setAction = (pos, action) => update((list) => list.map((c, i) => (i === pos ? { ...c, action } : c)));
+
+  return (
+    <MinigameFrame id="rebase-reorder" intro={t("minigame.rebase-reorder.intro")} solved={solved} solvedText={t("minigame.rebase-reorder.solved")} onWin={onWin} onClose={onClose}>
+      <ol className="space-y-1 font-mono text-xs">
+        {todo.map((c, pos) => (
+          <li key={c.id} className={cn("flex items-center gap-2 rounded-lg border px-2 py-1", result?.id === c.id ? "border-rose-500/50 bg-rose-500/5" : "border-white/10 bg-white/5", c.action === "drop" && "opacity-60")}>
+            <select value={c.action} onChange={(e)=> setAction(pos, e.target.value)} disabled={solved} aria-label={`${t("minigame.rebase-reorder.action")}: ${c.message}`}
+              className="rounded bg-black/60 px-1 py-0.5 text-amber-300">
+              {REBASE_ACTIONS.map((a) => <option key={a} value={a} className="bg-zinc-900">{a}</option>)}
+            </select>
+            <span className={cn("flex-1", c.action === "drop" && "line-through")}>{c.message}</span>
+            <button type="button" aria-label={`${t("input.moveUp")}: ${c.message}`} disabled={solved || pos === 0} onClick={()=> move(pos, -1)} className="rounded px-1.5 text-zinc-400 hover:bg-white/10 disabled:opacity-30">↑</button>
+            <button type="button" aria-label={`${t("input.moveDown")}: ${c.message}`} disabled={solved || pos === todo.length - 1} onClick={()=> move(pos, 1)} className="rounded px-1.5 text-zinc-400 hover:bg-white/10 disabled:opacity-30">↓</button>
+          </li>
+        ))}
+      </ol>
+      <p className="mt-2 text-[11px] text-zinc-500">{t("minigame.rebase-reorder.legend")}</p>
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        {!solved && <button onClick={()=> setResult(checkTodo(config, todo))} className="rounded-lg bg-white/10 px-4 py-2 text-sm hover:bg-white/20">{t("minigame.rebase-reorder.run")}</button>}
+        <span role="status" className="text-xs text-rose-300">
+          {result && t(`minigame.rebase-reorder.${result.reason}`, { commit: message(result.id), other: message(result.other) })}
+        </span>
+      </div>
+    </MinigameFrame>
+  );
+}
@@ -0,0 +1,17 @@
+import { MINIGAME_INFO } from "@/lib/quest/minigames";
+import BisectPanel from "./BisectPanel";
+import MergeMazePanel from "./MergeMazePanel";
+import RebaseReorderPanel from "./RebaseReorderPanel";
+
+/**
+ * Mini-games a chapter can schedule after its boss (`"minigame": { id, config }` in chapter JSON, registry in
+ * src/lib/quest/minigames). Each panel receives { config, onWin, onClose }; the engine pays `xp` on a win, and
+ * winning unlocks the `badge` achievement.
+ */
+const PANELS = {
+  "merge-maze": MergeMazePanel,
+  "rebase-reorder": RebaseReorderPanel,
+  bisect: BisectPanel,
+};
+
+export const MINIGAMES = Object.fromEntries(Object.entries(MINIGAME_INFO).map(([id, info]) => [id, { ...info, Panel: PANELS[id] }]));
@@ -0,0 +1,141 @@
+"use client";
+import { useFrame } from "@react-three/fiber";
+import { Float, Html, Sparkles, Stars, Text } from "@react-three/drei";
+import { useRef } from "react";
+
+/**
+ * Path theme — chapters as stepping stones along a winding path that ends in a gate.
+ * Shared by the Docker, Kubernetes, Jenkins and Terraform tracks; `shape` and `accent` from the track
+ * give each its own look (crates, pods, gears, terrain tiles).
+ * `focused` rings the stone highlighted in the chapter list; `reducedMotion` stops the floating and twinkling.
+ */
+
+const STEP = 2.4;
+
+function stonePosition(i, count) {
+  const x = (i - (count - 1) / 2) * STEP;
+  return [x, 0, Math.sin(i * 0.9) * 2.2];
+}
+
+/********************** Scene **********************/
+function PathScene({ chapters, done, complete, isLocked, lockReason, chapterLabel, copy, onOpenChapter, track, focused, reducedMotion }) {
+  const accent = track?.accent ?? "#34d399";
+  const count = chapters.length;
+  const end = stonePosition(count, count);
+  return (
+    <>
+      <Stars radius={90} depth={50} count={2500} factor={4} saturation={0} fade speed={reducedMotion ? 0 : 0.6} />
+      <Sparkles count={40} scale={[30, 8, 16]} size={2} speed={reducedMotion ? 0 : 0.4} color={accent} />
+
+      {/* Ground */}
+      <mesh rotation={[-Math.PI/2, 0, 0]} position={[0, -1.2, 0]} receiveShadow>
+        <planeGeometry args={[60, 30]} />
+        <meshStandardMaterial color="#0f172a" roughness={0.95} />
+      </mesh>
+
+      {chapters.map((c, i) => (
+        <Stone
+          key={c.id}
+          label={chapterLabel?.(i)}
+          position={stonePosition(i, count)}
+          shape={track?.shape}
+          accent={accent}
+          green={!!done[i]}
+          exists={c.exists}
+          locked={isLocked?.(i)}
+          lockLabel={lockReason?.(i)}
+          highlight={focused === i}
+          still={reducedMotion}
+          onClick={() => onOpenChapter(i)}
+        />
+      ))}
+      <Gate position={[end[0], 0, end[2]]} open={complete} accent={accent} still={reducedMotion} label={copy(complete ? "gateOpen" : "gateSealed")} />
+    </>
+  );
+}
+
+function StoneShape({ shape, color, emissive }) {
+  const mat = <meshStandardMaterial color={color} emissive={emissive} emissiveIntensity={0.35} metalness={0.3} roughness={0.5} />;
+  if (shape === "hex") return <mesh castShadow><cylinderGeometry args={[0.8, 0.8, 0.9, 6]} />{mat}</mesh>;
+  if (shape === "gear") return <mesh castShadow rotation={[Math.PI/2, 0, 0]}><torusGeometry args={[0.6, 0.25, 12, 12]} />{mat}</mesh>;
+  if (shape === "terrain") return <mesh castShadow><boxGeometry args={[1.5, 0.5, 1.5]} />{mat}</mesh>;
+  return <mesh castShadow><boxGeometry args={[1.2, 1, 1.2]} />{mat}</mesh>;
+}
+
+function Stone({ label, position, shape, accent, green, exists, locked, lockLabel, highlight, still, onClick }) {
+  const body = exists ? accent : "#475569";
+  const light = green ? "#22c55e" : locked ? "#f59e0b" : "#ef4444";
+  return (
+    <group position={position}>
+      <Float enabled={!still} floatIntensity={0.4} rotationIntensity={0.15} speed={1.1}>
+        <group onClick={(e)=>{ e.stopPropagation(); if (!locked) onClick(); }}>
+          <StoneShape shape={shape} color={locked ? "#334155" : body} emissive={green ? "#22c55e" : body} />
+        </group>
+        <mesh position={[0, 0.95, 0]}>
+          <sphereGeometry args={[0.1, 14, 14]} />
+          <meshStandardMaterial color={light} emissive={light} emissiveIntensity={1.5} />
+        </mesh>
+      </Float>
+      <Text position={[0, 1.5, 0]} fontSize={0.24} color="#e5e7eb" anchorX="center" anchorY="middle">{label}</Text>
+      {highlight && (
+        <mesh rotation={[-Math.PI/2, 0, 0]} position={[0, -1.15, 0]}>
+          <ringGeometry args={[1.05, 1.22, 48]} />
+          <meshBasicMaterial color="#fde047" />
+        </mesh>
+      )}
+      {locked && (
+        <Html position={[0, 2, 0]} center>
+          <div className="whitespace-nowrap rounded bg-yellow-500/20 px-2 py-1 text-[10px] text-yellow-200">{lockLabel}</div>
+        </Html>
+      )}
+    </group>
+  );
+}
+
+// The spinning portal also keeps the on-demand canvas drawing the scene's floating and twinkling while it moves.
+function Gate({ position, open, accent, still, label }) {
+  const portal = useRef();
+  useFrame((state, delta) => {
+    if (still) return;
+    if (portal.current) portal.current.rotation.z += delta * (open ? 1.2 : 0.2);
+    state.invalidate();
+  });
+  const color = open ? "#22c55e" : "#7f1d1d";
+  return (
+    <group position={position}>
+      <mesh position={[-1, 0.6, 0]} castShadow><boxGeometry args={[0.3, 3.2, 0.3]} /><meshStandardMaterial color="#1f2937" /></mesh>
+      <mesh position={[1, 0.6, 0]} castShadow><boxGeometry args={[0.3, 3.2, 0.3]} /><meshStandardMaterial color="#1f2937" /></mesh>
+      <mesh ref={portal} position={[0, 0.8, 0]}>
+        <torusGeometry args={[0.75, 0.08, 12, 40]} />
+        <meshStandardMaterial color={open ? accent : color} emissive={open ? accent : color} emissiveIntensity={1.4} />
+      </mesh>
+      <Text position={[0, 2.6, 0]} fontSize={0.22} color="#e5e7eb" anchorX="center" anchorY="middle">{label}</Text>
+    </group>
+  );
+}
+
+export const pathTheme = {
+  id: "path",
+  name: "Quest Path",
+  Scene: PathScene,
+  camera: { position: [0, 6, 15], fov: 55 },
+  controls: { minDistance: 8, maxDistance: 28 },
+  demoGraphPosition: [0, 4.5, -4],
+  bossPosition: (count) => { const [x, , z] = stonePosition(count, count); return [x, 2.4, z - 2]; }, // guarding the gate
+  chapterPosition: (i, count) => stonePosition(i, count),
+  // Cutscene anchors: both the finale and the "departure" look at the gate.
+  anchors: {
+    finale: ({ count }) => { const [x, , z] = stonePosition(count, count); return [x, 0.8, z]; },
+    departure: ({ count }) => { const [x, , z] = stonePosition(count, count); return [x, 0.8, z]; },
+  },
+  copy: {
+    intro: "Welcome, adventurer. Clear every chapter along the path to open the gate.",
+    tip: "Tip: click a stone to open that chapter. Red = pending, Green = completed.",
+    back: "Back to the Path",
+    pending: "Master this chapter to light its stone green.",
+    departure: "The gate is open — every chapter on the path is cleared.",
+    cleared: "Stone {n} glows green — onward!",
+    gateOpen: "OPEN",
+    gateSealed: "SEALED",
+  },
+};
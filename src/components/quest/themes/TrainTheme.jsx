@@ -0,0 +1,292 @@
+"use client";
+import { useFrame, useThree } from "@react-three/fiber";
+import { Html, Text, ContactShadows, Environment, Instance, Instances } from "@react-three/drei";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Color } from "three";
+import { departProgress } from "@/lib/quest/cutscenes";
+
+/**
+ * Train theme — the Git Quest station: one bogie per chapter behind a locomotive, a signal that turns
+ * CLEAR when every chapter is done, and the train departing. The departure is driven by the cutscene
+ * (src/lib/quest/cutscenes.js): `departAt` starts the run along the track to a stop.
+ * The station's sounds (ambience, the departure bell) are played by the app's audio service, not the scene.
+ * `focused` rings the bogie highlighted in the chapter list; `reducedMotion` stills the smoke and idle wheels.
+ * Repeated parts (sleepers, wheels, windows, smoke) are instanced — one draw call each — and `quality` (a tier from
+ * src/lib/quest/quality.js) drops the HDR environment and contact shadows on slower machines.
+ */
+
+// Bogie i's place in the world (the train's group sits at x = -8, the bogies 1.72 apart behind the engine).
+const TRAIN_X = -8;
+const bogieX = (i) => 2 + i * 1.72;
+const SIGNAL = [10.8, 1.25, -1.2];
+const DEPART = { duration: 9000, distance: 22 }; // pulls out, then stops with the engine near the end of the line
+
+// Part placements in the train's group, for the instanced meshes.
+const LOCO_WHEELS = [[-0.45, 0.55], [0.35, 0.55], [-0.45, -0.55], [0.35, -0.55]].map(([x, z]) => [-0.2 + x, -0.35, z]);
+const BOGIE_WHEELS = [[-0.45, 0.52], [0.45, 0.52], [-0.45, -0.52], [0.45, -0.52]];
+const BOGIE_WINDOWS = [-0.4, 0, 0.4].flatMap((x) => [[x, 0.57], [x, -0.57]]);
+const SMOKE = { count: 18, x: 0.2, y: 0.9, top: 3.4 }; // puffs rise from the chimney
+const SMOKE_COLOR = new Color("#d1d5db");
+const SKY = new Color("#0b0f17");
+
+/********************** Scene **********************/
+function TrainScene({ chapters, done, complete, isLocked, lockReason, chapterLabel, copy, onOpenChapter, focused, reducedMotion, quality, departAt = null }) {
+  return (
+    <>
+      {quality?.environment !== false && <Environment preset="sunset" />}
+
+      {/* Station & tracks */}
+      <Station />
+      <Signal position={SIGNAL} go={complete} still={reducedMotion} label={copy(complete ? "signalGo" : "signalStop")} />
+      <Track length={44} />
+      {quality?.contactShadows !== false && <ContactShadows position={[0,-1.2,0]} opacity={0.4} scale={40} blur={1.8} far={6} />}
+
+      {/* Train */}
+      <Train
+        bogies={chapters.length}
+        done={done}
+        chapters={chapters}
+        onOpenChapter={onOpenChapter}
+        departAt={departAt}
+        lockedCheck={isLocked}
+        lockReason={lockReason}
+        chapterLabel={chapterLabel}
+        engineLabel={copy("engine")}
+        focused={focused}
+        reducedMotion={reducedMotion}
+      />
+    </>
+  );
+}
+
+export const trainTheme = {
+  id: "train",
+  name: "Train Engine",
+  Scene: TrainScene,
+  camera: { position: [0, 5.5, 16], fov: 55 },
+  controls: { minDistance: 10, maxDistance: 26 },
+  demoGraphPosition: [0, 4.2, -3.5],
+  bossPosition: [13, 1.6, -2.8], // beside the Signal
+  chapterPosition: (i) => [TRAIN_X + bogieX(i), -0.35, 0],
+  // Cutscene anchors; `progress` is how far the departure has run (0–1).
+  departure: DEPART,
+  anchors: {
+    finale: () => SIGNAL,
+    departure: ({ progress }) => [TRAIN_X - 0.2 + DEPART.distance * progress, 0.3, 0],
+  },
+  copy: {
+    intro: "Welcome, traveler. Clear all chapters to turn the signal green and depart.",
+    tip: "Tip: click a bogie to open that chapter. Red = pending, Green = completed.",
+    back: "Back to Platform",
+    pending: "Listen up: master this chapter to light the bogie green.",
+    departure: "The signal is green — all aboard! The train is leaving the station.",
+    cleared: "Bogie {n} is lit green — fine work, traveler!",
+    engine: "Engine",
+    signalGo: "CLEAR",
+    signalStop: "STOP",
+  },
+};
+
+/********************** World Objects **********************/
+function Station() {
+  const sleepers = new Array(60).fill(0).map((_,i)=> i);
+  return (
+    <group>
+      {/* Platform base */}
+      <mesh rotation={[-Math.PI/2, 0, 0]} position={[0, -1.2, 3.2]} receiveShadow>
+        <planeGeometry args={[44, 6]} />
+        <meshStandardMaterial color="#1f2937" metalness={0.1} roughness={0.9} />
+      </mesh>
+      {/* Platform stripes */}
+      <mesh rotation={[-Math.PI/2, 0, 0]} position={[0, -1.199, 1.8]} receiveShadow>
+        <planeGeometry args={[44, 0.25]} />
+        <meshStandardMaterial color="#334155" />
+      </mesh>
+
+
+
+      {/* Sleepers under rails */}
+      <Instances limit={sleepers.length} receiveShadow>
+        <planeGeometry args={[0.4, 2.6]} />
+        <meshStandardMaterial color="#3f3f46" />
+        {sleepers.map(i => <Instance key={i} rotation={[-Math.PI/2, 0, 0]} position={[ -10 + i*0.7, -1.19, 0 ]} />)}
+      </Instances>
+    </group>
+  );
+}
+
+function Track({ length=44 }) {
+  return (
+    <group>
+      {/* Rails */}
+      <mesh rotation={[-Math.PI/2, 0, 0]} position={[0, -1.18, 1.1]} receiveShadow>
+        <planeGeometry args={[length, 0.18]} />
+        <meshStandardMaterial color="#9ca3af" metalness={0.6} roughness={0.35} />
+      </mesh>
+      <mesh rotation={[-Math.PI/2, 0, 0]} position={[0, -1.18, -1.1]} receiveShadow>
+        <planeGeometry args={[length, 0.18]} />
+        <meshStandardMaterial color="#9ca3af" metalness={0.6} roughness={0.35} />
+      </mesh>
+    </group>
+  );
+}
+
+// A red signal blinks twice a second (each toggle re-renders, which draws a frame on the on-demand canvas).
+function Signal({ position=[0,0,0], go=false, still=false, label }) {
+  const [blinkOn, setBlinkOn] = useState(true);
+  useEffect(() => {
+    if (go || still) return;
+    const timer = setInterval(() => setBlinkOn((on) => !on), 500);
+    return () => clearInterval(timer);
+  }, [go, still]);
+  const color = go ? "#22c55e" : (blinkOn || still ? "#ef4444" : "#7f1d1d");
+  return (
+    <group position={position}>
+      {/* Pole */}
+      <mesh position={[0, 0.8, 0]} castShadow>
+        <cylinderGeometry args={[0.06,0.06,1.6,14]} />
+        <meshStandardMaterial color="#6b7280" />
+      </mesh>
+      {/* Head */}
+      <mesh position={[0, 1.6, 0]}>
+        <boxGeometry args={[0.4, 0.5, 0.22]} />
+        <meshStandardMaterial color="#0f172a" />
+      </mesh>
+      {/* Light */}
+      <mesh position={[0, 1.6, 0.13]}>
+        <sphereGeometry args={[0.09, 18, 18]} />
+        <meshStandardMaterial color={color} emissive={color} emissiveIntensity={1.6} />
+      </mesh>
+      <Text position={[0, 2.1, 0]} fontSize={0.2} color="#e5e7eb" anchorX="center" anchorY="middle">{label}</Text>
+    </group>
+  );
+}
+
+/********************** Train **********************/
+function Train({ bogies=10, done=[], chapters=[], onOpenChapter, departAt=null, lockedCheck, lockReason, chapterLabel, engineLabel, focused, reducedMotion }) {
+  const group = useRef();
+  const wheelsRef = useRef([]);
+  const smokeRef = useRef([]);
+  const wheels = useMemo(() => [...LOCO_WHEELS, ...Array.from({ length: bogies }, (_, i) => BOGIE_WHEELS.map(([x, z]) => [bogieX(i) + x, -0.35, z])).flat()], [bogies]);
+  const windows = useMemo(() => Array.from({ length: bogies }, (_, i) => BOGIE_WINDOWS.map(([x, z]) => [bogieX(i) + x, -0.25, z])).flat(), [bogies]);
+
+  const invalidate = useThree((s) => s.invalidate);
+  useEffect(() => { invalidate(); }, [departAt, invalidate]); // start (or undo) the run on an on-demand canvas
+
+  useFrame((state, delta) => {
+    const progress = departProgress(departAt, performance.now(), DEPART.duration);
+    const depart = departAt != null && progress < 1;
+    if (depart || !reducedMotion) wheelsRef.current.forEach((w) => { if (w) w.rotation.z -= delta * (depart? 6 : 2); });
+    smokeRef.current.forEach((p,i) => {
+      if (!p) return;
+      p.position.y += delta * (depart ? 2.2 : 1.2);
+      p.position.x += Math.sin(state.clock.elapsedTime*1.5 + i)*0.02;
+      // Instances share one material, so a puff fades by growing and blending into the sky instead of by opacity.
+      const life = (p.position.y - SMOKE.y) / (SMOKE.top - SMOKE.y);
+      p.scale.setScalar(1 + life * 1.5);
+      p.color.lerpColors(SMOKE_COLOR, SKY, Math.min(1, life));
+      if (life >= 1) p.position.set(SMOKE.x - 0.2 + Math.random()*0.4, SMOKE.y, 0);
+    });
+    if (group.current) group.current.position.x = TRAIN_X + DEPART.distance * progress;
+    if (depart || !reducedMotion) state.invalidate(); // keep rendering while the train leaves or the smoke and wheels idle
+  });
+
+  return (
+    <group ref={group} position={[TRAIN_X, 0, 0]}>
+      <Locomotive label={engineLabel} />
+      {new Array(bogies).fill(0).map((_,i)=> (
+        <Bogie
+          key={i}
+          label={chapterLabel?.(i)}
+          position={[bogieX(i), 0, 0]}
+          green={!!done[i]}
+          exists={chapters[i]?.exists}
+          locked={lockedCheck?.(i)}
+          lockLabel={lockReason?.(i)}
+          highlight={focused === i}
+          onClick={() => onOpenChapter(i)}
+        />
+      ))}
+      <Instances limit={wheels.length} castShadow>
+        <torusGeometry args={[0.28, 0.08, 14, 28]} />
+        <meshStandardMaterial color="#cbd5e1" metalness={0.6} roughness={0.35} />
+        {wheels.map((p, i) => <Instance key={i} position={p} ref={(el)=> { wheelsRef.current[i] = el; }} />)}
+      </Instances>
+      <Instances limit={Math.max(1, windows.length)}>
+        <boxGeometry args={[0.18, 0.18, 0.02]} />
+        <meshStandardMaterial color="#93c5fd" emissive="#93c5fd" emissiveIntensity={0.6} />
+        {windows.map((p, i) => <Instance key={i} position={p} />)}
+      </Instances>
+      {!reducedMotion && (
+        <Instances limit={SMOKE.count}>
+          <sphereGeometry args={[0.09, 10, 10]} />
+          <meshStandardMaterial transparent opacity={0.8} depthWrite={false} />
+          {Array.from({ length: SMOKE.count }, (_, i) => (
+            <Instance key={i} color={SMOKE_COLOR} position={[SMOKE.x - 0.2 + Math.random()*0.4, SMOKE.y + (i / SMOKE.count) * (SMOKE.top - SMOKE.y), 0]} ref={(el)=> { smokeRef.current[i] = el; }} />
+          ))}
+        </Instances>
+      )}
+    </group>
+  );
+}
+
+function Locomotive({ label }) {
+  return (
+    <group position={[-0.2, -0.35, 0]}>
+      <mesh position={[0, 0.5, 0]} castShadow>
+        <boxGeometry args={[1.6, 0.9, 1.2]} />
+        <meshStandardMaterial color="#0f172a" metalness={0.2} roughness={0.7} />
+      </mesh>
+      <mesh position={[0.25, 1.0, 0]} castShadow>
+        <boxGeometry args={[0.7, 0.55, 0.9]} />
+        <meshStandardMaterial color="#1f2937" metalness={0.2} roughness={0.7} />
+      </mesh>
+      <mesh position={[0.9, 0.7, 0]} castShadow>
+        <cylinderGeometry args={[0.35,0.35,1.0, 22]} />
+        <meshStandardMaterial color="#111827" metalness={0.3} roughness={0.6} />
+      </mesh>
+      <mesh position={[0.4, 1.05, 0]} castShadow>
+        <cylinderGeometry args={[0.12,0.12,0.25, 12]} />
+        <meshStandardMaterial color="#111827" />
+      </mesh>
+      <mesh position={[1.4, 0.65, 0]}>
+        <sphereGeometry args={[0.09, 18, 18]} />
+        <meshStandardMaterial color="#fde047" emissive="#fde047" emissiveIntensity={1.4} />
+      </mesh>
+      <Text position={[0, 1.65, 0]} fontSize={0.22} color="#93c5fd" anchorX="center" anchorY="middle">{label}</Text>
+    </group>
+  );
+}
+
+// Ring on the platform under the chapter highlighted from the keyboard.
+function FocusRing() {
+  return (
+    <mesh rotation={[-Math.PI/2, 0, 0]} position={[0, -0.8, 0]}>
+      <ringGeometry args={[0.95, 1.12, 48]} />
+      <meshBasicMaterial color="#fde047" />
+    </mesh>
+  );
+}
+
+function Bogie({ label, position=[0,0,0], green=false, exists=false, locked=false, lockLabel, highlight=false, onClick }) {
+  const bodyColor = exists ? "#2563eb" : "#475569";
+  return (
+    <group position={[position[0], -0.35, position[2]]}>
+      <mesh castShadow onClick={(e)=>{ e.stopPropagation(); if(!locked) onClick(); }}>
+        <boxGeometry args={[1.4, 0.75, 1.12]} />
+        <meshStandardMaterial color={bodyColor} metalness={0.25} roughness={0.6} />
+      </mesh>
+      <mesh position={[0.7, 0.42, 0.6]}>
+        <sphereGeometry args={[0.08, 14, 14]} />
+        <meshStandardMaterial color={green?"#22c55e": locked?"#f59e0b":"#ef4444"} emissive={green?"#22c55e": locked?"#f59e0b":"#ef4444"} emissiveIntensity={1.5} />
+      </mesh>
+      <Text position={[0, 1.25, 0]} fontSize={0.22} color="#e5e7eb" anchorX="center" anchorY="middle">{label}</Text>
+      {highlight && <FocusRing />}
+      {locked && (
+        <Html position={[0,1.6,0]} center>
+          <div className="rounded bg-yellow-500/20 px-2 py-1 text-[10px] text-yellow-200">{lockLabel}</div>
+        </Html>
+      )}
+    </group>
+  );
+}
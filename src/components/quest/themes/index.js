@@ -0,0 +1,22 @@
+import { trainTheme } from "./TrainTheme";
+import { pathTheme } from "./PathTheme";
+
+/**
+ * 3D theme scenes, keyed by the `theme` field of a track.
+ * A theme provides `Scene` (rendered inside the engine's Canvas), camera/controls defaults, its UI copy and
+ * `chapterPosition(i, count)` — where chapter i sits in the world, for the camera to follow.
+ * Scenes get `quality`, the active tier from src/lib/quest/quality.js, to scale their own extras with, and their
+ * in-world text already translated: `copy(key)` for the theme's own labels and `chapterLabel(i)` / `lockReason(i)`.
+ * The canvas renders on demand: whatever moves calls `invalidate()` while it does, and `reducedMotion` (also set on
+ * the low tier) stills the idle motion so a waiting scene draws nothing.
+ * Cutscenes (src/lib/quest/cutscenes.js) aim at the theme's `anchors` — finale and departure, each
+ * ({ progress, count }) → [x, y, z] — and time the train's run with `departure.duration` when there is one.
+ */
+export const THEMES = {
+  train: trainTheme,
+  path: pathTheme,
+};
+
+export function getTheme(id) {
+  return THEMES[id] ?? pathTheme;
+}
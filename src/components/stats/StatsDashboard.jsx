@@ -0,0 +1,220 @@
+"use client";
+import Link from "next/link";
+import { useEffect, useMemo, useState } from "react";
+import { Bar, BarChart, CartesianGrid, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { useI18n } from "@/components/i18n/I18nProvider";
+import { readSave } from "@/lib/quest/save";
+import { accuracyByChapter, accuracyByTopic, avgTimeByTopic, mostMissed, streakHistory, summary, xpPerDay } from "@/lib/quest/stats";
+import { cn } from "@/lib/utils";
+
+/**
+ * Stats dashboard (/stats) — one track at a time: headline numbers, XP per day, streak history, accuracy per chapter
+ * and per topic, average answer time per topic and the most-missed questions, all from the save's event log.
+ * Saves live in localStorage, so they are read after mount.
+ */
+export default function StatsDashboard({ courses, initial }) {
+  const { t } = useI18n();
+  const [logs, setLogs] = useState(null);
+  const [slug, setSlug] = useState(initial);
+
+  useEffect(() => {
+    const read = Object.fromEntries(courses.map(({ track, course }) => [track.slug, readSave(window.localStorage, track.storageKey, course.id).log]));
+    setLogs(read);
+    // Without ?track=, open on the track played most recently.
+    if (!initial) {
+      const last = (s) => read[s].at(-1)?.at ?? "";
+      const played = courses.map((c) => c.track.slug).filter((s) => read[s].length).sort((a, b) => last(b).localeCompare(last(a)));
+      setSlug(played[0] ?? courses[0]?.track.slug ?? null);
+    }
+  }, [courses, initial]);
+
+  const current = courses.find((c) => c.track.slug === slug) ?? courses[0];
+  const log = logs?.[current?.track.slug] ?? [];
+
+  return (
+    <main className="min-h-screen w-full bg-gradient-to-b from-zinc-950 via-black to-zinc-900 text-zinc-100">
+      <div className="mx-auto max-w-6xl px-4 py-4">
+        <header className="mb-4 flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <h1 className="text-xl font-semibold">{t("stats.title")}</h1>
+            <p className="text-xs text-zinc-400">{t("stats.intro")}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            {current && (
+              <Link href={`/games/${current.track.slug}`} className="rounded-lg border border-white/10 bg-white/10 px-3 py-1 text-xs hover:bg-white/20">{t("stats.play", { track: current.track.title })}</Link>
+            )}
+            <Link href="/" className="rounded-lg border border-white/10 bg-white/10 px-3 py-1 text-xs hover:bg-white/20">{t("nav.home")}</Link>
+          </div>
+        </header>
+
+        <nav className="mb-4 flex flex-wrap gap-2" aria-label={t("stats.tracks")}>
+          {courses.map(({ track }) => (
+            <button key={track.slug} onClick={()=> setSlug(track.slug)} aria-pressed={track.slug === current?.track.slug}
+              className={cn("rounded-lg px-3 py-1 text-sm ring-1", track.slug === current?.track.slug ? "bg-white/15 ring-white/30" : "bg-white/5 text-zinc-400 ring-white/10 hover:bg-white/10")}>
+              <span className="mr-1.5 inline-block h-2 w-2 rounded-full" style={{ background: track.accent }} />
+              {track.title}
+              {logs && !logs[track.slug].length && <span className="ml-1 text-xs text-zinc-500">· {t("stats.notPlayed")}</span>}
+            </button>
+          ))}
+        </nav>
+
+        {!logs ? (
+          <p className="text-sm text-zinc-400">{t("stats.loading")}</p>
+        ) : !current || !log.length ? (
+          <EmptyState track={current?.track} />
+        ) : (
+          <TrackStats log={log} course={current.course} accent={current.track.accent} />
+        )}
+      </div>
+    </main>
+  );
+}
+
+function EmptyState({ track }) {
+  const { t } = useI18n();
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/5 p-8 text-center">
+      <p className="text-zinc-300">{t("stats.empty")}</p>
+      <p className="mt-1 text-xs text-zinc-500">{t("stats.emptyNote")}</p>
+      {track && (
+        <Link href={`/games/${track.slug}`} className="mt-4 inline-block rounded-xl bg-emerald-500 px-4 py-2 text-sm font-semibold text-black hover:bg-emerald-400">
+          {t("stats.start", { track: track.title })}
+        </Link>
+      )}
+    </div>
+  );
+}
+
+/********************** Charts **********************/
+const AXIS = { stroke: "#71717a", fontSize: 11, tickLine: false };
+const TOOLTIP = { contentStyle: { background: "#09090b", border: "1px solid rgba(255,255,255,0.1)", borderRadius: 8, fontSize: 12 }, cursor: { fill: "rgba(255,255,255,0.05)" } };
+const shortDay = (day) => day.slice(5);
+
+function TrackStats({ log, course, accent }) {
+  const { t, n } = useI18n();
+  const data = useMemo(() => {
+    const where = (r) => ({ ...r, label: r.ch ? t("stats.where", { n: r.ch, name: r.name ?? t("boss.default") }) : r.label });
+    return {
+      totals: summary(log),
+      xp: xpPerDay(log),
+      streaks: streakHistory(log),
+      chapters: accuracyByChapter(log, course).map((r) => ({ ...r, label: t("quest.chShort", { n: r.ch }) })),
+      topics: accuracyByTopic(log, course).map(where),
+      times: avgTimeByTopic(log, course).map(where),
+      missed: mostMissed(log, course).map(where),
+    };
+  }, [log, course, t]);
+  const { totals } = data;
+
+  return (
+    <div className="grid gap-4">
+      <div className="grid grid-cols-2 gap-3 sm:grid-cols-5">
+        <Tile label={t("stats.answers")} value={n(totals.answers)} />
+        <Tile label={t("stats.accuracy")} value={n(totals.accuracy / 100, { style: "percent" })} />
+        <Tile label={t("stats.xp")} value={n(totals.xp)} />
+        <Tile label={t("stats.bestStreak")} value={n(totals.bestStreak)} />
+        <Tile label={t("stats.days")} value={n(totals.days)} />
+      </div>
+
+      <div className="grid gap-4 lg:grid-cols-2">
+        <Card title={t("stats.xpPerDay")}>
+          <ResponsiveContainer width="100%" height={220}>
+            <BarChart data={data.xp}>
+              <CartesianGrid stroke="rgba(255,255,255,0.06)" vertical={false} />
+              <XAxis dataKey="day" tickFormatter={shortDay} {...AXIS} />
+              <YAxis allowDecimals={false} width={36} {...AXIS} />
+              <Tooltip {...TOOLTIP} />
+              <Bar dataKey="xp" name={t("hud.xp")} fill={accent} radius={[4, 4, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </Card>
+
+        <Card title={t("stats.streaks")}>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={data.streaks}>
+              <CartesianGrid stroke="rgba(255,255,255,0.06)" vertical={false} />
+              <XAxis dataKey="day" tickFormatter={shortDay} {...AXIS} />
+              <YAxis allowDecimals={false} width={36} {...AXIS} />
+              <Tooltip {...TOOLTIP} />
+              <Line type="stepAfter" dataKey="best" name={t("stats.bestThatDay")} stroke="#fbbf24" strokeDasharray="4 3" dot={false} />
+              <Line type="stepAfter" dataKey="streak" name={t("stats.endOfDay")} stroke={accent} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </Card>
+
+        <Card title={t("stats.byChapter")}>
+          <ResponsiveContainer width="100%" height={220}>
+            <BarChart data={data.chapters}>
+              <CartesianGrid stroke="rgba(255,255,255,0.06)" vertical={false} />
+              <XAxis dataKey="label" {...AXIS} />
+              <YAxis domain={[0, 100]} unit="%" width={44} {...AXIS} />
+              <Tooltip {...TOOLTIP} labelFormatter={(_, rows) => rows?.[0]?.payload.title ?? ""} />
+              <Bar dataKey="accuracy" name={t("stats.accuracyPct")} fill={accent} radius={[4, 4, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </Card>
+
+        <Card title={t("stats.avgTime")} note={t("stats.avgTimeNote")}>
+          <HorizontalBars rows={data.times} dataKey="seconds" name={t("stats.seconds")} unit="s" fill="#60a5fa" />
+        </Card>
+      </div>
+
+      <Card title={t("stats.byTopic")}>
+        <HorizontalBars rows={data.topics} dataKey="accuracy" name={t("stats.accuracyPct")} unit="%" domain={[0, 100]} fill={accent} />
+      </Card>
+
+      <Card title={t("stats.missed")}>
+        {data.missed.length ? (
+          <ol className="grid gap-2">
+            {data.missed.map((m) => (
+              <li key={m.id} className="flex items-start justify-between gap-3 rounded-lg bg-white/5 p-2 text-sm">
+                <div className="min-w-0">
+                  <div className="text-xs text-zinc-400">{m.label}</div>
+                  <div className="truncate">{m.prompt || "—"}</div>
+                </div>
+                <span className="shrink-0 text-xs text-rose-300">{t("stats.missedCount", { misses: n(m.misses), attempts: n(m.attempts) })}</span>
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <p className="text-sm text-zinc-400">{t("stats.noneMissed")}</p>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+function HorizontalBars({ rows, dataKey, name, unit, domain, fill }) {
+  const { t } = useI18n();
+  if (!rows.length) return <p className="text-sm text-zinc-400">{t("stats.noTopics")}</p>;
+  return (
+    <ResponsiveContainer width="100%" height={Math.max(120, rows.length * 28 + 40)}>
+      <BarChart data={rows} layout="vertical" margin={{ left: 8, right: 16 }}>
+        <CartesianGrid stroke="rgba(255,255,255,0.06)" horizontal={false} />
+        <XAxis type="number" domain={domain} unit={unit} {...AXIS} />
+        <YAxis type="category" dataKey="label" width={180} {...AXIS} />
+        <Tooltip {...TOOLTIP} />
+        <Bar dataKey={dataKey} name={name} fill={fill} radius={[0, 4, 4, 0]} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+function Card({ title, note, children }) {
+  return (
+    <section className="rounded-2xl border border-white/10 bg-white/5 p-4">
+      <h2 className="text-sm font-semibold">{title}</h2>
+      {note && <p className="text-xs text-zinc-500">{note}</p>}
+      <div className="mt-3">{children}</div>
+    </section>
+  );
+}
+
+function Tile({ label, value }) {
+  return (
+    <div className="rounded-xl border border-white/10 bg-white/5 px-3 py-2">
+      <div className="text-[11px] uppercase tracking-wide text-zinc-400">{label}</div>
+      <div className="text-lg font-semibold">{value}</div>
+    </div>
+  );
+}
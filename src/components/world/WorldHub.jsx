@@ -0,0 +1,139 @@
+"use client";
+import { Canvas } from "@react-three/fiber";
+import { useReducedMotion } from "framer-motion";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { useEffect, useId, useMemo, useRef, useState } from "react";
+import { LocaleSwitcher, useI18n } from "@/components/i18n/I18nProvider";
+import { readSave } from "@/lib/quest/save";
+import { missingTracks, trackHref, trackProgress } from "@/lib/quest/tracks";
+import { cn } from "@/lib/utils";
+import WorldScene, { portalPosition, SPAWN } from "./WorldScene";
+
+const KEYS = {
+  w: "up", arrowup: "up", s: "down", arrowdown: "down",
+  a: "left", arrowleft: "left", d: "right", arrowright: "right",
+};
+
+/**
+ * World Hub (/world) — walk the avatar (WASD / arrow keys, or click the ground) to a track's portal and step in to
+ * play it; the game loads through the client router. Each portal shows the track's completion from its save and stays
+ * locked until the tracks it `requires` are finished. The portal list under the scene offers the same choices to
+ * anyone not walking. Saves live in localStorage, so they are read after mount.
+ */
+export default function WorldHub({ tracks }) {
+  const { t } = useI18n();
+  const router = useRouter();
+  const reducedMotion = useReducedMotion() ?? false;
+  const [saves, setSaves] = useState(null);
+  const [near, setNear] = useState(null);
+  const input = useRef({ keys: new Set(), target: null });
+  const helpId = useId();
+
+  useEffect(() => {
+    setSaves(Object.fromEntries(tracks.map((tr) => [tr.slug, readSave(window.localStorage, tr.storageKey, tr.courseId)])));
+  }, [tracks]);
+
+  const portals = useMemo(() => {
+    const progress = Object.fromEntries(tracks.map((tr) => [tr.slug, trackProgress(saves?.[tr.slug], tr.chapters)]));
+    const complete = Object.fromEntries(tracks.map((tr) => [tr.slug, progress[tr.slug].complete]));
+    return tracks.map((tr, i) => {
+      const missing = saves ? missingTracks(tr, complete) : [];
+      return {
+        ...tr, href: trackHref(tr), progress: progress[tr.slug], position: portalPosition(i, tracks.length),
+        locked: missing.length > 0, missing: missing.map((slug) => tracks.find((x) => x.slug === slug)?.title ?? slug),
+      };
+    });
+  }, [tracks, saves]);
+
+  const current = portals.find((p) => p.slug === near) ?? null;
+  const enter = (slug) => {
+    const p = portals.find((x) => x.slug === slug);
+    if (p && !p.locked) router.push(p.href);
+  };
+
+  useEffect(() => { if (current && !current.locked) router.prefetch(current.href); }, [current, router]);
+
+  function onKeyDown(e) {
+    const dir = KEYS[e.key.toLowerCase()];
+    if (dir) { e.preventDefault(); input.current.keys.add(dir); }
+    else if ((e.key === "Enter" || e.key.toLowerCase() === "e") && near) { e.preventDefault(); enter(near); }
+  }
+  function onKeyUp(e) {
+    const dir = KEYS[e.key.toLowerCase()];
+    if (dir) input.current.keys.delete(dir);
+  }
+
+  const progressText = (p) => t("world.progress", { done: p.progress.done, total: p.progress.total, pct: p.progress.pct });
+  const lockText = (p) => t("world.locked", { tracks: p.missing.join(", ") });
+
+  return (
+    <main className="min-h-screen w-full bg-gradient-to-b from-zinc-950 via-black to-zinc-900 text-zinc-100">
+      <div className="mx-auto max-w-6xl px-4 py-4">
+        <header className="mb-4 flex items-center justify-between gap-3">
+          <h1 className="text-xl font-semibold">{t("world.title")}</h1>
+          <div className="flex items-center gap-2">
+            <LocaleSwitcher />
+            <Link href="/" className="rounded-xl border border-white/10 bg-white/10 px-3 py-2 text-sm hover:bg-white/20">{t("world.back")}</Link>
+          </div>
+        </header>
+        <div
+          role="application"
+          tabIndex={0}
+          aria-label={t("world.scene")}
+          aria-describedby={helpId}
+          onKeyDown={onKeyDown}
+          onKeyUp={onKeyUp}
+          onBlur={()=> input.current.keys.clear()}
+          onPointerDown={(e)=> e.currentTarget.focus()}
+          className="relative h-[70vh] w-full overflow-hidden rounded-2xl border border-white/10 outline-none focus-visible:ring-2 focus-visible:ring-emerald-400"
+        >
+          <Canvas camera={{ position: [SPAWN[0], 7, SPAWN[2] + 10], fov: 55 }}>
+            <WorldScene portals={portals} input={input} near={near} onNear={setNear} onEnter={enter} reducedMotion={reducedMotion} />
+          </Canvas>
+
+          <div role="status" className="pointer-events-none absolute inset-x-0 top-3 flex justify-center">
+            {current && (
+              <div className="pointer-events-auto rounded-xl bg-black/70 px-4 py-3 text-center text-sm ring-1 ring-white/10 backdrop-blur">
+                <div className="font-medium">{current.emoji} {current.title}</div>
+                <div className="mt-0.5 text-xs text-zinc-400">{progressText(current)}</div>
+                {current.locked
+                  ? <div className="mt-2 text-xs text-amber-300">🔒 {lockText(current)}</div>
+                  : <Link href={current.href} className="mt-2 inline-block rounded-lg bg-emerald-500 px-3 py-1 text-xs font-semibold text-black hover:bg-emerald-400">{t("world.enter")} →</Link>}
+              </div>
+            )}
+          </div>
+
+          <div id={helpId} className="pointer-events-none absolute bottom-3 left-3 rounded-lg bg-black/50 px-3 py-2 text-xs text-zinc-200 ring-1 ring-white/10">
+            {t("world.help")}
+          </div>
+        </div>
+
+        <nav aria-label={t("world.portals")} className="mt-4">
+          <ul className="grid gap-2 sm:grid-cols-2 lg:grid-cols-5">
+            {portals.map((p) => {
+              const body = (
+                <>
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="font-medium">{p.emoji} {p.title}</span>
+                    {p.status !== "live" && <span className="text-[10px] text-zinc-400">{t("games.soon")}</span>}
+                  </div>
+                  <div className="mt-2 h-1.5 overflow-hidden rounded bg-zinc-800" aria-hidden>
+                    <div className="h-full rounded" style={{ width: `${p.progress.pct}%`, background: p.accent }} />
+                  </div>
+                  <div className="mt-1 text-xs text-zinc-400">{p.locked ? `🔒 ${lockText(p)}` : progressText(p)}</div>
+                </>
+              );
+              const cls = cn("block rounded-xl border border-white/10 bg-white/5 p-3 text-sm", p.locked ? "cursor-not-allowed opacity-60" : "hover:bg-white/10");
+              return (
+                <li key={p.slug}>
+                  {p.locked ? <div aria-disabled className={cls}>{body}</div> : <Link href={p.href} className={cls}>{body}</Link>}
+                </li>
+              );
+            })}
+          </ul>
+        </nav>
+      </div>
+    </main>
+  );
+}
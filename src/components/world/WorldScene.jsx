@@ -0,0 +1,151 @@
+"use client";
+import { useFrame } from "@react-three/fiber";
+import { Float, Html, Sparkles, Stars } from "@react-three/drei";
+import { useRef } from "react";
+import { Vector3 } from "three";
+
+/********************** Layout **********************/
+export const GROUND_RADIUS = 13;
+export const SPAWN = [0, 0, 4];
+const PORTAL_RING = 8;
+const NEAR_RADIUS = 3; // close enough to show the portal's card
+const ENTER_RADIUS = 1.2; // standing in the gate
+const SPEED = 5; // units per second
+
+/** Portals sit on an arc in front of the spawn point, first track on the left. */
+export function portalPosition(i, count) {
+  const a = count > 1 ? -1 + (2 * i) / (count - 1) : 0;
+  return [Math.sin(a) * PORTAL_RING, 0, -Math.cos(a) * PORTAL_RING];
+}
+
+const LOCKED_COLOR = "#52525b";
+const step = new Vector3();
+const goal = new Vector3();
+
+/**
+ * The hub's 3D world: ground, portals and the player's avatar, with a camera that trails it.
+ * `input` is a ref the page fills — `keys` (a Set of up/down/left/right) and `target` (a point to walk to, set here
+ * by clicking the ground or a portal). Reports the nearest portal's slug (or null) through `onNear` and calls
+ * `onEnter(slug)` when the avatar steps into an open portal's gate.
+ */
+export default function WorldScene({ portals, input, near, onNear, onEnter, reducedMotion = false }) {
+  const walkTo = (e, point) => { e.stopPropagation(); input.current.target = new Vector3(point[0], 0, point[2]); };
+  return (
+    <>
+      <color attach="background" args={["#0b0f17"]} />
+      <ambientLight intensity={0.5} />
+      <directionalLight position={[5, 8, 2]} intensity={1.2} />
+      <Stars radius={120} depth={60} count={4000} factor={4} saturation={0} fade speed={reducedMotion ? 0 : 1} />
+      <Sparkles count={60} scale={[30, 10, 30]} size={2} speed={reducedMotion ? 0 : 0.5} noise={1} />
+
+      <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -0.01, 0]} onPointerDown={(e)=> walkTo(e, e.point.toArray())}>
+        <circleGeometry args={[GROUND_RADIUS, 64]} />
+        <meshStandardMaterial color="#111827" roughness={0.95} />
+      </mesh>
+
+      {portals.map((p) => (
+        <Portal key={p.slug} portal={p} active={near === p.slug} still={reducedMotion} onSelect={(e)=> walkTo(e, p.position)} />
+      ))}
+      <Avatar portals={portals} input={input} onNear={onNear} onEnter={onEnter} reducedMotion={reducedMotion} />
+    </>
+  );
+}
+
+/********************** Avatar **********************/
+function Avatar({ portals, input, onNear, onEnter, reducedMotion }) {
+  const body = useRef();
+  const model = useRef();
+  const nearest = useRef(null);
+  const entered = useRef(false);
+
+  useFrame((state, delta) => {
+    const g = body.current;
+    if (!g) return;
+    const p = g.position;
+    const { keys, target } = input.current;
+
+    step.set((keys.has("right") ? 1 : 0) - (keys.has("left") ? 1 : 0), 0, (keys.has("down") ? 1 : 0) - (keys.has("up") ? 1 : 0));
+    let left = Infinity;
+    if (step.lengthSq()) input.current.target = null; // the keyboard takes over from click-to-move
+    else if (target) {
+      step.subVectors(target, p).setY(0);
+      left = step.length();
+      if (left < 0.05) { input.current.target = null; step.set(0, 0, 0); }
+    }
+    const moving = step.lengthSq() > 0;
+    if (moving) {
+      step.normalize();
+      p.addScaledVector(step, Math.min(SPEED * delta, left));
+      if (p.length() > GROUND_RADIUS - 0.6) p.setLength(GROUND_RADIUS - 0.6);
+      g.rotation.y = Math.atan2(step.x, step.z);
+    }
+    if (model.current) model.current.position.y = moving && !reducedMotion ? Math.abs(Math.sin(state.clock.elapsedTime * 10)) * 0.08 : 0;
+
+    goal.set(p.x, p.y + 7, p.z + 10);
+    if (reducedMotion) state.camera.position.copy(goal);
+    else state.camera.position.lerp(goal, 1 - Math.exp(-delta * 4));
+    state.camera.lookAt(p.x, p.y + 0.8, p.z);
+
+    let best = null, bestD = NEAR_RADIUS;
+    for (const portal of portals) {
+      const d = Math.hypot(portal.position[0] - p.x, portal.position[2] - p.z);
+      if (d < bestD) { best = portal; bestD = d; }
+    }
+    const slug = best?.slug ?? null;
+    if (slug !== nearest.current) { nearest.current = slug; onNear(slug); }
+    if (!best || bestD > ENTER_RADIUS) entered.current = false;
+    else if (!entered.current && !best.locked) { entered.current = true; onEnter(best.slug); }
+  });
+
+  return (
+    <group ref={body} position={SPAWN}>
+      <group ref={model}>
+        <mesh position={[0, 0.6, 0]}>
+          <capsuleGeometry args={[0.3, 0.6, 6, 12]} />
+          <meshStandardMaterial color="#e4e4e7" roughness={0.5} />
+        </mesh>
+        <mesh position={[0, 0.85, 0.26]}>
+          <boxGeometry args={[0.34, 0.12, 0.08]} />
+          <meshStandardMaterial color="#38bdf8" emissive="#38bdf8" emissiveIntensity={0.6} />
+        </mesh>
+      </group>
+      <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, 0.01, 0]}>
+        <circleGeometry args={[0.4, 24]} />
+        <meshBasicMaterial color="#000" transparent opacity={0.35} />
+      </mesh>
+    </group>
+  );
+}
+
+/********************** Portal **********************/
+// An island per track: the gate glows in the track's colour (grey while locked) and a ring on the ground fills with
+// the share of chapters done.
+function Portal({ portal, active, still, onSelect }) {
+  const color = portal.locked ? LOCKED_COLOR : portal.accent;
+  const { pct } = portal.progress;
+  return (
+    <group position={portal.position}>
+      <Float enabled={!still} floatIntensity={0.6} rotationIntensity={0.2} speed={1.2}>
+        <mesh position={[0, 1.6, 0]} onPointerDown={onSelect}>
+          <icosahedronGeometry args={[0.8, 0]} />
+          <meshStandardMaterial color={color} metalness={0.4} roughness={0.2} emissive={color} emissiveIntensity={active ? 0.7 : 0.25} />
+        </mesh>
+      </Float>
+      <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, 0.02, 0]}>
+        <ringGeometry args={[1.25, 1.45, 64]} />
+        <meshBasicMaterial color="#27272a" />
+      </mesh>
+      {pct > 0 && (
+        <mesh rotation={[-Math.PI / 2, 0, Math.PI / 2]} position={[0, 0.03, 0]}>
+          <ringGeometry args={[1.25, 1.45, 64, 1, 0, (Math.PI * 2 * pct) / 100]} />
+          <meshBasicMaterial color={portal.accent} />
+        </mesh>
+      )}
+      <Html center distanceFactor={12} position={[0, 3, 0]} className="pointer-events-none select-none">
+        <div aria-hidden className="whitespace-nowrap rounded-xl bg-black/60 px-3 py-1 text-center text-xs text-zinc-100 ring-1 ring-white/10 backdrop-blur">
+          {portal.locked && "🔒 "}{portal.emoji} {portal.title} · {pct}%
+        </div>
+      </Html>
+    </group>
+  );
+}
@@ -0,0 +1,146 @@
+/**
+ * Audio service — one Web Audio mixer for the app. Sounds (./sounds.js) play through a bus (music, sfx, ambience),
+ * each bus through the master gain; mute and the volumes are settings the player keeps across visits.
+ * Browsers only start audio after a user gesture, so the context is created on `unlock()` (the provider calls it on the
+ * first pointer or key press): effects fired before that are dropped, loops asked for are started then.
+ */
+import { BUSES, EVENT_SOUNDS, SOUNDS } from "./sounds.js";
+
+export { BUSES, EVENT_SOUNDS, SCENE_AUDIO, SOUNDS } from "./sounds.js";
+
+export const DEFAULT_AUDIO = { muted: false, volume: { master: 0.8, music: 0.6, sfx: 0.8, ambience: 0.5 } };
+
+const clamp01 = (v, fallback) => (typeof v === "number" && Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : fallback);
+
+/** Stored settings (any shape, possibly from an older build) → { muted, volume: { master, music, sfx, ambience } }. */
+export function normalizeAudio(raw) {
+  const volume = Object.fromEntries(
+    ["master", ...BUSES].map((k) => [k, clamp01(raw?.volume?.[k], DEFAULT_AUDIO.volume[k])]),
+  );
+  return { muted: raw?.muted === true, volume };
+}
+
+/**
+ * → { unlock(), setSettings(settings), emit(event), play(soundId), loop(bus, soundId | null), dispose(), get unlocked }.
+ * `emit` goes through EVENT_SOUNDS; `loop` keeps one looping sound per bus (null stops it). Safe to call anywhere:
+ * without Web Audio (server, old browsers) every method is a no-op.
+ */
+export function createAudioManager({ sounds = SOUNDS, events = EVENT_SOUNDS } = {}) {
+  let ctx = null;
+  let master = null;
+  const buses = {};
+  const buffers = new Map(); // url → Promise<AudioBuffer | null>
+  const wanted = {}; // bus → soundId the caller asked to loop
+  const looping = {}; // bus → { id, source }
+  let settings = DEFAULT_AUDIO;
+
+  const audible = (bus) => !settings.muted && settings.volume.master > 0 && settings.volume[bus] > 0;
+  const apply = () => {
+    if (!ctx) return;
+    const at = ctx.currentTime;
+    master.gain.setTargetAtTime(settings.muted ? 0 : settings.volume.master, at, 0.05);
+    for (const bus of BUSES) buses[bus].gain.setTargetAtTime(settings.volume[bus], at, 0.05);
+  };
+
+  const load = (url) => {
+    if (!buffers.has(url)) {
+      buffers.set(url, fetch(url)
+        .then((r) => (r.ok ? r.arrayBuffer() : Promise.reject(new Error(`${r.status} ${url}`))))
+        .then((data) => ctx.decodeAudioData(data))
+        .catch(() => null));
+    }
+    return buffers.get(url);
+  };
+
+  // A sound's own gain stage, feeding its bus.
+  const voice = (sound) => {
+    const g = ctx.createGain();
+    g.gain.value = sound.gain ?? 1;
+    g.connect(buses[sound.bus] ?? buses.sfx);
+    return g;
+  };
+
+  const synth = (sound) => {
+    const out = voice(sound);
+    let t = ctx.currentTime;
+    for (const [freq, ms] of sound.tones) {
+      const osc = ctx.createOscillator();
+      const env = ctx.createGain();
+      osc.type = sound.wave ?? "sine";
+      osc.frequency.value = freq;
+      env.gain.setValueAtTime(0.0001, t);
+      env.gain.exponentialRampToValueAtTime(1, t + 0.01);
+      env.gain.exponentialRampToValueAtTime(0.0001, t + ms / 1000);
+      osc.connect(env).connect(out);
+      osc.start(t);
+      osc.stop(t + ms / 1000 + 0.02);
+      t += ms / 1000;
+    }
+    return null;
+  };
+
+  const start = async (id, { loop = false } = {}) => {
+    const sound = sounds[id];
+    if (!ctx || !sound) return null;
+    if (sound.tones) return loop ? null : synth(sound);
+    const buffer = await load(sound.url);
+    if (!buffer) return null;
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    source.loop = loop;
+    source.connect(voice(sound));
+    source.start();
+    return source;
+  };
+
+  const syncLoop = async (bus) => {
+    const id = wanted[bus] ?? null;
+    const current = looping[bus];
+    if (!ctx || current?.id === id) return;
+    current?.source?.stop();
+    delete looping[bus];
+    if (!id) return;
+    looping[bus] = { id, source: null };
+    const source = await start(id, { loop: true });
+    // The scene may have changed its mind while the file was loading.
+    if (looping[bus]?.id === id && !looping[bus].source) looping[bus].source = source;
+    else source?.stop();
+  };
+
+  return {
+    get unlocked() { return ctx?.state === "running"; },
+    unlock() {
+      if (!ctx) {
+        const Context = typeof window !== "undefined" ? window.AudioContext ?? window.webkitAudioContext : null;
+        if (!Context) return;
+        ctx = new Context();
+        master = ctx.createGain();
+        master.connect(ctx.destination);
+        for (const bus of BUSES) { buses[bus] = ctx.createGain(); buses[bus].connect(master); }
+        apply();
+        for (const bus of BUSES) syncLoop(bus);
+      }
+      if (ctx.state === "suspended") ctx.resume().catch(() => {});
+    },
+    setSettings(next) {
+      settings = normalizeAudio(next);
+      apply();
+    },
+    play(id) {
+      if (ctx?.state === "running" && audible(sounds[id]?.bus ?? "sfx")) start(id);
+    },
+    emit(event) {
+      if (events[event]) this.play(events[event]);
+    },
+    loop(bus, id) {
+      wanted[bus] = id ?? null;
+      syncLoop(bus);
+    },
+    dispose() {
+      ctx?.close().catch(() => {});
+      ctx = null;
+      buffers.clear();
+      for (const bus of Object.keys(looping)) delete looping[bus];
+    },
+  };
+}
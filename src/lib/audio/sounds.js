@@ -0,0 +1,34 @@
+/**
+ * Sound config — every sound the game can make and which game event plays it. A sound is either a file under
+ * /public/sounds (`url`) or a short synthesized jingle (`tones`: [frequency Hz, length ms] played in turn), so events
+ * can have a voice before there is an asset for them; swapping in a recording only changes its entry here.
+ * `bus` routes it through the mixer (./index.js) and `gain` balances it against the rest of that bus. Whether a
+ * sound loops is up to the caller: `audio.loop(bus, id)` loops it, `emit`/`play` play it once.
+ */
+export const BUSES = ["music", "sfx", "ambience"];
+
+export const SOUNDS = {
+  station: { bus: "ambience", url: "/sounds/station-ambience.mp3", gain: 0.6 },
+  bell: { bus: "sfx", url: "/sounds/bell.mp3", gain: 0.9 },
+  chime: { bus: "sfx", tones: [[660, 90], [990, 160]], wave: "sine", gain: 0.35 },
+  buzz: { bus: "sfx", tones: [[220, 120], [180, 180]], wave: "square", gain: 0.12 },
+  hit: { bus: "sfx", tones: [[140, 60], [90, 140]], wave: "sawtooth", gain: 0.2 },
+  fanfare: { bus: "sfx", tones: [[523, 110], [659, 110], [784, 110], [1047, 260]], wave: "triangle", gain: 0.35 },
+  clear: { bus: "sfx", tones: [[392, 120], [523, 120], [659, 240]], wave: "triangle", gain: 0.35 },
+};
+
+/** Game event → sound. Events come from QuestGame (answers, badges) and cutscene cues with a `sound`. */
+export const EVENT_SOUNDS = {
+  correct: "chime",
+  wrong: "buzz",
+  bossHit: "hit",
+  badgeUnlocked: "fanfare",
+  chapterCleared: "clear",
+  departure: "bell",
+};
+
+/** Looping beds per 3D theme (src/components/quest/themes); null leaves the bus quiet. */
+export const SCENE_AUDIO = {
+  train: { ambience: "station", music: null },
+  path: { ambience: null, music: null },
+};
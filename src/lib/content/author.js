@@ -0,0 +1,102 @@
+/**
+ * Chapter authoring helpers for the /author editor — blank chapters/topics/questions in the same key order as
+ * src/content/<track>/chapters/chN.json, immutable edits by path, and the export format (what `formatChapter`
+ * returns is exactly what gets written to disk). Pure: shared by the editor and the dev-only /api/author route.
+ */
+import { QUESTION_TYPES } from "./schema.js";
+
+export const AUTHOR_TYPES = Object.keys(QUESTION_TYPES);
+/** Chapter ids double as file names, so keep them path-safe. */
+export const CHAPTER_ID = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+export const chapterFile = (id) => `chapters/${id}.json`;
+
+export const emptyQuestion = (type = "mcq") => ({
+  mcq: { type, prompt: "", options: ["", ""], answer: 0, explain: "", xp: 40 },
+  blank: { type, prompt: "", answerText: "", explain: "", xp: 40 },
+  multi: { type, prompt: "", options: ["", "", ""], answers: [0], explain: "", xp: 40 },
+  order: { type, prompt: "", items: ["", ""], explain: "", xp: 40 },
+  match: { type, prompt: "", pairs: [["", ""], ["", ""]], explain: "", xp: 40 },
+  fix: { type, prompt: "", broken: "", answerText: "", explain: "", xp: 40 },
+  terminal: { type, prompt: "", setup: { init: true }, goal: { description: "", checks: [{ head: "main" }] }, explain: "", xp: 60 },
+})[type];
+
+export const emptyTopic = (n) => ({ id: `t${n}`, title: "", lesson: "", demo: { code: "", notes: "" }, quiz: emptyQuestion("mcq") });
+
+export const emptyChapter = (id = "ch1") => ({
+  id, title: "", lore: "",
+  topics: [emptyTopic(1)],
+  boss: { id: `b${id.replace(/\D/g, "") || 1}`, title: "", intro: "", questions: [emptyQuestion("mcq")] },
+});
+
+/** A topic id not used yet in the chapter ("t1", "t2", …). */
+export function nextTopicId(topics) {
+  const ids = new Set(topics.map((t) => t.id));
+  let n = topics.length + 1;
+  while (ids.has(`t${n}`)) n++;
+  return `t${n}`;
+}
+
+/** Switch a question's type, keeping the fields every type shares. */
+export function retypeQuestion(q, type) {
+  const { prompt, explain, xp, hints } = q;
+  return { ...emptyQuestion(type), prompt, explain, xp, ...(hints ? { hints } : {}) };
+}
+
+/********************** Edits **********************/
+/** Immutable set: setIn(chapter, ["topics", 2, "quiz", "answer"], 1). `undefined` removes the key. */
+export function setIn(obj, [key, ...rest], value) {
+  const next = rest.length ? setIn(obj?.[key] ?? (typeof rest[0] === "number" ? [] : {}), rest, value) : value;
+  if (Array.isArray(obj)) return obj.map((v, i) => (i === key ? next : v));
+  const copy = { ...obj, [key]: next };
+  if (next === undefined) delete copy[key];
+  return copy;
+}
+
+export function moveItem(list, from, to) {
+  if (to < 0 || to >= list.length || from === to) return list;
+  const next = [...list];
+  next.splice(to, 0, ...next.splice(from, 1));
+  return next;
+}
+
+/** "topics[2].quiz.answer" — the validator's path format, so fields can find their issues. */
+export const pathKey = (path) => path.reduce((s, k) => (typeof k === "number" ? `${s}[${k}]` : s ? `${s}.${k}` : k), "");
+
+/********************** Export **********************/
+const blank = (v) => v === "" || v == null || (Array.isArray(v) && v.length === 0);
+
+// Drop the optional fields the form keeps around empty (lore, notes, hints, an unused demo…); required ones stay
+// even when empty so the validator still reports them.
+function tidyQuestion(q) {
+  const out = { ...q };
+  for (const k of ["hints", "xp"]) if (blank(out[k])) delete out[k];
+  if (Array.isArray(out.hints)) out.hints = out.hints.filter((h) => h.trim());
+  if (out.hints && !out.hints.length) delete out.hints;
+  return out;
+}
+
+export function tidyChapter(chapter) {
+  const out = { ...chapter };
+  if (blank(out.lore)) delete out.lore;
+  out.topics = (chapter.topics ?? []).map((t) => {
+    const topic = { ...t };
+    if (topic.demo) {
+      const demo = { ...topic.demo };
+      if (blank(demo.notes)) delete demo.notes;
+      if (blank(demo.code) && !demo.graph) delete topic.demo;
+      else topic.demo = demo;
+    }
+    if (topic.quiz) topic.quiz = tidyQuestion(topic.quiz);
+    return topic;
+  });
+  if (chapter.boss) {
+    const boss = { ...chapter.boss, questions: (chapter.boss.questions ?? []).map(tidyQuestion) };
+    if (blank(boss.intro)) delete boss.intro;
+    out.boss = boss;
+  }
+  return out;
+}
+
+/** The file contents for a chapter — two-space JSON with a trailing newline, like the files in src/content. */
+export const formatChapter = (chapter) => `${JSON.stringify(tidyChapter(chapter), null, 2)}\n`;
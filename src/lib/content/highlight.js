@@ -0,0 +1,120 @@
+/**
+ * Demo syntax highlighting — splits `demo.code` into typed tokens per line for src/components/quest/CodeBlock.jsx.
+ * Shell (git, docker, kubectl…) is the main language; Dockerfiles reuse it for RUN/CMD lines, and the config formats
+ * in the other tracks (YAML, HCL, Jenkinsfile) get a generic pass for strings, comments, keys and numbers.
+ *
+ *   highlight(code, lang?) → [[{ type, text }]]   one token list per line (joined, the tokens give back `code`)
+ *   types: plain | comment | command | subcommand | flag | string | variable | operator | keyword | key | number
+ */
+
+export const HIGHLIGHT_LANGS = ["shell", "dockerfile", "yaml", "hcl", "groovy", "text"];
+
+// Tools whose first non-flag argument is a subcommand worth its own colour (`git commit`, `kubectl get`…).
+const SUBCOMMAND_TOOLS = new Set(["git", "docker", "kubectl", "terraform", "npm", "helm", "gh", "brew", "apt", "apk", "jenkins-cli"]);
+const DOCKERFILE = /^\s*(FROM|RUN|CMD|LABEL|EXPOSE|ENV|ADD|COPY|ENTRYPOINT|VOLUME|USER|WORKDIR|ARG|ONBUILD|STOPSIGNAL|HEALTHCHECK|SHELL)\b/i;
+
+/** A best guess when the chapter doesn't say: Dockerfile instructions, YAML keys, HCL/Groovy blocks, else shell. */
+export function guessLang(code) {
+  const lines = code.split("\n").filter((l) => l.trim() && !/^\s*(#|\/\/)/.test(l));
+  if (!lines.length) return "shell";
+  if (lines.every((l) => DOCKERFILE.test(l) || /^\s/.test(l))) return "dockerfile";
+  if (/^\s*(pipeline|post|triggers|environment|stages?|steps)\s*[{(]/m.test(code)) return "groovy";
+  if (/^\s*[\w-]+\s+("[^"]*"\s*)*\{\s*$/m.test(code)) return "hcl";
+  if (/^[\w-]+:(\s|$)/m.test(lines[0]) && lines.every((l) => /^\s*(-\s|[\w.-]+:|\s)/.test(l))) return "yaml";
+  return "shell";
+}
+
+export function highlight(code, lang = guessLang(code)) {
+  const tokens = lang === "shell" ? shell(code) : lang === "dockerfile" ? dockerfile(code) : lang === "text" ? [{ type: "plain", text: code }] : config(code, lang);
+  return toLines(tokens);
+}
+
+// Split tokens at newlines so every line can be rendered (and highlighted as the active step) on its own.
+function toLines(tokens) {
+  const lines = [[]];
+  for (const t of tokens) {
+    t.text.split("\n").forEach((part, n) => {
+      if (n) lines.push([]);
+      if (part) lines[lines.length - 1].push({ type: t.type, text: part });
+    });
+  }
+  return lines;
+}
+
+/********************** Shell **********************/
+const OPERATORS = ["&&", "||", ">>", "2>", "|", ";", ">", "<", "&"];
+
+function shell(code) {
+  const out = [];
+  const push = (type, text) => { const last = out[out.length - 1]; if (last?.type === type) last.text += text; else out.push({ type, text }); };
+  let atCommand = true, tool = null, sawSub = false;
+  let i = 0;
+  while (i < code.length) {
+    const ch = code[i];
+    if (ch === "\n") { push("plain", ch); i++; if (code[i - 2] !== "\\") { atCommand = true; tool = null; } continue; }
+    if (/\s/.test(ch)) { const ws = /^[^\S\n]+/.exec(code.slice(i))[0]; push("plain", ws); i += ws.length; continue; }
+    if (ch === "#" && (i === 0 || /\s/.test(code[i - 1]))) { const c = /^[^\n]*/.exec(code.slice(i))[0]; push("comment", c); i += c.length; continue; }
+    if (ch === "'" || ch === '"') { const s = quoted(code, i); push("string", s); i += s.length; continue; }
+    if (ch === "$") { const v = /^\$(\{[^}]*\}|\(|[A-Za-z_][\w]*|[@*#?$!0-9])/.exec(code.slice(i))?.[0] ?? "$"; push("variable", v); i += v.length; if (v === "$(") atCommand = true; continue; }
+    const op = OPERATORS.find((o) => code.startsWith(o, i));
+    if (op) { push("operator", op); i += op.length; if (!op.includes(">") && op !== "<") { atCommand = true; tool = null; } continue; }
+    if (ch === ")") { push("plain", ch); i++; continue; }
+
+    const word = /^(\\.|[^\s'"|;&<>()$])+/.exec(code.slice(i))?.[0] ?? ch;
+    if (atCommand && /^\w+=/.test(word)) push("variable", word); // FOO=bar cmd
+    else if (atCommand) { push("command", word); tool = SUBCOMMAND_TOOLS.has(word) ? word : null; sawSub = false; atCommand = false; }
+    else if (word.startsWith("-")) push("flag", word);
+    else if (tool && !sawSub) { push("subcommand", word); sawSub = true; }
+    else push("plain", word);
+    i += word.length;
+  }
+  return out;
+}
+
+// A quoted string from i (may run over lines); an unclosed quote runs to the end.
+function quoted(code, i) {
+  const q = code[i];
+  let j = i + 1;
+  while (j < code.length && code[j] !== q) j += q === '"' && code[j] === "\\" ? 2 : 1;
+  return code.slice(i, j + 1);
+}
+
+/********************** Dockerfile **********************/
+function dockerfile(code) {
+  return code.split(/(?<=\n)/).flatMap((line) => {
+    const m = DOCKERFILE.exec(line);
+    if (!m) return /^\s*#/.test(line) ? [{ type: "comment", text: line }] : shell(line);
+    const rest = line.slice(m[0].length);
+    const body = /^(RUN|CMD|ENTRYPOINT)$/i.test(m[1]) && !rest.trim().startsWith("[") ? shell(rest) : config(rest, "dockerfile");
+    return [{ type: "plain", text: line.slice(0, m.index) }, { type: "keyword", text: m[1] }, ...body];
+  });
+}
+
+/********************** Config formats **********************/
+const CONFIG_KEYWORDS = {
+  hcl: /^(terraform|provider|resource|data|variable|output|module|locals|backend|required_providers)$/,
+  groovy: /^(pipeline|agent|stages|stage|steps|post|always|success|failure|environment|triggers|options|parameters|when|sh|echo|credentials|any|none)$/,
+  yaml: /^(true|false|null)$/,
+  dockerfile: /^$/,
+};
+
+function config(code, lang) {
+  const out = [];
+  const keywords = CONFIG_KEYWORDS[lang] ?? /^$/;
+  let i = 0;
+  while (i < code.length) {
+    const rest = code.slice(i);
+    const comment = /^(#|\/\/)[^\n]*/.exec(rest);
+    if (comment && (i === 0 || /\s/.test(code[i - 1]))) { out.push({ type: "comment", text: comment[0] }); i += comment[0].length; continue; }
+    if (rest[0] === '"' || rest[0] === "'") { const s = quoted(code, i); out.push({ type: "string", text: s }); i += s.length; continue; }
+    const key = lang === "yaml" ? /^[\w.-]+(?=:(\s|$))/.exec(rest) : /^[\w.-]+(?=\s*=(?!=))/.exec(rest);
+    if (key && (i === 0 || /[\s{,]/.test(code[i - 1]))) { out.push({ type: "key", text: key[0] }); i += key[0].length; continue; }
+    const num = /^\d+(\.\d+)*\b/.exec(rest);
+    if (num && (i === 0 || !/[\w.]/.test(code[i - 1]))) { out.push({ type: "number", text: num[0] }); i += num[0].length; continue; }
+    const word = /^[A-Za-z_][\w-]*/.exec(rest);
+    if (word) { out.push({ type: keywords.test(word[0]) ? "keyword" : "plain", text: word[0] }); i += word[0].length; continue; }
+    out.push({ type: "plain", text: rest[0] });
+    i++;
+  }
+  return out;
+}
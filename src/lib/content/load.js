@@ -0,0 +1,64 @@
+/**
+ * Course loader (server-side) — reads src/content/<track>/index.json and the chapter files it lists,
+ * validating each so broken content is reported instead of failing silently at play time.
+ * Chapter order, ids, prerequisites and durations all come from the manifest. Translations found next to a chapter
+ * (chapters/ch1.hi.json, see ./localize.js) ride along as `variants` for the client to apply in the player's locale.
+ */
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { DEFAULT_LOCALE, LOCALE_IDS } from "../i18n/index.js";
+import { variantFile } from "./localize.js";
+import { formatIssue, hasErrors, validateChapter, validateManifest, validateVariant } from "./validate.js";
+
+export const CONTENT_ROOT = path.join(process.cwd(), "src/content");
+
+async function readJson(file) {
+  return JSON.parse(await readFile(file, "utf8"));
+}
+
+/**
+ * → { id, title, description, issues, chapters: [{ id, index, file, title, requires, minutes, exists, data, issues, variants }] }
+ * A chapter whose file is missing or unreadable comes back with exists: false so the game can show a placeholder.
+ * `variants` maps a locale to its translation { file, data, issues }; a broken translation is left out (the
+ * chapter plays in English) but still reported.
+ */
+export async function loadCourse(track, { root = CONTENT_ROOT, log = true } = {}) {
+  const dir = path.join(root, track);
+  const manifest = await readJson(path.join(dir, "index.json"));
+  const issues = validateManifest(manifest);
+  const report = (label, list) => {
+    if (log && list.length) (hasErrors(list) ? console.error : console.warn)(`[content] ${label} failed validation:\n` + list.map((x) => formatIssue(x)).join("\n"));
+  };
+  report(`${track}/index.json`, issues);
+
+  const chapters = await Promise.all((manifest.chapters ?? []).map(async (entry, index) => {
+    const base = { id: entry.id, index, file: entry.file, title: entry.title ?? entry.id, requires: entry.requires ?? [], minutes: entry.minutes ?? null };
+    let data;
+    try { data = await readJson(path.join(dir, entry.file)); }
+    catch (e) {
+      if (log) console.warn(`[content] ${track}/${entry.file} missing or unreadable`, e.message);
+      return { ...base, exists: false, data: null, issues: [] };
+    }
+    const chapterIssues = validateChapter(data);
+    if (data?.id !== entry.id) chapterIssues.push({ level: "error", path: "id", message: `is "${data?.id}" but index.json lists this file as "${entry.id}"` });
+    report(`${track}/${entry.file}`, chapterIssues);
+    const variants = {};
+    for (const locale of LOCALE_IDS.filter((l) => l !== DEFAULT_LOCALE)) {
+      const file = variantFile(entry.file, locale);
+      let overlay;
+      try { overlay = await readJson(path.join(dir, file)); }
+      catch (e) {
+        if (e.code === "ENOENT") continue;
+        variants[locale] = { file, data: null, issues: [{ level: "error", path: "(root)", message: `invalid JSON: ${e.message}` }] };
+        report(`${track}/${file}`, variants[locale].issues);
+        continue;
+      }
+      const variantIssues = validateVariant(data, overlay);
+      report(`${track}/${file}`, variantIssues);
+      variants[locale] = { file, data: hasErrors(variantIssues) ? null : overlay, issues: variantIssues };
+    }
+    return { ...base, title: entry.title ?? data?.title ?? entry.id, exists: true, data, issues: chapterIssues, variants };
+  }));
+
+  return { id: manifest.id ?? track, title: manifest.title ?? track, description: manifest.description ?? "", issues, chapters };
+}
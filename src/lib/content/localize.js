@@ -0,0 +1,82 @@
+/**
+ * Chapter translations — a chapter may ship locale variants next to it (chapters/ch1.hi.json for chapters/ch1.json)
+ * holding only the text to replace. They are overlays, not copies: topics are matched by id, boss questions and
+ * goal checks by position, and anything a variant leaves out (a whole topic, a hint list, the lore) stays English.
+ * Only wording is taken from a variant — ids, answers, setups and XP always come from the English chapter, so a
+ * translation can never change how a question is graded.
+ *
+ *   { "id": "ch1", "title": "…", "topics": [{ "id": "t1", "lesson": "…", "quiz": { "prompt": "…", "options": […] } }],
+ *     "boss": { "intro": "…", "questions": [{ "prompt": "…" }] } }
+ */
+import { DEFAULT_LOCALE } from "../i18n/index.js";
+
+/** chapters/ch1.json → chapters/ch1.hi.json */
+export const variantFile = (file, locale) => file.replace(/\.json$/, `.${locale}.json`);
+
+// Text fields per level; lists of text (options, hints…) replace the English list as a whole.
+const CHAPTER_TEXT = ["title", "lore"];
+const TOPIC_TEXT = ["title", "lesson"];
+const BOSS_TEXT = ["title", "intro"];
+export const QUESTION_TEXT = ["prompt", "explain", "hints", "options", "items", "pairs", "motd"];
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+function pick(base, overlay, fields) {
+  if (!isObject(overlay)) return base;
+  const out = { ...base };
+  for (const f of fields) if (overlay[f] !== undefined) out[f] = overlay[f];
+  return out;
+}
+
+function localizeQuestion(q, overlay) {
+  if (!isObject(q) || !isObject(overlay)) return q;
+  const out = pick(q, overlay, QUESTION_TEXT);
+  if (isObject(q.goal) && isObject(overlay.goal)) {
+    const labels = Array.isArray(overlay.goal.checks) ? overlay.goal.checks.map((c) => c?.label) : [];
+    out.goal = { ...q.goal };
+    if (typeof overlay.goal.description === "string") out.goal.description = overlay.goal.description;
+    if (Array.isArray(q.goal.checks)) out.goal.checks = q.goal.checks.map((c, i) => (isObject(c) && typeof labels[i] === "string" ? { ...c, label: labels[i] } : c));
+  }
+  return out;
+}
+
+function localizeTopic(topic, overlay) {
+  if (!overlay) return topic;
+  const out = pick(topic, overlay, TOPIC_TEXT);
+  if (isObject(topic.demo) && isObject(overlay.demo)) {
+    out.demo = pick(topic.demo, overlay.demo, ["notes"]);
+    if (isObject(topic.demo.graph) && typeof overlay.demo.graph?.caption === "string") out.demo.graph = { ...topic.demo.graph, caption: overlay.demo.graph.caption };
+  }
+  if (topic.quiz) out.quiz = localizeQuestion(topic.quiz, overlay.quiz);
+  return out;
+}
+
+/** English chapter + variant overlay → the chapter as a player in that locale sees it. */
+export function localizeChapter(data, overlay) {
+  if (!isObject(data) || !isObject(overlay)) return data;
+  const topics = new Map((Array.isArray(overlay.topics) ? overlay.topics : []).filter(isObject).map((t) => [t.id, t]));
+  const out = pick(data, overlay, CHAPTER_TEXT);
+  if (Array.isArray(data.topics)) out.topics = data.topics.map((t) => localizeTopic(t, topics.get(t?.id)));
+  if (isObject(data.boss) && isObject(overlay.boss)) {
+    out.boss = pick(data.boss, overlay.boss, BOSS_TEXT);
+    const questions = Array.isArray(overlay.boss.questions) ? overlay.boss.questions : [];
+    if (Array.isArray(data.boss.questions)) out.boss.questions = data.boss.questions.map((q, i) => localizeQuestion(q, questions[i]));
+  }
+  return out;
+}
+
+/**
+ * A loaded course (src/lib/content/load.js) in `locale`: every chapter with a variant for it gets the translated
+ * text (and the manifest title swapped for the translated one); the rest stay English.
+ */
+export function localizeCourse(course, locale) {
+  if (locale === DEFAULT_LOCALE) return course;
+  return {
+    ...course,
+    chapters: course.chapters.map((ch) => {
+      const overlay = ch.variants?.[locale]?.data;
+      if (!ch.data || !overlay) return ch;
+      return { ...ch, title: typeof overlay.title === "string" ? overlay.title : ch.title, data: localizeChapter(ch.data, overlay) };
+    }),
+  };
+}
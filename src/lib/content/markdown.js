@@ -0,0 +1,190 @@
+/**
+ * Lesson Markdown — a small parser for the subset chapter text uses, producing a plain tree that
+ * src/components/quest/Markdown.jsx turns into React elements. Nothing is ever parsed as HTML: tags in the
+ * text stay text, and links only keep http(s), mailto and in-app targets, so authored content can't inject markup.
+ *
+ * Blocks: paragraphs, # headings, - / 1. / 1) lists (nested by indent), GFM pipe tables, ``` fences, > quotes, ---.
+ * Inline: `code`, **bold**, *italic* / _italic_, [text](url), \escapes. A single newline is a line break, since
+ * lessons were written for pre-wrapped text.
+ *
+ *   block:  { type: "paragraph", children } | { type: "heading", level, children } | { type: "code", lang, text }
+ *           | { type: "list", ordered, start, items: [{ children, blocks }] } | { type: "quote", blocks } | { type: "hr" }
+ *           | { type: "table", align: ["left"|"center"|"right"|null], head: [children], rows: [[children]] }
+ *   inline: { type: "text", text } | { type: "code", text } | { type: "strong" | "em", children }
+ *           | { type: "link", href, children } | { type: "br" }
+ */
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const QUOTE = /^\s{0,3}>\s?(.*)$/;
+const TABLE_RULE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const SAFE_HREF = /^(https?:|mailto:|\/(?!\/)|#)/i;
+
+/** Markdown text → block tree. */
+export function parseMarkdown(text) {
+  return parseBlocks(String(text ?? "").replace(/\r\n?/g, "\n").split("\n"));
+}
+
+const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, "  ").length;
+const isTableStart = (lines, i) => lines[i].includes("|") && i + 1 < lines.length && TABLE_RULE.test(lines[i + 1]) && lines[i + 1].includes("-");
+const startsBlock = (lines, i) => FENCE.test(lines[i]) || HEADING.test(lines[i]) || HR.test(lines[i]) || ITEM.test(lines[i]) || QUOTE.test(lines[i]) || isTableStart(lines, i);
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i++; continue; }
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      const body = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) body.push(lines[i]);
+      blocks.push({ type: "code", lang: fence[2] || null, text: body.join("\n") });
+      i++;
+      continue;
+    }
+    const heading = HEADING.exec(line);
+    if (heading) { blocks.push({ type: "heading", level: heading[1].length, children: parseInline(heading[2]) }); i++; continue; }
+    if (HR.test(line)) { blocks.push({ type: "hr" }); i++; continue; }
+    if (isTableStart(lines, i)) { i = parseTable(lines, i, blocks); continue; }
+    if (QUOTE.test(line)) {
+      const body = [];
+      for (; i < lines.length && QUOTE.test(lines[i]); i++) body.push(QUOTE.exec(lines[i])[1]);
+      blocks.push({ type: "quote", blocks: parseBlocks(body) });
+      continue;
+    }
+    if (ITEM.test(line)) { i = parseList(lines, i, blocks); continue; }
+
+    const para = [line.trim()];
+    for (i++; i < lines.length && lines[i].trim() && !startsBlock(lines, i); i++) para.push(lines[i].trim());
+    blocks.push({ type: "paragraph", children: joinLines(para) });
+  }
+  return blocks;
+}
+
+// Lines of one paragraph or list item, with a hard break between each.
+const joinLines = (lines) => lines.flatMap((l, n) => (n ? [{ type: "br" }, ...parseInline(l)] : parseInline(l)));
+
+function parseList(lines, i, blocks) {
+  const first = ITEM.exec(lines[i]);
+  const base = indentOf(lines[i]);
+  const ordered = /\d/.test(first[2]);
+  const list = { type: "list", ordered, start: ordered ? parseInt(first[2], 10) : 1, items: [] };
+  while (i < lines.length) {
+    const m = ITEM.exec(lines[i]);
+    if (!m || indentOf(lines[i]) !== base || /\d/.test(m[2]) !== ordered) break;
+    const text = [m[3]];
+    const nested = [];
+    // The item runs on over deeper-indented lines: a nested list, or continuation text.
+    for (i++; i < lines.length && lines[i].trim() && indentOf(lines[i]) > base; i++) {
+      if (nested.length || ITEM.test(lines[i])) nested.push(lines[i]);
+      else text.push(lines[i].trim());
+    }
+    list.items.push({ children: joinLines(text), blocks: nested.length ? parseBlocks(dedent(nested)) : [] });
+    // A blank line followed by another item at this depth keeps the list going.
+    if (i < lines.length && !lines[i].trim() && i + 1 < lines.length && ITEM.test(lines[i + 1]) && indentOf(lines[i + 1]) === base) i++;
+  }
+  blocks.push(list);
+  return i;
+}
+
+function dedent(lines) {
+  const cut = Math.min(...lines.map(indentOf));
+  return lines.map((l) => l.replace(/\t/g, "  ").slice(cut));
+}
+
+const cells = (line) => line.trim().replace(/^\|/, "").replace(/(?<!\\)\|$/, "").split(/(?<!\\)\|/).map((c) => c.trim().replace(/\\\|/g, "|"));
+
+function parseTable(lines, i, blocks) {
+  const head = cells(lines[i]);
+  const align = cells(lines[i + 1]).map((c) => (c.startsWith(":") && c.endsWith(":") ? "center" : c.endsWith(":") ? "right" : c.startsWith(":") ? "left" : null));
+  const rows = [];
+  for (i += 2; i < lines.length && lines[i].trim() && lines[i].includes("|"); i++) {
+    const row = cells(lines[i]);
+    rows.push(head.map((_, c) => parseInline(row[c] ?? "")));
+  }
+  blocks.push({ type: "table", align: head.map((_, c) => align[c] ?? null), head: head.map((c) => parseInline(c)), rows });
+  return i;
+}
+
+/********************** Inline **********************/
+const isWord = (ch) => !!ch && /[\p{L}\p{N}]/u.test(ch);
+const ESCAPABLE = "\\`*_[]()#+-.!|>~";
+
+/** Inline Markdown → nodes (adjacent text merged). */
+export function parseInline(text) {
+  const out = [];
+  const push = (node) => {
+    const last = out[out.length - 1];
+    if (node.type === "text" && last?.type === "text") last.text += node.text;
+    else out.push(node);
+  };
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === "\\" && ESCAPABLE.includes(text[i + 1] ?? "")) { push({ type: "text", text: text[i + 1] }); i += 2; continue; }
+
+    if (ch === "`") {
+      const ticks = /^`+/.exec(text.slice(i))[0];
+      const end = text.indexOf(ticks, i + ticks.length);
+      if (end > 0) {
+        const body = text.slice(i + ticks.length, end);
+        push({ type: "code", text: /^ .* $/.test(body) ? body.slice(1, -1) : body });
+        i = end + ticks.length;
+        continue;
+      }
+      push({ type: "text", text: ticks }); i += ticks.length; continue;
+    }
+
+    if (ch === "*" || ch === "_") {
+      const span = emphasis(text, i);
+      if (span) { push({ type: span.type, children: parseInline(span.inner) }); i = span.end; continue; }
+      const run = new RegExp(`^\\${ch}+`).exec(text.slice(i))[0];
+      push({ type: "text", text: run }); i += run.length; continue;
+    }
+
+    if (ch === "[") {
+      const link = /^\[([^\]]+)\]\(\s*([^\s)]+)\s*\)/.exec(text.slice(i));
+      if (link) {
+        const children = parseInline(link[1]);
+        if (SAFE_HREF.test(link[2])) push({ type: "link", href: link[2], children });
+        else children.forEach(push);
+        i += link[0].length;
+        continue;
+      }
+    }
+
+    let j = i + 1;
+    while (j < text.length && !"\\`*_[".includes(text[j])) j++;
+    push({ type: "text", text: text.slice(i, j) });
+    i = j;
+  }
+  return out;
+}
+
+// **strong** / *em* (and the _ forms) starting at i → { type, inner, end } or null. Delimiters must hug their text,
+// and _ only counts at word edges, so snake_case names and "5 * 3" stay literal.
+function emphasis(text, i) {
+  const ch = text[i];
+  const double = text[i + 1] === ch;
+  const delim = double ? ch + ch : ch;
+  if (text[i + delim.length] === ch) return null; // *** and longer runs: leave to the text
+  if (ch === "_" && isWord(text[i - 1])) return null;
+  const open = i + delim.length;
+  if (!text[open] || /\s/.test(text[open])) return null;
+  for (let end = text.indexOf(delim, open + 1); end > 0; end = text.indexOf(delim, end + 1)) {
+    if (/\s/.test(text[end - 1]) || text[end + delim.length] === ch || text[end - 1] === ch) continue;
+    if (ch === "_" && isWord(text[end + delim.length])) continue;
+    const inner = text.slice(open, end);
+    if (inner.includes("`") && (inner.match(/`/g).length % 2)) continue; // don't close inside a code span
+    return { type: double ? "strong" : "em", inner, end: end + delim.length };
+  }
+  return null;
+}
+
+/** Visible text of a node list (for titles, aria labels…). */
+export const plainText = (nodes) => nodes.map((n) => (n.type === "br" ? "\n" : n.text ?? plainText(n.children ?? []))).join("");
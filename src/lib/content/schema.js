@@ -0,0 +1,261 @@
+/**
+ * Content schema — the formal shape of chapter JSON (chapter → topics → demo/quiz, boss → questions).
+ * Specs are plain objects built from the small combinators below and checked by `validate()` in ./validate.js,
+ * which is shared by the in-game loader and `npm run lint:content`.
+ *
+ * Issue levels: "error" breaks play (bad answer index, unknown type…); "warning" is content quality
+ * (missing `explain`, XP outside XP_RANGE). The loader only logs warnings; the lint command fails on both.
+ */
+import { GOAL_CHECKS } from "../git-sim/goals.js";
+import { answerTextProblem, checkAnswer } from "../quest/answers.js";
+import { HIGHLIGHT_LANGS } from "./highlight.js";
+import { MAX_CONFLICTS, rebaseConfigProblem } from "../quest/minigames/index.js";
+
+export const XP_RANGE = { min: 10, max: 200 };
+
+/********************** Combinators **********************/
+export const s = {
+  string: (o = {}) => ({ kind: "string", ...o }),
+  number: (o = {}) => ({ kind: "number", ...o }),
+  integer: (o = {}) => ({ kind: "number", integer: true, ...o }),
+  boolean: (o = {}) => ({ kind: "boolean", ...o }),
+  array: (of, o = {}) => ({ kind: "array", of, ...o }),
+  object: (fields, o = {}) => ({ kind: "object", fields, ...o }),
+  record: (of, o = {}) => ({ kind: "record", of, ...o }),
+  /** Discriminated union on `key` (e.g. quiz `type`). */
+  union: (key, variants, o = {}) => ({ kind: "union", key, variants, ...o }),
+  any: (o = {}) => ({ kind: "any", ...o }),
+};
+
+/********************** Questions **********************/
+const xp = s.integer({ level: "warning", min: XP_RANGE.min, max: XP_RANGE.max });
+const explain = s.string({ required: true, level: "warning", nonEmpty: true });
+const prompt = s.string({ required: true, nonEmpty: true });
+// Progressive hints bought with coins (src/lib/quest/hints.js), revealed in order.
+const hints = s.array(s.string({ nonEmpty: true }), { maxItems: 5 });
+// Typed answers: a string, or an array of accepted answers and "/regex/flags" patterns (src/lib/quest/answers.js).
+const answerText = s.any({ required: true, check: answerTextProblem });
+
+const goalCheck = s.any({
+  check: (c) => {
+    if (!c || typeof c !== "object" || Array.isArray(c)) return "must be an object like { \"head\": \"main\" }";
+    const keys = Object.keys(c).filter((k) => k !== "label");
+    if (keys.length !== 1) return `must have exactly one check key (found ${keys.length ? keys.join(", ") : "none"})`;
+    if (!GOAL_CHECKS.includes(keys[0])) return `unknown check "${keys[0]}" (known: ${GOAL_CHECKS.join(", ")})`;
+    return null;
+  },
+});
+
+const repoSetup = s.object({
+  init: s.boolean(),
+  commits: s.array(s.object({
+    id: s.string({ required: true, nonEmpty: true }),
+    message: s.string(),
+    parents: s.array(s.string()),
+    files: s.record(s.string()),
+    deleted: s.array(s.string()),
+  })),
+  branches: s.record(s.string()),
+  tags: s.record(s.string()),
+  head: s.string(),
+  staged: s.record(s.string()),
+  workdir: s.record(s.string()),
+  remotes: s.record(s.object({ url: s.string(), branches: s.record(s.string()), tracking: s.record(s.string()) })),
+  upstreams: s.record(s.string()),
+}, {
+  check: (setup) => {
+    const ids = new Set((setup.commits ?? []).map((c) => c.id));
+    const bad = [
+      ...(setup.commits ?? []).flatMap((c) => (c.parents ?? []).filter((p) => !ids.has(p))),
+      ...Object.values(setup.branches ?? {}).filter((id) => !ids.has(id)),
+    ];
+    return bad.length ? `references unknown commit id${bad.length > 1 ? "s" : ""}: ${[...new Set(bad)].join(", ")}` : null;
+  },
+});
+
+export const QUESTION_TYPES = {
+  mcq: s.object({
+    type: s.string(), prompt, explain, xp, hints,
+    options: s.array(s.string({ nonEmpty: true }), { required: true, minItems: 2 }),
+    answer: s.integer({ required: true, min: 0 }),
+  }, {
+    check: (q) => (Array.isArray(q.options) && Number.isInteger(q.answer) && q.answer >= q.options.length
+      ? { path: "answer", message: `index ${q.answer} is out of range for ${q.options.length} options (valid: 0–${q.options.length - 1})` }
+      : null),
+  }),
+  blank: s.object({
+    type: s.string(), prompt, explain, xp, hints, answerText,
+  }),
+  multi: s.object({
+    type: s.string(), prompt, explain, xp, hints,
+    options: s.array(s.string({ nonEmpty: true }), { required: true, minItems: 2 }),
+    answers: s.array(s.integer({ min: 0 }), { required: true, minItems: 1 }),
+  }, {
+    check: (q) => {
+      if (!Array.isArray(q.options) || !Array.isArray(q.answers)) return null;
+      const bad = q.answers.filter((a) => Number.isInteger(a) && a >= q.options.length);
+      if (bad.length) return { path: "answers", message: `index ${bad.join(", ")} is out of range for ${q.options.length} options` };
+      if (new Set(q.answers).size !== q.answers.length) return { path: "answers", message: "lists the same option twice" };
+      return null;
+    },
+  }),
+  order: s.object({
+    type: s.string(), prompt, explain, xp, hints,
+    items: s.array(s.string({ nonEmpty: true }), { required: true, minItems: 2 }),
+  }, {
+    check: (q) => (Array.isArray(q.items) && new Set(q.items).size !== q.items.length ? { path: "items", message: "items must be unique (they are listed in the correct order)" } : null),
+  }),
+  match: s.object({
+    type: s.string(), prompt, explain, xp, hints,
+    pairs: s.array(s.array(s.string({ nonEmpty: true })), { required: true, minItems: 2 }),
+  }, {
+    check: (q) => {
+      if (!Array.isArray(q.pairs)) return null;
+      const bad = q.pairs.findIndex((p) => !Array.isArray(p) || p.length !== 2);
+      if (bad >= 0) return { path: `pairs[${bad}]`, message: "must be a [left, right] pair" };
+      if (new Set(q.pairs.map((p) => p[1])).size !== q.pairs.length) return { path: "pairs", message: "right-hand sides must be unique" };
+      return null;
+    },
+  }),
+  fix: s.object({
+    type: s.string(), prompt, explain, xp, hints,
+    broken: s.string({ required: true, nonEmpty: true }), answerText,
+  }, {
+    check: (q) => (typeof q.broken === "string" && !answerTextProblem(q.answerText) && checkAnswer(q.answerText, q.broken).ok ? { path: "broken", message: "already matches answerText — nothing to fix" } : null),
+  }),
+  terminal: s.object({
+    type: s.string(), prompt, explain, xp, hints,
+    motd: s.string(),
+    setup: repoSetup,
+    goal: s.object({
+      description: s.string(),
+      checks: s.array(goalCheck, { required: true, minItems: 1 }),
+    }, { required: true }),
+  }),
+};
+
+export const question = (o = {}) => s.union("type", QUESTION_TYPES, o);
+
+/********************** Chapter **********************/
+const demo = s.object({
+  code: s.string({ required: true }),
+  // Highlighting language (src/lib/content/highlight.js); guessed from the code when left out.
+  lang: s.string({ check: (l) => (HIGHLIGHT_LANGS.includes(l) ? null : `unknown lang "${l}" (expected one of: ${HIGHLIGHT_LANGS.join(", ")})`) }),
+  notes: s.string(),
+  graph: s.object({
+    caption: s.string(),
+    setup: repoSetup,
+    steps: s.array(s.any({
+      check: (st) => (typeof st === "string" || (st && typeof st.run === "string") ? null : "must be a command string or { \"run\": \"…\", \"caption\": \"…\" }"),
+    }), { required: true, minItems: 1 }),
+  }),
+});
+
+export const topic = s.object({
+  id: s.string({ required: true, nonEmpty: true }),
+  title: s.string({ required: true, nonEmpty: true }),
+  lesson: s.string({ required: true, level: "warning" }),
+  demo,
+  quiz: question(),
+});
+
+export const boss = s.object({
+  id: s.string(),
+  title: s.string({ required: true, nonEmpty: true }),
+  intro: s.string(),
+  questions: s.array(question(), { required: true, minItems: 1 }),
+  // Battle tuning (src/lib/quest/boss.js): lives before defeat, optional per-question timer, base XP.
+  lives: s.integer({ min: 1, max: 10 }),
+  timePerQuestion: s.integer({ min: 5, max: 600 }),
+  xp: s.integer({ level: "warning", min: XP_RANGE.min, max: 500 }),
+});
+
+// Played after the chapter is cleared (registry: src/lib/quest/minigames); `config` is per game.
+const seed = s.string({ nonEmpty: true });
+export const MINIGAME_CONFIGS = {
+  "merge-maze": s.object({ seed, levels: s.integer({ min: 1, max: 5 }), conflicts: s.integer({ min: 1, max: MAX_CONFLICTS }) }),
+  "rebase-reorder": s.object({
+    seed,
+    commits: s.array(s.object({
+      id: s.string({ required: true, nonEmpty: true }),
+      message: s.string({ required: true, nonEmpty: true }),
+      after: s.array(s.string()),
+      fixup: s.string(),
+      drop: s.boolean(),
+    }), { required: true, minItems: 3, maxItems: 10, uniqueBy: "id", check: rebaseConfigProblem }),
+  }, { required: true }),
+  bisect: s.object({ seed, commits: s.integer({ min: 4, max: 64 }), slack: s.integer({ min: 0, max: 5 }) }),
+};
+const minigame = s.union("id", Object.fromEntries(Object.entries(MINIGAME_CONFIGS).map(([id, config]) => [id, s.object({ id: s.string(), config })])));
+
+export const chapter = s.object({
+  id: s.string({ required: true, nonEmpty: true }),
+  title: s.string({ required: true, nonEmpty: true }),
+  lore: s.string(),
+  topics: s.array(topic, { required: true, minItems: 1, uniqueBy: "id" }),
+  boss: { ...boss, required: true },
+  minigame,
+});
+
+/********************** Chapter translations (chapters/<id>.<locale>.json, merged by ./localize.js) **********************/
+// Only wording: fields left out fall back to English, and the lists must line up with the English ones (checked
+// against the chapter by validateVariant in ./validate.js).
+const text = s.string({ nonEmpty: true });
+const questionText = s.object({
+  prompt: text, explain: text, hints,
+  options: s.array(text), items: s.array(text), pairs: s.array(s.array(text)),
+  motd: s.string(),
+  goal: s.object({ description: s.string(), checks: s.array(s.object({ label: text })) }),
+});
+
+export const chapterVariant = s.object({
+  id: s.string({ required: true, nonEmpty: true }),
+  title: text,
+  lore: s.string(),
+  topics: s.array(s.object({
+    id: s.string({ required: true, nonEmpty: true }),
+    title: text,
+    lesson: s.string(),
+    demo: s.object({ notes: s.string(), graph: s.object({ caption: s.string() }) }),
+    quiz: questionText,
+  }), { uniqueBy: "id" }),
+  boss: s.object({ title: text, intro: s.string(), questions: s.array(questionText) }),
+});
+
+/********************** Course manifest (src/content/<track>/index.json) **********************/
+export const manifest = s.object({
+  id: s.string({ required: true, nonEmpty: true }),
+  title: s.string({ required: true, nonEmpty: true }),
+  description: s.string(),
+  chapters: s.array(s.object({
+    id: s.string({ required: true, nonEmpty: true }),
+    file: s.string({ required: true, nonEmpty: true }),
+    title: s.string(),
+    requires: s.array(s.string()),
+    minutes: s.integer({ level: "warning", min: 1, max: 240 }),
+  }), { required: true, minItems: 1, uniqueBy: "id" }),
+}, {
+  check: (m) => {
+    const entries = Array.isArray(m.chapters) ? m.chapters : [];
+    const ids = new Set(entries.map((c) => c.id));
+    for (const [i, c] of entries.entries()) {
+      const unknown = (c.requires ?? []).filter((r) => !ids.has(r) || r === c.id);
+      if (unknown.length) return { path: `chapters[${i}].requires`, message: `unknown or self prerequisite: ${unknown.join(", ")}` };
+    }
+    // Prerequisites must not loop, or those chapters could never unlock.
+    const state = {};
+    const visit = (id, trail) => {
+      if (state[id] === "done") return null;
+      if (state[id] === "open") return [...trail, id];
+      state[id] = "open";
+      for (const r of entries.find((c) => c.id === id)?.requires ?? []) { const loop = visit(r, [...trail, id]); if (loop) return loop; }
+      state[id] = "done";
+      return null;
+    };
+    for (const c of entries) {
+      const loop = visit(c.id, []);
+      if (loop) return { path: "chapters", message: `prerequisite cycle: ${loop.join(" → ")}` };
+    }
+    return null;
+  },
+});
@@ -0,0 +1,134 @@
+/**
+ * Content validator — walks a value against a spec from ./schema.js and collects issues.
+ * Issues are { level: "error" | "warning", path: "topics[2].quiz.answer", message }.
+ */
+import { chapter as chapterSpec, chapterVariant as variantSpec, manifest as manifestSpec } from "./schema.js";
+import { localizeChapter } from "./localize.js";
+
+const typeOf = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : typeof v);
+
+export function validate(spec, value, path = "", issues = []) {
+  const level = spec.level ?? "error";
+  const at = path || "(root)";
+  const push = (message, lvl = level) => issues.push({ level: lvl, path: at, message });
+
+  if (value === undefined) {
+    if (spec.required) push("is required");
+    return issues;
+  }
+
+  switch (spec.kind) {
+    case "string":
+      if (typeof value !== "string") { push(`must be a string (got ${typeOf(value)})`); return issues; }
+      if (spec.nonEmpty && !value.trim()) push("must not be empty");
+      break;
+    case "number":
+      if (typeof value !== "number" || Number.isNaN(value)) { push(`must be a number (got ${typeOf(value)})`); return issues; }
+      if (spec.integer && !Number.isInteger(value)) push("must be a whole number");
+      if (spec.min != null && value < spec.min) push(`must be ≥ ${spec.min} (got ${value})`);
+      if (spec.max != null && value > spec.max) push(`must be ≤ ${spec.max} (got ${value})`);
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") { push(`must be true or false (got ${typeOf(value)})`); return issues; }
+      break;
+    case "array":
+      if (!Array.isArray(value)) { push(`must be an array (got ${typeOf(value)})`); return issues; }
+      if (spec.minItems != null && value.length < spec.minItems) push(`must have at least ${spec.minItems} item${spec.minItems > 1 ? "s" : ""}`);
+      if (spec.maxItems != null && value.length > spec.maxItems) push(`must have at most ${spec.maxItems} item${spec.maxItems > 1 ? "s" : ""}`);
+      value.forEach((item, i) => validate(spec.of, item, `${path}[${i}]`, issues));
+      if (spec.uniqueBy) {
+        const seen = new Map();
+        value.forEach((item, i) => {
+          const key = item?.[spec.uniqueBy];
+          if (key == null) return;
+          if (seen.has(key)) issues.push({ level: "error", path: `${path}[${i}].${spec.uniqueBy}`, message: `duplicate ${spec.uniqueBy} "${key}" (first used at ${path}[${seen.get(key)}])` });
+          else seen.set(key, i);
+        });
+      }
+      break;
+    case "object":
+    case "record":
+      if (typeOf(value) !== "object") { push(`must be an object (got ${typeOf(value)})`); return issues; }
+      if (spec.kind === "record") {
+        for (const [k, v] of Object.entries(value)) validate(spec.of, v, `${path}.${k}`, issues);
+        break;
+      }
+      for (const [k, sub] of Object.entries(spec.fields)) validate(sub, value[k], path ? `${path}.${k}` : k, issues);
+      break;
+    case "union": {
+      if (typeOf(value) !== "object") { push(`must be an object (got ${typeOf(value)})`); return issues; }
+      const tag = value[spec.key];
+      const variant = Object.hasOwn(spec.variants, tag) ? spec.variants[tag] : null;
+      if (!variant) {
+        issues.push({ level: "error", path: path ? `${path}.${spec.key}` : spec.key, message: `unknown ${spec.key} "${tag}" (expected one of: ${Object.keys(spec.variants).join(", ")})` });
+        return issues;
+      }
+      validate(variant, value, path, issues);
+      break;
+    }
+    default:
+      break;
+  }
+  if (spec.check) {
+    // A check may return a message, or { path, message } to point at a child field.
+    const res = spec.check(value);
+    if (typeof res === "string") push(res);
+    else if (res) issues.push({ level, path: path ? `${path}.${res.path}` : res.path, message: res.message });
+  }
+  return issues;
+}
+
+/** Validate one chapter's JSON → issues (empty when valid). */
+export function validateChapter(data) {
+  return validate(chapterSpec, data);
+}
+
+/**
+ * Validate a chapter translation (chapters/<id>.<locale>.json) against its English chapter → issues. Besides the
+ * variant's own shape: it must name the same chapter, its topics and boss questions must exist in English, its
+ * lists must line up with the English ones (answers are indexes into them), and the merged chapter must still play.
+ */
+export function validateVariant(data, overlay) {
+  const issues = validate(variantSpec, overlay);
+  if (hasErrors(issues) || !data || typeof data !== "object") return issues;
+  if (overlay.id !== data.id) issues.push({ level: "error", path: "id", message: `is "${overlay.id}" but the English chapter is "${data.id}"` });
+
+  const topics = new Map((data.topics ?? []).map((t) => [t?.id, t]));
+  (overlay.topics ?? []).forEach((t, i) => {
+    const base = topics.get(t.id);
+    if (!base) issues.push({ level: "warning", path: `topics[${i}].id`, message: `no topic "${t.id}" in the English chapter, so this translation is never shown` });
+    else sameLists(base.quiz, t.quiz, `topics[${i}].quiz`, issues);
+  });
+  (overlay.boss?.questions ?? []).forEach((q, i) => {
+    const base = data.boss?.questions?.[i];
+    if (!base) issues.push({ level: "warning", path: `boss.questions[${i}]`, message: `the English boss has no question ${i + 1}, so this translation is never shown` });
+    else sameLists(base, q, `boss.questions[${i}]`, issues);
+  });
+
+  if (hasErrors(issues)) return issues;
+  for (const x of validateChapter(localizeChapter(data, overlay))) {
+    if (x.level === "error") issues.push({ ...x, message: `${x.message} (in the translated chapter)` });
+  }
+  return issues;
+}
+
+function sameLists(base, q, path, issues) {
+  if (!q) return;
+  if (!base) { issues.push({ level: "warning", path, message: "the English topic has no quiz, so this translation is never shown" }); return; }
+  for (const field of ["options", "items", "pairs", "hints"]) {
+    if (!Array.isArray(q[field])) continue;
+    const want = Array.isArray(base[field]) ? base[field].length : 0;
+    if (q[field].length !== want) issues.push({ level: "error", path: `${path}.${field}`, message: `has ${q[field].length} entr${q[field].length === 1 ? "y" : "ies"} but the English question has ${want} — translate every entry, in the same order` });
+  }
+}
+
+/** Validate a course manifest (src/content/<track>/index.json) → issues. */
+export function validateManifest(data) {
+  return validate(manifestSpec, data);
+}
+
+export const hasErrors = (issues) => issues.some((i) => i.level === "error");
+
+export function formatIssue(issue, file) {
+  return `${file ? `${file}: ` : ""}${issue.level} at ${issue.path} — ${issue.message}`;
+}
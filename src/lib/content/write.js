@@ -0,0 +1,43 @@
+/**
+ * Course writer (server-side, dev only) — saves a chapter from the /author editor into src/content/<track>/,
+ * adding it to index.json when it is new. Refuses chapters with validation errors, so the game never loads a file
+ * the editor already knew was broken.
+ */
+import { readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { CHAPTER_ID, chapterFile, formatChapter, tidyChapter } from "./author.js";
+import { CONTENT_ROOT } from "./load.js";
+import { hasErrors, validateChapter } from "./validate.js";
+
+export class ContentWriteError extends Error {
+  constructor(message, status = 400, issues = []) { super(message); this.name = "ContentWriteError"; this.status = status; this.issues = issues; }
+}
+
+// Write through a temp file so a crash mid-write never leaves half a chapter behind.
+async function writeAtomic(file, text) {
+  await writeFile(`${file}.tmp`, text);
+  await rename(`${file}.tmp`, file);
+}
+
+/** → { file, created, issues (warnings) } */
+export async function writeChapter(track, chapter, { root = CONTENT_ROOT } = {}) {
+  if (!CHAPTER_ID.test(chapter?.id ?? "")) throw new ContentWriteError("chapter id must be letters, digits, - or _ (it names the file)");
+  const issues = validateChapter(tidyChapter(chapter));
+  if (hasErrors(issues)) throw new ContentWriteError("fix the validation errors before saving", 422, issues);
+
+  const dir = path.join(root, track);
+  const manifestFile = path.join(dir, "index.json");
+  const manifest = JSON.parse(await readFile(manifestFile, "utf8"));
+  const entry = manifest.chapters.find((c) => c.id === chapter.id);
+  const file = entry?.file ?? chapterFile(chapter.id);
+  const target = path.resolve(dir, file);
+  if (!target.startsWith(dir + path.sep)) throw new ContentWriteError(`index.json points ${chapter.id} outside the course folder`, 500);
+
+  await writeAtomic(target, formatChapter(chapter));
+  if (!entry) {
+    const last = manifest.chapters.at(-1);
+    manifest.chapters.push({ id: chapter.id, file, title: chapter.title, requires: last ? [last.id] : [] });
+    await writeAtomic(manifestFile, `${JSON.stringify(manifest, null, 2)}\n`);
+  }
+  return { file: `src/content/${track}/${file}`, created: !entry, issues };
+}
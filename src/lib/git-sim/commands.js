@@ -0,0 +1,568 @@
+/**
+ * Git Sim — command interpreter
+ * Runs one shell line against a repo and returns the next repo plus terminal output; the input repo is never mutated.
+ * Supports the Git porcelain the chapters teach (init/add/commit/branch/checkout/switch/merge/rebase/log/status,
+ * reset, tag, stash, cherry-pick, remote/push/fetch/pull) and a few shell helpers (touch, echo >, cat, ls, rm).
+ */
+import {
+  DEFAULT_BRANCH, cloneRepo, commitsBetween, currentBranch, headCommit, isAncestor, mergeBase,
+  newCommitId, refsByCommit, resolveRef, statusOf, topoOrder, treeOf,
+} from "./repo.js";
+
+class GitError extends Error {}
+const fail = (msg) => { throw new GitError(msg); };
+
+/********************** Parsing **********************/
+/** Split a command line into words, honouring single/double quotes and `>`/`>>` redirects. */
+export function tokenize(line) {
+  const out = [];
+  let cur = null, quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) { if (ch === quote) quote = null; else cur += ch; continue; }
+    if (ch === '"' || ch === "'") { quote = ch; cur ??= ""; continue; }
+    if (/\s/.test(ch)) { if (cur != null) { out.push(cur); cur = null; } continue; }
+    if (ch === ">") {
+      if (cur != null) { out.push(cur); cur = null; }
+      if (line[i + 1] === ">") { out.push(">>"); i++; } else out.push(">");
+      continue;
+    }
+    cur = (cur ?? "") + ch;
+  }
+  if (quote) fail("unterminated quote");
+  if (cur != null) out.push(cur);
+  return out;
+}
+
+/** Flags → { flags, rest }. `valueFlags` lists flags that consume the next word (e.g. -m). Combined short flags like -am expand. */
+function parseArgs(args, valueFlags = []) {
+  const flags = {}, rest = [];
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--") { rest.push(...args.slice(i + 1)); break; }
+    if (a.startsWith("--")) {
+      const [k, v] = a.split("=");
+      flags[k] = v ?? (valueFlags.includes(k) ? args[++i] : true);
+    } else if (a.startsWith("-") && a.length > 1) {
+      const letters = a.slice(1).split("");
+      letters.forEach((l, j) => {
+        const k = `-${l}`;
+        flags[k] = valueFlags.includes(k) && j === letters.length - 1 ? args[++i] : true;
+      });
+    } else rest.push(a);
+  }
+  return { flags, rest };
+}
+
+/********************** Tree helpers **********************/
+function changedPaths(a, b) {
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].filter((k) => a[k] !== b[k]);
+}
+
+/** Three-way merge of file trees. Returns the merged tree plus any conflicted paths (written with markers). */
+function mergeTrees(base, ours, theirs, theirLabel) {
+  const tree = {}, conflicts = [];
+  for (const p of new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)])) {
+    const b = base[p], o = ours[p], t = theirs[p];
+    let v;
+    if (o === t || t === b) v = o;
+    else if (o === b) v = t;
+    else { conflicts.push(p); v = `<<<<<<< HEAD\n${o ?? ""}=======\n${t ?? ""}>>>>>>> ${theirLabel}\n`; }
+    if (v !== undefined) tree[p] = v;
+  }
+  return { tree, conflicts: conflicts.sort() };
+}
+
+/** Move HEAD's checkout to `targetId`, carrying local changes along like Git does (and refusing when they'd be overwritten). */
+function checkoutTree(repo, targetId) {
+  const from = treeOf(repo, headCommit(repo)), to = treeOf(repo, targetId);
+  const dirtyIndex = changedPaths(from, repo.index);
+  const dirtyWork = changedPaths(repo.index, repo.workdir);
+  const blocked = [...new Set([...dirtyIndex, ...dirtyWork])].filter((p) => from[p] !== to[p] && !(p in repo.workdir && !(p in repo.index) && !(p in to)));
+  if (blocked.length) fail(`error: Your local changes to the following files would be overwritten by checkout:\n\t${blocked.join("\n\t")}\nPlease commit your changes or stash them before you switch branches.`);
+  const index = { ...to };
+  for (const p of dirtyIndex) { if (p in repo.index) index[p] = repo.index[p]; else delete index[p]; }
+  const workdir = { ...index };
+  for (const p of dirtyWork) { if (p in repo.workdir) workdir[p] = repo.workdir[p]; else delete workdir[p]; }
+  repo.index = index;
+  repo.workdir = workdir;
+}
+
+function requireRepo(repo) {
+  if (!repo.initialized) fail("fatal: not a git repository (or any of the parent directories): .git");
+}
+
+function requireCommit(repo, ref) {
+  const id = resolveRef(repo, ref);
+  if (!id) fail(`fatal: '${ref}' is not a commit and a branch '${ref}' cannot be created from it`);
+  return id;
+}
+
+function short(repo, id) { return `${id} ${repo.commits[id]?.message.split("\n")[0] ?? ""}`; }
+
+function addCommit(repo, parents, message, tree) {
+  const id = newCommitId(repo, parents, message);
+  repo.commits[id] = { id, parents, message, tree: { ...tree }, order: repo.seq };
+  return id;
+}
+
+/** Advance whatever HEAD points at (the current branch, or HEAD itself when detached). */
+function moveHead(repo, id) {
+  if (repo.head.detached) repo.head = { detached: id };
+  else repo.branches[repo.head.branch] = id;
+}
+
+/** Replay `ids` (oldest first) onto `onto`; throws on conflict so callers can leave the repo untouched. */
+function replay(repo, ids, onto, verb) {
+  let tip = onto;
+  for (const id of ids) {
+    const c = repo.commits[id];
+    const { tree, conflicts } = mergeTrees(treeOf(repo, c.parents[0]), treeOf(repo, tip), c.tree, id);
+    if (conflicts.length) fail(`CONFLICT (content): Merge conflict in ${conflicts.join(", ")}\nerror: could not apply ${short(repo, id)}\nThe simulator aborted the ${verb}; your branch is unchanged.`);
+    tip = addCommit(repo, [tip], c.message, tree);
+  }
+  return tip;
+}
+
+/********************** Git commands **********************/
+const git = {
+  init(repo) {
+    if (repo.initialized) return "Reinitialized existing Git repository in /workspace/.git/";
+    repo.initialized = true;
+    repo.head = { branch: DEFAULT_BRANCH };
+    return "Initialized empty Git repository in /workspace/.git/";
+  },
+
+  add(repo, args) {
+    requireRepo(repo);
+    const { flags, rest } = parseArgs(args);
+    const all = flags["-A"] || flags["--all"] || rest.includes(".");
+    const paths = all ? [...new Set([...Object.keys(repo.workdir), ...Object.keys(repo.index)])] : rest;
+    if (!paths.length) return "Nothing specified, nothing added.";
+    for (const p of paths) {
+      if (!(p in repo.workdir) && !(p in repo.index)) fail(`fatal: pathspec '${p}' did not match any files`);
+      if (p in repo.workdir) repo.index[p] = repo.workdir[p]; else delete repo.index[p];
+      if (repo.merging) repo.merging.conflicts = repo.merging.conflicts.filter((c) => c !== p);
+    }
+    return "";
+  },
+
+  rm(repo, args) {
+    requireRepo(repo);
+    const { flags, rest } = parseArgs(args);
+    for (const p of rest) {
+      if (!(p in repo.index)) fail(`fatal: pathspec '${p}' did not match any files`);
+      delete repo.index[p];
+      if (!flags["--cached"]) delete repo.workdir[p];
+    }
+    return rest.map((p) => `rm '${p}'`).join("\n");
+  },
+
+  commit(repo, args) {
+    requireRepo(repo);
+    const { flags } = parseArgs(args, ["-m"]);
+    if (flags["-a"] || flags["--all"]) {
+      for (const p of Object.keys(repo.index)) { if (p in repo.workdir) repo.index[p] = repo.workdir[p]; else delete repo.index[p]; }
+    }
+    if (repo.merging?.conflicts.length) fail(`error: Committing is not possible because you have unmerged files.\nhint: Fix them up in the work tree, and then use 'git add <file>'.`);
+    const parentId = headCommit(repo);
+    if (flags["--amend"]) {
+      if (!parentId) fail("fatal: You have nothing to amend.");
+      const old = repo.commits[parentId];
+      const id = addCommit(repo, old.parents, flags["-m"] ?? old.message, repo.index);
+      moveHead(repo, id);
+      return `[${currentBranch(repo) ?? "detached HEAD"} ${id}] ${repo.commits[id].message}`;
+    }
+    const message = flags["-m"] ?? repo.merging?.message;
+    if (!message) fail("Aborting commit due to empty commit message. (use -m \"message\")");
+    if (!repo.merging && !changedPaths(treeOf(repo, parentId), repo.index).length) {
+      fail(`On branch ${currentBranch(repo) ?? "(detached)"}\nnothing to commit, working tree clean`);
+    }
+    const parents = [parentId, repo.merging?.theirs].filter(Boolean);
+    const id = addCommit(repo, parents, message, repo.index);
+    const root = parentId ? "" : " (root-commit)";
+    moveHead(repo, id);
+    repo.merging = null;
+    const n = changedPaths(treeOf(repo, parentId), repo.index).length;
+    return `[${currentBranch(repo) ?? "detached HEAD"}${root} ${id}] ${message}\n ${n} file${n === 1 ? "" : "s"} changed`;
+  },
+
+  status(repo) {
+    requireRepo(repo);
+    const s = statusOf(repo);
+    const lines = [repo.head.detached ? `HEAD detached at ${repo.head.detached}` : `On branch ${repo.head.branch}`];
+    const up = repo.upstreams[repo.head.branch];
+    const upId = up && resolveRef(repo, up);
+    if (upId && headCommit(repo)) {
+      const ahead = commitsBetween(repo, upId, headCommit(repo)).length, behind = commitsBetween(repo, headCommit(repo), upId).length;
+      lines.push(ahead || behind ? `Your branch is ${ahead ? `ahead of '${up}' by ${ahead} commit${ahead > 1 ? "s" : ""}` : `behind '${up}' by ${behind} commit${behind > 1 ? "s" : ""}`}.` : `Your branch is up to date with '${up}'.`);
+    }
+    if (!headCommit(repo)) lines.push("", "No commits yet");
+    if (repo.merging) lines.push("", repo.merging.conflicts.length ? "You have unmerged paths.\n  (fix conflicts and run \"git commit\")" : "All conflicts fixed but you are still merging.\n  (use \"git commit\" to conclude merge)");
+    const conflicted = repo.merging?.conflicts ?? [];
+    const staged = s.staged.filter((f) => !conflicted.includes(f.path));
+    const unstaged = s.unstaged.filter((f) => !conflicted.includes(f.path));
+    if (staged.length) lines.push("", "Changes to be committed:", ...staged.map((f) => `\t${f.kind}:   ${f.path}`));
+    if (conflicted.length) lines.push("", "Unmerged paths:", ...conflicted.map((p) => `\tboth modified:   ${p}`));
+    if (unstaged.length) lines.push("", "Changes not staged for commit:", ...unstaged.map((f) => `\t${f.kind}:   ${f.path}`));
+    if (s.untracked.length) lines.push("", "Untracked files:", ...s.untracked.map((p) => `\t${p}`));
+    if (!s.staged.length && !s.unstaged.length && !s.untracked.length && !repo.merging) lines.push(headCommit(repo) ? "nothing to commit, working tree clean" : "nothing to commit (create/copy files and use \"git add\" to track)");
+    return lines.join("\n");
+  },
+
+  log(repo, args) {
+    requireRepo(repo);
+    const { flags, rest } = parseArgs(args, ["-n"]);
+    const tips = flags["--all"] ? [headCommit(repo), ...Object.values(repo.branches), ...Object.values(repo.tags), ...Object.values(repo.remotes).flatMap((r) => Object.values(r.tracking ?? {}))] : [rest[0] ? requireCommit(repo, rest[0]) : headCommit(repo)];
+    if (!tips[0] && !flags["--all"]) fail(`fatal: your current branch '${repo.head.branch}' does not have any commits yet`);
+    const limit = flags["-n"] ? Number(flags["-n"]) : Infinity;
+    const refs = refsByCommit(repo);
+    const deco = (id) => (refs[id] ? ` (${refs[id].join(", ")})` : "");
+    const ids = topoOrder(repo, tips.filter(Boolean)).slice(0, limit);
+    if (flags["--oneline"]) return ids.map((id) => `${id}${deco(id)} ${repo.commits[id].message}`).join("\n");
+    return ids.map((id) => {
+      const c = repo.commits[id];
+      return [`commit ${id}${deco(id)}`, ...(c.parents.length > 1 ? [`Merge: ${c.parents.join(" ")}`] : []), "", `    ${c.message}`].join("\n");
+    }).join("\n\n");
+  },
+
+  branch(repo, args) {
+    requireRepo(repo);
+    const { flags, rest } = parseArgs(args);
+    const del = flags["-d"] || flags["-D"] || flags["--delete"];
+    if (del) {
+      const name = rest[0];
+      if (!(name in repo.branches)) fail(`error: branch '${name}' not found.`);
+      if (name === repo.head.branch) fail(`error: Cannot delete branch '${name}' checked out at '/workspace'`);
+      if (!flags["-D"] && !isAncestor(repo, repo.branches[name], headCommit(repo))) fail(`error: The branch '${name}' is not fully merged.\nIf you are sure you want to delete it, run 'git branch -D ${name}'.`);
+      const id = repo.branches[name];
+      delete repo.branches[name];
+      return `Deleted branch ${name} (was ${id}).`;
+    }
+    if (flags["-m"] || flags["-M"]) {
+      const [from, to] = rest.length > 1 ? rest : [repo.head.branch, rest[0]];
+      if (!to) fail("fatal: branch name required");
+      if (from in repo.branches) { repo.branches[to] = repo.branches[from]; delete repo.branches[from]; }
+      if (repo.head.branch === from) repo.head = { branch: to };
+      return "";
+    }
+    if (!rest.length) {
+      const names = [...new Set([...Object.keys(repo.branches), ...(repo.head.branch ? [repo.head.branch] : [])])].sort();
+      const lines = names.filter((n) => n in repo.branches || n === repo.head.branch).map((n) => `${n === repo.head.branch ? "*" : " "} ${n}`);
+      if (repo.head.detached) lines.unshift(`* (HEAD detached at ${repo.head.detached})`);
+      if (flags["-a"] || flags["-r"]) for (const [r, rem] of Object.entries(repo.remotes)) for (const b of Object.keys(rem.tracking ?? {})) lines.push(`  remotes/${r}/${b}`);
+      return lines.join("\n");
+    }
+    const [name, start] = rest;
+    if (name in repo.branches) fail(`fatal: a branch named '${name}' already exists`);
+    const id = start ? requireCommit(repo, start) : headCommit(repo);
+    if (!id) fail(`fatal: Not a valid object name: '${repo.head.branch}'.`);
+    repo.branches[name] = id;
+    return "";
+  },
+
+  checkout(repo, args, verb = "checkout") {
+    requireRepo(repo);
+    const createFlag = verb === "switch" ? ["-c", "-C"] : ["-b", "-B"];
+    const { flags, rest } = parseArgs(args);
+    if (args.includes("--")) {
+      const paths = args.slice(args.indexOf("--") + 1);
+      for (const p of paths) { if (p in repo.index) repo.workdir[p] = repo.index[p]; else fail(`error: pathspec '${p}' did not match any file(s) known to git`); }
+      return `Updated ${paths.length} path${paths.length === 1 ? "" : "s"} from the index`;
+    }
+    const create = createFlag.some((f) => flags[f]);
+    const [target, start] = rest;
+    if (!target) fail(`fatal: missing branch or commit argument`);
+    if (create) {
+      if (target in repo.branches && !flags[createFlag[1]]) fail(`fatal: a branch named '${target}' already exists`);
+      const id = start ? requireCommit(repo, start) : headCommit(repo);
+      if (id) checkoutTree(repo, id);
+      if (id) repo.branches[target] = id;
+      repo.head = { branch: target };
+      return `Switched to a new branch '${target}'`;
+    }
+    if (target in repo.branches) {
+      if (repo.head.branch === target) return `Already on '${target}'`;
+      checkoutTree(repo, repo.branches[target]);
+      repo.head = { branch: target };
+      return `Switched to branch '${target}'`;
+    }
+    const tracked = Object.entries(repo.remotes).find(([, r]) => r.tracking?.[target]);
+    if (tracked) {
+      const [remote, r] = tracked;
+      checkoutTree(repo, r.tracking[target]);
+      repo.branches[target] = r.tracking[target];
+      repo.upstreams[target] = `${remote}/${target}`;
+      repo.head = { branch: target };
+      return `branch '${target}' set up to track '${remote}/${target}'.\nSwitched to a new branch '${target}'`;
+    }
+    const id = resolveRef(repo, target);
+    if (!id) fail(`error: pathspec '${target}' did not match any file(s) known to git`);
+    if (verb === "switch" && !flags["--detach"] && !flags["-d"]) fail(`fatal: a branch is expected, got commit '${target}'\nhint: If you want to detach HEAD at the commit, try again with the --detach option.`);
+    checkoutTree(repo, id);
+    repo.head = { detached: id };
+    return `Note: switching to '${target}'.\n\nYou are in 'detached HEAD' state.\nHEAD is now at ${short(repo, id)}`;
+  },
+
+  switch(repo, args) { return git.checkout(repo, args, "switch"); },
+
+  merge(repo, args) {
+    requireRepo(repo);
+    const { flags, rest } = parseArgs(args, ["-m"]);
+    if (flags["--abort"]) {
+      if (!repo.merging) fail("fatal: There is no merge to abort (MERGE_HEAD missing).");
+      repo.index = { ...treeOf(repo, headCommit(repo)) };
+      repo.workdir = { ...repo.index };
+      repo.merging = null;
+      return "";
+    }
+    if (repo.merging) fail("error: Merging is not possible because you have unmerged files.");
+    const name = rest[0];
+    if (!name) fail("fatal: No remote for the current branch.");
+    const theirs = resolveRef(repo, name);
+    if (!theirs) fail(`merge: ${name} - not something we can merge`);
+    const ours = headCommit(repo);
+    if (ours && isAncestor(repo, theirs, ours)) return "Already up to date.";
+    if (changedPaths(treeOf(repo, ours), repo.index).length) fail("error: Your local changes to the following files would be overwritten by merge.\nPlease commit your changes or stash them before you merge.");
+    if (!ours || (isAncestor(repo, ours, theirs) && !flags["--no-ff"])) {
+      checkoutTree(repo, theirs);
+      moveHead(repo, theirs);
+      return `Updating ${ours ?? "0000000"}..${theirs}\nFast-forward`;
+    }
+    const base = mergeBase(repo, ours, theirs);
+    const { tree, conflicts } = mergeTrees(treeOf(repo, base), treeOf(repo, ours), treeOf(repo, theirs), name);
+    const message = flags["-m"] ?? `Merge branch '${name}'${repo.head.branch && repo.head.branch !== DEFAULT_BRANCH ? ` into ${repo.head.branch}` : ""}`;
+    if (conflicts.length) {
+      repo.merging = { theirs, message, conflicts };
+      const index = { ...tree };
+      for (const p of conflicts) { if (p in treeOf(repo, ours)) index[p] = treeOf(repo, ours)[p]; else delete index[p]; }
+      repo.index = index;
+      repo.workdir = { ...repo.workdir, ...tree };
+      return `${conflicts.map((p) => `Auto-merging ${p}\nCONFLICT (content): Merge conflict in ${p}`).join("\n")}\nAutomatic merge failed; fix conflicts and then commit the result.`;
+    }
+    const id = addCommit(repo, [ours, theirs], message, tree);
+    moveHead(repo, id);
+    repo.index = { ...tree };
+    repo.workdir = { ...repo.workdir, ...tree };
+    for (const p of Object.keys(repo.workdir)) if (p in treeOf(repo, ours) && !(p in tree)) delete repo.workdir[p];
+    return "Merge made by the 'ort' strategy.";
+  },
+
+  rebase(repo, args) {
+    requireRepo(repo);
+    const { flags, rest } = parseArgs(args, ["--onto"]);
+    if (flags["-i"] || flags["--interactive"]) fail("Interactive rebase needs an editor; the simulator supports `git rebase <upstream>` only.");
+    if (flags["--abort"] || flags["--continue"]) fail("fatal: No rebase in progress?");
+    const upstream = rest[0] ?? repo.upstreams[repo.head.branch];
+    if (!upstream) fail("There is no tracking information for the current branch.\nPlease specify which branch you want to rebase against.");
+    const onto = resolveRef(repo, flags["--onto"] ?? upstream);
+    const upId = resolveRef(repo, upstream);
+    if (!onto || !upId) fail(`fatal: invalid upstream '${upstream}'`);
+    const ours = headCommit(repo);
+    if (statusOf(repo).staged.length || statusOf(repo).unstaged.length) fail("error: cannot rebase: You have unstaged changes.\nerror: Please commit or stash them.");
+    if (isAncestor(repo, onto, ours) && !flags["--onto"]) return `Current branch ${repo.head.branch ?? "HEAD"} is up to date.`;
+    const ids = commitsBetween(repo, upId, ours).filter((id) => repo.commits[id].parents.length === 1).reverse();
+    const tip = replay(repo, ids, onto, "rebase");
+    checkoutTree(repo, tip);
+    moveHead(repo, tip);
+    return ids.length ? `Successfully rebased and updated ${repo.head.branch ? `refs/heads/${repo.head.branch}` : "HEAD"}.` : `Fast-forwarded ${repo.head.branch ?? "HEAD"} to ${upstream}.`;
+  },
+
+  "cherry-pick"(repo, args) {
+    requireRepo(repo);
+    const { rest } = parseArgs(args);
+    if (!rest.length) fail("fatal: empty commit set passed");
+    const ids = rest.map((r) => { const id = resolveRef(repo, r); if (!id) fail(`fatal: bad revision '${r}'`); return id; });
+    const tip = replay(repo, ids, headCommit(repo), "cherry-pick");
+    checkoutTree(repo, tip);
+    moveHead(repo, tip);
+    return ids.map((id) => `[${repo.head.branch ?? "detached HEAD"}] ${repo.commits[id].message}`).join("\n");
+  },
+
+  reset(repo, args) {
+    requireRepo(repo);
+    const { flags, rest } = parseArgs(args);
+    const id = requireCommit(repo, rest[0] ?? "HEAD");
+    const tree = treeOf(repo, id);
+    const untracked = Object.fromEntries(Object.entries(repo.workdir).filter(([p]) => !(p in repo.index)));
+    moveHead(repo, id);
+    if (flags["--soft"]) return "";
+    repo.index = { ...tree };
+    if (flags["--hard"]) {
+      repo.workdir = { ...untracked, ...tree };
+      repo.merging = null;
+      return `HEAD is now at ${short(repo, id)}`;
+    }
+    return changedPaths(repo.index, repo.workdir).length ? "Unstaged changes after reset:\n" + changedPaths(repo.index, repo.workdir).filter((p) => p in repo.index).map((p) => `M\t${p}`).join("\n") : "";
+  },
+
+  tag(repo, args) {
+    requireRepo(repo);
+    const { flags, rest } = parseArgs(args, ["-m"]);
+    if (!rest.length) return Object.keys(repo.tags).sort().join("\n");
+    if (flags["-d"]) { delete repo.tags[rest[0]]; return `Deleted tag '${rest[0]}'`; }
+    if (rest[0] in repo.tags) fail(`fatal: tag '${rest[0]}' already exists`);
+    repo.tags[rest[0]] = requireCommit(repo, rest[1] ?? "HEAD");
+    return "";
+  },
+
+  stash(repo, args) {
+    requireRepo(repo);
+    // `git stash -m "wip"` is `git stash push -m "wip"`: flags without a subcommand go to push.
+    const [sub = "push", ...more] = args[0]?.startsWith("-") ? ["push", ...args] : args;
+    const head = treeOf(repo, headCommit(repo));
+    if (sub === "list") return repo.stash.map((s, i) => `stash@{${i}}: ${s.message}`).join("\n");
+    if (sub === "push" || sub === "save") {
+      const s = statusOf(repo);
+      if (!s.staged.length && !s.unstaged.length) return "No local changes to save";
+      const { flags } = parseArgs(more, ["-m"]);
+      const tracked = Object.fromEntries(Object.entries(repo.workdir).filter(([p]) => p in repo.index || p in head));
+      const untracked = Object.fromEntries(Object.entries(repo.workdir).filter(([p]) => !(p in repo.index) && !(p in head)));
+      const message = `WIP on ${repo.head.branch ?? "(no branch)"}: ${flags["-m"] ?? short(repo, headCommit(repo))}`;
+      repo.stash.unshift({ message, index: { ...repo.index }, workdir: tracked });
+      repo.index = { ...head };
+      repo.workdir = { ...head, ...untracked };
+      return `Saved working directory and index state ${message}`;
+    }
+    if (sub === "pop" || sub === "apply" || sub === "drop") {
+      if (!repo.stash.length) fail("error: No stash entries found.");
+      const entry = sub === "drop" ? null : repo.stash[0];
+      if (entry) {
+        const clash = Object.keys(entry.workdir).filter((p) => repo.workdir[p] !== head[p] && repo.workdir[p] !== entry.workdir[p]);
+        if (clash.length) fail(`error: Your local changes to the following files would be overwritten by merge:\n\t${clash.join("\n\t")}`);
+        repo.index = { ...repo.index, ...entry.index };
+        repo.workdir = { ...repo.workdir, ...entry.workdir };
+      }
+      if (sub !== "apply") repo.stash.shift();
+      return sub === "drop" ? "Dropped refs/stash@{0}" : git.status(repo);
+    }
+    fail(`error: unknown subcommand: ${sub}`);
+  },
+
+  remote(repo, args) {
+    requireRepo(repo);
+    const [sub, name, url] = args;
+    if (!sub || sub === "-v") return Object.entries(repo.remotes).flatMap(([n, r]) => (sub ? [`${n}\t${r.url} (fetch)`, `${n}\t${r.url} (push)`] : [n])).join("\n");
+    if (sub === "add") {
+      if (!name || !url) fail("usage: git remote add <name> <url>");
+      if (repo.remotes[name]) fail(`error: remote ${name} already exists.`);
+      repo.remotes[name] = { url, branches: {}, tracking: {} };
+      return "";
+    }
+    if (sub === "remove" || sub === "rm") {
+      if (!repo.remotes[name]) fail(`error: No such remote: '${name}'`);
+      delete repo.remotes[name];
+      return "";
+    }
+    fail(`error: unknown subcommand: ${sub}`);
+  },
+
+  push(repo, args) {
+    requireRepo(repo);
+    const { flags, rest } = parseArgs(args);
+    const branch = rest[1] ?? repo.head.branch;
+    const upstream = repo.upstreams[branch]?.split("/")[0];
+    const remoteName = rest[0] ?? upstream ?? (repo.remotes.origin ? "origin" : null);
+    const remote = repo.remotes[remoteName];
+    if (!remote) fail("fatal: No configured push destination.\nEither specify the URL from the command-line or configure a remote repository using\n\n    git remote add <name> <url>");
+    if (!rest[0] && !upstream) fail(`fatal: The current branch ${branch} has no upstream branch.\nTo push the current branch and set the remote as upstream, use\n\n    git push --set-upstream ${remoteName} ${branch}`);
+    const id = repo.branches[branch];
+    if (!id) fail(`error: src refspec ${branch} does not match any`);
+    const theirs = remote.branches[branch];
+    if (theirs && !isAncestor(repo, theirs, id) && !flags["--force"] && !flags["-f"]) fail(`! [rejected]        ${branch} -> ${branch} (fetch first)\nerror: failed to push some refs to '${remote.url}'\nhint: Updates were rejected because the remote contains work that you do not have locally.`);
+    remote.branches[branch] = id;
+    remote.tracking = { ...remote.tracking, [branch]: id };
+    const lines = [`To ${remote.url}`, theirs ? `   ${theirs}..${id}  ${branch} -> ${branch}` : ` * [new branch]      ${branch} -> ${branch}`];
+    if (flags["-u"] || flags["--set-upstream"]) { repo.upstreams[branch] = `${remoteName}/${branch}`; lines.push(`branch '${branch}' set up to track '${remoteName}/${branch}'.`); }
+    return lines.join("\n");
+  },
+
+  fetch(repo, args) {
+    requireRepo(repo);
+    const names = args[0] ? [args[0]] : Object.keys(repo.remotes);
+    const lines = [];
+    for (const n of names) {
+      const r = repo.remotes[n];
+      if (!r) fail(`fatal: '${n}' does not appear to be a git repository`);
+      for (const [b, id] of Object.entries(r.branches)) if (r.tracking?.[b] !== id) lines.push(`   ${r.tracking?.[b] ?? "* [new branch]"}..${id}  ${b} -> ${n}/${b}`);
+      r.tracking = { ...r.branches };
+    }
+    return lines.length ? `From ${repo.remotes[names[0]]?.url}\n${lines.join("\n")}` : "";
+  },
+
+  pull(repo, args) {
+    requireRepo(repo);
+    const [remoteArg, branchArg] = args.filter((a) => !a.startsWith("-"));
+    const up = repo.upstreams[repo.head.branch];
+    const remote = remoteArg ?? up?.split("/")[0];
+    const branch = branchArg ?? up?.split("/").slice(1).join("/");
+    if (!remote || !branch) fail("There is no tracking information for the current branch.\nPlease specify which branch you want to merge with.");
+    const fetched = git.fetch(repo, [remote]);
+    const merged = args.includes("--rebase") ? git.rebase(repo, [`${remote}/${branch}`]) : git.merge(repo, [`${remote}/${branch}`]);
+    return [fetched, merged].filter(Boolean).join("\n");
+  },
+};
+
+/********************** Shell helpers **********************/
+const shell = {
+  touch(repo, args) { for (const p of args) if (!(p in repo.workdir)) repo.workdir[p] = ""; return ""; },
+  echo(repo, args) {
+    const at = args.findIndex((a) => a === ">" || a === ">>");
+    if (at < 0) return args.join(" ");
+    const path = args[at + 1];
+    if (!path) fail("syntax error near unexpected token `newline'");
+    const text = args.slice(0, at).join(" ") + "\n";
+    repo.workdir[path] = args[at] === ">>" ? (repo.workdir[path] ?? "") + text : text;
+    return "";
+  },
+  cat(repo, args) {
+    return args.map((p) => { if (!(p in repo.workdir)) fail(`cat: ${p}: No such file or directory`); return repo.workdir[p].replace(/\n$/, ""); }).join("\n");
+  },
+  ls(repo) { return Object.keys(repo.workdir).sort().join("  "); },
+  rm(repo, args) { for (const p of args.filter((a) => !a.startsWith("-"))) { if (!(p in repo.workdir)) fail(`rm: cannot remove '${p}': No such file or directory`); delete repo.workdir[p]; } return ""; },
+  pwd() { return "/workspace"; },
+};
+
+export const SUPPORTED_GIT_COMMANDS = Object.keys(git);
+export const SUPPORTED_SHELL_COMMANDS = Object.keys(shell);
+
+/**
+ * Run one command line. Returns { repo, output, error }; on error the original repo is returned unchanged.
+ * `clear` is left to the terminal UI and reported as { clear: true }.
+ */
+export function runCommand(repo, line) {
+  const trimmed = line.trim();
+  if (!trimmed) return { repo, output: "", error: false };
+  try {
+    const words = tokenize(trimmed);
+    const [cmd, ...args] = words;
+    if (cmd === "clear") return { repo, output: "", error: false, clear: true };
+    const next = cloneRepo(repo);
+    if (cmd === "git") {
+      const [sub, ...rest] = args;
+      if (!sub) return { repo, output: `usage: git <command> [<args>]\n\nSupported here: ${SUPPORTED_GIT_COMMANDS.join(", ")}`, error: false };
+      const fn = Object.hasOwn(git, sub) ? git[sub] : null;
+      if (!fn) fail(`git: '${sub}' is not a git command (in this simulator). Supported: ${SUPPORTED_GIT_COMMANDS.join(", ")}`);
+      return { repo: next, output: fn(next, rest) ?? "", error: false };
+    }
+    const fn = Object.hasOwn(shell, cmd) ? shell[cmd] : null;
+    if (!fn) fail(`${cmd}: command not found`);
+    return { repo: next, output: fn(next, args) ?? "", error: false };
+  } catch (e) {
+    if (e instanceof GitError) return { repo, output: e.message, error: true };
+    throw e;
+  }
+}
+
+/** Replay a list of commands (e.g. a chapter's `demo.steps`), stopping at the first error. */
+export function runScript(repo, lines) {
+  let cur = repo;
+  const transcript = [];
+  for (const line of lines) {
+    const res = runCommand(cur, line);
+    transcript.push({ line, ...res });
+    if (res.error) break;
+    cur = res.repo;
+  }
+  return { repo: cur, transcript };
+}
@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRepo } from "./repo.js";
+import { runCommand, runScript } from "./commands.js";
+
+const fresh = () => runScript(createRepo(), ["git init", "touch a.txt", "git add a.txt", 'git commit -m "first"']).repo;
+
+test("names inherited from Object.prototype are unknown commands", () => {
+  const repo = fresh();
+  for (const sub of ["valueOf", "hasOwnProperty", "constructor", "toString", "__proto__"]) {
+    const r = runCommand(repo, `git ${sub}`);
+    assert.equal(r.error, true, sub);
+    assert.match(r.output, /is not a git command/, sub);
+  }
+  for (const cmd of ["valueOf", "hasOwnProperty", "constructor"]) {
+    const r = runCommand(repo, cmd);
+    assert.equal(r.error, true, cmd);
+    assert.equal(r.output, `${cmd}: command not found`);
+  }
+});
+
+test("git stash with only flags stashes like git stash push", () => {
+  const repo = runCommand(fresh(), 'echo "changed" > a.txt').repo;
+  const r = runCommand(repo, 'git stash -m "half done"');
+  assert.equal(r.error, false, r.output);
+  assert.equal(r.repo.stash.length, 1);
+  assert.match(r.repo.stash[0].message, /half done$/);
+  assert.equal(runCommand(r.repo, "git stash nope").output, "error: unknown subcommand: nope");
+});
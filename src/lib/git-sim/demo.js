@@ -0,0 +1,27 @@
+/**
+ * Git Sim — stepped demos
+ * A topic's `demo.graph` block declares a starting repo and the commands that move it along:
+ *
+ *   "graph": { "setup": { ... }, "steps": ["git branch feature", { "run": "git switch feature", "caption": "HEAD moves" }] }
+ *
+ * Each step is matched to its line in `demo.code` so the view can highlight what the learner is reading.
+ */
+import { createRepo } from "./repo.js";
+import { runCommand } from "./commands.js";
+
+/** → [{ repo, run, caption, line, error }], starting with the initial state (run = null, caption null unless authored). */
+export function buildDemoStates(graph, code = "") {
+  const codeLines = code.split("\n");
+  let repo = createRepo(graph?.setup);
+  const states = [{ repo, run: null, caption: graph?.caption ?? null, line: -1, error: null }];
+  let searchFrom = 0;
+  for (const step of graph?.steps ?? []) {
+    const { run, caption } = typeof step === "string" ? { run: step } : step;
+    const res = runCommand(repo, run);
+    const found = codeLines.findIndex((l, i) => i >= searchFrom && l.replace(/\s+#.*$/, "").trim() === run.trim());
+    if (found >= 0) searchFrom = found + 1;
+    if (!res.error) repo = res.repo;
+    states.push({ repo, run, caption: caption ?? res.output.split("\n")[0], line: found, error: res.error ? res.output : null });
+  }
+  return states;
+}
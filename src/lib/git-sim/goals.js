@@ -0,0 +1,110 @@
+/**
+ * Git Sim — goal predicates for "terminal" challenges
+ * A goal is authored in chapter JSON as a list of checks; every check must hold for the task to pass:
+ *
+ *   "goal": { "checks": [ { "head": "feature" }, { "ahead": { "branch": "feature", "of": "main", "count": 2 } } ] }
+ *
+ * Each check is a single-key object; `label` overrides the generated description shown in the checklist.
+ */
+import {
+  aheadBehind, commitsBetween, currentBranch, headCommit, isAncestor, isClean, resolveRef, statusOf, topoOrder,
+} from "./repo.js";
+
+// A check's result: `label` is the English description, `key`/`vars` let the UI translate it ("goal.<name>").
+const says = (ok, name, vars, label) => ({ ok, key: `goal.${name}`, vars, label });
+const plural = (name, count) => (count === 1 ? `${name}.one` : name);
+
+const CHECKS = {
+  initialized: (repo, want = true) => says(repo.initialized === want, want ? "initialized" : "notInitialized", null, want ? "Repository initialized" : "No repository yet"),
+  head: (repo, branch) => says(currentBranch(repo) === branch, "head", { branch }, `HEAD on ${branch}`),
+  detached: (repo, want = true) => says(!!repo.head.detached === want, want ? "detached" : "attached", null, want ? "HEAD detached" : "HEAD on a branch"),
+  branchExists: (repo, name) => says(name in repo.branches, "branchExists", { name }, `Branch ${name} exists`),
+  branchMissing: (repo, name) => says(!(name in repo.branches), "branchMissing", { name }, `Branch ${name} deleted`),
+  tagExists: (repo, name) => says(name in repo.tags, "tagExists", { name }, `Tag ${name} exists`),
+  commitCount: (repo, { branch, count, atLeast }) => {
+    const id = branch ? resolveRef(repo, branch) : headCommit(repo);
+    const n = id ? topoOrder(repo, [id]).length : 0;
+    return says(atLeast ? n >= count : n === count, plural(atLeast ? "commitsAtLeast" : "commits", count), { branch: branch ?? "HEAD", count },
+      `${branch ?? "HEAD"} has ${atLeast ? "at least " : ""}${count} commit${count === 1 ? "" : "s"}`);
+  },
+  ahead: (repo, { branch, of, count }) => {
+    const a = resolveRef(repo, branch), b = resolveRef(repo, of);
+    const ok = !!a && !!b && aheadBehind(repo, a, b).ahead === count;
+    return says(ok, plural("ahead", count), { branch, of, count }, `${branch} is ${count} commit${count === 1 ? "" : "s"} ahead of ${of}`);
+  },
+  behind: (repo, { branch, of, count }) => {
+    const a = resolveRef(repo, branch), b = resolveRef(repo, of);
+    const ok = !!a && !!b && aheadBehind(repo, a, b).behind === count;
+    return says(ok, plural("behind", count), { branch, of, count }, `${branch} is ${count} commit${count === 1 ? "" : "s"} behind ${of}`);
+  },
+  merged: (repo, { branch, into }) => {
+    const a = resolveRef(repo, branch), b = resolveRef(repo, into);
+    return says(!!a && !!b && isAncestor(repo, a, b), "merged", { branch, into }, `${branch} merged into ${into}`);
+  },
+  sameCommit: (repo, [a, b]) => {
+    const x = resolveRef(repo, a), y = resolveRef(repo, b);
+    return says(!!x && x === y, "sameCommit", { a, b }, `${a} and ${b} point at the same commit`);
+  },
+  linear: (repo, branch) => {
+    const id = resolveRef(repo, branch);
+    const ok = !!id && topoOrder(repo, [id]).every((c) => repo.commits[c].parents.length <= 1);
+    return says(ok, "linear", { branch }, `${branch} has a linear history (no merge commits)`);
+  },
+  mergeCommit: (repo, branch) => {
+    const id = resolveRef(repo, branch);
+    return says(!!id && repo.commits[id].parents.length > 1, "mergeCommit", { branch }, `${branch} ends in a merge commit`);
+  },
+  basedOn: (repo, { branch, onto }) => {
+    const a = resolveRef(repo, branch), b = resolveRef(repo, onto);
+    return says(!!a && !!b && isAncestor(repo, b, a), "basedOn", { branch, onto }, `${branch} is based on the tip of ${onto}`);
+  },
+  clean: (repo, want = true) => says(isClean(repo) === want && !repo.merging, "clean", null, "Working tree clean"),
+  staged: (repo, paths) => {
+    const staged = statusOf(repo).staged.map((f) => f.path);
+    return says(paths.every((p) => staged.includes(p)), "staged", { paths: paths.join(", ") }, `Staged: ${paths.join(", ")}`);
+  },
+  tracked: (repo, paths) => says(paths.every((p) => p in repo.index), "tracked", { paths: paths.join(", ") }, `Tracked: ${paths.join(", ")}`),
+  committed: (repo, { path, branch }) => {
+    const id = branch ? resolveRef(repo, branch) : headCommit(repo);
+    return says(!!id && path in repo.commits[id].tree, branch ? "committedOn" : "committed", { path, branch }, `${path} committed${branch ? ` on ${branch}` : ""}`);
+  },
+  fileContains: (repo, { path, text }) => says((repo.workdir[path] ?? "").includes(text), "fileContains", { path, text }, `${path} contains "${text}"`),
+  messageIncludes: (repo, { branch, text }) => {
+    const id = branch ? resolveRef(repo, branch) : headCommit(repo);
+    return says(!!id && repo.commits[id].message.toLowerCase().includes(text.toLowerCase()), "messageIncludes", { text }, `Latest commit message mentions "${text}"`);
+  },
+  stashCount: (repo, count) => says(repo.stash.length === count, plural("stashCount", count), { count }, `${count} stash entr${count === 1 ? "y" : "ies"}`),
+  remoteExists: (repo, name) => says(!!repo.remotes[name], "remoteExists", { name }, `Remote ${name} configured`),
+  pushed: (repo, { remote = "origin", branch }) => {
+    const r = repo.remotes[remote];
+    return says(!!r && !!repo.branches[branch] && r.branches[branch] === repo.branches[branch], "pushed", { branch, remote }, `${branch} pushed to ${remote}`);
+  },
+  upstream: (repo, { branch, to }) => says(repo.upstreams[branch] === to, "upstream", { branch, to }, `${branch} tracks ${to}`),
+  picked: (repo, { message, branch }) => {
+    const id = resolveRef(repo, branch);
+    const ok = !!id && topoOrder(repo, [id]).some((c) => repo.commits[c].message === message);
+    return says(ok, "picked", { message, branch }, `"${message}" is on ${branch}`);
+  },
+  newCommits: (repo, { branch, since, count }) => {
+    const a = resolveRef(repo, branch), b = resolveRef(repo, since);
+    return says(!!a && !!b && commitsBetween(repo, b, a).length === count, plural("newCommits", count), { branch, count }, `${count} new commit${count === 1 ? "" : "s"} on ${branch}`);
+  },
+};
+
+export const GOAL_CHECKS = Object.keys(CHECKS);
+
+/**
+ * Evaluate a goal against a repo → { ok, results: [{ ok, label, key?, vars? }] }. An authored `label` has no `key`
+ * (it is chapter text, translated by the chapter's locale variant). Unknown checks fail loudly in the checklist.
+ */
+export function evaluateGoal(repo, goal) {
+  const results = (goal?.checks ?? []).map((check) => {
+    const { label, ...rest } = check;
+    const [key] = Object.keys(rest);
+    const fn = CHECKS[key];
+    if (!fn) return label ? { ok: false, label } : says(false, "unknown", { check: key }, `Unknown check "${key}"`);
+    const res = fn(repo, rest[key]);
+    return label ? { ok: res.ok, label } : res;
+  });
+  return { ok: results.length > 0 && results.every((r) => r.ok), results };
+}
@@ -0,0 +1,5 @@
+export * from "./repo.js";
+export { runCommand, runScript, tokenize, SUPPORTED_GIT_COMMANDS, SUPPORTED_SHELL_COMMANDS } from "./commands.js";
+export { evaluateGoal, GOAL_CHECKS } from "./goals.js";
+export { layoutGraph } from "./layout.js";
+export { buildDemoStates } from "./demo.js";
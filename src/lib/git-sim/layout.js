@@ -0,0 +1,45 @@
+/**
+ * Git Sim — commit graph layout
+ * Turns a repo into columns (time, oldest left) and lanes (one per branch, main first) shared by the 2D and 3D views.
+ * Positions are in grid units; renderers scale them. Commit ids are deterministic, so a node keeps its column
+ * across demo steps and the views can animate between states.
+ */
+import { DEFAULT_BRANCH, ancestors, headCommit, refsByCommit } from "./repo.js";
+
+function laneOrder(repo) {
+  const names = Object.keys(repo.branches);
+  return [
+    ...names.filter((n) => n === DEFAULT_BRANCH || n === "master"),
+    ...names.filter((n) => n !== DEFAULT_BRANCH && n !== "master"),
+  ];
+}
+
+/** → { nodes: [{ id, col, lane, message, refs, head, merge }], edges: [{ from, to, id }], lanes: [name], cols } */
+export function layoutGraph(repo) {
+  const head = headCommit(repo);
+  const tips = [head, ...Object.values(repo.branches), ...Object.values(repo.tags),
+    ...Object.values(repo.remotes).flatMap((r) => Object.values(r.tracking ?? {}))].filter(Boolean);
+  const visible = new Set();
+  for (const t of tips) for (const c of ancestors(repo, t)) visible.add(c);
+
+  const refs = refsByCommit(repo);
+  const lanes = laneOrder(repo);
+  const laneOf = {};
+  const claim = (tip, lane) => {
+    for (let c = tip; c && !(c in laneOf); c = repo.commits[c]?.parents[0]) laneOf[c] = lane;
+  };
+  lanes.forEach((name, i) => claim(repo.branches[name], i));
+  for (const t of tips) if (!(t in laneOf)) { lanes.push(refs[t]?.[0] ?? t); claim(t, lanes.length - 1); }
+  for (const c of visible) if (!(c in laneOf)) laneOf[c] = lanes.length;
+  // Branches that share a tip with an earlier lane own no commits; drop their empty rows.
+  const used = [...new Set([...visible].map((c) => laneOf[c]))].sort((a, b) => a - b);
+  for (const c of visible) laneOf[c] = used.indexOf(laneOf[c]);
+
+  const ordered = [...visible].sort((a, b) => (repo.commits[a].order ?? 0) - (repo.commits[b].order ?? 0));
+  const nodes = ordered.map((id, col) => ({
+    id, col, lane: laneOf[id], message: repo.commits[id].message, refs: refs[id] ?? [],
+    head: id === head, merge: repo.commits[id].parents.length > 1,
+  }));
+  const edges = ordered.flatMap((id) => repo.commits[id].parents.filter((p) => visible.has(p)).map((p) => ({ id: `${p}-${id}`, from: p, to: id })));
+  return { nodes, edges, lanes: used.map((i) => lanes[i] ?? "detached"), cols: ordered.length };
+}
@@ -0,0 +1,184 @@
+/**
+ * Git Sim — in-memory repository model
+ * Plain, JSON-serializable state so it can live in React state, be diffed and be authored in chapter JSON.
+ *
+ * Shape:
+ *   { initialized, commits: { id: { id, parents, message, tree, order } }, branches: { name: id }, tags: { name: id },
+ *     head: { branch } | { detached: id }, index: { path: content }, workdir: { path: content },
+ *     remotes: { name: { url, branches: { name: id }, tracking: { name: id } } }, upstreams: { branch: "origin/main" },
+ *     stash: [ { message, index, workdir } ], merging: null | { theirs, message }, seq }
+ */
+import { hashSeed } from "../quest/random.js";
+
+export const DEFAULT_BRANCH = "main";
+
+/********************** Ids **********************/
+const hex = (str) => hashSeed(str).toString(16).padStart(8, "0");
+
+/** Deterministic 7-char commit id, so the same lesson always shows the same hashes. */
+export function newCommitId(repo, parents, message) {
+  repo.seq += 1;
+  let id = hex(`${repo.seq}:${parents.join(",")}:${message}`).slice(0, 7);
+  while (repo.commits[id]) id = hex(id + repo.seq).slice(0, 7);
+  return id;
+}
+
+/********************** Construction **********************/
+export function emptyRepo() {
+  return {
+    initialized: false, commits: {}, branches: {}, tags: {}, head: { branch: DEFAULT_BRANCH },
+    index: {}, workdir: {}, remotes: {}, upstreams: {}, stash: [], merging: null, seq: 0,
+  };
+}
+
+/**
+ * Build a repo from the compact `setup` block authored in chapter JSON.
+ * `commits` are listed oldest first; each defaults to the previous one as parent and only lists the files it changes.
+ */
+export function createRepo(setup) {
+  const repo = emptyRepo();
+  if (!setup || setup.init === false) return repo;
+  repo.initialized = true;
+  let prev = null;
+  for (const c of setup.commits ?? []) {
+    const parents = c.parents ?? (prev ? [prev] : []);
+    const base = parents[0] ? repo.commits[parents[0]]?.tree ?? {} : {};
+    const tree = { ...base, ...(c.files ?? { [`${c.id}.txt`]: `${c.message ?? c.id}\n` }) };
+    for (const p of c.deleted ?? []) delete tree[p];
+    repo.commits[c.id] = { id: c.id, parents, message: c.message ?? c.id, tree, order: ++repo.seq };
+    prev = c.id;
+  }
+  repo.branches = { ...(setup.branches ?? (prev ? { [DEFAULT_BRANCH]: prev } : {})) };
+  repo.tags = { ...(setup.tags ?? {}) };
+  const head = setup.head ?? DEFAULT_BRANCH;
+  repo.head = repo.commits[head] && !(head in repo.branches) ? { detached: head } : { branch: head };
+  const headTree = treeOf(repo, headCommit(repo));
+  repo.index = { ...headTree, ...(setup.staged ?? {}) };
+  repo.workdir = { ...repo.index, ...(setup.workdir ?? {}) };
+  for (const [name, r] of Object.entries(setup.remotes ?? {})) {
+    const branches = { ...(r.branches ?? {}) };
+    repo.remotes[name] = { url: r.url ?? `https://example.com/${name}.git`, branches, tracking: { ...(r.tracking ?? branches) } };
+  }
+  repo.upstreams = { ...(setup.upstreams ?? {}) };
+  return repo;
+}
+
+export function cloneRepo(repo) { return JSON.parse(JSON.stringify(repo)); }
+
+/********************** Queries **********************/
+export function currentBranch(repo) { return repo.head.branch ?? null; }
+
+export function headCommit(repo) {
+  return repo.head.detached ?? repo.branches[repo.head.branch] ?? null;
+}
+
+export function treeOf(repo, id) { return id ? repo.commits[id]?.tree ?? {} : {}; }
+
+/** Resolve a branch, tag, remote-tracking ref (origin/main), HEAD, HEAD~n or (abbreviated) commit id. */
+export function resolveRef(repo, ref) {
+  if (!ref) return null;
+  const tilde = /^(.+?)(~(\d*)|\^+)$/.exec(ref);
+  if (tilde) {
+    let id = resolveRef(repo, tilde[1]);
+    const steps = tilde[2].startsWith("~") ? Number(tilde[3] || 1) : tilde[2].length;
+    for (let i = 0; i < steps && id; i++) id = repo.commits[id]?.parents[0] ?? null;
+    return id;
+  }
+  if (ref === "HEAD" || ref === "@") return headCommit(repo);
+  if (ref in repo.branches) return repo.branches[ref];
+  if (ref in repo.tags) return repo.tags[ref];
+  const slash = ref.indexOf("/");
+  if (slash > 0) {
+    const remote = repo.remotes[ref.slice(0, slash)];
+    const id = remote?.tracking?.[ref.slice(slash + 1)];
+    if (id) return id;
+  }
+  if (repo.commits[ref]) return ref;
+  const matches = Object.keys(repo.commits).filter((id) => ref.length >= 4 && id.startsWith(ref));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/** Every commit reachable from `id`, including itself. */
+export function ancestors(repo, id) {
+  const seen = new Set();
+  const stack = id ? [id] : [];
+  while (stack.length) {
+    const c = stack.pop();
+    if (seen.has(c) || !repo.commits[c]) continue;
+    seen.add(c);
+    stack.push(...repo.commits[c].parents);
+  }
+  return seen;
+}
+
+export function isAncestor(repo, maybeAncestor, id) { return ancestors(repo, id).has(maybeAncestor); }
+
+/** Best common ancestor: the shared ancestor that is not itself an ancestor of another shared one. */
+export function mergeBase(repo, a, b) {
+  const fromB = ancestors(repo, b);
+  const common = [...ancestors(repo, a)].filter((c) => fromB.has(c));
+  return common.find((c) => !common.some((o) => o !== c && isAncestor(repo, c, o))) ?? null;
+}
+
+/** Commits reachable from `a` but not from `b`, newest first (first-parent order where possible). */
+export function commitsBetween(repo, b, a) {
+  const exclude = ancestors(repo, b);
+  return topoOrder(repo, [a]).filter((c) => !exclude.has(c));
+}
+
+export function aheadBehind(repo, a, b) {
+  return { ahead: commitsBetween(repo, b, a).length, behind: commitsBetween(repo, a, b).length };
+}
+
+/** Reverse-topological walk (children before parents) from the given tips. */
+export function topoOrder(repo, tips) {
+  const reach = new Set();
+  for (const t of tips) for (const c of ancestors(repo, t)) reach.add(c);
+  const childCount = {};
+  for (const c of reach) for (const p of repo.commits[c].parents) if (reach.has(p)) childCount[p] = (childCount[p] ?? 0) + 1;
+  const ready = [...reach].filter((c) => !childCount[c]).sort((x, y) => (repo.commits[y].order ?? 0) - (repo.commits[x].order ?? 0));
+  const out = [];
+  while (ready.length) {
+    const c = ready.shift();
+    out.push(c);
+    for (const p of repo.commits[c].parents) {
+      if (!reach.has(p)) continue;
+      childCount[p] -= 1;
+      if (childCount[p] === 0) ready.unshift(p);
+    }
+  }
+  return out;
+}
+
+/** Labels pointing at each commit: branches, tags, remote-tracking refs and HEAD. */
+export function refsByCommit(repo) {
+  const refs = {};
+  const add = (id, label) => { if (id) (refs[id] ??= []).push(label); };
+  if (repo.head.detached) add(repo.head.detached, "HEAD");
+  for (const [name, id] of Object.entries(repo.branches)) add(id, repo.head.branch === name ? `HEAD -> ${name}` : name);
+  for (const [remote, r] of Object.entries(repo.remotes)) for (const [name, id] of Object.entries(r.tracking ?? {})) add(id, `${remote}/${name}`);
+  for (const [name, id] of Object.entries(repo.tags)) add(id, `tag: ${name}`);
+  return refs;
+}
+
+/********************** Working tree **********************/
+function diffKeys(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].filter((k) => a[k] !== b[k]).sort();
+}
+
+/** `git status` as data: staged (HEAD vs index), unstaged (index vs workdir) and untracked paths. */
+export function statusOf(repo) {
+  const head = treeOf(repo, headCommit(repo));
+  const describe = (from, to, k) => (!(k in from) ? "new file" : !(k in to) ? "deleted" : "modified");
+  return {
+    staged: diffKeys(head, repo.index).map((k) => ({ path: k, kind: describe(head, repo.index, k) })),
+    unstaged: diffKeys(repo.index, repo.workdir).filter((k) => k in repo.index).map((k) => ({ path: k, kind: describe(repo.index, repo.workdir, k) })),
+    untracked: Object.keys(repo.workdir).filter((k) => !(k in repo.index)).sort(),
+  };
+}
+
+export function isClean(repo) {
+  const s = statusOf(repo);
+  return !s.staged.length && !s.unstaged.length && !s.untracked.length;
+}
@@ -0,0 +1,51 @@
+/**
+ * UI translations — message catalogues per locale (./messages/<locale>.js, flat "area.key" → text) plus
+ * locale-aware number and price formatting. English is the source catalogue: a key missing from another locale
+ * falls back to English, and one missing everywhere to the caller's fallback (or the key itself).
+ * React components use these through src/components/i18n/I18nProvider.jsx; chapter text is localized separately
+ * (src/lib/content/localize.js).
+ *
+ *   translate("hi", "quest.chapterOf", { n: 2, total: 10 })   "{var}" placeholders are filled from `vars`
+ */
+import en from "./messages/en.js";
+import hi from "./messages/hi.js";
+import te from "./messages/te.js";
+
+export const LOCALES = [
+  { id: "en", tag: "en-IN", name: "English" },
+  { id: "hi", tag: "hi-IN", name: "हिन्दी" },
+  { id: "te", tag: "te-IN", name: "తెలుగు" },
+];
+export const DEFAULT_LOCALE = "en";
+export const LOCALE_IDS = LOCALES.map((l) => l.id);
+
+const MESSAGES = { en, hi, te };
+
+export const isLocale = (id) => LOCALE_IDS.includes(id);
+
+/** BCP 47 tag for Intl (numbers and prices use Indian grouping in every locale). */
+export const intlTag = (locale) => LOCALES.find((l) => l.id === locale)?.tag ?? LOCALES[0].tag;
+
+/** First supported locale among `candidates` (e.g. navigator.languages: "hi-IN", "te", "en-US"…), else English. */
+export function matchLocale(candidates = []) {
+  for (const c of candidates) {
+    const id = String(c ?? "").toLowerCase().split(/[-_]/)[0];
+    if (isLocale(id)) return id;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function translate(locale, key, vars, fallback) {
+  const text = MESSAGES[locale]?.[key] ?? en[key] ?? fallback ?? key;
+  return vars ? text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m)) : text;
+}
+
+export function formatNumber(locale, value, options) {
+  return typeof value === "number" && Number.isFinite(value) ? new Intl.NumberFormat(intlTag(locale), options).format(value) : String(value ?? "");
+}
+
+/** Whole-rupee prices render without paise ("₹299", "₹1,299"); fractional amounts keep them. */
+export function formatPrice(locale, amount, currency = "INR") {
+  const digits = Number.isInteger(amount) ? 0 : 2;
+  return formatNumber(locale, amount, { style: "currency", currency, minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import en from "./messages/en.js";
+import hi from "./messages/hi.js";
+import te from "./messages/te.js";
+
+const TRANSLATIONS = { hi, te };
+// Keys English leaves to the theme/track definitions and the game libraries (see messages/en.js).
+const DEFAULTED = /^(theme|guide|achievement|answer|grade|goal)\./;
+const vars = (text) => new Set([...text.matchAll(/\{(\w+)\}/g)].map((m) => m[1]));
+
+test("every locale translates every English key", () => {
+  for (const [id, messages] of Object.entries(TRANSLATIONS)) {
+    assert.deepEqual(Object.keys(en).filter((k) => !(k in messages)), [], `${id} is missing keys`);
+  }
+});
+
+test("locales list the same keys", () => {
+  const [first, ...rest] = Object.entries(TRANSLATIONS);
+  for (const [id, messages] of rest) assert.deepEqual(Object.keys(messages).sort(), Object.keys(first[1]).sort(), `${id} and ${first[0]} differ`);
+  for (const [id, messages] of Object.entries(TRANSLATIONS)) {
+    assert.deepEqual(Object.keys(messages).filter((k) => !(k in en) && !DEFAULTED.test(k)), [], `${id} has keys English does not know`);
+  }
+});
+
+test("translations only use the placeholders English fills", () => {
+  for (const [id, messages] of Object.entries(TRANSLATIONS)) {
+    for (const [key, text] of Object.entries(messages)) {
+      if (!(key in en)) continue;
+      const known = vars(en[key]);
+      assert.deepEqual([...vars(text)].filter((v) => !known.has(v)), [], `${id} ${key}`);
+    }
+  }
+});
@@ -0,0 +1,319 @@
+/**
+ * English — the source catalogue. Every UI key lives here; other locales translate what they can and fall back
+ * to these. Theme copy and guide names default to the theme/track definitions, and text the game libraries build
+ * (achievement.*, answer.*, grade.*, goal.*) to the English they return, so only translations list them.
+ */
+const en = {
+  "locale.label": "Language",
+
+  /********************** Landing **********************/
+  "nav.games": "Games",
+  "nav.how": "How it works",
+  "nav.pricing": "Pricing",
+  "nav.stats": "Stats",
+  "nav.classes": "Classes",
+  "nav.home": "Home",
+  "nav.playGit": "Play Git Quest",
+  "hero.titleBefore": "Gamified",
+  "hero.titleAccent": "DevOps",
+  "hero.titleAfter": "Learning",
+  "hero.body": "Learn Git, Docker, Kubernetes, Jenkins, Terraform and more through quick missions, XP, coins, and boss battles. Built for speed-learning and real skills.",
+  "hero.start": "Start Git Quest →",
+  "hero.browse": "Browse All Games",
+  "hero.note": "No signup needed for beta. Play in the browser — sign in to sync progress across devices.",
+  "hero.feature.micro": "⚡ 3–5 min micro-levels",
+  "hero.feature.coins": "🪙 Earn coins & XP",
+  "hero.feature.badges": "🏆 Badges & streaks",
+  "hero.feature.cli": "🧪 Real CLI scenarios",
+  "games.title": "Games",
+  "games.more": "More are coming soon",
+  "games.beginner": "Beginner • {n} levels",
+  "games.intermediate": "Intermediate • {n} levels",
+  "games.live": "Live",
+  "games.soon": "Coming soon",
+  "games.playNow": "Play now",
+  "games.locked": "Locked",
+  "games.git-quest-train.desc": "Init, config, commits, branches, remotes.",
+  "games.docker-dungeon.desc": "Images, containers, ports, volumes.",
+  "games.k8s-arena.desc": "Pods, Deployments, Services, rollouts.",
+  "games.jenkins-runner.desc": "Pipelines, agents, triggers, artifacts.",
+  "games.terraform-trials.desc": "HCL, plan/apply, state & modules.",
+  "pricing.intro": "Intro Price",
+  "pricing.body": "Unlock all current and upcoming quests. Lifetime access for early adopters.",
+  "pricing.perk.quests": "All beginner + intermediate quests",
+  "pricing.perk.monthly": "New quests added monthly",
+  "pricing.perk.sync": "Progress sync across devices",
+  "pricing.playFree": "Play Git Quest Free",
+  "pricing.buy": "Buy Access (Coming Soon)",
+  "footer.rights": "© {year} AgenForge. All rights reserved.",
+  "footer.privacy": "Privacy",
+  "footer.terms": "Terms",
+
+  /********************** World Hub **********************/
+  "world.title": "AgenForge — World Hub",
+  "world.back": "← Back",
+  "world.scene": "World Hub. Walk with WASD or the arrow keys; press Enter at a portal to go in.",
+  "world.help": "WASD / arrow keys to walk • click the ground to move there • step into a portal to enter",
+  "world.portals": "Quests",
+  "world.progress": "{done}/{total} chapters · {pct}%",
+  "world.enter": "Enter",
+  "world.locked": "Locked — finish {tracks} first",
+
+  /********************** Quest shell **********************/
+  "quest.tagline": "visuals • audio • progression • mini‑games",
+  "hud.xp": "XP",
+  "hud.coins": "Coins",
+  "hud.streak": "Streak",
+  "hud.badges": "Badges",
+  "hud.due": "Reviews due",
+  "intro.start": "Start",
+  "quest.resume": "Resume Ch {n} · topic {topic} →",
+  "quest.reviewDue": "Daily Review · {n} due →",
+  "quest.found": "{found}/{total} chapters found",
+  "quest.chapterOf": "Chapter {n} / {total}",
+  "quest.minutes": "~{n} min",
+  "quest.noContent": "No content yet.",
+  "quest.createFile": "Create {file} to populate this chapter.",
+  "quest.jsonProblems": "This chapter's JSON has problems — some questions may not work:",
+  "quest.cleared": "Chapter {n} cleared!",
+  "quest.bonus": "{title} — +{xp} XP chapter bonus",
+  "quest.bossSummary": "Boss: +{xp} XP · {accuracy} accuracy · {seconds}s per answer",
+  "quest.hintCut": " · hints ×{factor}",
+  "quest.continue": "Continue →",
+  "quest.complete": "{title} complete",
+  "quest.badgeUnlocked": "Badge unlocked:",
+  "quest.locked": "Locked — finish {chapters} first",
+  "quest.chShort": "Ch {n}",
+  "chapterNav.label": "Chapters",
+  "chapterNav.help": "Arrow keys move along the chapters; Enter opens the highlighted one.",
+  "chapterNav.item": "Chapter {n} — {title} — {status}",
+  "chapterNav.done": "completed",
+  "chapterNav.open": "pending",
+  "chapterNav.locked": "locked",
+  "chapterNav.missing": "no content yet",
+  "settings.reducedMotion": "Reduce motion",
+  "settings.quality": "Scene quality",
+  "settings.quality.autoTier": "Auto ({tier})",
+  "settings.quality.low": "Low",
+  "settings.quality.medium": "Medium",
+  "settings.quality.high": "High",
+  "audio.mute": "Mute sound",
+  "audio.mixer": "Sound",
+  "audio.master": "Master volume",
+  "audio.music": "Music",
+  "audio.sfx": "Effects",
+  "audio.ambience": "Ambience",
+  "cutscene.skip": "Skip ▸▸ (Esc)",
+  "credits.certificate": "Certificate of completion",
+  "credits.awarded": "Every chapter cleared · {date}",
+  "credits.xp": "{xp} XP",
+  "credits.chapters": "{n} chapters",
+  "credits.badges": "{n} badges",
+  "credits.roll": "Credits",
+  "credits.guide": "Your guide — {name}",
+  "credits.madeWith": "Made with AgenForge",
+  "credits.print": "Print certificate",
+  "badges.title": "Badges",
+  "badges.count": "{n} of {total} unlocked",
+  "badges.unlocked": "Unlocked",
+  "badges.unlockedOn": "Unlocked {date}",
+  "badges.close": "Close",
+  "save.export": "Export save",
+  "save.import": "Import save",
+  "save.exported": "Save exported",
+  "save.imported": "Save imported",
+  "save.importFailed": "Import failed: {error}",
+  "account.signInToSync": "Sign in to sync",
+  "account.status.local": "Saved on this device",
+  "account.status.syncing": "Syncing…",
+  "account.status.synced": "Synced",
+  "account.status.offline": "Offline — saved locally",
+  "account.status.error": "Sync error",
+  "account.signedInAs": "Signed in as {name}. Progress syncs across devices.",
+  "account.signOut": "Sign out",
+  "account.username": "Username",
+  "account.password": "Password (8+ characters)",
+  "account.signIn": "Sign in",
+  "account.register": "Create account",
+  "account.offline": "Playing offline is fine — progress stays on this device until you sign in.",
+
+  /********************** Chapter & questions **********************/
+  "chapter.topicOf": "Topic {n} of {total}",
+  "chapter.tryThis": "Try this",
+  "chapter.startChallenge": "Start Challenge →",
+  "chapter.nextTopic": "Next Topic →",
+  "chapter.noTopics": "No topics in this chapter yet.",
+  "code.copy": "Copy",
+  "code.copied": "Copied ✓",
+  "code.copyLabel": "Copy code",
+  "code.notes": "📝 Notes",
+  "quiz.challenge": "Challenge",
+  "quiz.noPrompt": "(no prompt)",
+  "quiz.submit": "Submit",
+  "quiz.correct": "✅ Correct!",
+  "quiz.partly": "🟡 Partly right",
+  "quiz.wrong": "❌ Not quite",
+  "quiz.goal": "✅ Goal reached!",
+  "input.selectAll": "Select all that apply.",
+  "input.orderHelp": "Drag (or use the arrows) to put the steps in order.",
+  "input.moveUp": "Move up",
+  "input.moveDown": "Move down",
+  "input.choose": "Choose…",
+  "input.fixHelp": "Edit the command so it works.",
+  "input.typeAnswer": "Type answer…",
+  "hint.hint": "Hint {step}/{of}",
+  "hint.fifty": "50/50",
+  "hint.letter": "First letter",
+  "hint.startsWith": "Starts with “{prefix}”.",
+  "hint.pays": "pays {pct}% XP",
+  "boss.default": "Boss",
+  "boss.intro": "Prove your mastery.",
+  "boss.notConfigured": "Boss not configured yet.",
+  "boss.hp": "Boss HP",
+  "boss.lives": "Lives",
+  "boss.livesLeft": "{n} lives left",
+  "boss.secondsLeft": "{n} seconds left",
+  "boss.glancing": "Glancing blow — {detail}.",
+  "boss.missed": "Missed!",
+  "boss.comeBack": "It'll come back.",
+  "boss.defeated": "Defeated by {boss}",
+  "boss.theBoss": "the boss",
+  "boss.landed": "You landed {right} of {total} hits before running out of lives.",
+  "boss.reviewTip": "Review the lessons, then try again — the questions come in a new order.",
+  "boss.retry": "Retry fight",
+  "review.title": "Daily Review",
+  "review.empty": "Nothing to review right now — missed questions come back here on their review day.",
+  "review.back": "Back to map",
+  "review.complete": "Review complete",
+  "review.remembered": "{right}/{total} remembered on the first try.",
+  "review.card": "Card {n} of {total} · Ch {ch} — {label}",
+  "review.correct": "{n} correct",
+  "review.next": "Next card →",
+  "review.finish": "Finish →",
+  "terminal.goal": "Goal",
+  "terminal.reset": "Reset repo",
+  "demo.graph": "Commit graph",
+  "demo.first": "Back to the start",
+  "demo.prev": "← Prev",
+  "demo.next": "Next →",
+  "demo.pressNext": "Press Next to run the first command.",
+  "demo.start": "Starting point",
+  "graph.empty": "No commits yet",
+  "graph.noRepo": "Not a git repository yet",
+
+  /********************** Mini-games **********************/
+  "minigame.close": "Close",
+  "minigame.level": "Level {n} of {total}",
+  "minigame.next": "Next level →",
+  "minigame.merge-maze.title": "Merge Maze",
+  "minigame.merge-maze.intro": "main and feature both edited config.yml. For every line in a conflict, take the side that changed it from the base, so neither branch's work is lost.",
+  "minigame.merge-maze.hunk": "Conflict",
+  "minigame.merge-maze.base": "base",
+  "minigame.merge-maze.ours": "ours (main)",
+  "minigame.merge-maze.theirs": "theirs (feature)",
+  "minigame.merge-maze.gone": "(no line)",
+  "minigame.merge-maze.result": "Merged result",
+  "minigame.merge-maze.commit": "Commit merge",
+  "minigame.merge-maze.wrong": "{n} conflict(s) still lose a change — compare each line with the base.",
+  "minigame.merge-maze.levelDone": "Merged cleanly.",
+  "minigame.merge-maze.solved": "Conflict-free! Every change from both branches survived.",
+  "minigame.rebase-reorder.title": "Rebase Reorder",
+  "minigame.rebase-reorder.intro": "git rebase -i main — order the todo list and set each commit's action, then run the rebase.",
+  "minigame.rebase-reorder.action": "Action",
+  "minigame.rebase-reorder.legend": "pick = keep the commit · fixup = fold it into the commit above · drop = remove it",
+  "minigame.rebase-reorder.run": "Run rebase",
+  "minigame.rebase-reorder.shouldDrop": "“{commit}” is throwaway work — drop it.",
+  "minigame.rebase-reorder.lost": "“{commit}” was dropped, but its change is needed.",
+  "minigame.rebase-reorder.notFixup": "“{commit}” is a change of its own — pick it instead of folding it in.",
+  "minigame.rebase-reorder.fixupAction": "“{commit}” corrects “{other}” — mark it fixup.",
+  "minigame.rebase-reorder.fixupPlace": "“{commit}” must sit directly below “{other}” to fold into it.",
+  "minigame.rebase-reorder.order": "CONFLICT: “{commit}” needs “{other}” applied first.",
+  "minigame.rebase-reorder.solved": "Successfully rebased and updated refs/heads/feature.",
+  "minigame.bisect.title": "Bisect Hunt",
+  "minigame.bisect.intro": "The oldest commit passed the tests and HEAD fails them. Test commits in between to find the first bad one, in {budget} tests or fewer.",
+  "minigame.bisect.steps": "Tests: {n}/{budget}",
+  "minigame.bisect.range": "Suspects left: {n}",
+  "minigame.bisect.test": "Test",
+  "minigame.bisect.good": "good",
+  "minigame.bisect.bad": "bad",
+  "minigame.bisect.found": "{sha} is the first bad commit: “{message}”",
+  "minigame.bisect.lost": "Out of tests — the culprit was {sha}. Testing the middle of the range halves it every time.",
+  "minigame.bisect.retry": "New history",
+
+  /********************** Stats **********************/
+  "stats.title": "Your Stats",
+  "stats.intro": "Progress over time, from the answers saved on this device.",
+  "stats.play": "Play {track}",
+  "stats.tracks": "Tracks",
+  "stats.notPlayed": "not played",
+  "stats.loading": "Loading…",
+  "stats.empty": "No answers recorded on this track yet.",
+  "stats.emptyNote": "Stats start with your next quiz — earlier progress only kept totals.",
+  "stats.start": "Start {track} →",
+  "stats.answers": "Answers",
+  "stats.accuracy": "Accuracy",
+  "stats.xp": "XP earned",
+  "stats.bestStreak": "Best streak",
+  "stats.days": "Days played",
+  "stats.xpPerDay": "XP per day",
+  "stats.streaks": "Streak history",
+  "stats.bestThatDay": "Best that day",
+  "stats.endOfDay": "End of day",
+  "stats.byChapter": "Accuracy per chapter",
+  "stats.accuracyPct": "Accuracy %",
+  "stats.avgTime": "Average time per topic",
+  "stats.avgTimeNote": "seconds from seeing a quiz to answering it",
+  "stats.seconds": "Seconds",
+  "stats.byTopic": "Accuracy per topic",
+  "stats.missed": "Most-missed questions",
+  "stats.missedCount": "{misses} of {attempts} missed",
+  "stats.noneMissed": "Nothing missed yet. 🎯",
+  "stats.noTopics": "No topic quizzes answered yet.",
+  "stats.where": "Ch {n} · {name}",
+
+  /********************** Classes **********************/
+  "cohort.title": "Classes",
+  "cohort.intro": "Run a bootcamp: share a class code, follow every learner's progress.",
+  "cohort.loading": "Loading…",
+  "cohort.offline": "Can't reach the class server.",
+  "cohort.signIn": "Sign in (top right) to open or join a class.",
+  "cohort.owned": "Classes you run",
+  "cohort.ownedEmpty": "You haven't opened a class yet.",
+  "cohort.joined": "Classes you joined",
+  "cohort.joinedEmpty": "Join with the code your instructor shares.",
+  "cohort.join": "Join a class",
+  "cohort.code": "Class code",
+  "cohort.codeExample": "e.g. K7QX2M",
+  "cohort.joinButton": "Join",
+  "cohort.create": "Open a class",
+  "cohort.name": "Class name",
+  "cohort.nameExample": "Class name (e.g. Git bootcamp — May)",
+  "cohort.course": "Course",
+  "cohort.createButton": "Create",
+  "cohort.members": "{n} learners",
+  "cohort.members.one": "{n} learner",
+  "cohort.listMeta": "{track} · {members} · by {owner}",
+  "cohort.meta": "{track} · run by {owner} · {members}",
+  "cohort.play": "Play {track} (stay signed in so your progress counts) →",
+  "cohort.closeConfirm": "Close this class for everyone? Learners keep their own progress.",
+  "cohort.leaveConfirm": "Leave this class?",
+  "cohort.back": "← All classes",
+  "cohort.refresh": "Refresh",
+  "cohort.close": "Close class",
+  "cohort.leave": "Leave class",
+  "cohort.copyCode": "Copy code",
+  "cohort.copied": "Copied",
+  "cohort.leaderboard": "Leaderboard",
+  "cohort.chapters": "{done}/{total} chapters",
+  "cohort.xp": "{xp} XP",
+  "cohort.noLearners": "No learners yet — share the class code.",
+  "cohort.progress": "Learner progress",
+  "cohort.learner": "Learner",
+  "cohort.weakest": "Weakest topics",
+  "cohort.lastActive": "Last active",
+  "cohort.done": "done",
+  "cohort.notDone": "not done",
+  "cohort.neverSynced": "never synced",
+};
+
+export default en;
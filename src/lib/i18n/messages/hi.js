@@ -0,0 +1,415 @@
+/** Hindi. Technical terms (Git, XP, commands) stay in English, as learners meet them that way in the terminal. */
+const hi = {
+  "locale.label": "भाषा",
+
+  /********************** Landing **********************/
+  "nav.games": "गेम्स",
+  "nav.how": "यह कैसे काम करता है",
+  "nav.pricing": "कीमत",
+  "nav.stats": "आँकड़े",
+  "nav.classes": "कक्षाएँ",
+  "nav.home": "होम",
+  "nav.playGit": "Git Quest खेलें",
+  "hero.titleBefore": "खेल-खेल में",
+  "hero.titleAccent": "DevOps",
+  "hero.titleAfter": "सीखें",
+  "hero.body": "छोटे मिशन, XP, सिक्कों और बॉस लड़ाइयों के ज़रिए Git, Docker, Kubernetes, Jenkins, Terraform और बहुत कुछ सीखें। तेज़ सीखने और असली कौशल के लिए बना।",
+  "hero.start": "Git Quest शुरू करें →",
+  "hero.browse": "सभी गेम्स देखें",
+  "hero.note": "बीटा के लिए साइन-अप की ज़रूरत नहीं। ब्राउज़र में खेलें — सभी डिवाइस पर प्रगति सिंक करने के लिए साइन इन करें।",
+  "hero.feature.micro": "⚡ 3–5 मिनट के छोटे लेवल",
+  "hero.feature.coins": "🪙 सिक्के और XP कमाएँ",
+  "hero.feature.badges": "🏆 बैज और स्ट्रीक",
+  "hero.feature.cli": "🧪 असली CLI परिदृश्य",
+  "games.title": "गेम्स",
+  "games.more": "और गेम्स जल्द आ रहे हैं",
+  "games.beginner": "शुरुआती • {n} लेवल",
+  "games.intermediate": "मध्यम • {n} लेवल",
+  "games.live": "लाइव",
+  "games.soon": "जल्द आ रहा है",
+  "games.playNow": "अभी खेलें",
+  "games.locked": "बंद",
+  "games.git-quest-train.desc": "init, config, commits, branches, remotes।",
+  "games.docker-dungeon.desc": "images, containers, ports, volumes।",
+  "games.k8s-arena.desc": "Pods, Deployments, Services, rollouts।",
+  "games.jenkins-runner.desc": "Pipelines, agents, triggers, artifacts।",
+  "games.terraform-trials.desc": "HCL, plan/apply, state और modules।",
+  "pricing.intro": "शुरुआती कीमत",
+  "pricing.body": "सभी मौजूदा और आने वाली क्वेस्ट अनलॉक करें। शुरुआती उपयोगकर्ताओं के लिए आजीवन एक्सेस।",
+  "pricing.perk.quests": "सभी शुरुआती + मध्यम क्वेस्ट",
+  "pricing.perk.monthly": "हर महीने नई क्वेस्ट",
+  "pricing.perk.sync": "सभी डिवाइस पर प्रगति सिंक",
+  "pricing.playFree": "Git Quest मुफ़्त खेलें",
+  "pricing.buy": "एक्सेस खरीदें (जल्द)",
+  "footer.rights": "© {year} AgenForge. सर्वाधिकार सुरक्षित।",
+  "footer.privacy": "गोपनीयता",
+  "footer.terms": "शर्तें",
+
+  /********************** World Hub **********************/
+  "world.title": "AgenForge — वर्ल्ड हब",
+  "world.back": "← वापस",
+  "world.scene": "वर्ल्ड हब। WASD या तीर कुंजियों से चलें; पोर्टल पर Enter दबाकर अंदर जाएँ।",
+  "world.help": "चलने के लिए WASD / तीर कुंजियाँ • वहाँ जाने के लिए ज़मीन पर क्लिक करें • अंदर जाने के लिए पोर्टल में कदम रखें",
+  "world.portals": "क्वेस्ट",
+  "world.progress": "{total} में से {done} अध्याय · {pct}%",
+  "world.enter": "प्रवेश करें",
+  "world.locked": "बंद — पहले {tracks} पूरा करें",
+
+  /********************** Quest shell **********************/
+  "quest.tagline": "दृश्य • ध्वनि • प्रगति • मिनी-गेम्स",
+  "hud.xp": "XP",
+  "hud.coins": "सिक्के",
+  "hud.streak": "स्ट्रीक",
+  "hud.badges": "बैज",
+  "hud.due": "बाकी रिव्यू",
+  "intro.start": "शुरू करें",
+  "quest.resume": "अध्याय {n} · विषय {topic} जारी रखें →",
+  "quest.reviewDue": "दैनिक रिव्यू · {n} बाकी →",
+  "quest.found": "{total} में से {found} अध्याय मिले",
+  "quest.chapterOf": "अध्याय {n} / {total}",
+  "quest.minutes": "~{n} मिनट",
+  "quest.noContent": "अभी कोई सामग्री नहीं।",
+  "quest.createFile": "इस अध्याय को भरने के लिए {file} बनाएँ।",
+  "quest.jsonProblems": "इस अध्याय के JSON में समस्याएँ हैं — कुछ प्रश्न शायद काम न करें:",
+  "quest.cleared": "अध्याय {n} पूरा!",
+  "quest.bonus": "{title} — +{xp} XP अध्याय बोनस",
+  "quest.bossSummary": "बॉस: +{xp} XP · {accuracy} सटीकता · प्रति उत्तर {seconds} सेकंड",
+  "quest.hintCut": " · संकेत ×{factor}",
+  "quest.continue": "आगे बढ़ें →",
+  "quest.complete": "{title} पूरा",
+  "quest.badgeUnlocked": "बैज मिला:",
+  "quest.locked": "बंद — पहले {chapters} पूरा करें",
+  "quest.chShort": "अध्याय {n}",
+  "chapterNav.label": "अध्याय",
+  "chapterNav.help": "तीर कुंजियों से अध्यायों के बीच जाएँ; Enter चुने हुए अध्याय को खोलता है।",
+  "chapterNav.item": "अध्याय {n} — {title} — {status}",
+  "chapterNav.done": "पूरा",
+  "chapterNav.open": "बाकी",
+  "chapterNav.locked": "बंद",
+  "chapterNav.missing": "अभी कोई सामग्री नहीं",
+  "settings.reducedMotion": "कम एनिमेशन",
+  "settings.quality": "दृश्य गुणवत्ता",
+  "settings.quality.autoTier": "ऑटो ({tier})",
+  "settings.quality.low": "कम",
+  "settings.quality.medium": "मध्यम",
+  "settings.quality.high": "उच्च",
+  "audio.mute": "आवाज़ बंद करें",
+  "audio.mixer": "ध्वनि",
+  "audio.master": "कुल आवाज़",
+  "audio.music": "संगीत",
+  "audio.sfx": "प्रभाव",
+  "audio.ambience": "परिवेश",
+  "guide.git-quest-train": "कंडक्टर",
+  "theme.train.name": "रेल इंजन",
+  "theme.train.intro": "स्वागत है, यात्री। सिग्नल हरा करने और रवाना होने के लिए सभी अध्याय पूरे करें।",
+  "theme.train.tip": "सुझाव: अध्याय खोलने के लिए किसी डिब्बे पर क्लिक करें। लाल = बाकी, हरा = पूरा।",
+  "theme.train.back": "प्लेटफ़ॉर्म पर लौटें",
+  "theme.train.pending": "सुनो: डिब्बे को हरा करने के लिए इस अध्याय में महारत हासिल करो।",
+  "theme.train.departure": "सिग्नल हरा है — सब सवार हो जाओ! ट्रेन स्टेशन से रवाना हो रही है।",
+  "theme.train.cleared": "डिब्बा {n} हरा हो गया — शाबाश, यात्री!",
+  "theme.path.intro": "स्वागत है, साहसी। द्वार खोलने के लिए रास्ते के हर अध्याय को पूरा करें।",
+  "theme.path.tip": "सुझाव: अध्याय खोलने के लिए किसी पत्थर पर क्लिक करें। लाल = बाकी, हरा = पूरा।",
+  "theme.path.back": "रास्ते पर लौटें",
+  "theme.path.pending": "इस पत्थर को हरा करने के लिए इस अध्याय में महारत हासिल करें।",
+  "theme.path.departure": "द्वार खुल गया है — रास्ते का हर अध्याय पूरा हो गया।",
+  "theme.path.cleared": "पत्थर {n} हरा चमक रहा है — आगे बढ़ो!",
+  "theme.train.engine": "इंजन",
+  "theme.train.signalGo": "रवाना",
+  "theme.train.signalStop": "रुको",
+  "theme.path.gateOpen": "खुला",
+  "theme.path.gateSealed": "बंद",
+  "cutscene.skip": "छोड़ें ▸▸ (Esc)",
+  "credits.certificate": "पूर्णता प्रमाणपत्र",
+  "credits.awarded": "हर अध्याय पूरा · {date}",
+  "credits.xp": "{xp} XP",
+  "credits.chapters": "{n} अध्याय",
+  "credits.badges": "{n} बैज",
+  "credits.roll": "क्रेडिट्स",
+  "credits.guide": "आपके मार्गदर्शक — {name}",
+  "credits.madeWith": "AgenForge के साथ बनाया गया",
+  "credits.print": "प्रमाणपत्र प्रिंट करें",
+  "badges.title": "बैज",
+  "badges.count": "{total} में से {n} मिले",
+  "badges.unlocked": "मिला",
+  "badges.unlockedOn": "{date} को मिला",
+  "badges.close": "बंद करें",
+  "achievement.first-chapter.title": "पहली रवानगी",
+  "achievement.first-chapter.description": "अपना पहला अध्याय पूरा करें।",
+  "achievement.chapter.title": "अध्याय {n} पूरा",
+  "achievement.chapter.description": "“{title}” के बॉस को हराएँ।",
+  "achievement.no-hints.title": "बिना सहारे",
+  "achievement.no-hints.description": "एक भी संकेत खरीदे बिना कोई अध्याय पूरा करें।",
+  "achievement.streak-10.title": "धमाकेदार",
+  "achievement.streak-10.description": "बिना चूके 10 की स्ट्रीक बनाएँ।",
+  "achievement.boss-speed.title": "स्पीडरनर",
+  "achievement.boss-speed.description": "60 सेकंड से कम में किसी बॉस को हराएँ।",
+  "achievement.boss-flawless.title": "अछूता",
+  "achievement.boss-flawless.description": "एक भी जीवन खोए बिना किसी बॉस को हराएँ।",
+  "achievement.track-complete.title": "लाइन पूरी",
+  "achievement.track-complete.description": "इस ट्रैक का हर अध्याय पूरा करें।",
+  "achievement.week-sprint.title": "तूफ़ानी हफ़्ता",
+  "achievement.week-sprint.description": "सात दिनों के अंदर हर अध्याय पूरा करें।",
+  "achievement.reviewer.title": "दोहराव के उस्ताद",
+  "achievement.reviewer.description": "दैनिक रिव्यू के 10 कार्ड सही करें।",
+  "achievement.patron.title": "संकेतों के संरक्षक",
+  "achievement.patron.description": "संकेतों पर 100 सिक्के खर्च करें।",
+  "achievement.minigame:merge-maze.title": "मर्ज मेज़ विजेता",
+  "achievement.minigame:merge-maze.description": "मर्ज मेज़ मिनी-गेम जीतें।",
+  "achievement.minigame:rebase-reorder.title": "इतिहास का दर्ज़ी",
+  "achievement.minigame:rebase-reorder.description": "रीबेस क्रम मिनी-गेम जीतें।",
+  "achievement.minigame:bisect.title": "दोषी पकड़ने वाला",
+  "achievement.minigame:bisect.description": "बाइसेक्ट खोज मिनी-गेम जीतें।",
+  "save.export": "सेव एक्सपोर्ट करें",
+  "save.import": "सेव इम्पोर्ट करें",
+  "save.exported": "सेव एक्सपोर्ट हुआ",
+  "save.imported": "सेव इम्पोर्ट हुआ",
+  "save.importFailed": "इम्पोर्ट विफल: {error}",
+  "account.signInToSync": "सिंक के लिए साइन इन करें",
+  "account.status.local": "इस डिवाइस पर सेव",
+  "account.status.syncing": "सिंक हो रहा है…",
+  "account.status.synced": "सिंक हो गया",
+  "account.status.offline": "ऑफ़लाइन — इसी डिवाइस पर सेव",
+  "account.status.error": "सिंक में त्रुटि",
+  "account.signedInAs": "{name} के रूप में साइन इन। प्रगति सभी डिवाइस पर सिंक होती है।",
+  "account.signOut": "साइन आउट",
+  "account.username": "यूज़रनेम",
+  "account.password": "पासवर्ड (8+ अक्षर)",
+  "account.signIn": "साइन इन",
+  "account.register": "खाता बनाएँ",
+  "account.offline": "ऑफ़लाइन खेलना ठीक है — साइन इन करने तक प्रगति इसी डिवाइस पर रहती है।",
+
+  /********************** Chapter & questions **********************/
+  "chapter.topicOf": "विषय {n} / {total}",
+  "chapter.tryThis": "इसे आज़माएँ",
+  "chapter.startChallenge": "चुनौती शुरू करें →",
+  "chapter.nextTopic": "अगला विषय →",
+  "chapter.noTopics": "इस अध्याय में अभी कोई विषय नहीं है।",
+  "code.copy": "कॉपी",
+  "code.copied": "कॉपी हुआ ✓",
+  "code.copyLabel": "कोड कॉपी करें",
+  "code.notes": "📝 नोट्स",
+  "quiz.challenge": "चुनौती",
+  "quiz.noPrompt": "(कोई प्रश्न नहीं)",
+  "quiz.submit": "जमा करें",
+  "quiz.correct": "✅ सही!",
+  "quiz.partly": "🟡 आंशिक रूप से सही",
+  "quiz.wrong": "❌ सही नहीं",
+  "quiz.goal": "✅ लक्ष्य पूरा!",
+  "input.selectAll": "सभी सही विकल्प चुनें।",
+  "input.orderHelp": "चरणों को क्रम में लगाने के लिए खींचें (या तीरों का उपयोग करें)।",
+  "input.moveUp": "ऊपर ले जाएँ",
+  "input.moveDown": "नीचे ले जाएँ",
+  "input.choose": "चुनें…",
+  "input.fixHelp": "कमांड को ठीक करें ताकि वह चले।",
+  "input.typeAnswer": "उत्तर लिखें…",
+  "hint.hint": "संकेत {step}/{of}",
+  "hint.fifty": "50/50",
+  "hint.letter": "पहला अक्षर",
+  "hint.startsWith": "“{prefix}” से शुरू होता है।",
+  "hint.pays": "{pct}% XP मिलेगा",
+  "boss.default": "बॉस",
+  "boss.intro": "अपनी महारत साबित करें।",
+  "boss.notConfigured": "बॉस अभी तैयार नहीं है।",
+  "boss.hp": "बॉस HP",
+  "boss.lives": "जीवन",
+  "boss.livesLeft": "{n} जीवन बचे",
+  "boss.secondsLeft": "{n} सेकंड बचे",
+  "boss.glancing": "हल्का वार — {detail}।",
+  "boss.missed": "चूक गए!",
+  "boss.comeBack": "यह प्रश्न फिर आएगा।",
+  "boss.defeated": "{boss} से हार गए",
+  "boss.theBoss": "बॉस",
+  "boss.landed": "जीवन खत्म होने से पहले आपने {total} में से {right} वार किए।",
+  "boss.reviewTip": "पाठ दोहराएँ, फिर कोशिश करें — प्रश्न नए क्रम में आएँगे।",
+  "boss.retry": "फिर से लड़ें",
+  "review.title": "दैनिक रिव्यू",
+  "review.empty": "अभी रिव्यू के लिए कुछ नहीं — छूटे हुए प्रश्न अपने रिव्यू के दिन यहाँ लौटेंगे।",
+  "review.back": "नक्शे पर लौटें",
+  "review.complete": "रिव्यू पूरा",
+  "review.remembered": "{total} में से {right} पहली कोशिश में याद रहे।",
+  "review.card": "कार्ड {n} / {total} · अध्याय {ch} — {label}",
+  "review.correct": "{n} सही",
+  "review.next": "अगला कार्ड →",
+  "review.finish": "समाप्त →",
+  "grade.multi": "{n}/{total} सही",
+  "grade.multiWrong": "{n}/{total} सही, {wrong} गलत",
+  "grade.order": "{n}/{total} क्रम में",
+  "grade.match": "{n}/{total} जोड़े",
+  "grade.wordsOff": "{n} शब्दों का अंतर",
+  "grade.wordsOff.one": "{n} शब्द का अंतर",
+  "answer.spelling": "बहुत करीब — वर्तनी जाँचें।",
+  "answer.partMissing": "लगभग — इसका कुछ हिस्सा छूट गया है।",
+  "answer.extra": "लगभग — इसमें कुछ ज़्यादा है।",
+  "answer.blankOnly": "सिर्फ़ खाली जगह भरें — पूरी कमांड नहीं।",
+  "answer.typo": "\"{word}\" की वर्तनी जाँचें।",
+  "answer.flagMissing": "कमांड सही है — पर एक फ़्लैग छूट गया है।",
+  "answer.flagsMissing": "कमांड सही है — पर कुछ फ़्लैग छूट गए हैं।",
+  "answer.flagExtra": "कमांड सही है — पर {flags} यहाँ नहीं चाहिए।",
+  "answer.flags": "कमांड सही है — फ़्लैग जाँचें।",
+  "answer.argMissing": "कमांड और फ़्लैग सही हैं — एक आर्ग्युमेंट छूट गया है।",
+  "answer.args": "कमांड और फ़्लैग सही हैं — आर्ग्युमेंट जाँचें।",
+  "answer.quote": "अपने कोट्स जाँचें — उनमें से एक बंद नहीं हुआ।",
+  "terminal.goal": "लक्ष्य",
+  "terminal.reset": "रिपो रीसेट करें",
+  "goal.initialized": "रिपॉज़िटरी बन गई",
+  "goal.notInitialized": "अभी कोई रिपॉज़िटरी नहीं",
+  "goal.head": "HEAD {branch} पर",
+  "goal.detached": "HEAD detached है",
+  "goal.attached": "HEAD किसी ब्रांच पर",
+  "goal.branchExists": "ब्रांच {name} मौजूद है",
+  "goal.branchMissing": "ब्रांच {name} हटाई गई",
+  "goal.tagExists": "टैग {name} मौजूद है",
+  "goal.commits": "{branch} में {count} कमिट हैं",
+  "goal.commits.one": "{branch} में {count} कमिट है",
+  "goal.commitsAtLeast": "{branch} में कम से कम {count} कमिट हैं",
+  "goal.commitsAtLeast.one": "{branch} में कम से कम {count} कमिट है",
+  "goal.ahead": "{branch}, {of} से {count} कमिट आगे है",
+  "goal.ahead.one": "{branch}, {of} से {count} कमिट आगे है",
+  "goal.behind": "{branch}, {of} से {count} कमिट पीछे है",
+  "goal.behind.one": "{branch}, {of} से {count} कमिट पीछे है",
+  "goal.merged": "{branch}, {into} में मर्ज हुई",
+  "goal.sameCommit": "{a} और {b} एक ही कमिट पर हैं",
+  "goal.linear": "{branch} का इतिहास सीधा है (कोई मर्ज कमिट नहीं)",
+  "goal.mergeCommit": "{branch} एक मर्ज कमिट पर खत्म होती है",
+  "goal.basedOn": "{branch}, {onto} के सिरे पर आधारित है",
+  "goal.clean": "वर्किंग ट्री साफ़ है",
+  "goal.staged": "स्टेज्ड: {paths}",
+  "goal.tracked": "ट्रैक्ड: {paths}",
+  "goal.committed": "{path} कमिट हुई",
+  "goal.committedOn": "{path} {branch} पर कमिट हुई",
+  "goal.fileContains": "{path} में \"{text}\" है",
+  "goal.messageIncludes": "नवीनतम कमिट संदेश में \"{text}\" है",
+  "goal.stashCount": "{count} stash एंट्री",
+  "goal.stashCount.one": "{count} stash एंट्री",
+  "goal.remoteExists": "रिमोट {name} सेट है",
+  "goal.pushed": "{branch}, {remote} पर push हुई",
+  "goal.upstream": "{branch}, {to} को ट्रैक करती है",
+  "goal.picked": "\"{message}\" {branch} पर है",
+  "goal.newCommits": "{branch} पर {count} नए कमिट",
+  "goal.newCommits.one": "{branch} पर {count} नया कमिट",
+  "goal.unknown": "अज्ञात जाँच \"{check}\"",
+  "demo.graph": "कमिट ग्राफ़",
+  "demo.first": "शुरुआत पर वापस",
+  "demo.prev": "← पिछला",
+  "demo.next": "अगला →",
+  "demo.pressNext": "पहली कमांड चलाने के लिए \"अगला\" दबाएँ।",
+  "demo.start": "शुरुआती स्थिति",
+  "graph.empty": "अभी कोई कमिट नहीं",
+  "graph.noRepo": "अभी git रिपॉज़िटरी नहीं है",
+
+  /********************** Mini-games **********************/
+  "minigame.close": "बंद करें",
+  "minigame.level": "स्तर {n} / {total}",
+  "minigame.next": "अगला स्तर →",
+  "minigame.merge-maze.title": "मर्ज मेज़",
+  "minigame.merge-maze.intro": "main और feature दोनों ने config.yml बदली है। टकराव की हर पंक्ति के लिए वह पक्ष चुनें जिसने उसे base से बदला है, ताकि किसी ब्रांच का काम न खोए।",
+  "minigame.merge-maze.hunk": "टकराव",
+  "minigame.merge-maze.base": "base",
+  "minigame.merge-maze.ours": "ours (main)",
+  "minigame.merge-maze.theirs": "theirs (feature)",
+  "minigame.merge-maze.gone": "(पंक्ति नहीं)",
+  "minigame.merge-maze.result": "मर्ज परिणाम",
+  "minigame.merge-maze.commit": "मर्ज कमिट करें",
+  "minigame.merge-maze.wrong": "{n} टकराव में अब भी कोई बदलाव खो रहा है — हर पंक्ति की base से तुलना करें।",
+  "minigame.merge-maze.levelDone": "साफ़ मर्ज हुआ।",
+  "minigame.merge-maze.solved": "टकराव मुक्त! दोनों ब्रांचों का हर बदलाव बचा रहा।",
+  "minigame.rebase-reorder.title": "रीबेस क्रम",
+  "minigame.rebase-reorder.intro": "git rebase -i main — todo सूची का क्रम और हर कमिट का action तय करें, फिर रीबेस चलाएँ।",
+  "minigame.rebase-reorder.action": "Action",
+  "minigame.rebase-reorder.legend": "pick = कमिट रखें · fixup = ऊपर वाले कमिट में मिलाएँ · drop = हटाएँ",
+  "minigame.rebase-reorder.run": "रीबेस चलाएँ",
+  "minigame.rebase-reorder.shouldDrop": "“{commit}” फेंकने लायक काम है — इसे drop करें।",
+  "minigame.rebase-reorder.lost": "“{commit}” drop हो गया, पर उसका बदलाव ज़रूरी है।",
+  "minigame.rebase-reorder.notFixup": "“{commit}” अपना अलग बदलाव है — इसे मिलाने के बजाय pick करें।",
+  "minigame.rebase-reorder.fixupAction": "“{commit}” “{other}” को सुधारता है — इसे fixup चिह्नित करें।",
+  "minigame.rebase-reorder.fixupPlace": "“{commit}” को मिलाने के लिए “{other}” के ठीक नीचे होना चाहिए।",
+  "minigame.rebase-reorder.order": "CONFLICT: “{commit}” से पहले “{other}” लागू होना चाहिए।",
+  "minigame.rebase-reorder.solved": "रीबेस सफल, refs/heads/feature अपडेट हुआ।",
+  "minigame.bisect.title": "बाइसेक्ट खोज",
+  "minigame.bisect.intro": "सबसे पुराना कमिट टेस्ट पास करता है और HEAD फ़ेल। बीच के कमिट टेस्ट करके पहला खराब कमिट ढूँढें — {budget} टेस्ट या कम में।",
+  "minigame.bisect.steps": "टेस्ट: {n}/{budget}",
+  "minigame.bisect.range": "बचे संदिग्ध: {n}",
+  "minigame.bisect.test": "टेस्ट",
+  "minigame.bisect.good": "good",
+  "minigame.bisect.bad": "bad",
+  "minigame.bisect.found": "{sha} पहला खराब कमिट है: “{message}”",
+  "minigame.bisect.lost": "टेस्ट खत्म — दोषी {sha} था। रेंज के बीच में टेस्ट करने से वह हर बार आधी हो जाती है।",
+  "minigame.bisect.retry": "नया इतिहास",
+
+  /********************** Stats **********************/
+  "stats.title": "आपके आँकड़े",
+  "stats.intro": "समय के साथ प्रगति, इस डिवाइस पर सेव उत्तरों से।",
+  "stats.play": "{track} खेलें",
+  "stats.tracks": "ट्रैक",
+  "stats.notPlayed": "नहीं खेला",
+  "stats.loading": "लोड हो रहा है…",
+  "stats.empty": "इस ट्रैक पर अभी कोई उत्तर दर्ज नहीं है।",
+  "stats.emptyNote": "आँकड़े आपकी अगली क्विज़ से शुरू होंगे — पहले की प्रगति में सिर्फ़ कुल योग रखे गए थे।",
+  "stats.start": "{track} शुरू करें →",
+  "stats.answers": "उत्तर",
+  "stats.accuracy": "सटीकता",
+  "stats.xp": "कमाए XP",
+  "stats.bestStreak": "सबसे लंबी स्ट्रीक",
+  "stats.days": "खेले गए दिन",
+  "stats.xpPerDay": "प्रति दिन XP",
+  "stats.streaks": "स्ट्रीक इतिहास",
+  "stats.bestThatDay": "उस दिन की सबसे लंबी",
+  "stats.endOfDay": "दिन के अंत में",
+  "stats.byChapter": "प्रति अध्याय सटीकता",
+  "stats.accuracyPct": "सटीकता %",
+  "stats.avgTime": "प्रति विषय औसत समय",
+  "stats.avgTimeNote": "क्विज़ देखने से उत्तर देने तक के सेकंड",
+  "stats.seconds": "सेकंड",
+  "stats.byTopic": "प्रति विषय सटीकता",
+  "stats.missed": "सबसे ज़्यादा छूटे प्रश्न",
+  "stats.missedCount": "{attempts} में से {misses} बार छूटा",
+  "stats.noneMissed": "अभी तक कुछ नहीं छूटा। 🎯",
+  "stats.noTopics": "अभी किसी विषय की क्विज़ का उत्तर नहीं दिया गया।",
+  "stats.where": "अध्याय {n} · {name}",
+
+  /********************** Classes **********************/
+  "cohort.title": "कक्षाएँ",
+  "cohort.intro": "बूटकैंप चलाएँ: कक्षा कोड साझा करें, हर शिक्षार्थी की प्रगति देखें।",
+  "cohort.loading": "लोड हो रहा है…",
+  "cohort.offline": "कक्षा सर्वर तक नहीं पहुँच पा रहे।",
+  "cohort.signIn": "कक्षा खोलने या उससे जुड़ने के लिए (ऊपर दाईं ओर) साइन इन करें।",
+  "cohort.owned": "आपकी चलाई कक्षाएँ",
+  "cohort.ownedEmpty": "आपने अभी कोई कक्षा नहीं खोली है।",
+  "cohort.joined": "जिन कक्षाओं से आप जुड़े",
+  "cohort.joinedEmpty": "अपने प्रशिक्षक के दिए कोड से जुड़ें।",
+  "cohort.join": "कक्षा से जुड़ें",
+  "cohort.code": "कक्षा कोड",
+  "cohort.codeExample": "जैसे K7QX2M",
+  "cohort.joinButton": "जुड़ें",
+  "cohort.create": "कक्षा खोलें",
+  "cohort.name": "कक्षा का नाम",
+  "cohort.nameExample": "कक्षा का नाम (जैसे Git बूटकैंप — मई)",
+  "cohort.course": "कोर्स",
+  "cohort.createButton": "बनाएँ",
+  "cohort.members": "{n} शिक्षार्थी",
+  "cohort.members.one": "{n} शिक्षार्थी",
+  "cohort.listMeta": "{track} · {members} · {owner} द्वारा",
+  "cohort.meta": "{track} · {owner} द्वारा संचालित · {members}",
+  "cohort.play": "{track} खेलें (साइन इन रहें ताकि आपकी प्रगति गिनी जाए) →",
+  "cohort.closeConfirm": "यह कक्षा सबके लिए बंद करें? शिक्षार्थियों की अपनी प्रगति बनी रहेगी।",
+  "cohort.leaveConfirm": "यह कक्षा छोड़ें?",
+  "cohort.back": "← सभी कक्षाएँ",
+  "cohort.refresh": "रीफ़्रेश करें",
+  "cohort.close": "कक्षा बंद करें",
+  "cohort.leave": "कक्षा छोड़ें",
+  "cohort.copyCode": "कोड कॉपी करें",
+  "cohort.copied": "कॉपी हुआ",
+  "cohort.leaderboard": "लीडरबोर्ड",
+  "cohort.chapters": "{total} में से {done} अध्याय",
+  "cohort.xp": "{xp} XP",
+  "cohort.noLearners": "अभी कोई शिक्षार्थी नहीं — कक्षा कोड साझा करें।",
+  "cohort.progress": "शिक्षार्थियों की प्रगति",
+  "cohort.learner": "शिक्षार्थी",
+  "cohort.weakest": "सबसे कमज़ोर विषय",
+  "cohort.lastActive": "पिछली बार सक्रिय",
+  "cohort.done": "पूरा",
+  "cohort.notDone": "पूरा नहीं",
+  "cohort.neverSynced": "कभी सिंक नहीं हुआ",
+};
+
+export default hi;
@@ -0,0 +1,415 @@
+/** Telugu. Technical terms (Git, XP, commands) stay in English, as learners meet them that way in the terminal. */
+const te = {
+  "locale.label": "భాష",
+
+  /********************** Landing **********************/
+  "nav.games": "గేమ్స్",
+  "nav.how": "ఇది ఎలా పనిచేస్తుంది",
+  "nav.pricing": "ధర",
+  "nav.stats": "గణాంకాలు",
+  "nav.classes": "తరగతులు",
+  "nav.home": "హోమ్",
+  "nav.playGit": "Git Quest ఆడండి",
+  "hero.titleBefore": "ఆటలతో",
+  "hero.titleAccent": "DevOps",
+  "hero.titleAfter": "నేర్చుకోండి",
+  "hero.body": "చిన్న మిషన్లు, XP, నాణేలు, బాస్ యుద్ధాల ద్వారా Git, Docker, Kubernetes, Jenkins, Terraform మరియు మరెన్నో నేర్చుకోండి. వేగంగా నేర్చుకోవడానికి, నిజమైన నైపుణ్యాల కోసం రూపొందించబడింది.",
+  "hero.start": "Git Quest ప్రారంభించండి →",
+  "hero.browse": "అన్ని గేమ్స్ చూడండి",
+  "hero.note": "బీటాకు సైన్-అప్ అవసరం లేదు. బ్రౌజర్‌లో ఆడండి — అన్ని పరికరాల్లో ప్రోగ్రెస్ సింక్ చేయడానికి సైన్ ఇన్ చేయండి.",
+  "hero.feature.micro": "⚡ 3–5 నిమిషాల చిన్న లెవెల్స్",
+  "hero.feature.coins": "🪙 నాణేలు & XP సంపాదించండి",
+  "hero.feature.badges": "🏆 బ్యాడ్జ్‌లు & స్ట్రీక్‌లు",
+  "hero.feature.cli": "🧪 నిజమైన CLI సందర్భాలు",
+  "games.title": "గేమ్స్",
+  "games.more": "మరిన్ని త్వరలో వస్తున్నాయి",
+  "games.beginner": "ప్రారంభ స్థాయి • {n} లెవెల్స్",
+  "games.intermediate": "మధ్యస్థ స్థాయి • {n} లెవెల్స్",
+  "games.live": "లైవ్",
+  "games.soon": "త్వరలో",
+  "games.playNow": "ఇప్పుడు ఆడండి",
+  "games.locked": "లాక్ అయింది",
+  "games.git-quest-train.desc": "init, config, commits, branches, remotes.",
+  "games.docker-dungeon.desc": "images, containers, ports, volumes.",
+  "games.k8s-arena.desc": "Pods, Deployments, Services, rollouts.",
+  "games.jenkins-runner.desc": "Pipelines, agents, triggers, artifacts.",
+  "games.terraform-trials.desc": "HCL, plan/apply, state మరియు modules.",
+  "pricing.intro": "ప్రారంభ ధర",
+  "pricing.body": "ప్రస్తుత మరియు రాబోయే అన్ని క్వెస్ట్‌లను అన్‌లాక్ చేయండి. తొలి వినియోగదారులకు జీవితకాల యాక్సెస్.",
+  "pricing.perk.quests": "అన్ని ప్రారంభ + మధ్యస్థ క్వెస్ట్‌లు",
+  "pricing.perk.monthly": "ప్రతి నెలా కొత్త క్వెస్ట్‌లు",
+  "pricing.perk.sync": "అన్ని పరికరాల్లో ప్రోగ్రెస్ సింక్",
+  "pricing.playFree": "Git Quest ఉచితంగా ఆడండి",
+  "pricing.buy": "యాక్సెస్ కొనండి (త్వరలో)",
+  "footer.rights": "© {year} AgenForge. సర్వహక్కులు ప్రత్యేకించబడ్డాయి.",
+  "footer.privacy": "గోప్యత",
+  "footer.terms": "నిబంధనలు",
+
+  /********************** World Hub **********************/
+  "world.title": "AgenForge — వరల్డ్ హబ్",
+  "world.back": "← వెనక్కి",
+  "world.scene": "వరల్డ్ హబ్. WASD లేదా బాణం కీలతో నడవండి; లోపలికి వెళ్ళడానికి పోర్టల్ వద్ద Enter నొక్కండి.",
+  "world.help": "నడవడానికి WASD / బాణం కీలు • అక్కడికి వెళ్ళడానికి నేలపై క్లిక్ చేయండి • లోపలికి వెళ్ళడానికి పోర్టల్‌లోకి అడుగు పెట్టండి",
+  "world.portals": "క్వెస్ట్‌లు",
+  "world.progress": "{total}లో {done} అధ్యాయాలు · {pct}%",
+  "world.enter": "ప్రవేశించండి",
+  "world.locked": "లాక్ — ముందుగా {tracks} పూర్తి చేయండి",
+
+  /********************** Quest shell **********************/
+  "quest.tagline": "దృశ్యాలు • శబ్దం • ప్రోగ్రెస్ • మినీ-గేమ్స్",
+  "hud.xp": "XP",
+  "hud.coins": "నాణేలు",
+  "hud.streak": "స్ట్రీక్",
+  "hud.badges": "బ్యాడ్జ్‌లు",
+  "hud.due": "రివ్యూలు మిగిలాయి",
+  "intro.start": "ప్రారంభించండి",
+  "quest.resume": "అధ్యాయం {n} · అంశం {topic} కొనసాగించండి →",
+  "quest.reviewDue": "రోజువారీ రివ్యూ · {n} మిగిలాయి →",
+  "quest.found": "{total}లో {found} అధ్యాయాలు దొరికాయి",
+  "quest.chapterOf": "అధ్యాయం {n} / {total}",
+  "quest.minutes": "~{n} నిమి",
+  "quest.noContent": "ఇంకా కంటెంట్ లేదు.",
+  "quest.createFile": "ఈ అధ్యాయాన్ని నింపడానికి {file}ను సృష్టించండి.",
+  "quest.jsonProblems": "ఈ అధ్యాయం JSONలో సమస్యలు ఉన్నాయి — కొన్ని ప్రశ్నలు పని చేయకపోవచ్చు:",
+  "quest.cleared": "అధ్యాయం {n} పూర్తయింది!",
+  "quest.bonus": "{title} — +{xp} XP అధ్యాయ బోనస్",
+  "quest.bossSummary": "బాస్: +{xp} XP · {accuracy} ఖచ్చితత్వం · ఒక్కో జవాబుకు {seconds} సె",
+  "quest.hintCut": " · సూచనలు ×{factor}",
+  "quest.continue": "కొనసాగించండి →",
+  "quest.complete": "{title} పూర్తయింది",
+  "quest.badgeUnlocked": "బ్యాడ్జ్ వచ్చింది:",
+  "quest.locked": "లాక్ — ముందుగా {chapters} పూర్తి చేయండి",
+  "quest.chShort": "అధ్యాయం {n}",
+  "chapterNav.label": "అధ్యాయాలు",
+  "chapterNav.help": "బాణం కీలతో అధ్యాయాల మధ్య కదలండి; Enter ఎంచుకున్న అధ్యాయాన్ని తెరుస్తుంది.",
+  "chapterNav.item": "అధ్యాయం {n} — {title} — {status}",
+  "chapterNav.done": "పూర్తయింది",
+  "chapterNav.open": "మిగిలింది",
+  "chapterNav.locked": "లాక్",
+  "chapterNav.missing": "ఇంకా కంటెంట్ లేదు",
+  "settings.reducedMotion": "కదలికలు తగ్గించు",
+  "settings.quality": "దృశ్య నాణ్యత",
+  "settings.quality.autoTier": "ఆటో ({tier})",
+  "settings.quality.low": "తక్కువ",
+  "settings.quality.medium": "మధ్యస్థం",
+  "settings.quality.high": "ఎక్కువ",
+  "audio.mute": "శబ్దం ఆపు",
+  "audio.mixer": "ధ్వని",
+  "audio.master": "మొత్తం వాల్యూమ్",
+  "audio.music": "సంగీతం",
+  "audio.sfx": "ఎఫెక్ట్స్",
+  "audio.ambience": "పరిసర ధ్వని",
+  "guide.git-quest-train": "కండక్టర్",
+  "theme.train.name": "రైలు ఇంజిన్",
+  "theme.train.intro": "స్వాగతం, ప్రయాణికుడా. సిగ్నల్‌ను ఆకుపచ్చగా మార్చి బయలుదేరడానికి అన్ని అధ్యాయాలు పూర్తి చేయండి.",
+  "theme.train.tip": "సూచన: అధ్యాయం తెరవడానికి ఏదైనా బోగీపై క్లిక్ చేయండి. ఎరుపు = మిగిలింది, ఆకుపచ్చ = పూర్తయింది.",
+  "theme.train.back": "ప్లాట్‌ఫారమ్‌కు తిరిగి వెళ్ళండి",
+  "theme.train.pending": "వినండి: బోగీని ఆకుపచ్చగా వెలిగించడానికి ఈ అధ్యాయంలో నైపుణ్యం సాధించండి.",
+  "theme.train.departure": "సిగ్నల్ ఆకుపచ్చగా ఉంది — అందరూ ఎక్కండి! రైలు స్టేషన్ నుండి బయలుదేరుతోంది.",
+  "theme.train.cleared": "బోగీ {n} ఆకుపచ్చగా వెలిగింది — భేష్, ప్రయాణికుడా!",
+  "theme.path.intro": "స్వాగతం, సాహసికుడా. ద్వారం తెరవడానికి దారిలోని ప్రతి అధ్యాయాన్ని పూర్తి చేయండి.",
+  "theme.path.tip": "సూచన: అధ్యాయం తెరవడానికి ఏదైనా రాయిపై క్లిక్ చేయండి. ఎరుపు = మిగిలింది, ఆకుపచ్చ = పూర్తయింది.",
+  "theme.path.back": "దారికి తిరిగి వెళ్ళండి",
+  "theme.path.pending": "ఈ రాయిని ఆకుపచ్చగా వెలిగించడానికి ఈ అధ్యాయంలో నైపుణ్యం సాధించండి.",
+  "theme.path.departure": "ద్వారం తెరుచుకుంది — దారిలోని ప్రతి అధ్యాయం పూర్తయింది.",
+  "theme.path.cleared": "రాయి {n} ఆకుపచ్చగా మెరుస్తోంది — ముందుకు సాగండి!",
+  "theme.train.engine": "ఇంజిన్",
+  "theme.train.signalGo": "బయలుదేరు",
+  "theme.train.signalStop": "ఆగు",
+  "theme.path.gateOpen": "తెరిచి ఉంది",
+  "theme.path.gateSealed": "మూసి ఉంది",
+  "cutscene.skip": "దాటవేయండి ▸▸ (Esc)",
+  "credits.certificate": "పూర్తి చేసిన ధృవపత్రం",
+  "credits.awarded": "అన్ని అధ్యాయాలు పూర్తయ్యాయి · {date}",
+  "credits.xp": "{xp} XP",
+  "credits.chapters": "{n} అధ్యాయాలు",
+  "credits.badges": "{n} బ్యాడ్జ్‌లు",
+  "credits.roll": "క్రెడిట్స్",
+  "credits.guide": "మీ గైడ్ — {name}",
+  "credits.madeWith": "AgenForgeతో రూపొందించబడింది",
+  "credits.print": "ధృవపత్రాన్ని ప్రింట్ చేయండి",
+  "badges.title": "బ్యాడ్జ్‌లు",
+  "badges.count": "{total}లో {n} సాధించారు",
+  "badges.unlocked": "సాధించారు",
+  "badges.unlockedOn": "{date}న సాధించారు",
+  "badges.close": "మూసివేయండి",
+  "achievement.first-chapter.title": "తొలి ప్రయాణం",
+  "achievement.first-chapter.description": "మీ మొదటి అధ్యాయాన్ని పూర్తి చేయండి.",
+  "achievement.chapter.title": "అధ్యాయం {n} పూర్తి",
+  "achievement.chapter.description": "“{title}” బాస్‌ను ఓడించండి.",
+  "achievement.no-hints.title": "సహాయం లేకుండా",
+  "achievement.no-hints.description": "ఒక్క సూచన కూడా కొనకుండా ఒక అధ్యాయాన్ని పూర్తి చేయండి.",
+  "achievement.streak-10.title": "జోరు మీద",
+  "achievement.streak-10.description": "తప్పు లేకుండా 10 స్ట్రీక్ సాధించండి.",
+  "achievement.boss-speed.title": "స్పీడ్‌రన్నర్",
+  "achievement.boss-speed.description": "60 సెకన్లలోపు ఒక బాస్‌ను ఓడించండి.",
+  "achievement.boss-flawless.title": "చెక్కుచెదరని",
+  "achievement.boss-flawless.description": "ఒక్క ప్రాణం కూడా కోల్పోకుండా ఒక బాస్‌ను ఓడించండి.",
+  "achievement.track-complete.title": "లైన్ పూర్తి",
+  "achievement.track-complete.description": "ఈ ట్రాక్‌లోని ప్రతి అధ్యాయాన్ని పూర్తి చేయండి.",
+  "achievement.week-sprint.title": "వారం పరుగు",
+  "achievement.week-sprint.description": "ఏడు రోజుల్లోపు ప్రతి అధ్యాయాన్ని పూర్తి చేయండి.",
+  "achievement.reviewer.title": "పునశ్చరణ నిపుణులు",
+  "achievement.reviewer.description": "రోజువారీ రివ్యూలో 10 కార్డులు సరిగ్గా చెప్పండి.",
+  "achievement.patron.title": "సూచనల పోషకులు",
+  "achievement.patron.description": "సూచనలపై 100 నాణేలు ఖర్చు చేయండి.",
+  "achievement.minigame:merge-maze.title": "మెర్జ్ మేజ్ విజేత",
+  "achievement.minigame:merge-maze.description": "మెర్జ్ మేజ్ మినీ-గేమ్‌ను గెలవండి.",
+  "achievement.minigame:rebase-reorder.title": "చరిత్ర దర్జీ",
+  "achievement.minigame:rebase-reorder.description": "రీబేస్ క్రమం మినీ-గేమ్‌ను గెలవండి.",
+  "achievement.minigame:bisect.title": "దోషిని పట్టేవారు",
+  "achievement.minigame:bisect.description": "బైసెక్ట్ వేట మినీ-గేమ్‌ను గెలవండి.",
+  "save.export": "సేవ్‌ను ఎగుమతి చేయండి",
+  "save.import": "సేవ్‌ను దిగుమతి చేయండి",
+  "save.exported": "సేవ్ ఎగుమతి అయింది",
+  "save.imported": "సేవ్ దిగుమతి అయింది",
+  "save.importFailed": "దిగుమతి విఫలమైంది: {error}",
+  "account.signInToSync": "సింక్ చేయడానికి సైన్ ఇన్ చేయండి",
+  "account.status.local": "ఈ పరికరంలో సేవ్ అయింది",
+  "account.status.syncing": "సింక్ అవుతోంది…",
+  "account.status.synced": "సింక్ అయింది",
+  "account.status.offline": "ఆఫ్‌లైన్ — ఈ పరికరంలోనే సేవ్ అయింది",
+  "account.status.error": "సింక్ లోపం",
+  "account.signedInAs": "{name}గా సైన్ ఇన్ అయ్యారు. ప్రగతి అన్ని పరికరాల్లో సింక్ అవుతుంది.",
+  "account.signOut": "సైన్ అవుట్",
+  "account.username": "యూజర్‌నేమ్",
+  "account.password": "పాస్‌వర్డ్ (8+ అక్షరాలు)",
+  "account.signIn": "సైన్ ఇన్",
+  "account.register": "ఖాతా సృష్టించండి",
+  "account.offline": "ఆఫ్‌లైన్‌లో ఆడవచ్చు — సైన్ ఇన్ చేసే వరకు ప్రగతి ఈ పరికరంలోనే ఉంటుంది.",
+
+  /********************** Chapter & questions **********************/
+  "chapter.topicOf": "అంశం {n} / {total}",
+  "chapter.tryThis": "ఇది ప్రయత్నించండి",
+  "chapter.startChallenge": "ఛాలెంజ్ ప్రారంభించండి →",
+  "chapter.nextTopic": "తదుపరి అంశం →",
+  "chapter.noTopics": "ఈ అధ్యాయంలో ఇంకా అంశాలు లేవు.",
+  "code.copy": "కాపీ",
+  "code.copied": "కాపీ అయింది ✓",
+  "code.copyLabel": "కోడ్ కాపీ చేయండి",
+  "code.notes": "📝 గమనికలు",
+  "quiz.challenge": "ఛాలెంజ్",
+  "quiz.noPrompt": "(ప్రశ్న లేదు)",
+  "quiz.submit": "సమర్పించండి",
+  "quiz.correct": "✅ సరైనది!",
+  "quiz.partly": "🟡 పాక్షికంగా సరైనది",
+  "quiz.wrong": "❌ సరికాదు",
+  "quiz.goal": "✅ లక్ష్యం చేరుకున్నారు!",
+  "input.selectAll": "సరైన అన్నింటినీ ఎంచుకోండి.",
+  "input.orderHelp": "దశలను క్రమంలో పెట్టడానికి లాగండి (లేదా బాణాలు వాడండి).",
+  "input.moveUp": "పైకి జరపండి",
+  "input.moveDown": "కిందికి జరపండి",
+  "input.choose": "ఎంచుకోండి…",
+  "input.fixHelp": "కమాండ్ పనిచేసేలా సరిచేయండి.",
+  "input.typeAnswer": "జవాబు టైప్ చేయండి…",
+  "hint.hint": "సూచన {step}/{of}",
+  "hint.fifty": "50/50",
+  "hint.letter": "మొదటి అక్షరం",
+  "hint.startsWith": "“{prefix}”తో మొదలవుతుంది.",
+  "hint.pays": "{pct}% XP వస్తుంది",
+  "boss.default": "బాస్",
+  "boss.intro": "మీ నైపుణ్యాన్ని నిరూపించుకోండి.",
+  "boss.notConfigured": "బాస్ ఇంకా సిద్ధంగా లేదు.",
+  "boss.hp": "బాస్ HP",
+  "boss.lives": "ప్రాణాలు",
+  "boss.livesLeft": "{n} ప్రాణాలు మిగిలాయి",
+  "boss.secondsLeft": "{n} సెకన్లు మిగిలాయి",
+  "boss.glancing": "స్వల్ప దెబ్బ — {detail}.",
+  "boss.missed": "తప్పింది!",
+  "boss.comeBack": "ఈ ప్రశ్న మళ్ళీ వస్తుంది.",
+  "boss.defeated": "{boss} చేతిలో ఓడిపోయారు",
+  "boss.theBoss": "బాస్",
+  "boss.landed": "ప్రాణాలు అయిపోయేలోపు మీరు {total}లో {right} దెబ్బలు కొట్టారు.",
+  "boss.reviewTip": "పాఠాలను మళ్ళీ చూసి, మళ్ళీ ప్రయత్నించండి — ప్రశ్నలు కొత్త క్రమంలో వస్తాయి.",
+  "boss.retry": "మళ్ళీ పోరాడండి",
+  "review.title": "రోజువారీ రివ్యూ",
+  "review.empty": "ప్రస్తుతం రివ్యూ చేయడానికి ఏమీ లేదు — తప్పిన ప్రశ్నలు వాటి రివ్యూ రోజున ఇక్కడికి వస్తాయి.",
+  "review.back": "మ్యాప్‌కు తిరిగి వెళ్ళండి",
+  "review.complete": "రివ్యూ పూర్తయింది",
+  "review.remembered": "{total}లో {right} మొదటి ప్రయత్నంలోనే గుర్తున్నాయి.",
+  "review.card": "కార్డ్ {n} / {total} · అధ్యాయం {ch} — {label}",
+  "review.correct": "{n} సరైనవి",
+  "review.next": "తదుపరి కార్డ్ →",
+  "review.finish": "ముగించండి →",
+  "grade.multi": "{n}/{total} సరైనవి",
+  "grade.multiWrong": "{n}/{total} సరైనవి, {wrong} తప్పు",
+  "grade.order": "{n}/{total} క్రమంలో ఉన్నాయి",
+  "grade.match": "{n}/{total} జతలు",
+  "grade.wordsOff": "{n} పదాల తేడా",
+  "grade.wordsOff.one": "{n} పదం తేడా",
+  "answer.spelling": "చాలా దగ్గరగా ఉంది — స్పెల్లింగ్ చూడండి.",
+  "answer.partMissing": "దాదాపు — ఇందులో కొంత భాగం లేదు.",
+  "answer.extra": "దాదాపు — ఇందులో ఏదో ఎక్కువగా ఉంది.",
+  "answer.blankOnly": "ఖాళీని మాత్రమే నింపండి — పూర్తి కమాండ్ కాదు.",
+  "answer.typo": "\"{word}\" స్పెల్లింగ్ చూడండి.",
+  "answer.flagMissing": "కమాండ్ సరైనదే — కానీ ఒక ఫ్లాగ్ లేదు.",
+  "answer.flagsMissing": "కమాండ్ సరైనదే — కానీ కొన్ని ఫ్లాగ్‌లు లేవు.",
+  "answer.flagExtra": "కమాండ్ సరైనదే — కానీ {flags} ఇక్కడ అవసరం లేదు.",
+  "answer.flags": "కమాండ్ సరైనదే — ఫ్లాగ్‌లు చూడండి.",
+  "answer.argMissing": "కమాండ్, ఫ్లాగ్‌లు సరైనవే — ఒక ఆర్గ్యుమెంట్ లేదు.",
+  "answer.args": "కమాండ్, ఫ్లాగ్‌లు సరైనవే — ఆర్గ్యుమెంట్‌లు చూడండి.",
+  "answer.quote": "కోట్‌లు చూడండి — వాటిలో ఒకటి మూయబడలేదు.",
+  "terminal.goal": "లక్ష్యం",
+  "terminal.reset": "రిపోను రీసెట్ చేయండి",
+  "goal.initialized": "రిపోజిటరీ సృష్టించబడింది",
+  "goal.notInitialized": "ఇంకా రిపోజిటరీ లేదు",
+  "goal.head": "HEAD {branch}పై ఉంది",
+  "goal.detached": "HEAD detached అయింది",
+  "goal.attached": "HEAD ఒక బ్రాంచ్‌పై ఉంది",
+  "goal.branchExists": "బ్రాంచ్ {name} ఉంది",
+  "goal.branchMissing": "బ్రాంచ్ {name} తొలగించబడింది",
+  "goal.tagExists": "ట్యాగ్ {name} ఉంది",
+  "goal.commits": "{branch}లో {count} కమిట్‌లు ఉన్నాయి",
+  "goal.commits.one": "{branch}లో {count} కమిట్ ఉంది",
+  "goal.commitsAtLeast": "{branch}లో కనీసం {count} కమిట్‌లు ఉన్నాయి",
+  "goal.commitsAtLeast.one": "{branch}లో కనీసం {count} కమిట్ ఉంది",
+  "goal.ahead": "{branch}, {of} కంటే {count} కమిట్‌లు ముందుంది",
+  "goal.ahead.one": "{branch}, {of} కంటే {count} కమిట్ ముందుంది",
+  "goal.behind": "{branch}, {of} కంటే {count} కమిట్‌లు వెనకబడి ఉంది",
+  "goal.behind.one": "{branch}, {of} కంటే {count} కమిట్ వెనకబడి ఉంది",
+  "goal.merged": "{branch}, {into}లో మెర్జ్ అయింది",
+  "goal.sameCommit": "{a}, {b} ఒకే కమిట్‌పై ఉన్నాయి",
+  "goal.linear": "{branch} చరిత్ర సరళంగా ఉంది (మెర్జ్ కమిట్‌లు లేవు)",
+  "goal.mergeCommit": "{branch} ఒక మెర్జ్ కమిట్‌తో ముగుస్తుంది",
+  "goal.basedOn": "{branch}, {onto} చివరి కమిట్‌పై ఆధారపడి ఉంది",
+  "goal.clean": "వర్కింగ్ ట్రీ శుభ్రంగా ఉంది",
+  "goal.staged": "స్టేజ్ చేసినవి: {paths}",
+  "goal.tracked": "ట్రాక్ అవుతున్నవి: {paths}",
+  "goal.committed": "{path} కమిట్ అయింది",
+  "goal.committedOn": "{path} {branch}పై కమిట్ అయింది",
+  "goal.fileContains": "{path}లో \"{text}\" ఉంది",
+  "goal.messageIncludes": "తాజా కమిట్ సందేశంలో \"{text}\" ఉంది",
+  "goal.stashCount": "{count} stash ఎంట్రీలు",
+  "goal.stashCount.one": "{count} stash ఎంట్రీ",
+  "goal.remoteExists": "రిమోట్ {name} సెట్ అయింది",
+  "goal.pushed": "{branch}, {remote}కు push అయింది",
+  "goal.upstream": "{branch}, {to}ను ట్రాక్ చేస్తోంది",
+  "goal.picked": "\"{message}\" {branch}పై ఉంది",
+  "goal.newCommits": "{branch}పై {count} కొత్త కమిట్‌లు",
+  "goal.newCommits.one": "{branch}పై {count} కొత్త కమిట్",
+  "goal.unknown": "తెలియని తనిఖీ \"{check}\"",
+  "demo.graph": "కమిట్ గ్రాఫ్",
+  "demo.first": "మొదటికి వెళ్ళండి",
+  "demo.prev": "← వెనుకకు",
+  "demo.next": "తదుపరి →",
+  "demo.pressNext": "మొదటి కమాండ్‌ను నడపడానికి \"తదుపరి\" నొక్కండి.",
+  "demo.start": "ప్రారంభ స్థితి",
+  "graph.empty": "ఇంకా కమిట్‌లు లేవు",
+  "graph.noRepo": "ఇంకా git రిపోజిటరీ లేదు",
+
+  /********************** Mini-games **********************/
+  "minigame.close": "మూసివేయి",
+  "minigame.level": "స్థాయి {n} / {total}",
+  "minigame.next": "తదుపరి స్థాయి →",
+  "minigame.merge-maze.title": "మెర్జ్ మేజ్",
+  "minigame.merge-maze.intro": "main మరియు feature రెండూ config.yml ను మార్చాయి. సంఘర్షణలోని ప్రతి పంక్తికి base నుండి దాన్ని మార్చిన వైపును ఎంచుకోండి, ఏ బ్రాంచ్ పనీ పోకుండా.",
+  "minigame.merge-maze.hunk": "సంఘర్షణ",
+  "minigame.merge-maze.base": "base",
+  "minigame.merge-maze.ours": "ours (main)",
+  "minigame.merge-maze.theirs": "theirs (feature)",
+  "minigame.merge-maze.gone": "(పంక్తి లేదు)",
+  "minigame.merge-maze.result": "మెర్జ్ ఫలితం",
+  "minigame.merge-maze.commit": "మెర్జ్ కమిట్ చేయి",
+  "minigame.merge-maze.wrong": "{n} సంఘర్షణ(ల)లో ఇంకా ఒక మార్పు పోతోంది — ప్రతి పంక్తిని base తో పోల్చండి.",
+  "minigame.merge-maze.levelDone": "శుభ్రంగా మెర్జ్ అయింది.",
+  "minigame.merge-maze.solved": "సంఘర్షణ లేదు! రెండు బ్రాంచ్‌ల ప్రతి మార్పూ నిలిచింది.",
+  "minigame.rebase-reorder.title": "రీబేస్ క్రమం",
+  "minigame.rebase-reorder.intro": "git rebase -i main — todo జాబితా క్రమాన్ని, ప్రతి కమిట్ action ను సెట్ చేసి, రీబేస్ నడపండి.",
+  "minigame.rebase-reorder.action": "Action",
+  "minigame.rebase-reorder.legend": "pick = కమిట్ ఉంచు · fixup = పై కమిట్‌లో కలుపు · drop = తీసివేయి",
+  "minigame.rebase-reorder.run": "రీబేస్ నడుపు",
+  "minigame.rebase-reorder.shouldDrop": "“{commit}” పనికిరాని పని — దాన్ని drop చేయండి.",
+  "minigame.rebase-reorder.lost": "“{commit}” drop అయింది, కానీ దాని మార్పు అవసరం.",
+  "minigame.rebase-reorder.notFixup": "“{commit}” స్వంత మార్పు — కలపకుండా pick చేయండి.",
+  "minigame.rebase-reorder.fixupAction": "“{commit}” “{other}” ను సరిచేస్తుంది — దాన్ని fixup గా గుర్తించండి.",
+  "minigame.rebase-reorder.fixupPlace": "కలవడానికి “{commit}” “{other}” కి నేరుగా కింద ఉండాలి.",
+  "minigame.rebase-reorder.order": "CONFLICT: “{commit}” కి ముందు “{other}” వర్తించాలి.",
+  "minigame.rebase-reorder.solved": "రీబేస్ విజయవంతం, refs/heads/feature నవీకరించబడింది.",
+  "minigame.bisect.title": "బైసెక్ట్ వేట",
+  "minigame.bisect.intro": "పాత కమిట్ టెస్టులు పాస్ అయింది, HEAD ఫెయిల్. మధ్య కమిట్‌లను టెస్ట్ చేసి మొదటి చెడ్డ కమిట్‌ను {budget} టెస్టుల్లోపు కనుగొనండి.",
+  "minigame.bisect.steps": "టెస్టులు: {n}/{budget}",
+  "minigame.bisect.range": "మిగిలిన అనుమానితులు: {n}",
+  "minigame.bisect.test": "టెస్ట్",
+  "minigame.bisect.good": "good",
+  "minigame.bisect.bad": "bad",
+  "minigame.bisect.found": "{sha} మొదటి చెడ్డ కమిట్: “{message}”",
+  "minigame.bisect.lost": "టెస్టులు అయిపోయాయి — దోషి {sha}. పరిధి మధ్యలో టెస్ట్ చేస్తే అది ప్రతిసారీ సగమవుతుంది.",
+  "minigame.bisect.retry": "కొత్త చరిత్ర",
+
+  /********************** Stats **********************/
+  "stats.title": "మీ గణాంకాలు",
+  "stats.intro": "ఈ పరికరంలో సేవ్ అయిన సమాధానాల నుండి, కాలక్రమేణా మీ ప్రగతి.",
+  "stats.play": "{track} ఆడండి",
+  "stats.tracks": "ట్రాక్‌లు",
+  "stats.notPlayed": "ఆడలేదు",
+  "stats.loading": "లోడ్ అవుతోంది…",
+  "stats.empty": "ఈ ట్రాక్‌లో ఇంకా సమాధానాలు నమోదు కాలేదు.",
+  "stats.emptyNote": "గణాంకాలు మీ తదుపరి క్విజ్ నుండి మొదలవుతాయి — ఇంతకు ముందు ప్రగతిలో మొత్తాలు మాత్రమే ఉంచబడ్డాయి.",
+  "stats.start": "{track} ప్రారంభించండి →",
+  "stats.answers": "సమాధానాలు",
+  "stats.accuracy": "ఖచ్చితత్వం",
+  "stats.xp": "సంపాదించిన XP",
+  "stats.bestStreak": "అత్యుత్తమ స్ట్రీక్",
+  "stats.days": "ఆడిన రోజులు",
+  "stats.xpPerDay": "రోజుకు XP",
+  "stats.streaks": "స్ట్రీక్ చరిత్ర",
+  "stats.bestThatDay": "ఆ రోజు అత్యుత్తమం",
+  "stats.endOfDay": "రోజు చివరికి",
+  "stats.byChapter": "అధ్యాయం వారీగా ఖచ్చితత్వం",
+  "stats.accuracyPct": "ఖచ్చితత్వం %",
+  "stats.avgTime": "అంశం వారీగా సగటు సమయం",
+  "stats.avgTimeNote": "క్విజ్ చూసినప్పటి నుండి సమాధానం ఇచ్చే వరకు సెకన్లు",
+  "stats.seconds": "సెకన్లు",
+  "stats.byTopic": "అంశం వారీగా ఖచ్చితత్వం",
+  "stats.missed": "ఎక్కువగా తప్పిన ప్రశ్నలు",
+  "stats.missedCount": "{attempts}లో {misses} సార్లు తప్పారు",
+  "stats.noneMissed": "ఇంకా ఏదీ తప్పలేదు. 🎯",
+  "stats.noTopics": "ఇంకా ఏ అంశం క్విజ్‌కూ సమాధానం ఇవ్వలేదు.",
+  "stats.where": "అధ్యాయం {n} · {name}",
+
+  /********************** Classes **********************/
+  "cohort.title": "తరగతులు",
+  "cohort.intro": "బూట్‌క్యాంప్ నడపండి: తరగతి కోడ్‌ను పంచుకోండి, ప్రతి అభ్యాసకుని ప్రగతిని చూడండి.",
+  "cohort.loading": "లోడ్ అవుతోంది…",
+  "cohort.offline": "తరగతి సర్వర్‌ను చేరుకోలేకపోతున్నాం.",
+  "cohort.signIn": "తరగతిని ప్రారంభించడానికి లేదా చేరడానికి (పైన కుడివైపు) సైన్ ఇన్ చేయండి.",
+  "cohort.owned": "మీరు నడిపే తరగతులు",
+  "cohort.ownedEmpty": "మీరు ఇంకా ఏ తరగతినీ ప్రారంభించలేదు.",
+  "cohort.joined": "మీరు చేరిన తరగతులు",
+  "cohort.joinedEmpty": "మీ శిక్షకులు ఇచ్చిన కోడ్‌తో చేరండి.",
+  "cohort.join": "తరగతిలో చేరండి",
+  "cohort.code": "తరగతి కోడ్",
+  "cohort.codeExample": "ఉదా. K7QX2M",
+  "cohort.joinButton": "చేరండి",
+  "cohort.create": "తరగతిని ప్రారంభించండి",
+  "cohort.name": "తరగతి పేరు",
+  "cohort.nameExample": "తరగతి పేరు (ఉదా. Git బూట్‌క్యాంప్ — మే)",
+  "cohort.course": "కోర్సు",
+  "cohort.createButton": "సృష్టించండి",
+  "cohort.members": "{n} అభ్యాసకులు",
+  "cohort.members.one": "{n} అభ్యాసకులు",
+  "cohort.listMeta": "{track} · {members} · {owner} ద్వారా",
+  "cohort.meta": "{track} · {owner} నడుపుతున్నారు · {members}",
+  "cohort.play": "{track} ఆడండి (మీ ప్రగతి లెక్కలోకి రావడానికి సైన్ ఇన్‌లోనే ఉండండి) →",
+  "cohort.closeConfirm": "ఈ తరగతిని అందరికీ మూసివేయాలా? అభ్యాసకుల సొంత ప్రగతి అలాగే ఉంటుంది.",
+  "cohort.leaveConfirm": "ఈ తరగతిని వదిలేయాలా?",
+  "cohort.back": "← అన్ని తరగతులు",
+  "cohort.refresh": "రిఫ్రెష్ చేయండి",
+  "cohort.close": "తరగతిని మూసివేయండి",
+  "cohort.leave": "తరగతిని వదిలేయండి",
+  "cohort.copyCode": "కోడ్ కాపీ చేయండి",
+  "cohort.copied": "కాపీ అయింది",
+  "cohort.leaderboard": "లీడర్‌బోర్డ్",
+  "cohort.chapters": "{total}లో {done} అధ్యాయాలు",
+  "cohort.xp": "{xp} XP",
+  "cohort.noLearners": "ఇంకా అభ్యాసకులు లేరు — తరగతి కోడ్‌ను పంచుకోండి.",
+  "cohort.progress": "అభ్యాసకుల ప్రగతి",
+  "cohort.learner": "అభ్యాసకులు",
+  "cohort.weakest": "బలహీనమైన అంశం",
+  "cohort.lastActive": "చివరిగా చురుకుగా",
+  "cohort.done": "పూర్తయింది",
+  "cohort.notDone": "పూర్తి కాలేదు",
+  "cohort.neverSynced": "ఎప్పుడూ సింక్ కాలేదు",
+};
+
+export default te;
@@ -0,0 +1,84 @@
+/**
+ * Achievements — badges defined as data plus a rule over game events.
+ *
+ *   { id, icon, title, description, on: "bossWon", when: (event, save) => event.seconds < 60 }
+ *
+ * `title` and `description` are the English text; the UI translates them as "<key>.title" / "<key>.description"
+ * with `vars` (`key` is "achievement.<id>", or "achievement.chapter" for the per-chapter badges).
+ *
+ * The game reports what happened through `unlockAchievements(save, event, defs)`; every definition listening to
+ * `event.type` is checked against the event and the save *after* that event was applied, and the ones that pass
+ * are stored in `save.meta.achievements` as { [id]: unlockedAt }. Unlocks are permanent.
+ *
+ * Events (sent by QuestGame):
+ *   xpAwarded       { amount }                                after any XP payout (the streak counts payouts)
+ *   chapterComplete { chapterId }                             the chapter's `hints` in the save are still this run's
+ *   bossWon         { chapterId, seconds, accuracy, livesLost, hintFactor }
+ *   minigameWon     { id }
+ *   reviewGraded    { ok }
+ *   hintBought      { kind, cost }
+ */
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+const doneIds = (save) => Object.entries(save.chapters).filter(([, c]) => c.done).map(([id]) => id);
+const allDone = (save, course) => course.chapters.length > 0 && course.chapters.every((c) => save.chapters[c.id]?.done);
+
+/** Every achievement available on a track: the shared set plus one per chapter and per scheduled mini-game. */
+export function achievementsFor(course, minigames = {}) {
+  const defs = [
+    { id: "first-chapter", icon: "🚉", title: "First Departure", description: "Clear your first chapter.",
+      on: "chapterComplete", when: (e, save) => doneIds(save).length >= 1 },
+    ...course.chapters.map((c) => ({
+      id: `chapter:${c.id}`, icon: "🏁", title: `Chapter ${c.index + 1} Cleared`, description: `Beat the boss of “${c.title}”.`,
+      key: "achievement.chapter", vars: { n: c.index + 1, title: c.title },
+      on: "chapterComplete", when: (e) => e.chapterId === c.id,
+    })),
+    { id: "no-hints", icon: "🧠", title: "Unassisted", description: "Clear a chapter without buying a single hint.",
+      on: "chapterComplete", when: (e, save) => !save.chapters[e.chapterId]?.hints },
+    { id: "streak-10", icon: "🔥", title: "On Fire", description: "Build a streak of 10 without a miss.",
+      on: "xpAwarded", when: (e, save) => save.meta.streak >= 10 },
+    { id: "boss-speed", icon: "⚡", title: "Speedrunner", description: "Defeat a boss in under 60 seconds.",
+      on: "bossWon", when: (e) => e.seconds < 60 },
+    { id: "boss-flawless", icon: "🛡️", title: "Untouchable", description: "Defeat a boss without losing a life.",
+      on: "bossWon", when: (e) => e.livesLost === 0 },
+    { id: "track-complete", icon: "🏆", title: "Line Complete", description: "Clear every chapter on this track.",
+      on: "chapterComplete", when: (e, save) => allDone(save, course) },
+    { id: "week-sprint", icon: "📅", title: "Whirlwind Week", description: "Clear every chapter within seven days.",
+      on: "chapterComplete", when: (e, save) => {
+        if (!allDone(save, course)) return false;
+        const times = course.chapters.map((c) => Date.parse(save.chapters[c.id].completedAt ?? ""));
+        return times.every(Number.isFinite) && Math.max(...times) - Math.min(...times) <= WEEK;
+      } },
+    { id: "reviewer", icon: "📚", title: "Spaced Out", description: "Get 10 Daily Review cards right.",
+      on: "reviewGraded", when: (e, save) => Object.values(save.review).reduce((n, c) => n + (c.reps > 0 ? 1 : 0), 0) >= 10 },
+    { id: "patron", icon: "🪙", title: "Patron of Hints", description: "Spend 100 coins on hints.",
+      on: "hintBought", when: (e, save) => (save.meta.spent ?? 0) >= 100 },
+    ...Object.entries(minigames).map(([id, game]) => ({
+      id: `minigame:${id}`, icon: game.icon ?? "🎮", title: game.badge, description: `Win the ${game.title ?? id} mini-game.`,
+      on: "minigameWon", when: (e) => e.id === id,
+    })),
+  ];
+  return defs.map((d) => ({ key: `achievement.${d.id}`, ...d }));
+}
+
+/** Ids of the definitions that `event` newly satisfies. */
+export function evaluate(defs, save, event) {
+  const have = save.meta.achievements ?? {};
+  return defs.filter((d) => d.on === event.type && !(d.id in have) && d.when(event, save)).map((d) => d.id);
+}
+
+/** Apply an event → the save with any new unlocks (the same object when nothing unlocked). */
+export function unlockAchievements(save, event, defs, at = new Date().toISOString()) {
+  const ids = evaluate(defs, save, event);
+  if (!ids.length) return save;
+  const achievements = { ...save.meta.achievements, ...Object.fromEntries(ids.map((id) => [id, at])) };
+  return { ...save, meta: { ...save.meta, achievements }, updatedAt: at };
+}
+
+/** Gallery rows → [{ ...def, unlocked, unlockedAt }], unlocked first (newest first), then locked in definition order. */
+export function gallery(defs, save) {
+  const have = save.meta.achievements ?? {};
+  const rows = defs.map((d, i) => ({ ...d, i, unlocked: d.id in have, unlockedAt: have[d.id] ?? null }));
+  return rows.sort((a, b) => (Number(b.unlocked) - Number(a.unlocked)) || (b.unlockedAt ?? "").localeCompare(a.unlockedAt ?? "") || a.i - b.i);
+}
@@ -0,0 +1,177 @@
+/**
+ * Typed-answer matching for blank and fix questions.
+ *
+ * `answerText` is a string or an array of accepted answers; an entry written "/pattern/flags" is a regular
+ * expression tested against the trimmed input. Plain entries are compared in canonical form:
+ *   - words are split shell-style, so quote style and extra spaces don't matter, and case is ignored
+ *     (except single-letter flags, where -d and -D differ);
+ *   - for the CLIs in COMMANDS, short flags expand to their long names (-b → --branch), combined short flags
+ *     split (-am → --all --message), a value flag keeps its value, and flags are sorted so their order doesn't matter.
+ *
+ * A wrong answer close to an accepted one gets a targeted hint (`checkAnswer(…).hint`) instead of a bare "Not quite":
+ * { key, vars, text } with the English `text`, translated by the UI as "answer.<kind>".
+ */
+import { tokenize } from "../git-sim/commands.js";
+
+/********************** Command specs **********************/
+// `alias` maps a flag to its canonical spelling; `values` lists canonical flags that take the next word;
+// `singleDash` marks CLIs whose long flags use one dash (terraform -var), so -abc is never split.
+const COMMANDS = {
+  "git": {},
+  "git add": { alias: { "-A": "--all", "-p": "--patch", "-u": "--update", "-f": "--force", "-n": "--dry-run" } },
+  "git branch": { alias: { "-d": "--delete", "-m": "--move", "-a": "--all", "-r": "--remotes", "-u": "--set-upstream-to", "-v": "--verbose" }, values: ["--set-upstream-to"] },
+  "git checkout": { alias: { "-f": "--force", "-q": "--quiet" }, values: ["-b", "-B", "--orphan"] },
+  "git switch": { alias: { "-c": "--create", "-C": "--force-create", "-d": "--detach" }, values: ["--create", "--force-create"] },
+  "git clone": { alias: { "-b": "--branch", "-o": "--origin", "-n": "--no-checkout" }, values: ["--branch", "--origin", "--depth", "--filter"] },
+  "git commit": { alias: { "-m": "--message", "-a": "--all", "-q": "--quiet", "-v": "--verbose", "-s": "--signoff", "-n": "--no-verify", "-F": "--file" }, values: ["--message", "--file"] },
+  "git diff": { alias: { "--cached": "--staged" } },
+  "git fetch": { alias: { "-p": "--prune", "--all": "--all" } },
+  "git log": { alias: { "-p": "--patch", "-n": "--max-count", "-g": "--walk-reflogs" }, values: ["--max-count", "--author", "--grep"] },
+  "git merge": { alias: { "-m": "--message" }, values: ["--message"] },
+  "git pull": { alias: { "-r": "--rebase" } },
+  "git push": { alias: { "-u": "--set-upstream", "-f": "--force", "-d": "--delete", "-n": "--dry-run" } },
+  "git rebase": { alias: { "-i": "--interactive" }, values: ["--onto"] },
+  "git remote": { alias: { "-v": "--verbose" } },
+  "git reset": { alias: { "-q": "--quiet", "-p": "--patch" } },
+  "git restore": { alias: { "-s": "--source", "-S": "--staged", "-W": "--worktree" }, values: ["--source"] },
+  "git stash": { alias: { "-u": "--include-untracked", "-m": "--message", "-p": "--patch", "-k": "--keep-index" }, values: ["--message"] },
+  "git status": { alias: { "-s": "--short", "-b": "--branch" } },
+  "git tag": { alias: { "-a": "--annotate", "-m": "--message", "-d": "--delete", "-l": "--list" }, values: ["--message"] },
+  "docker": {},
+  "docker run": { alias: { "-d": "--detach", "-p": "--publish", "-e": "--env", "-v": "--volume", "-i": "--interactive", "-t": "--tty", "-w": "--workdir" }, values: ["--publish", "--env", "--volume", "--name", "--workdir", "--network"] },
+  "docker build": { alias: { "-t": "--tag", "-f": "--file", "-q": "--quiet" }, values: ["--tag", "--file", "--target", "--build-arg"] },
+  "docker ps": { alias: { "-a": "--all", "-q": "--quiet" } },
+  "docker exec": { alias: { "-i": "--interactive", "-t": "--tty", "-e": "--env", "-w": "--workdir" }, values: ["--env", "--workdir"] },
+  "kubectl": { alias: { "-n": "--namespace", "-f": "--filename", "-o": "--output", "-l": "--selector", "-A": "--all-namespaces", "-w": "--watch" }, values: ["--namespace", "--filename", "--output", "--selector", "--replicas", "--image"] },
+  "terraform": { singleDash: true, values: ["-var", "-var-file", "-target", "-out"] },
+};
+
+/********************** Parsing **********************/
+// Case-fold everything except short-flag clusters (git branch -d ≠ -D).
+const fold = (w) => (/^-[A-Za-z]+$/.test(w) ? w : w.toLowerCase());
+// A likely typo: short words must be exact, longer ones may be off by one or two edits.
+const near = (a, b) => a !== b && editDistance(a, b) <= (b.length < 3 ? 0 : b.length < 6 ? 1 : 2);
+
+// The spec key for `cli sub`, also when `sub` is a typo of a known subcommand (git comit → "git commit"): the line
+// then parses with that spec and keeps the typed word, so the slip costs one word instead of scrambling the rest.
+function specKey(cli, sub) {
+  if (COMMANDS[`${cli} ${sub}`]) return `${cli} ${sub}`;
+  if (!sub) return null;
+  return Object.keys(COMMANDS).find((k) => k.startsWith(`${cli} `) && near(sub, k.slice(cli.length + 1))) ?? null;
+}
+
+/** A command line → { head, flags, args, words } in canonical form (plus the raw `tokens`), or null when a quote is left open. */
+export function parseCommand(text) {
+  let words;
+  try { words = tokenize(String(text ?? "").trim()).map(fold); } catch { return null; }
+  const key = specKey(words[0], words[1]);
+  const sub = key ? 2 : 0;
+  const spec = key ? COMMANDS[key] : COMMANDS[words[0]];
+  if (!spec) return { head: words, flags: [], args: [], words, tokens: words };
+
+  const alias = (f) => spec.alias?.[f] ?? f;
+  const takes = (f) => spec.values?.includes(f);
+  const head = words.slice(0, sub || 1), rest = words.slice(sub || 1);
+  const flags = [], args = [];
+  for (let i = 0; i < rest.length; i++) {
+    const w = rest[i];
+    if (w === "--") { args.push(...rest.slice(i + 1)); break; }
+    if (/^--?[^-=]+=/.test(w)) { const at = w.indexOf("="); flags.push(`${alias(w.slice(0, at))}=${w.slice(at + 1)}`); continue; }
+    if (!w.startsWith("-") || w === "-") { args.push(w); continue; }
+    let cluster = !spec.singleDash && /^-[A-Za-z]{2,}$/.test(w) ? w.slice(1).split("").map((l) => `-${l}`) : [w];
+    if (!cluster.every((f) => spec.alias?.[f] || cluster.length === 1)) cluster = [w]; // unknown letters: keep the word whole
+    cluster.forEach((f, j) => {
+      const k = alias(f);
+      flags.push(takes(k) && j === cluster.length - 1 && i + 1 < rest.length ? `${k}=${rest[++i]}` : k);
+    });
+  }
+  flags.sort();
+  return { head, flags, args, words: [...head, ...flags, ...args], tokens: words };
+}
+
+/** Edit distance between two strings (by character) or two arrays (by item); a swap of neighbours counts once. */
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i-1][j] + 1, d[i][j-1] + 1, d[i-1][j-1] + (a[i-1] === b[j-1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i-1] === b[j-2] && a[i-2] === b[j-1]) d[i][j] = Math.min(d[i][j], d[i-2][j-2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/********************** Matching **********************/
+const PATTERN = /^\/(.+)\/([a-z]*)$/s;
+
+/** `answerText` → [{ text, words } | { pattern: RegExp }]; bad patterns are skipped (lint reports them). */
+export function acceptedAnswers(answerText) {
+  return [answerText].flat().filter((a) => typeof a === "string").flatMap((text) => {
+    const m = PATTERN.exec(text);
+    if (!m) return [{ text, words: parseCommand(text)?.words ?? [] }];
+    try { return [{ pattern: new RegExp(m[1], m[2]) }]; } catch { return []; }
+  });
+}
+
+/** Lint helper: why `answerText` is unusable, or null. */
+export function answerTextProblem(answerText) {
+  const list = [answerText].flat();
+  if (!list.length || list.some((a) => typeof a !== "string" || !a.trim())) return "must be a non-empty string or an array of them";
+  for (const a of list) {
+    const m = PATTERN.exec(a);
+    if (m) { try { new RegExp(m[1], m[2]); } catch (e) { return `bad pattern ${a}: ${e.message}`; } }
+    else if (!parseCommand(a)) return `"${a}" has an unclosed quote`;
+  }
+  return null;
+}
+
+const same = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+const hint = (kind, text, vars = null) => ({ key: `answer.${kind}`, vars, text });
+
+function hintFor(got, want) {
+  if (got.words.length === 1 && want.words.length === 1) {
+    const [g] = got.words, [w] = want.words;
+    if (near(g, w)) return hint("spelling", "So close — check the spelling.");
+    if (w.includes(g) || g.includes(w)) return g.length < w.length ? hint("partMissing", "Almost — part of it is missing.") : hint("extra", "Almost — there's something extra in there.");
+    return null;
+  }
+  if (want.words.length === 1 && got.words.includes(want.words[0])) return hint("blankOnly", "Only fill in the blank — not the whole command.");
+  if (!same(got.head, want.head)) {
+    const typo = want.head.map((_, i) => got.tokens[i]).find((g, i) => g && near(g, want.head[i]));
+    return typo ? hint("typo", `Check the spelling of "${typo}".`, { word: typo }) : null;
+  }
+  const missing = want.flags.filter((f) => !got.flags.includes(f)), extra = got.flags.filter((f) => !want.flags.includes(f));
+  if (missing.length || extra.length) {
+    if (!extra.length) return missing.length > 1 ? hint("flagsMissing", "Right command — but some flags are missing.") : hint("flagMissing", "Right command — but a flag is missing.");
+    if (!missing.length) {
+      const flags = extra.map((f) => `\`${f.split("=")[0]}\``).join(", ");
+      return hint("flagExtra", `Right command — but ${flags} doesn't belong here.`, { flags });
+    }
+    return hint("flags", "Right command — check the flags.");
+  }
+  const typo = got.args.find((g, i) => want.args[i] && near(g, want.args[i]));
+  if (typo) return hint("typo", `Check the spelling of "${typo}".`, { word: typo });
+  return got.args.length < want.args.length ? hint("argMissing", "Right command and flags — an argument is missing.") : hint("args", "Right command and flags — check the arguments.");
+}
+
+/**
+ * Check typed `input` against `answerText` → { ok, hint, distance }. `distance` is the word-level edit distance
+ * to the nearest plain accepted answer (0 on a match, Infinity when only patterns are accepted).
+ */
+export function checkAnswer(answerText, input) {
+  const text = String(input ?? "").trim();
+  if (!text) return { ok: false, hint: null, distance: Infinity };
+  const got = parseCommand(text);
+  if (!got) return { ok: false, hint: hint("quote", "Check your quotes — one of them is never closed."), distance: Infinity };
+  const accepted = acceptedAnswers(answerText);
+  if (accepted.some((a) => (a.pattern ? a.pattern.test(text) : same(a.words, got.words)))) return { ok: true, hint: null, distance: 0 };
+
+  let best = null, distance = Infinity;
+  for (const a of accepted) {
+    if (a.pattern) continue;
+    const d = editDistance(got.words, a.words);
+    if (d < distance) { distance = d; best = a; }
+  }
+  return { ok: false, hint: best ? hintFor(got, parseCommand(best.text)) : null, distance };
+}
@@ -0,0 +1,14 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkAnswer } from "./answers.js";
+
+test("a branch-creating checkout flag keeps its value", () => {
+  assert.equal(checkAnswer("git checkout -b feature", "git checkout -b feature").ok, true);
+  assert.equal(checkAnswer("git checkout -b feature", "git  checkout -b 'feature'").ok, true);
+  for (const input of ["git checkout feature -b", "git checkout -B feature", "git checkout --orphan feature"]) {
+    const r = checkAnswer("git checkout -b feature", input);
+    assert.equal(r.ok, false, input);
+    assert.equal(r.hint?.key, "answer.flags", input);
+  }
+  assert.equal(checkAnswer("git checkout --orphan gh-pages", "git checkout gh-pages --orphan").ok, false);
+});
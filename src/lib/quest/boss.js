@@ -0,0 +1,63 @@
+/**
+ * Boss battles — pure state for a boss fight, driven by BossPanel (and easy to simulate in Node).
+ *
+ * Chapter JSON (all optional besides `questions`):
+ *   "boss": { "title", "intro", "questions": [...], "lives": 3, "timePerQuestion": 30, "xp": 100 }
+ *
+ * The boss has one HP "segment" per question and loses one per correct answer. A wrong answer or a timeout costs
+ * the player a life and sends that question to the back of the queue; at zero lives the fight is lost.
+ * Question order is shuffled per attempt from `seed`, so a retry plays differently but a seed replays exactly.
+ * Answers carry a `score` (0–1, partial credit from src/lib/quest/questions.js); only a full score lands a hit,
+ * but accuracy — and so the XP — averages the scores. Hints bought for a question (src/lib/quest/hints.js) scale the
+ * answer's `xpFactor`, and the reward by the average factor of the hits.
+ */
+import { shuffle } from "./random.js";
+
+export const DEFAULT_LIVES = 3;
+export const DEFAULT_BOSS_XP = 100;
+const REFERENCE_SECONDS = 20; // "fast" yardstick when the boss has no timer
+
+/** → battle state { queue, maxHp, hp, lives, maxLives, timeLimit, answers, status, startedAt } */
+export function createBattle(boss, { seed = Date.now(), at = Date.now() } = {}) {
+  const n = boss.questions?.length ?? 0;
+  const lives = boss.lives ?? DEFAULT_LIVES;
+  return {
+    queue: shuffle([...Array(n).keys()], seed),
+    maxHp: n, hp: n,
+    lives, maxLives: lives,
+    timeLimit: boss.timePerQuestion ? boss.timePerQuestion * 1000 : null,
+    answers: [], // { idx, ok, score, xpFactor, ms, timedOut }
+    status: n ? "fighting" : "won",
+    startedAt: at,
+  };
+}
+
+export const currentQuestion = (battle) => (battle.status === "fighting" ? battle.queue[0] : null);
+
+/** Resolve the current question: `ok` damages the boss, otherwise a life is lost and the question requeued. */
+export function answerBattle(battle, { ok, score = ok ? 1 : 0, xpFactor = 1, at = Date.now(), timedOut = false }) {
+  if (battle.status !== "fighting") return battle;
+  const [idx, ...rest] = battle.queue;
+  const answers = [...battle.answers, { idx, ok, score, xpFactor, ms: at - battle.startedAt, timedOut }];
+  if (ok) {
+    const hp = battle.hp - 1;
+    return { ...battle, queue: rest, hp, answers, startedAt: at, status: hp <= 0 ? "won" : "fighting" };
+  }
+  const lives = battle.lives - 1;
+  return { ...battle, queue: [...rest, idx], lives, answers, startedAt: at, status: lives <= 0 ? "lost" : "fighting" };
+}
+
+/** XP for a won fight: base × accuracy (50–100%) × speed bonus (up to +50% for quick answers) × hint cut. */
+export function battleXP(battle, boss) {
+  const base = boss.xp ?? DEFAULT_BOSS_XP;
+  const total = battle.answers.length || 1;
+  const accuracy = battle.answers.reduce((s, a) => s + (a.score ?? (a.ok ? 1 : 0)), 0) / total;
+  const seconds = battle.answers.reduce((s, a) => s + a.ms, 0) / 1000;
+  const avgSeconds = seconds / total;
+  const ref = battle.timeLimit ? battle.timeLimit / 1000 : REFERENCE_SECONDS;
+  const speed = Math.max(0, Math.min(1, 1 - avgSeconds / ref));
+  const hits = battle.answers.filter((a) => a.ok);
+  const hintFactor = hits.length ? hits.reduce((s, a) => s + (a.xpFactor ?? 1), 0) / hits.length : 1;
+  const xp = Math.round(base * (0.5 + 0.5 * accuracy) * (1 + 0.5 * speed) * hintFactor);
+  return { xp, base, accuracy, speed, avgSeconds, hintFactor, seconds, livesLost: battle.maxLives - battle.lives };
+}
@@ -0,0 +1,65 @@
+/**
+ * Cutscene timelines — camera shots and story cues as data. <Cinematics> (src/components/quest/Cinematics.jsx) plays
+ * the shots inside the Canvas; QuestGame turns the cues into scene state and overlays. Times are ms from the start.
+ *
+ *   shots: [{ at, duration, anchor, offset: [x, y, z], ease }] — the camera eases from wherever it is to look at the
+ *          anchor from `offset`, then keeps tracking it until the next shot. Anchors: "chapter" (the chapter the scene
+ *          is about), "finale" (the signal / gate) and "departure" (the leaving train, or the gate).
+ *   cues:  [{ at, cue, line?, sound? }] — light (the cleared chapter turns green), confetti, say (the guide speaks `line`),
+ *          bell, signal (CLEAR / gate open), depart (the train pulls out) and credits. `sound` is a game event for the
+ *          audio service (EVENT_SOUNDS in src/lib/audio/sounds.js) raised with the cue.
+ *
+ * Every cutscene can be skipped: the player jumps to its end, firing the cues it hasn't played yet.
+ */
+
+export const EASINGS = {
+  linear: (t) => t,
+  out: (t) => 1 - (1 - t) ** 3,
+  inOut: (t) => (t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2),
+};
+
+export const TIMELINES = {
+  // Opening a chapter: glide in to its bogie / stone.
+  flyTo: {
+    duration: 1200,
+    shots: [{ at: 0, duration: 1200, anchor: "chapter", offset: [0, 2.4, 6.5], ease: "inOut" }],
+    cues: [],
+  },
+  // Boss beaten: close on the chapter as its light turns green.
+  chapterClear: {
+    duration: 4200,
+    shots: [{ at: 0, duration: 1000, anchor: "chapter", offset: [0, 1.6, 5], ease: "inOut" }],
+    cues: [{ at: 700, cue: "light", sound: "chapterCleared" }, { at: 900, cue: "confetti" }, { at: 1200, cue: "say", line: "cleared" }],
+  },
+  // Every chapter done: bell, signal, the train pulls out with the camera alongside, then the credits.
+  departure: {
+    duration: 13000,
+    shots: [
+      { at: 0, duration: 1600, anchor: "finale", offset: [-5, 2.5, 8], ease: "inOut" },
+      { at: 3000, duration: 1800, anchor: "departure", offset: [-4, 3, 10], ease: "inOut" },
+    ],
+    cues: [
+      { at: 600, cue: "bell", sound: "departure" }, { at: 1400, cue: "signal" }, { at: 1800, cue: "say", line: "departure" },
+      { at: 3000, cue: "depart" }, { at: 12500, cue: "credits" },
+    ],
+  },
+};
+
+/** Cues due after `from` and up to `to` (ms), in order; pass from = -1 to include those at 0. */
+export const cuesBetween = (timeline, from, to) => timeline.cues.filter((c) => c.at > from && c.at <= to);
+
+/** The shot in charge at `elapsed` and how far it has eased in (0–1), or null before the first one. */
+export function activeShot(timeline, elapsed) {
+  let index = -1;
+  timeline.shots.forEach((s, i) => { if (s.at <= elapsed) index = i; });
+  if (index < 0) return null;
+  const shot = timeline.shots[index];
+  const raw = shot.duration ? Math.min(1, (elapsed - shot.at) / shot.duration) : 1;
+  return { index, shot, t: (EASINGS[shot.ease] ?? EASINGS.linear)(raw) };
+}
+
+/** How far through its run a departure started at `departAt` is at `now` (eased, 0–1); -Infinity means arrived. */
+export function departProgress(departAt, now, duration) {
+  if (departAt == null) return 0;
+  return EASINGS.inOut(Math.min(1, Math.max(0, (now - departAt) / duration)));
+}
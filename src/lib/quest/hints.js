@@ -0,0 +1,57 @@
+/**
+ * Hints — bought with coins, paid for again in XP.
+ *
+ * Any question may carry authored hints, revealed one at a time in order:
+ *   { "type": "mcq", …, "hints": ["Think about what stays in the working tree.", "It starts with `git st…`"] }
+ * On top of those, mcq questions offer "50/50" (hide half the wrong options) and blanks "first letter".
+ * A question's purchases are a list of kinds (e.g. ["hint", "fifty"]); each cuts the XP it pays (`hintXPFactor`).
+ */
+import { acceptedAnswers } from "./answers.js";
+import { hashSeed, shuffle } from "./random.js";
+
+export const HINT_COSTS = { hint: 5, fifty: 10, letter: 5 };
+const XP_CUT = { hint: 0.2, fifty: 0.3, letter: 0.25 };
+const MIN_XP_FACTOR = 0.25;
+
+const count = (used, kind) => used.filter((k) => k === kind).length;
+
+/** Hints still on sale for `q` given what was bought → [{ kind, cost, label }] (authored hints also carry `step` of `of`, for translated labels). */
+export function hintOffers(q, used = []) {
+  const offers = [];
+  const authored = q.hints?.length ?? 0;
+  const step = count(used, "hint") + 1;
+  if (step <= authored) offers.push({ kind: "hint", cost: HINT_COSTS.hint, label: `Hint ${step}/${authored}`, step, of: authored });
+  if (q.type === "mcq" && (q.options?.length ?? 0) > 2 && !used.includes("fifty")) offers.push({ kind: "fifty", cost: HINT_COSTS.fifty, label: "50/50" });
+  if (q.type === "blank" && firstLetter(q) && !used.includes("letter")) offers.push({ kind: "letter", cost: HINT_COSTS.letter, label: "First letter" });
+  return offers;
+}
+
+/**
+ * What the purchases reveal → { texts: [authored hints…, first letter], hidden: [mcq option indices] }. Texts are
+ * messages: an authored hint is `{ text }` (already in the chapter's language), the first letter is
+ * { key: "hint.startsWith", vars, text } with the English `text`.
+ */
+export function revealed(q, used = []) {
+  const texts = (q.hints ?? []).slice(0, count(used, "hint")).map((text) => ({ text }));
+  if (used.includes("letter")) {
+    const prefix = firstLetter(q);
+    texts.push({ key: "hint.startsWith", vars: { prefix }, text: `Starts with “${prefix}”.` });
+  }
+  return { texts, hidden: used.includes("fifty") ? fiftyFifty(q) : [] };
+}
+
+/** XP multiplier after buying `used` hints (never below MIN_XP_FACTOR). */
+export const hintXPFactor = (used = []) => Math.max(MIN_XP_FACTOR, 1 - used.reduce((s, k) => s + (XP_CUT[k] ?? 0), 0));
+
+// The wrong options 50/50 hides: half of them (rounded up), picked stably per question.
+function fiftyFifty(q) {
+  const wrong = q.options.map((_, i) => i).filter((i) => i !== q.answer);
+  return shuffle(wrong, hashSeed(q.prompt)).slice(0, Math.ceil(wrong.length / 2));
+}
+
+// The first plain accepted answer up to its first letter or digit ("--filter" → "--f"); null when that would be all of it.
+function firstLetter(q) {
+  const text = acceptedAnswers(q.answerText).find((a) => a.text)?.text.trim() ?? "";
+  const prefix = /^[^a-z0-9]*[a-z0-9]/i.exec(text)?.[0];
+  return prefix && prefix.length < text.length ? prefix : null;
+}
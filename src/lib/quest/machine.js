@@ -0,0 +1,203 @@
+/**
+ * Quest flow statechart (xstate v5) — the single source of truth for where the player is:
+ *
+ *   intro → map → chapter (lesson ⇄ quiz → … → boss) → complete → minigame? → departure?
+ *               ↘ review (Daily Review of missed questions) ↗ map
+ *
+ * Pure logic, no React or Canvas: create it with `createActor(questMachine, { input }).start()` and drive it with events.
+ * Side effects the game cares about (progress to save, rewards) are `emit`ted so the UI can subscribe with `actor.on()`.
+ *
+ * input: { chapters: [{ id, topics, quiz: [bool per topic], requires }], done?, minigames?, resume?, sequentialUnlock? }
+ * `minigames` maps a chapter id to the { id, config } played after it (see src/lib/quest/minigames).
+ */
+import { assign, emit, setup } from "xstate";
+
+export const FEEDBACK_DELAY = 400;
+
+const chapterAt = (context) => context.chapters[context.idx];
+const allDone = (context, done = context.done) => context.chapters.length > 0 && context.chapters.every((c) => done[c.id]);
+
+export function canOpenChapter(context, idx) {
+  const c = context.chapters[idx];
+  if (!c) return false;
+  if (!context.sequentialUnlock) return true;
+  return (c.requires ?? []).every((id) => context.done[id]);
+}
+
+export const questMachine = setup({
+  guards: {
+    canOpen: ({ context, event }) => canOpenChapter(context, event.idx),
+    canResume: ({ context }) => !!context.resume && canOpenChapter(context, context.resume.idx),
+    topicHasQuiz: ({ context }) => !!chapterAt(context)?.quiz?.[context.topicIdx],
+    hasNextTopic: ({ context }) => context.topicIdx + 1 < (chapterAt(context)?.topics ?? 0),
+    hasMinigame: ({ context }) => !!context.minigame,
+    allComplete: ({ context }) => allDone(context),
+  },
+  actions: {
+    openChapter: assign(({ event }) => ({ idx: event.idx, topicIdx: 0, attempt: 0 })),
+    resumeChapter: assign(({ context }) => ({ idx: context.resume.idx, topicIdx: context.resume.topicIdx, attempt: 0 })),
+    nextTopic: assign(({ context }) => ({ topicIdx: context.topicIdx + 1, attempt: 0 })),
+    retry: assign(({ context }) => ({ attempt: context.attempt + 1 })),
+    checkpoint: assign(({ context }) => ({ resume: { idx: context.idx, topicIdx: context.topicIdx } })),
+    leaveChapter: assign({ idx: null, topicIdx: 0, attempt: 0 }),
+    completeChapter: assign(({ context }) => {
+      const id = chapterAt(context).id;
+      return { done: { ...context.done, [id]: true }, resume: null, minigame: context.minigames[id] ?? null };
+    }),
+    emitComplete: emit(({ context }) => ({ type: "chapterComplete", idx: context.idx, id: chapterAt(context).id })),
+    emitCheckpoint: emit(({ context }) => ({ type: "checkpoint", resume: context.resume })),
+    emitMinigameWon: emit(({ context }) => ({ type: "minigameWon", id: context.minigame.id })),
+    clearMinigame: assign({ minigame: null }),
+    setFeedbackDelay: assign(({ event }) => ({ feedbackDelay: event.delay ?? FEEDBACK_DELAY })),
+  },
+  delays: {
+    feedback: ({ context }) => context.feedbackDelay,
+  },
+}).createMachine({
+  id: "quest",
+  initial: "intro",
+  context: ({ input }) => ({
+    chapters: input.chapters ?? [],
+    done: input.done ?? {},
+    minigames: input.minigames ?? {},
+    resume: input.resume ?? null,
+    sequentialUnlock: input.sequentialUnlock ?? true,
+    idx: null,
+    topicIdx: 0,
+    attempt: 0,
+    minigame: null,
+    feedbackDelay: FEEDBACK_DELAY,
+  }),
+  on: {
+    // Saved progress arrives after the first render (localStorage/API); keep the guards in sync with it.
+    SYNC: { actions: assign(({ context, event }) => ({
+      done: event.done ?? context.done,
+      resume: event.resume !== undefined ? event.resume : context.resume,
+      sequentialUnlock: event.sequentialUnlock ?? context.sequentialUnlock,
+    })) },
+  },
+  states: {
+    intro: {
+      on: { START: "map" },
+    },
+    map: {
+      on: {
+        OPEN_CHAPTER: { guard: "canOpen", target: "chapter", actions: "openChapter" },
+        RESUME: { guard: "canResume", target: "chapter", actions: "resumeChapter" },
+        REVIEW: "review",
+      },
+    },
+    review: {
+      on: { FINISH: "map", ABANDON: "map" },
+    },
+    chapter: {
+      initial: "lesson",
+      on: {
+        // Leaving mid-chapter cancels any pending delayed transition (e.g. the quiz feedback pause) and remembers the spot.
+        ABANDON: { target: "map", actions: ["checkpoint", "emitCheckpoint", "leaveChapter"] },
+      },
+      states: {
+        lesson: {
+          on: {
+            START_QUIZ: { guard: "topicHasQuiz", target: "quiz" },
+            NEXT: "advance",
+          },
+        },
+        quiz: {
+          initial: "answering",
+          states: {
+            answering: {
+              on: {
+                CORRECT: { target: "solved", actions: "setFeedbackDelay" },
+                WRONG: {},
+              },
+            },
+            // Show the ✅ feedback briefly, then move on — unless the player has left the chapter meanwhile.
+            solved: {
+              after: { feedback: "#quest.chapter.advance" },
+            },
+          },
+          on: {
+            RETRY: { target: ".answering", reenter: true, actions: "retry" },
+          },
+        },
+        advance: {
+          always: [
+            { guard: "hasNextTopic", target: "lesson", actions: ["nextTopic", "checkpoint", "emitCheckpoint"] },
+            { target: "boss" },
+          ],
+        },
+        boss: {
+          initial: "fighting",
+          states: {
+            fighting: {
+              on: {
+                BOSS_WON: { target: "#quest.complete", actions: ["completeChapter", "emitComplete"] },
+                BOSS_LOST: "defeated",
+              },
+            },
+            defeated: {},
+          },
+          on: {
+            RETRY: { target: "boss", reenter: true, actions: "retry" },
+          },
+        },
+      },
+    },
+    complete: {
+      on: {
+        CONTINUE: [
+          { guard: "hasMinigame", target: "minigame", actions: "leaveChapter" },
+          { guard: "allComplete", target: "departure", actions: "leaveChapter" },
+          { target: "map", actions: "leaveChapter" },
+        ],
+      },
+    },
+    minigame: {
+      on: {
+        MINIGAME_WON: { target: "afterMinigame", actions: ["emitMinigameWon", "clearMinigame"] },
+        CLOSE: { target: "afterMinigame", actions: "clearMinigame" },
+      },
+    },
+    afterMinigame: {
+      always: [{ guard: "allComplete", target: "departure" }, { target: "map" }],
+    },
+    departure: {
+      on: { BACK: "map" },
+    },
+  },
+});
+
+/**
+ * Flatten a snapshot into what the UI renders:
+ * { screen: "intro" | "map" | "review" | "lesson" | "quiz" | "boss" | "complete" | "minigame" | "departure", idx, topicIdx, attempt, solved, defeated }
+ */
+export function questView(snapshot) {
+  const { context } = snapshot;
+  const screen = ["intro", "map", "review", "complete", "minigame", "departure"].find((s) => snapshot.matches(s))
+    ?? ["lesson", "quiz", "boss"].find((s) => snapshot.matches({ chapter: s }))
+    ?? "map";
+  return {
+    screen,
+    idx: context.idx,
+    topicIdx: context.topicIdx,
+    attempt: context.attempt,
+    solved: snapshot.matches({ chapter: { quiz: "solved" } }),
+    defeated: snapshot.matches({ chapter: { boss: "defeated" } }),
+    minigame: context.minigame,
+    resume: context.resume,
+  };
+}
+
+/** Build the machine input from a loaded course (see src/lib/content/load.js). */
+export function questInput(course, { done, minigames, resume, sequentialUnlock } = {}) {
+  return {
+    chapters: course.chapters.map((c) => ({
+      id: c.id,
+      requires: c.requires,
+      topics: c.data?.topics?.length ?? 0,
+      quiz: (c.data?.topics ?? []).map((t) => !!t.quiz),
+    })),
+    done, minigames, resume, sequentialUnlock,
+  };
+}
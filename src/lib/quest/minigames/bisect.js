@@ -0,0 +1,51 @@
+/**
+ * Bisect Hunt — find the commit that broke the build, the way `git bisect` does. The oldest commit is known good
+ * and HEAD known bad; the player tests commits in between, each answer narrowing the range, until only the first
+ * bad commit is left. Finding it within the budget (the binary-search optimum plus `slack` tests) wins.
+ *
+ * Chapter JSON: "minigame": { "id": "bisect", "config": { "seed": "ch7", "commits": 16, "slack": 1 } }
+ * A retry deals a new history from `${seed}#${attempt}`.
+ */
+import { pick, rng } from "../random.js";
+
+export const BISECT_DEFAULTS = { commits: 16, slack: 1 };
+
+const MESSAGES = [
+  "Add login form", "Fix typo in README", "Bump dependencies", "Extract date helpers", "Cache user lookups",
+  "Add dark mode toggle", "Refactor cart totals", "Tidy imports", "Speed up search index", "Add CSV export",
+  "Handle empty carts", "Rename config keys", "Parallelise tests", "Inline tiny helpers", "Retry flaky requests",
+  "Switch to UTC timestamps", "Drop legacy API route", "Lazy-load images", "Add price rounding", "Update copyright year",
+];
+
+/** → { commits: [{ sha, message }] oldest first, bad: index of the first bad commit, budget } */
+export function createBisect(config = {}, attempt = 0) {
+  const { seed = "bisect", commits: n = BISECT_DEFAULTS.commits, slack = BISECT_DEFAULTS.slack } = config;
+  const rand = rng(`${seed}#${attempt}`);
+  const count = Math.max(3, n);
+  const commits = Array.from({ length: count }, () => ({
+    sha: Array.from({ length: 7 }, () => Math.floor(rand() * 16).toString(16)).join(""),
+    message: pick(rand, MESSAGES),
+  }));
+  return { commits, bad: 1 + Math.floor(rand() * (count - 1)), budget: Math.ceil(Math.log2(count - 1)) + slack };
+}
+
+/** Fresh bisect state: range (good, bad) as indices, tests run so far. */
+export const startBisect = (game) => ({ good: 0, bad: game.commits.length - 1, tested: {}, steps: 0 });
+
+/** Test commit `idx` (strictly inside the range) → the narrowed state; anything else leaves it unchanged. */
+export function testCommit(game, state, idx) {
+  if (!(idx > state.good && idx < state.bad)) return state;
+  const isBad = idx >= game.bad;
+  return {
+    good: isBad ? state.good : idx,
+    bad: isBad ? idx : state.bad,
+    tested: { ...state.tested, [idx]: isBad ? "bad" : "good" },
+    steps: state.steps + 1,
+  };
+}
+
+/** "won" once the range is down to the culprit within budget, "lost" when the budget runs out first, else "playing". */
+export function bisectStatus(game, state) {
+  if (state.bad - state.good === 1) return state.steps <= game.budget ? "won" : "lost";
+  return state.steps >= game.budget ? "lost" : "playing";
+}
@@ -0,0 +1,25 @@
+/**
+ * Mini-game registry — the games a chapter can schedule after its boss. Chapter JSON declares one with
+ *   "minigame": { "id": "merge-maze", "config": { … } }
+ * and the content schema (src/lib/content/schema.js) checks the id and that game's config. Each entry carries what
+ * the engine needs without React: the reward `xp`, the `badge` achievement a win unlocks, and its title and icon.
+ * The panels live in src/components/quest/minigames; game rules in the modules next to this one.
+ */
+export { BISECT_DEFAULTS, bisectStatus, createBisect, startBisect, testCommit } from "./bisect.js";
+export { MAX_CONFLICTS, MERGE_DEFAULTS, checkMerge, initialPicks, mergeLevel, mergedText, resolvedLine } from "./mergeMaze.js";
+export { REBASE_ACTIONS, checkTodo, createTodo, rebaseConfigProblem } from "./rebaseReorder.js";
+
+export const MINIGAME_INFO = {
+  "merge-maze": { title: "Merge Maze", icon: "🧩", xp: 80, badge: "Merge Maze Victor" },
+  "rebase-reorder": { title: "Rebase Reorder", icon: "🪡", xp: 80, badge: "History Tailor" },
+  bisect: { title: "Bisect Hunt", icon: "🔎", xp: 80, badge: "Culprit Catcher" },
+};
+
+export const MINIGAME_IDS = Object.keys(MINIGAME_INFO);
+
+/** Chapter id → { id, config } for every chapter of a course that declares a known mini-game. */
+export function courseMinigames(course, known = MINIGAME_INFO) {
+  return Object.fromEntries(course.chapters
+    .filter((c) => known[c.data?.minigame?.id])
+    .map((c) => [c.id, { id: c.data.minigame.id, config: c.data.minigame.config ?? {} }]));
+}
@@ -0,0 +1,111 @@
+/**
+ * Merge Maze — resolve a three-way merge, hunk by hunk. Each level is a small config file that `main` (ours) and a
+ * feature branch (theirs) both edited since their merge base. Untouched lines are context; the edited regions are
+ * conflict hunks, shown diff3-style (base | ours | theirs), where the player takes one side per line.
+ * The right result keeps every change: for each line, the side that differs from the base (either, when both made
+ * the same edit) — so a hunk always needs some lines from each branch and no blanket choice solves it.
+ *
+ * Chapter JSON: "minigame": { "id": "merge-maze", "config": { "seed": "ch3", "levels": 3, "conflicts": 1 } }
+ * Level i (0-based) is generated from `${seed}#${i}` with `conflicts + i` hunks.
+ */
+import { pick, rng, shuffle } from "../random.js";
+
+export const MERGE_DEFAULTS = { levels: 3, conflicts: 1 };
+export const MAX_CONFLICTS = 4; // hunks per level; the setting pool (one key per line) is sized for this
+
+// Setting → values a branch may switch it to.
+const SETTINGS = {
+  timeout: ["10s", "30s", "60s", "90s"],
+  retries: ["1", "3", "5", "8"],
+  port: ["3000", "8080", "8443", "9000"],
+  log_level: ["debug", "info", "warn", "error"],
+  cache_ttl: ["5m", "15m", "1h", "6h"],
+  workers: ["2", "4", "8", "16"],
+  region: ["eu-west", "us-east", "ap-south", "us-west"],
+  compression: ["gzip", "brotli", "zstd", "none"],
+  max_upload: ["10MB", "50MB", "100MB", "1GB"],
+  replicas: ["1", "2", "3", "5"],
+  queue: ["redis", "sqs", "kafka", "nats"],
+  healthcheck: ["/health", "/ready", "/live", "/status"],
+  rate_limit: ["100/m", "500/m", "1k/m", "5k/m"],
+  locale: ["en", "hi", "te", "fr"],
+  tls: ["1.2", "1.3"],
+  theme: ["light", "dark", "auto"],
+  db_pool: ["5", "10", "20", "50"],
+  session: ["cookie", "jwt", "redis"],
+  cdn: ["off", "cloudfront", "fastly"],
+  backup: ["hourly", "daily", "weekly"],
+  timezone: ["UTC", "Asia/Kolkata", "Europe/Berlin"],
+  log_format: ["text", "json", "logfmt"],
+  metrics: ["off", "prometheus", "statsd"],
+  sandbox: ["true", "false"],
+};
+
+// Row kinds: which side changed the line and how. A hunk gets at least one of each side.
+const OURS = ["ours", "oursDel", "oursAdd"];
+const THEIRS = ["theirs", "theirsDel", "theirsAdd"];
+const KINDS = [...OURS, ...THEIRS, "same"];
+
+const line = (key, value) => `${key} = ${value}`;
+const other = (rand, key, not) => pick(rand, SETTINGS[key].filter((v) => v !== not));
+
+function row(rand, kind, key) {
+  const base = pick(rand, SETTINGS[key]);
+  const changed = line(key, other(rand, key, base));
+  const b = line(key, base);
+  switch (kind) {
+    case "ours": return { kind, base: b, ours: changed, theirs: b };
+    case "theirs": return { kind, base: b, ours: b, theirs: changed };
+    case "same": return { kind, base: b, ours: changed, theirs: changed };
+    case "oursDel": return { kind, base: b, ours: null, theirs: b };
+    case "theirsDel": return { kind, base: b, ours: b, theirs: null };
+    case "oursAdd": return { kind, base: null, ours: b, theirs: null };
+    default: return { kind, base: null, ours: null, theirs: b }; // theirsAdd
+  }
+}
+
+/** The line a row should resolve to (null: the line goes). */
+export const resolvedLine = (r) => (OURS.includes(r.kind) || r.kind === "same" ? r.ours : r.theirs);
+
+/**
+ * → { seed, blocks: [{ type: "clean", lines } | { type: "conflict", rows: [{ kind, base, ours, theirs }] }] }
+ * Clean blocks are context lines, identical on every side.
+ */
+export function createMergeLevel(seed, conflicts = 1) {
+  conflicts = Math.max(1, Math.min(MAX_CONFLICTS, conflicts));
+  const rand = rng(seed);
+  const keys = shuffle(Object.keys(SETTINGS), rand);
+  const clean = () => ({ type: "clean", lines: Array.from({ length: 1 + Math.floor(rand() * 2) }, () => { const k = keys.pop(); return line(k, pick(rand, SETTINGS[k])); }) });
+  const blocks = [clean()];
+  for (let h = 0; h < conflicts; h++) {
+    const size = 2 + Math.floor(rand() * 2);
+    const kinds = shuffle([pick(rand, OURS), pick(rand, THEIRS), ...Array.from({ length: size - 2 }, () => pick(rand, KINDS))], rand);
+    blocks.push({ type: "conflict", rows: kinds.map((kind) => row(rand, kind, keys.pop())) }, clean());
+  }
+  return { seed, blocks };
+}
+
+/** Level `i` of a merge-maze config. */
+export function mergeLevel(config = {}, i = 0) {
+  const { seed = "merge-maze", conflicts = MERGE_DEFAULTS.conflicts } = config;
+  return createMergeLevel(`${seed}#${i}`, conflicts + i);
+}
+
+/** Starting picks: every conflict row on "ours" (what `git checkout --ours` would give). → [[side per row] per block] */
+export const initialPicks = (level) => level.blocks.map((b) => (b.type === "conflict" ? b.rows.map(() => "ours") : null));
+
+/** The merged file for the player's picks ("ours" | "theirs" per conflict row). */
+export function mergedText(level, picks) {
+  return level.blocks.flatMap((b, i) => (b.type === "clean" ? b.lines : b.rows.map((r, j) => r[picks[i]?.[j] ?? "ours"]).filter((l) => l != null)));
+}
+
+/** → { ok, wrong: [indices of conflict blocks that don't match the intended merge] } */
+export function checkMerge(level, picks) {
+  const wrong = level.blocks.flatMap((b, i) => {
+    if (b.type !== "conflict") return [];
+    const got = b.rows.map((r, j) => r[picks[i]?.[j] ?? "ours"]).filter((l) => l != null);
+    const want = b.rows.map(resolvedLine).filter((l) => l != null);
+    return got.length === want.length && got.every((l, k) => l === want[k]) ? [] : [i];
+  });
+  return { ok: wrong.length === 0, wrong };
+}
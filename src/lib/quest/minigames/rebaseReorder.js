@@ -0,0 +1,67 @@
+/**
+ * Rebase Reorder — put an interactive-rebase todo list right before it runs. The commits come dealt in a seeded
+ * shuffle; the player reorders them and sets each one's action (pick, fixup, drop), then runs the rebase.
+ *
+ * Chapter JSON:
+ *   "minigame": { "id": "rebase-reorder", "config": { "seed": "ch4", "commits": [
+ *     { "id": "a", "message": "Add price formatter" },
+ *     { "id": "b", "message": "Use formatter in cart", "after": ["a"] },
+ *     { "id": "c", "message": "fixup! Add price formatter", "fixup": "a" },
+ *     { "id": "d", "message": "WIP debug logging", "drop": true } ] } }
+ *
+ * A run succeeds when every commit comes after the ones in its `after`, each `fixup` commit is marked fixup and sits
+ * directly below its target (or the target's other fixups), `drop` commits are dropped and every other one is picked.
+ */
+import { shuffle } from "../random.js";
+
+export const REBASE_ACTIONS = ["pick", "fixup", "drop"];
+
+/** Problems in a config's commit list (for the content schema), or null. */
+export function rebaseConfigProblem(commits) {
+  if (!Array.isArray(commits)) return null;
+  const ids = new Set(commits.map((c) => c?.id));
+  for (const c of commits) {
+    const unknown = [...(c?.after ?? []), ...(c?.fixup ? [c.fixup] : [])].filter((id) => !ids.has(id) || id === c?.id);
+    if (unknown.length) return `commit "${c?.id}" refers to unknown or self id: ${unknown.join(", ")}`;
+    if (c?.fixup && commits.find((t) => t.id === c.fixup)?.drop) return `commit "${c.id}" is a fixup of a dropped commit`;
+  }
+  return null;
+}
+
+/** The todo list as dealt: [{ id, message, action: "pick" }], never already correct. */
+export function createTodo(config = {}) {
+  const commits = config.commits ?? [];
+  const seed = config.seed ?? "rebase-reorder";
+  for (let attempt = 0; ; attempt++) {
+    const todo = shuffle(commits, `${seed}#${attempt}`).map((c) => ({ id: c.id, message: c.message, action: "pick" }));
+    if (attempt >= 10 || checkTodo(config, todo)) return todo;
+  }
+}
+
+/**
+ * The first thing that would go wrong running `todo`, or null when the rebase goes through.
+ * → { reason: "shouldDrop" | "lost" | "notFixup" | "fixupAction" | "fixupPlace" | "order", id, other? }
+ */
+export function checkTodo(config, todo) {
+  const byId = Object.fromEntries((config.commits ?? []).map((c) => [c.id, c]));
+  const applied = new Set();
+  let prev = null; // last commit kept in history
+  for (const { id, action } of todo) {
+    const c = byId[id];
+    if (!c) continue;
+    if (c.drop) {
+      if (action !== "drop") return { reason: "shouldDrop", id };
+      continue;
+    }
+    if (action === "drop") return { reason: "lost", id };
+    if (c.fixup) {
+      if (action !== "fixup") return { reason: "fixupAction", id, other: c.fixup };
+      if (!prev || (prev.id !== c.fixup && prev.fixup !== c.fixup)) return { reason: "fixupPlace", id, other: c.fixup };
+    } else if (action === "fixup") return { reason: "notFixup", id };
+    const missing = (c.after ?? []).find((dep) => !byId[dep]?.drop && !applied.has(dep));
+    if (missing) return { reason: "order", id, other: missing };
+    applied.add(id);
+    prev = c;
+  }
+  return null;
+}
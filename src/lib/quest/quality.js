@@ -0,0 +1,25 @@
+/**
+ * Scene quality tiers — what the quest canvas may spend per frame. `meta.settings.quality` is "auto" (the engine
+ * steps between tiers from the measured frame rate) or pins one tier. Each tier lists the canvas pixel ratio,
+ * shadow casting and map size, the HDR environment and contact shadows, the postprocessing passes to keep, and
+ * whether the scene's idle motion (smoke, spinning wheels, floating stones) runs. The canvas renders on demand, so
+ * without idle motion a still scene draws no frames at all.
+ */
+export const QUALITY_TIERS = ["low", "medium", "high"];
+export const QUALITY_SETTINGS = ["auto", ...QUALITY_TIERS];
+export const AUTO_START = "high";
+
+export const QUALITY = {
+  low: { dpr: 1, shadows: false, shadowMapSize: 512, environment: false, contactShadows: false, bloom: false, dof: false, vignette: false, idleMotion: false },
+  medium: { dpr: [1, 1.5], shadows: true, shadowMapSize: 1024, environment: true, contactShadows: false, bloom: true, dof: false, vignette: true, idleMotion: true },
+  high: { dpr: [1, 2], shadows: true, shadowMapSize: 2048, environment: true, contactShadows: true, bloom: true, dof: true, vignette: true, idleMotion: true },
+};
+
+/** One tier up (`by` = 1) or down (-1), staying within low…high. */
+export function stepTier(tier, by) {
+  const i = QUALITY_TIERS.indexOf(tier);
+  return QUALITY_TIERS[Math.min(QUALITY_TIERS.length - 1, Math.max(0, (i < 0 ? QUALITY_TIERS.indexOf(AUTO_START) : i) + by))];
+}
+
+/** The tier in force: the pinned one, or `autoTier` when the setting is "auto" (or unknown). */
+export const activeTier = (setting, autoTier) => (QUALITY[setting] ? setting : QUALITY[autoTier] ? autoTier : AUTO_START);
@@ -0,0 +1,86 @@
+/**
+ * Question grading — one place that knows how to score every non-terminal question type.
+ * `gradeQuestion(q, answer)` → { score: 0–1, ok: score === 1, detail, hint } so topic quizzes, boss fights and
+ * Daily Review all agree on partial credit. `detail` and `hint` are messages { key, vars, text } for the UI to translate. Typed answers (blank, fix) go through ./answers.js, which accepts
+ * alternatives and patterns and hints at near misses. Answer shapes (what QuestionInput produces):
+ *
+ *   mcq    → option index                      blank → text
+ *   multi  → [option indices]                  (q.answers lists every correct index)
+ *   order  → [item indices in player order]    (q.items is the correct order)
+ *   match  → [right index chosen per left]     (q.pairs is [[left, right], …])
+ *   fix    → edited command line               (q.broken is the starting text, q.answerText the fix)
+ */
+import { checkAnswer, parseCommand } from "./answers.js";
+import { hashSeed, shuffle } from "./random.js";
+
+export const ANSWER_TYPES = ["mcq", "blank", "multi", "order", "match", "fix"];
+
+// Longest increasing subsequence length: how many items are already in the right relative order.
+function lis(seq) {
+  const tails = [];
+  for (const x of seq) {
+    let lo = 0, hi = tails.length;
+    while (lo < hi) { const mid = (lo + hi) >> 1; if (tails[mid] < x) lo = mid + 1; else hi = mid; }
+    tails[lo] = x;
+  }
+  return tails.length;
+}
+
+const note = (kind, text, vars) => ({ key: `grade.${kind}`, vars, text });
+
+const GRADERS = {
+  mcq: (q, a) => ({ score: a === q.answer ? 1 : 0 }),
+  blank: (q, a) => { const { ok, hint } = checkAnswer(q.answerText, a); return { score: ok ? 1 : 0, hint }; },
+  multi: (q, a = []) => {
+    const want = new Set(q.answers);
+    const hits = a.filter((i) => want.has(i)).length, wrong = a.length - hits;
+    const text = `${hits}/${want.size} correct${wrong ? `, ${wrong} wrong` : ""}`;
+    return { score: Math.max(0, (hits - wrong) / want.size), detail: note(wrong ? "multiWrong" : "multi", text, { n: hits, total: want.size, wrong }) };
+  },
+  order: (q, a = []) => {
+    const inOrder = lis(a);
+    return { score: q.items.length > 1 ? (inOrder - 1) / (q.items.length - 1) : 1, detail: note("order", `${inOrder}/${q.items.length} in sequence`, { n: inOrder, total: q.items.length }) };
+  },
+  match: (q, a = []) => {
+    const right = q.pairs.filter((_, i) => a[i] === i).length;
+    return { score: right / q.pairs.length, detail: note("match", `${right}/${q.pairs.length} pairs`, { n: right, total: q.pairs.length }) };
+  },
+  fix: (q, a) => {
+    const { ok, hint, distance } = checkAnswer(q.answerText, a);
+    if (ok) return { score: 1 };
+    const base = checkAnswer(q.answerText, q.broken).distance; // no credit for leaving it broken
+    const len = parseCommand(a)?.words.length || 1;
+    const score = distance >= base ? 0 : Math.max(0, 1 - distance / len) * 0.5;
+    const off = Number.isFinite(distance) ? note(distance === 1 ? "wordsOff.one" : "wordsOff", `${distance} word${distance === 1 ? "" : "s"} off`, { n: distance }) : undefined;
+    return { score, hint, detail: off };
+  },
+};
+
+/** → { score, ok, detail?, hint? }; unknown types and missing answers score 0. */
+export function gradeQuestion(q, answer) {
+  const grader = GRADERS[q?.type];
+  if (!grader || answer == null) return { score: 0, ok: false };
+  const { score, detail, hint } = grader(q, answer);
+  const s = Math.round(Math.max(0, Math.min(1, score)) * 100) / 100;
+  return s === 1 ? { score: s, ok: true } : { score: s, ok: false, detail, hint: hint ?? undefined };
+}
+
+// Stable per-question seed so server and client render the same shuffled layout.
+const seedOf = (q) => hashSeed(JSON.stringify(q.items ?? q.pairs ?? q.prompt ?? ""));
+
+/** The starting answer for a question, or null when the player must choose first. */
+export function initialAnswer(q) {
+  if (q.type === "order") {
+    const idx = [...q.items.keys()];
+    let order = shuffle(idx, seedOf(q));
+    if (order.every((v, i) => v === i)) order = [...order.slice(1), order[0]]; // never start solved
+    return order;
+  }
+  if (q.type === "multi") return [];
+  if (q.type === "match") return q.pairs.map(() => null);
+  if (q.type === "fix") return q.broken ?? "";
+  return null;
+}
+
+/** Right-hand options for a match question, shuffled stably → [{ idx, label }]. */
+export const matchOptions = (q) => shuffle(q.pairs.map(([, label], idx) => ({ idx, label })), seedOf(q));
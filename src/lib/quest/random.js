@@ -0,0 +1,37 @@
+/**
+ * Seeded randomness — the same seed always deals the same result, so the server and client agree on a layout,
+ * a retry can be dealt differently on purpose, and content can name a level by its seed (mini-games).
+ */
+
+// mulberry32 — tiny deterministic PRNG; `seed` is a number or any string (hashed).
+export function rng(seed) {
+  let a = (typeof seed === "number" ? seed : hashSeed(String(seed))) >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** FNV-1a of a string → unsigned 32-bit seed. */
+export function hashSeed(text) {
+  let h = 2166136261;
+  for (const ch of text) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+  return h >>> 0;
+}
+
+/** A shuffled copy of `list`; `seed` is a seed for rng() or an rng itself (to keep drawing from one stream). */
+export function shuffle(list, seed) {
+  const rand = typeof seed === "function" ? seed : rng(seed);
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/** One item of `list`, drawn from `rand`. */
+export const pick = (rand, list) => list[Math.floor(rand() * list.length)];
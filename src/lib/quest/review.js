@@ -0,0 +1,68 @@
+/**
+ * Daily Review — SM-2 style spaced repetition over questions the player has missed.
+ * Cards live in the save (`save.review`, see ./save.js), keyed by where the question is:
+ *
+ *   "<chapterId>/topics/<topicId>"  — a topic quiz     "<chapterId>/boss/<index>" — a boss question
+ *
+ *   Card = { id, chapterId, kind, key, ease, interval (days), reps, lapses, missedAt, reviewedAt, due }
+ *
+ * A miss during normal play makes the card due right away; each review answer reschedules it with SM-2.
+ * Every question type but terminal is reviewable (terminal labs need a fresh repo, not a flash card).
+ */
+import { ANSWER_TYPES } from "./questions.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+export const REVIEWABLE_TYPES = ANSWER_TYPES;
+export const GRADE = { again: 1, good: 4 };
+const MIN_EASE = 1.3;
+
+export const cardId = (chapterId, kind, key) => `${chapterId}/${kind}/${key}`;
+export const isReviewable = (q) => !!q && REVIEWABLE_TYPES.includes(q.type);
+
+/** Record a miss in normal play → updated cards. New cards start at ease 2.5; known ones lapse. */
+export function addMiss(cards, { chapterId, kind, key }, at = new Date().toISOString()) {
+  const id = cardId(chapterId, kind, key);
+  const prev = cards[id];
+  const card = prev
+    ? { ...prev, reps: 0, interval: 0, lapses: prev.lapses + 1, ease: Math.max(MIN_EASE, prev.ease - 0.2), missedAt: at, due: at }
+    : { id, chapterId, kind, key, ease: 2.5, interval: 0, reps: 0, lapses: 1, missedAt: at, reviewedAt: null, due: at };
+  return { ...cards, [id]: card };
+}
+
+/** SM-2: grade a review (quality 0–5, <3 is a fail) → the rescheduled card. */
+export function gradeCard(card, quality, now = new Date()) {
+  const q = Math.max(0, Math.min(5, quality));
+  const ease = Math.max(MIN_EASE, card.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+  let { reps, interval, lapses } = card;
+  if (q < 3) { reps = 0; interval = 1; lapses += 1; }
+  else { reps += 1; interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(interval * ease); }
+  return { ...card, ease, reps, interval, lapses, reviewedAt: now.toISOString(), due: new Date(now.getTime() + interval * DAY).toISOString() };
+}
+
+export const isDue = (card, now = new Date()) => new Date(card.due).getTime() <= now.getTime();
+
+/** Due cards, most overdue first. */
+export function dueCards(cards, now = new Date()) {
+  return Object.values(cards ?? {}).filter((c) => isDue(c, now)).sort((a, b) => a.due.localeCompare(b.due));
+}
+
+/** Find a card's question in the loaded course → { question, chapter, label } or null if the content moved. */
+export function resolveCard(course, card) {
+  const entry = course.chapters.find((c) => c.id === card.chapterId);
+  const data = entry?.data;
+  if (!data) return null;
+  if (card.kind === "topics") {
+    const topic = data.topics?.find((t) => t.id === card.key);
+    return isReviewable(topic?.quiz) ? { question: topic.quiz, chapter: entry, label: topic.title } : null;
+  }
+  const question = data.boss?.questions?.[Number(card.key)];
+  return isReviewable(question) ? { question, chapter: entry, label: data.boss.title ?? "Boss" } : null;
+}
+
+// Merge per card: keep whichever copy saw the player most recently.
+export function mergeCards(a = {}, b = {}) {
+  const seen = (c) => [c.reviewedAt ?? "", c.missedAt ?? ""].sort().pop();
+  const out = { ...a };
+  for (const [id, y] of Object.entries(b)) out[id] = !a[id] || seen(y) > seen(a[id]) ? y : a[id];
+  return out;
+}
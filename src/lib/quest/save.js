@@ -0,0 +1,279 @@
+/**
+ * Save format — one versioned JSON document per track, stored under `${storageKey}Save`:
+ *
+ *   { version: 5, track, updatedAt,
+ *     chapters: { [chapterId]: { done, completedAt, hints, topics: { [topicId]: Attempt }, boss: { [questionIdx]: Attempt } } },
+ *     review: { [cardId]: Card },   (missed questions for Daily Review, see ./review.js)
+ *     log: [Event],                 (timestamped history for /stats, newest last, capped at LOG_LIMIT; see ./stats.js)
+ *     meta: { xp, coins, spent, streak, achievements, settings, resume } }
+ *
+ *   hints = hints bought in the chapter since it was last cleared, however often it was left and resumed
+ *   coins = balance, spent = lifetime hint spending; achievements = { [id]: unlockedAt | null } (see ./achievements.js)
+ *
+ *   Attempt = { correct, attempts, at }   (at = ISO time of the latest answer)
+ *   Event   = { type: "answer", at, chapterId, kind, key, correct, score, ms }
+ *           | { type: "xp", at, amount, streak } | { type: "streak", at, streak }   (streak = value after the event)
+ *
+ * Older saves are upgraded step by step through MIGRATIONS (keyed by the version they upgrade *from*):
+ *   v0 — `${storageKey}Progress` as a boolean array in chapter order (ch1..chN), plus `${storageKey}Meta`
+ *   v1 — `${storageKey}Progress` as { [chapterId]: true }, plus `${storageKey}Meta`
+ *   v2 — as above without `review`
+ *   v3 — badges as a list of names in `meta.badges` instead of `meta.achievements`
+ *   v4 — as above without `log`
+ *
+ * Exports are wrapped in an envelope with an HMAC-SHA-256 signature over the canonical JSON, so hand-edited
+ * or corrupted files are rejected on import. The key ships with the client: it detects tampering, it is not a secret.
+ */
+import { addMiss, gradeCard, mergeCards } from "./review.js";
+
+export const SAVE_VERSION = 5;
+export const SAVE_FORMAT = "agenforge-save";
+// reducedMotion: null follows the system (prefers-reduced-motion); true / false is the player's own choice.
+// quality: "auto" or a pinned scene tier (./quality.js).
+export const DEFAULT_SETTINGS = { sequentialUnlock: true, reducedMotion: null, quality: "auto" };
+export const LOG_LIMIT = 1500;
+const SIGNING_KEY = process.env.NEXT_PUBLIC_SAVE_SIGNING_KEY || "agenforge-save-v2";
+
+export class SaveError extends Error {
+  constructor(message) { super(message); this.name = "SaveError"; }
+}
+
+export const emptyMeta = () => ({ xp: 0, coins: 0, spent: 0, streak: 0, achievements: {}, settings: { ...DEFAULT_SETTINGS }, resume: null });
+export const emptyChapter = () => ({ done: false, completedAt: null, hints: 0, topics: {}, boss: {} });
+export const emptySave = (track = null) => ({ version: SAVE_VERSION, track, updatedAt: null, chapters: {}, review: {}, log: [], meta: emptyMeta() });
+
+/********************** Migrations **********************/
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+const LEGACY_BADGES = { "Merge Maze Victor": "minigame:merge-maze" };
+
+export const MIGRATIONS = {
+  // Any length, not just 10: entry i is chapter `ch${i+1}`.
+  0: (s) => ({
+    ...s, version: 1,
+    progress: Object.fromEntries((Array.isArray(s.progress) ? s.progress : []).map((d, i) => [`ch${i+1}`, !!d]).filter(([, d]) => d)),
+  }),
+  1: (s) => ({
+    version: 2,
+    track: s.track ?? null,
+    updatedAt: null,
+    chapters: Object.fromEntries(Object.entries(isObject(s.progress) ? s.progress : {})
+      .filter(([, d]) => d)
+      .map(([id]) => [id, { ...emptyChapter(), done: true }])),
+    meta: { ...emptyMeta(), ...(isObject(s.meta) ? s.meta : {}), settings: { ...DEFAULT_SETTINGS, ...(s.meta?.settings ?? {}) } },
+  }),
+  2: (s) => ({ ...s, version: 3, review: {} }),
+  // Badge names become achievement ids; the unlock date was never stored.
+  3: ({ meta, ...s }) => {
+    const { badges, ...rest } = isObject(meta) ? meta : {};
+    const ids = (Array.isArray(badges) ? badges : []).map((name) => {
+      const ch = /^Chapter (\d+) Cleared$/.exec(name);
+      return ch ? `chapter:ch${ch[1]}` : LEGACY_BADGES[name] ?? `legacy:${name}`;
+    });
+    return { ...s, version: 4, meta: { ...rest, achievements: Object.fromEntries(ids.map((id) => [id, null])) } };
+  },
+  4: (s) => ({ ...s, version: 5, log: [] }),
+};
+
+/** Upgrade any known save version to SAVE_VERSION. Throws SaveError for unknown or newer versions. */
+export function migrate(save) {
+  if (!isObject(save) || !Number.isInteger(save.version)) throw new SaveError("not a save file (missing version)");
+  if (save.version > SAVE_VERSION) throw new SaveError(`save version ${save.version} is newer than this game (${SAVE_VERSION}); please update`);
+  let s = save;
+  while (s.version < SAVE_VERSION) {
+    const step = MIGRATIONS[s.version];
+    if (!step) throw new SaveError(`no migration from save version ${s.version}`);
+    s = step(s);
+  }
+  return normalize(s);
+}
+
+// Fill in anything a hand-written or partial save left out.
+function normalize(s) {
+  const chapters = Object.fromEntries(Object.entries(isObject(s.chapters) ? s.chapters : {}).map(([id, c]) => [id, {
+    done: !!c?.done, completedAt: c?.completedAt ?? null, hints: Number.isInteger(c?.hints) && c.hints > 0 ? c.hints : 0, topics: isObject(c?.topics) ? c.topics : {}, boss: isObject(c?.boss) ? c.boss : {},
+  }]));
+  const meta = { ...emptyMeta(), ...(isObject(s.meta) ? s.meta : {}) };
+  meta.settings = { ...DEFAULT_SETTINGS, ...(isObject(meta.settings) ? meta.settings : {}) };
+  if (!isObject(meta.achievements)) meta.achievements = {};
+  const review = isObject(s.review) ? s.review : {};
+  const log = Array.isArray(s.log) ? s.log.filter((e) => isObject(e) && typeof e.at === "string") : [];
+  return { version: SAVE_VERSION, track: s.track ?? null, updatedAt: s.updatedAt ?? null, chapters, review, log, meta };
+}
+
+/********************** Updates **********************/
+const touch = (save, chapters) => ({ ...save, chapters, updatedAt: new Date().toISOString() });
+
+export function completeChapter(save, chapterId, at = new Date().toISOString()) {
+  const c = save.chapters[chapterId] ?? emptyChapter();
+  return touch(save, { ...save.chapters, [chapterId]: { ...c, done: true, completedAt: c.completedAt ?? at } });
+}
+
+/** Count a hint bought in `chapterId`; clearHints starts the count over once the chapter is cleared. */
+export function recordHint(save, chapterId) {
+  const c = save.chapters[chapterId] ?? emptyChapter();
+  return touch(save, { ...save.chapters, [chapterId]: { ...c, hints: c.hints + 1 } });
+}
+
+export function clearHints(save, chapterId) {
+  const c = save.chapters[chapterId];
+  return c?.hints ? touch(save, { ...save.chapters, [chapterId]: { ...c, hints: 0 } }) : save;
+}
+
+/** Record an answer to a topic quiz (`kind` "topics", key = topic id) or a boss question (`kind` "boss", key = index). */
+export function recordAnswer(save, chapterId, kind, key, correct, at = new Date().toISOString()) {
+  const c = save.chapters[chapterId] ?? emptyChapter();
+  const prev = c[kind][key];
+  const attempt = { correct: !!prev?.correct || !!correct, attempts: (prev?.attempts ?? 0) + 1, at };
+  return touch(save, { ...save.chapters, [chapterId]: { ...c, [kind]: { ...c[kind], [key]: attempt } } });
+}
+
+/** Put a missed reviewable question into the Daily Review deck (`kind` and `key` as for recordAnswer). */
+export function recordMiss(save, chapterId, kind, key, at = new Date().toISOString()) {
+  return { ...save, review: addMiss(save.review, { chapterId, kind, key }, at), updatedAt: at };
+}
+
+/** Append an event to the history (stamped `at` unless it has one), dropping the oldest past LOG_LIMIT. */
+export function logEvent(save, event, at = new Date().toISOString()) {
+  return { ...save, log: [...save.log, { at, ...event }].slice(-LOG_LIMIT), updatedAt: at };
+}
+
+/** Apply a Daily Review answer to a card (quality per SM-2, see GRADE in ./review.js). */
+export function reviewCard(save, id, quality, now = new Date()) {
+  const card = save.review[id];
+  if (!card) return save;
+  return { ...save, review: { ...save.review, [id]: gradeCard(card, quality, now) }, updatedAt: now.toISOString() };
+}
+
+/********************** Merge (sync between devices) **********************/
+// Keep the better of two attempts: correct if either was, the larger attempt count, the latest time.
+function mergeAttempts(a = {}, b = {}) {
+  const out = { ...a };
+  for (const [k, y] of Object.entries(b)) {
+    const x = a[k];
+    out[k] = !x ? y : { correct: !!x.correct || !!y.correct, attempts: Math.max(x.attempts ?? 0, y.attempts ?? 0), at: (x.at ?? "") > (y.at ?? "") ? x.at : y.at };
+  }
+  return out;
+}
+
+// Union of two histories (the same event synced back is kept once), in time order, capped.
+function mergeLogs(a = [], b = []) {
+  const seen = new Set();
+  return [...a, ...b]
+    .filter((e) => { const k = JSON.stringify(e); if (seen.has(k)) return false; seen.add(k); return true; })
+    .sort((x, y) => (x.at < y.at ? -1 : x.at > y.at ? 1 : 0))
+    .slice(-LOG_LIMIT);
+}
+
+const earliest = (x, y) => (x && y ? (x < y ? x : y) : x ?? y ?? null);
+
+// Union of unlocks, keeping the earliest known date.
+function mergeAchievements(a = {}, b = {}) {
+  const out = { ...a };
+  for (const [id, at] of Object.entries(b)) out[id] = id in a ? earliest(a[id], at) : at;
+  return out;
+}
+
+/**
+ * Merge two saves of the same track (e.g. this browser and the server): max XP/streak, union of achievements,
+ * coins as the larger lifetime earnings minus the larger lifetime spending (so a purchase isn't undone by an older copy),
+ * OR of chapter completion and per-question correctness, the newer save's hint counts, the most recently seen copy of each review card and the
+ * union of both histories.
+ * Settings and the resume point follow the newer save.
+ */
+export function mergeSaves(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const newer = (b.updatedAt ?? "") > (a.updatedAt ?? "") ? b : a;
+  const spent = Math.max(a.meta.spent ?? 0, b.meta.spent ?? 0);
+  const earned = Math.max(a.meta.coins + (a.meta.spent ?? 0), b.meta.coins + (b.meta.spent ?? 0));
+  const chapters = { ...a.chapters };
+  for (const [id, y] of Object.entries(b.chapters)) {
+    const x = a.chapters[id];
+    chapters[id] = !x ? y : {
+      done: x.done || y.done, completedAt: earliest(x.completedAt, y.completedAt), hints: (newer === b ? y : x).hints ?? 0,
+      topics: mergeAttempts(x.topics, y.topics), boss: mergeAttempts(x.boss, y.boss),
+    };
+  }
+  return {
+    version: SAVE_VERSION,
+    track: a.track ?? b.track,
+    updatedAt: newer.updatedAt,
+    chapters,
+    review: mergeCards(a.review, b.review),
+    log: mergeLogs(a.log, b.log),
+    meta: {
+      ...a.meta, ...b.meta,
+      xp: Math.max(a.meta.xp, b.meta.xp),
+      coins: earned - spent,
+      spent,
+      streak: Math.max(a.meta.streak, b.meta.streak),
+      achievements: mergeAchievements(a.meta.achievements, b.meta.achievements),
+      settings: newer.meta.settings,
+      resume: newer.meta.resume,
+    },
+  };
+}
+
+export const doneMap = (save) => Object.fromEntries(Object.entries(save.chapters).filter(([, c]) => c.done).map(([id]) => [id, true]));
+
+/********************** Storage **********************/
+const keys = (storageKey) => ({ save: `${storageKey}Save`, progress: `${storageKey}Progress`, meta: `${storageKey}Meta` });
+
+function parse(raw) {
+  try { return raw ? JSON.parse(raw) : null; } catch { return null; }
+}
+
+/** Read (and migrate) a track's save from storage; falls back to the pre-versioned keys, then to an empty save. */
+export function readSave(storage, storageKey, track = null) {
+  const k = keys(storageKey);
+  const stored = parse(storage.getItem(k.save));
+  if (stored) {
+    try { return migrate(stored); } catch (e) { console.warn(`[save] ignoring unreadable ${k.save}: ${e.message}`); }
+  }
+  const progress = parse(storage.getItem(k.progress)), meta = parse(storage.getItem(k.meta));
+  if (progress == null && meta == null) return emptySave(track);
+  return { ...migrate({ version: Array.isArray(progress) ? 0 : 1, track, progress, meta }), track };
+}
+
+/** Persist a save and drop the legacy keys it replaces. */
+export function writeSave(storage, storageKey, save) {
+  const k = keys(storageKey);
+  storage.setItem(k.save, JSON.stringify(save));
+  storage.removeItem(k.progress);
+  storage.removeItem(k.meta);
+}
+
+/********************** Export / Import **********************/
+// Key order must not change the signature, so sign a canonical form with sorted keys.
+export function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+  if (isObject(value)) return `{${Object.keys(value).sort().filter((k) => value[k] !== undefined).map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(",")}}`;
+  return JSON.stringify(value ?? null);
+}
+
+async function sign(payload) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", enc.encode(SIGNING_KEY), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const mac = await crypto.subtle.sign("HMAC", key, enc.encode(canonicalJSON(payload)));
+  return Array.from(new Uint8Array(mac), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** → the signed export envelope { format, version, track, exportedAt, save, signature }. */
+export async function exportSave(save) {
+  const payload = { format: SAVE_FORMAT, version: SAVE_VERSION, track: save.track, exportedAt: new Date().toISOString(), save };
+  return { ...payload, signature: await sign(payload) };
+}
+
+/** Verify and migrate an export envelope (object or JSON text) → save. Throws SaveError with a player-facing message. */
+export async function importSave(file, { track } = {}) {
+  let env = file;
+  if (typeof file === "string") {
+    try { env = JSON.parse(file); } catch { throw new SaveError("file is not valid JSON"); }
+  }
+  if (!isObject(env) || env.format !== SAVE_FORMAT) throw new SaveError("not an AgenForge save file");
+  const { signature, ...payload } = env;
+  if (!signature || signature !== await sign(payload)) throw new SaveError("signature mismatch: the file was edited or corrupted");
+  if (track && env.track && env.track !== track) throw new SaveError(`this save belongs to "${env.track}", not "${track}"`);
+  return { ...migrate(env.save), track: track ?? env.track ?? null };
+}
@@ -0,0 +1,132 @@
+/**
+ * Learner analytics — turns a save's event history (`save.log`, see ./save.js) into chart-ready series for /stats.
+ * Every function is pure: (log, course?) → array of plain rows, oldest first where time matters.
+ * Days are local calendar days ("YYYY-MM-DD"), so a late-night session counts where the player lived it.
+ * Row `label`s are English ("Ch 2 · Branches"); rows also carry the chapter number `ch` and topic `name` so the UI
+ * can word them in the player's locale.
+ */
+
+const pad = (n) => String(n).padStart(2, "0");
+export const dayOf = (iso) => { const d = new Date(iso); return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`; };
+
+// Every day from the first to the last key, so charts show quiet days as gaps rather than skipping them.
+function fillDays(byDay, empty) {
+  const days = Object.keys(byDay).sort();
+  if (!days.length) return [];
+  const out = [];
+  for (let d = new Date(`${days[0]}T12:00:00`); dayOf(d.toISOString()) <= days[days.length - 1]; d.setDate(d.getDate() + 1)) {
+    const day = dayOf(d.toISOString());
+    out.push({ day, ...(byDay[day] ?? empty) });
+  }
+  return out;
+}
+
+const answers = (log) => log.filter((e) => e.type === "answer");
+const rate = (right, total) => (total ? Math.round((right / total) * 100) : 0);
+
+/** → [{ day, xp }] */
+export function xpPerDay(log) {
+  const byDay = {};
+  for (const e of log) if (e.type === "xp") (byDay[dayOf(e.at)] ??= { xp: 0 }).xp += e.amount;
+  return fillDays(byDay, { xp: 0 });
+}
+
+/** → [{ day, streak, best }]: the streak at the end of each day and the best it reached that day. */
+export function streakHistory(log) {
+  const byDay = {};
+  for (const e of log) {
+    if (e.type !== "xp" && e.type !== "streak") continue;
+    const d = (byDay[dayOf(e.at)] ??= { streak: 0, best: 0 });
+    d.streak = e.streak; d.best = Math.max(d.best, e.streak);
+  }
+  // A quiet day keeps the previous day's streak.
+  let last = 0;
+  return fillDays(byDay, null).map((row) => (row.streak == null ? { day: row.day, streak: last, best: last } : ((last = row.streak), row)));
+}
+
+/** → [{ id, ch, label, title, accuracy (%), answers }] in course order; chapters without answers are left out. */
+export function accuracyByChapter(log, course) {
+  const tally = {};
+  for (const e of answers(log)) { const t = (tally[e.chapterId] ??= { right: 0, total: 0 }); t.total++; t.right += e.score ?? (e.correct ? 1 : 0); }
+  return course.chapters.filter((c) => tally[c.id]).map((c) => ({
+    id: c.id, ch: c.index + 1, label: `Ch ${c.index + 1}`, title: c.title, accuracy: rate(tally[c.id].right, tally[c.id].total), answers: tally[c.id].total,
+  }));
+}
+
+// Topic answers grouped per chapter/topic, with the topic's title.
+function topicTallies(log, course) {
+  const rows = new Map();
+  for (const e of answers(log)) {
+    if (e.kind !== "topics") continue;
+    const id = `${e.chapterId}/${e.key}`;
+    if (!rows.has(id)) {
+      const chapter = course.chapters.find((c) => c.id === e.chapterId);
+      const topic = chapter?.data?.topics?.find((t) => t.id === e.key);
+      if (!topic) continue;
+      rows.set(id, { id, chapterId: e.chapterId, ch: chapter.index + 1, name: topic.title, label: `Ch ${chapter.index + 1} · ${topic.title}`, right: 0, total: 0, ms: 0, timed: 0, order: chapter.index * 1000 + chapter.data.topics.indexOf(topic) });
+    }
+    const r = rows.get(id);
+    r.total++; r.right += e.score ?? (e.correct ? 1 : 0);
+    if (Number.isFinite(e.ms)) { r.ms += e.ms; r.timed++; }
+  }
+  return [...rows.values()].sort((a, b) => a.order - b.order);
+}
+
+/** → [{ id, chapterId, ch, name, label, accuracy (%), answers }] per topic quiz (optionally one chapter's). */
+export function accuracyByTopic(log, course, chapterId = null) {
+  return topicTallies(log, course).filter((r) => !chapterId || r.chapterId === chapterId)
+    .map((r) => ({ id: r.id, chapterId: r.chapterId, ch: r.ch, name: r.name, label: r.label, accuracy: rate(r.right, r.total), answers: r.total }));
+}
+
+/** → [{ id, ch, name, label, seconds }]: average time from showing a topic quiz to each submission. */
+export function avgTimeByTopic(log, course) {
+  return topicTallies(log, course).filter((r) => r.timed).map((r) => ({ id: r.id, ch: r.ch, name: r.name, label: r.label, seconds: Math.round(r.ms / r.timed / 100) / 10 }));
+}
+
+/** → the `limit` questions missed most often: [{ id, ch, name, label, prompt, misses, attempts }]; `name` is null for an untitled boss. */
+export function mostMissed(log, course, limit = 8) {
+  const rows = new Map();
+  for (const e of answers(log)) {
+    const id = `${e.chapterId}/${e.kind}/${e.key}`;
+    const r = rows.get(id) ?? { id, chapterId: e.chapterId, kind: e.kind, key: e.key, misses: 0, attempts: 0 };
+    r.attempts++; if (!e.correct) r.misses++;
+    rows.set(id, r);
+  }
+  return [...rows.values()].filter((r) => r.misses).sort((a, b) => b.misses - a.misses || b.attempts - a.attempts).slice(0, limit)
+    .map((r) => {
+      const chapter = course.chapters.find((c) => c.id === r.chapterId);
+      const data = chapter?.data;
+      const topic = r.kind === "topics" ? data?.topics?.find((t) => t.id === r.key) : null;
+      const question = topic ? topic.quiz : data?.boss?.questions?.[Number(r.key)];
+      const name = topic ? topic.title : data?.boss?.title ?? null;
+      return { id: r.id, ch: chapter ? chapter.index + 1 : null, name, label: chapter ? `Ch ${chapter.index + 1} · ${name ?? "Boss"}` : r.id, prompt: question?.prompt ?? "", misses: r.misses, attempts: r.attempts };
+    });
+}
+
+/** Headline numbers → { answers, accuracy (%), xp, bestStreak, days } */
+export function summary(log) {
+  const all = answers(log);
+  const right = all.reduce((s, e) => s + (e.score ?? (e.correct ? 1 : 0)), 0);
+  return {
+    answers: all.length,
+    accuracy: rate(right, all.length),
+    xp: log.reduce((s, e) => s + (e.type === "xp" ? e.amount : 0), 0),
+    bestStreak: log.reduce((m, e) => Math.max(m, e.streak ?? 0), 0),
+    days: new Set(log.map((e) => dayOf(e.at))).size,
+  };
+}
+
+/**
+ * → the `limit` topics a player struggles with most: [{ id, ch, name, label, accuracy (%), answers }], lowest accuracy first.
+ * Uses the answer log; saves from before the log existed fall back to per-topic attempt counts (right on try n ≈ 1/n).
+ */
+export function weakestTopics(save, course, limit = 3) {
+  let rows = accuracyByTopic(save.log ?? [], course);
+  if (!rows.length) {
+    rows = course.chapters.flatMap((c) => (c.data?.topics ?? []).flatMap((t) => {
+      const a = save.chapters?.[c.id]?.topics?.[t.id];
+      return a ? [{ id: `${c.id}/${t.id}`, chapterId: c.id, ch: c.index + 1, name: t.title, label: `Ch ${c.index + 1} · ${t.title}`, accuracy: a.correct ? rate(1, a.attempts) : 0, answers: a.attempts }] : [];
+    }));
+  }
+  return rows.filter((r) => r.accuracy < 100).sort((a, b) => a.accuracy - b.accuracy || b.answers - a.answers).slice(0, limit);
+}
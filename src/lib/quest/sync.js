@@ -0,0 +1,27 @@
+/**
+ * Progress sync client — thin fetch wrappers for /api/session, /api/progress and /api/cohorts.
+ * Network failures throw TypeError (treat as offline); API errors throw SyncError with the server's message.
+ */
+
+export class SyncError extends Error {
+  constructor(message, status) { super(message); this.name = "SyncError"; this.status = status; }
+}
+
+async function api(url, init) {
+  const res = await fetch(url, { credentials: "same-origin", headers: { "content-type": "application/json" }, ...init });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new SyncError(body.error ?? `request failed (${res.status})`, res.status);
+  return body;
+}
+
+export const getSession = async () => (await api("/api/session")).user;
+export const signIn = async (username, password, mode = "login") => (await api("/api/session", { method: "POST", body: JSON.stringify({ username, password, mode }) })).user;
+export const signOut = () => api("/api/session", { method: "DELETE" });
+export const pullSave = async (track) => (await api(`/api/progress?track=${encodeURIComponent(track)}`)).save;
+export const pushSave = async (track, save) => (await api("/api/progress", { method: "PUT", body: JSON.stringify({ track, save }) })).save;
+
+export const listCohorts = () => api("/api/cohorts");
+export const createCohort = async (name, track) => (await api("/api/cohorts", { method: "POST", body: JSON.stringify({ mode: "create", name, track }) })).cohort;
+export const joinCohort = async (code) => (await api("/api/cohorts", { method: "POST", body: JSON.stringify({ mode: "join", code }) })).cohort;
+export const cohortReport = (code) => api(`/api/cohorts/${encodeURIComponent(code)}`);
+export const leaveCohort = (code) => api(`/api/cohorts/${encodeURIComponent(code)}`, { method: "DELETE" });
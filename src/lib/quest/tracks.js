@@ -0,0 +1,50 @@
+/**
+ * Quest tracks — one entry per game route (/games/<slug>).
+ * `content` is the course folder under src/content/, `theme` picks the 3D scene (src/components/quest/themes),
+ * `storageKey` namespaces saved progress. Mini-games are declared by the chapters themselves (src/lib/quest/minigames).
+ * The card fields (`emoji`, `level`, `levels`, `status` live | soon) feed both the landing page's game grid and the
+ * World Hub's portals; `requires` lists tracks to finish before the hub opens this one's portal.
+ */
+export const TRACKS = [
+  {
+    slug: "git-quest-train", content: "git", title: "Git Quest", theme: "train",
+    storageKey: "gitQuest", accent: "#34d399", guide: "Conductor",
+    emoji: "🗡️", level: "beginner", levels: 3, status: "live", requires: [],
+  },
+  {
+    slug: "docker-dungeon", content: "docker", title: "Docker Dungeon", theme: "path",
+    storageKey: "dockerDungeon", accent: "#60a5fa", guide: "Dungeon Keeper", shape: "crate",
+    emoji: "🧱", level: "beginner", levels: 3, status: "soon", requires: [],
+  },
+  {
+    slug: "k8s-arena", content: "k8s", title: "Kubernetes Arena", theme: "path",
+    storageKey: "k8sArena", accent: "#a78bfa", guide: "Arena Master", shape: "hex",
+    emoji: "🛡️", level: "intermediate", levels: 4, status: "soon", requires: ["docker-dungeon"],
+  },
+  {
+    slug: "jenkins-runner", content: "jenkins", title: "Jenkins Runner", theme: "path",
+    storageKey: "jenkinsRunner", accent: "#fbbf24", guide: "The Butler", shape: "gear",
+    emoji: "🏃", level: "intermediate", levels: 4, status: "soon", requires: ["git-quest-train"],
+  },
+  {
+    slug: "terraform-trials", content: "terraform", title: "Terraform Trials", theme: "path",
+    storageKey: "terraformTrials", accent: "#f472b6", guide: "Cartographer", shape: "terrain",
+    emoji: "🗺️", level: "intermediate", levels: 4, status: "soon", requires: [],
+  },
+];
+
+export function getTrack(slug) {
+  return TRACKS.find((t) => t.slug === slug) ?? null;
+}
+
+export const trackHref = (track) => `/games/${track.slug}`;
+
+/** How far a save is through a track's course: `chapterIds` from the manifest → { done, total, pct, complete }. */
+export function trackProgress(save, chapterIds) {
+  const done = chapterIds.filter((id) => save?.chapters?.[id]?.done).length;
+  const total = chapterIds.length;
+  return { done, total, pct: total ? Math.round((done / total) * 100) : 0, complete: total > 0 && done === total };
+}
+
+/** The required tracks still unfinished, given `complete` (slug → bool); empty when the track is open. */
+export const missingTracks = (track, complete) => (track.requires ?? []).filter((slug) => !complete[slug]);
@@ -0,0 +1,61 @@
+"use client";
+import { useCallback, useEffect, useMemo, useState } from "react";
+import * as saves from "./save.js";
+import { isReviewable } from "./review.js";
+import { unlockAchievements } from "./achievements.js";
+import { useSync } from "./useSync.js";
+
+/********************** Progress + Meta **********************/
+// One versioned save per track under `${storageKey}Save` (format and migrations in ./save.js),
+// mirrored to /api/progress while the player is signed in (./useSync.js).
+export { DEFAULT_SETTINGS } from "./save.js";
+
+export function useProgress(storageKey, track = null) {
+  const [save, setSave] = useState(() => saves.emptySave(track));
+  const [ready, setReady] = useState(false);
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+    setSave(saves.readSave(localStorage, storageKey, track));
+    setReady(true);
+  }, [storageKey, track]);
+  useEffect(() => {
+    if (typeof window !== "undefined" && ready) saves.writeSave(localStorage, storageKey, save);
+  }, [storageKey, save, ready]);
+  const sync = useSync({ track, save, setSave, ready });
+
+  const done = useMemo(() => saves.doneMap(save), [save]);
+  const meta = save.meta;
+  const setMeta = useCallback((fn) => setSave((s)=> {
+    const meta = typeof fn === "function" ? fn(s.meta) : fn;
+    return meta === s.meta ? s : { ...s, meta, updatedAt: new Date().toISOString() };
+  }), []);
+  const completeChapter = useCallback((id) => setSave((s)=> saves.completeChapter(s, id)), []);
+  const recordHint = useCallback((id) => setSave((s)=> saves.recordHint(s, id)), []);
+  const clearHints = useCallback((id) => setSave((s)=> saves.clearHints(s, id)), []);
+  // Record an answer and log it for /stats (`detail` = { score, ms }); a missed reviewable question
+  // (`question` given) also goes into the Daily Review deck.
+  const record = useCallback((chapterId, kind, key, correct, question, detail = {}) => setSave((s)=> {
+    let next = saves.recordAnswer(s, chapterId, kind, key, correct);
+    next = saves.logEvent(next, { type: "answer", chapterId, kind, key: String(key), correct: !!correct, score: detail.score ?? (correct ? 1 : 0), ms: detail.ms ?? null });
+    return !correct && isReviewable(question) ? saves.recordMiss(next, chapterId, kind, key) : next;
+  }), []);
+  const recordTopic = useCallback((chapterId, topicId, correct, question, detail) => record(chapterId, "topics", topicId, correct, question, detail), [record]);
+  const recordBoss = useCallback((chapterId, qIdx, correct, question, detail) => record(chapterId, "boss", qIdx, correct, question, detail), [record]);
+  const reviewCard = useCallback((id, quality) => setSave((s)=> saves.reviewCard(s, id, quality)), []);
+  const awardXP = useCallback((delta) => setSave((s)=> {
+    const m = s.meta, amount = delta + (m.streak>=3?10:0);
+    const meta = { ...m, xp: m.xp + amount, coins: m.coins + Math.floor(delta/10), streak: m.streak + 1 };
+    return saves.logEvent({ ...s, meta }, { type: "xp", amount, streak: meta.streak });
+  }), []);
+  // Coins pay for hints (./hints.js); a purchase the balance can't cover is ignored.
+  const spendCoins = useCallback((cost) => setMeta((m)=> (m.coins >= cost ? { ...m, coins: m.coins - cost, spent: m.spent + cost } : m)), [setMeta]);
+  const breakStreak = useCallback(() => setSave((s)=> (s.meta.streak ? saves.logEvent({ ...s, meta: { ...s.meta, streak: 0 } }, { type: "streak", streak: 0 }) : s)), []);
+  // Report a game event to the achievement rules (`defs` from achievementsFor); runs after any update queued before it.
+  const recordEvent = useCallback((event, defs) => setSave((s)=> unlockAchievements(s, event, defs)), []);
+
+  const exportSave = useCallback(() => saves.exportSave(save), [save]);
+  // Replaces the current save; throws SaveError (bad signature, other track, unknown version) for the caller to show.
+  const importSave = useCallback(async (text) => { setSave(await saves.importSave(text, { track })); }, [track]);
+
+  return { save, done, meta, setMeta, completeChapter, recordHint, clearHints, recordTopic, recordBoss, reviewCard, awardXP, spendCoins, breakStreak, recordEvent, exportSave, importSave, sync };
+}
@@ -0,0 +1,81 @@
+"use client";
+import { useCallback, useEffect, useRef, useState } from "react";
+import { canonicalJSON, mergeSaves, migrate } from "./save.js";
+import * as api from "./sync.js";
+
+const PUSH_DELAY = 1500;
+
+/**
+ * Keeps a local save in step with the server when the player is signed in.
+ * localStorage stays the source of truth for play: offline or signed out, nothing changes; when the server is reachable
+ * again the save is pushed and the server's merged copy (see mergeSaves) is folded back in.
+ *
+ * status: "local" (signed out) | "syncing" | "synced" | "offline" | "error"
+ */
+export function useSync({ track, save, setSave, ready }) {
+  const [user, setUser] = useState(null);
+  const [status, setStatus] = useState("local");
+  const [error, setError] = useState(null);
+  const [online, setOnline] = useState(0); // bumped by the browser's "online" event to retry a push
+  const lastSynced = useRef(null);
+
+  const fail = useCallback((e) => {
+    if (e instanceof api.SyncError) {
+      if (e.status === 401) { setUser(null); setStatus("local"); return; }
+      setError(e.message); setStatus("error");
+    } else setStatus("offline");
+  }, []);
+
+  const pull = useCallback(async () => {
+    setStatus("syncing");
+    try {
+      const remote = await api.pullSave(track);
+      if (remote) setSave((local) => mergeSaves(local, { ...migrate(remote), track }));
+      setStatus("synced");
+    } catch (e) { fail(e); }
+  }, [track, setSave, fail]);
+
+  // Who is signed in (once the local save is loaded, so the pull merges into it rather than being overwritten).
+  useEffect(() => {
+    if (!ready) return;
+    let live = true;
+    api.getSession().then((u) => { if (live && u) { setUser(u); pull(); } }).catch(() => live && setStatus("offline"));
+    return () => { live = false; };
+  }, [ready, pull]);
+
+  useEffect(() => {
+    const on = () => setOnline((n) => n + 1);
+    window.addEventListener("online", on);
+    return () => window.removeEventListener("online", on);
+  }, []);
+
+  // Push local changes (debounced); fold the server's merged copy back in if it knows something we don't.
+  useEffect(() => {
+    if (!ready || !user) return;
+    const body = canonicalJSON(save);
+    if (body === lastSynced.current) return;
+    const t = setTimeout(async () => {
+      setStatus("syncing");
+      try {
+        const merged = await api.pushSave(track, save);
+        lastSynced.current = canonicalJSON(merged);
+        if (lastSynced.current !== body) setSave((local) => mergeSaves(local, merged));
+        setStatus("synced"); setError(null);
+      } catch (e) { fail(e); }
+    }, PUSH_DELAY);
+    return () => clearTimeout(t);
+  }, [ready, user, save, track, setSave, fail, online]);
+
+  const signIn = useCallback(async (username, password, mode) => {
+    const u = await api.signIn(username, password, mode); // throws SyncError for the form to show
+    setUser(u); setError(null);
+    await pull();
+  }, [pull]);
+
+  const signOut = useCallback(async () => {
+    try { await api.signOut(); } catch {}
+    setUser(null); setStatus("local"); lastSynced.current = null;
+  }, []);
+
+  return { user, status, error, signIn, signOut };
+}
@@ -0,0 +1,76 @@
+/**
+ * Accounts & sessions — username/password accounts (scrypt-hashed) with opaque session tokens in an httpOnly cookie.
+ * The store only keeps a SHA-256 of each token, so a leaked data file can't be replayed as a login.
+ */
+import { createHash, randomBytes, randomUUID, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import { getStore } from "./store.js";
+
+export const SESSION_COOKIE = "agf_session";
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const scryptAsync = promisify(scrypt);
+
+export class AuthError extends Error {
+  constructor(message, status = 401) { super(message); this.name = "AuthError"; this.status = status; }
+}
+
+const USERNAME = /^[a-z0-9_.-]{3,32}$/;
+const RESERVED = new Set(["__proto__", "constructor", "prototype"]);
+const normalizeName = (name) => String(name ?? "").trim().toLowerCase();
+const tokenHash = (token) => createHash("sha256").update(token).digest("hex");
+
+async function hashPassword(password, salt = randomBytes(16).toString("hex")) {
+  const key = await scryptAsync(password, salt, 64);
+  return { salt, hash: key.toString("hex") };
+}
+
+export async function register(username, password) {
+  const name = normalizeName(username);
+  if (!USERNAME.test(name)) throw new AuthError("username must be 3–32 characters: letters, digits, . _ -", 400);
+  if (RESERVED.has(name)) throw new AuthError("that username is reserved", 400);
+  if (typeof password !== "string" || password.length < 8) throw new AuthError("password must be at least 8 characters", 400);
+  const store = getStore();
+  if (await store.get("users", name)) throw new AuthError("that username is taken", 409);
+  const user = { id: randomUUID(), username: name, createdAt: new Date().toISOString(), ...(await hashPassword(password)) };
+  await store.put("users", name, user);
+  return publicUser(user);
+}
+
+export async function login(username, password) {
+  const user = await getStore().get("users", normalizeName(username));
+  // Hash even for unknown users so response time doesn't reveal which usernames exist.
+  const { hash } = await hashPassword(String(password ?? ""), user?.salt);
+  if (!user || !timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(user.hash, "hex"))) throw new AuthError("wrong username or password");
+  return publicUser(user);
+}
+
+export const publicUser = (u) => ({ id: u.id, username: u.username });
+
+/** → { token, expires } for a Set-Cookie header. */
+export async function createSession(user) {
+  const token = randomBytes(32).toString("base64url");
+  const expires = Date.now() + SESSION_TTL_MS;
+  await getStore().put("sessions", tokenHash(token), { userId: user.id, username: user.username, expires });
+  return { token, expires };
+}
+
+/** Resolve a session token → public user, or null when missing/expired. */
+export async function userForSession(token) {
+  if (!token) return null;
+  const store = getStore();
+  const s = await store.get("sessions", tokenHash(token));
+  if (!s) return null;
+  if (s.expires < Date.now()) { await store.delete("sessions", tokenHash(token)); return null; }
+  return { id: s.userId, username: s.username };
+}
+
+export async function endSession(token) {
+  if (token) await getStore().delete("sessions", tokenHash(token));
+}
+
+export function sessionCookie(token, expires) {
+  return {
+    name: SESSION_COOKIE, value: token, httpOnly: true, sameSite: "lax", path: "/",
+    secure: process.env.NODE_ENV === "production", expires: new Date(expires),
+  };
+}
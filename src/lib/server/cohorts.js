@@ -0,0 +1,98 @@
+/**
+ * Cohorts — an instructor opens a class on one course and shares its code; learners join with it.
+ * Reports are built from the members' synced saves (the "saves" collection written by /api/progress), so a class
+ * needs nothing beyond this app's own store: run it on a laptop with the file adapter and it works offline.
+ *
+ * Stored in the "cohorts" collection under the code:
+ *   { code, name, track, ownerId, owner, createdAt, members: [{ id, username, joinedAt }] }
+ */
+import { randomInt } from "node:crypto";
+import { migrate } from "@/lib/quest/save";
+import { weakestTopics } from "@/lib/quest/stats";
+import { getStore } from "./store.js";
+
+export const MAX_MEMBERS = 200;
+// No 0/O or 1/I/L, so a code read off a projector can't be mistyped.
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+
+export class CohortError extends Error {
+  constructor(message, status = 400) { super(message); this.name = "CohortError"; this.status = status; }
+}
+
+/** "abc-123 " → "ABC123": codes are typed by hand, so case, spaces and dashes don't matter. */
+export const normalizeCode = (code) => String(code ?? "").toUpperCase().replace(/[\s-]/g, "");
+
+const newCode = () => Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join("");
+
+export async function createCohort(user, { name, track }) {
+  const title = String(name ?? "").trim();
+  if (!title || title.length > 60) throw new CohortError("class name must be 1–60 characters");
+  const store = getStore();
+  let code = newCode();
+  while (await store.get("cohorts", code)) code = newCode();
+  const cohort = { code, name: title, track, ownerId: user.id, owner: user.username, createdAt: new Date().toISOString(), members: [] };
+  await store.put("cohorts", code, cohort);
+  return cohort;
+}
+
+/** The cohort for `code`, or a 404. */
+export async function getCohort(code) {
+  const cohort = await getStore().get("cohorts", normalizeCode(code));
+  if (!cohort) throw new CohortError("no class with that code", 404);
+  return cohort;
+}
+
+export async function joinCohort(user, code) {
+  const cohort = await getCohort(code);
+  if (cohort.ownerId === user.id) throw new CohortError("you run this class — share the code with your learners");
+  if (cohort.members.some((m) => m.id === user.id)) return cohort;
+  if (cohort.members.length >= MAX_MEMBERS) throw new CohortError("this class is full", 409);
+  const joined = { ...cohort, members: [...cohort.members, { id: user.id, username: user.username, joinedAt: new Date().toISOString() }] };
+  await getStore().put("cohorts", cohort.code, joined);
+  return joined;
+}
+
+/** A learner leaves; the instructor closing the class deletes it. */
+export async function leaveCohort(user, code) {
+  const cohort = await getCohort(code);
+  const store = getStore();
+  if (cohort.ownerId === user.id) return store.delete("cohorts", cohort.code);
+  if (!cohort.members.some((m) => m.id === user.id)) throw new CohortError("you are not in this class", 404);
+  await store.put("cohorts", cohort.code, { ...cohort, members: cohort.members.filter((m) => m.id !== user.id) });
+}
+
+/** "instructor" | "learner" | null */
+export const roleIn = (cohort, user) => (cohort.ownerId === user.id ? "instructor" : cohort.members.some((m) => m.id === user.id) ? "learner" : null);
+
+export const cohortSummary = (c) => ({ code: c.code, name: c.name, track: c.track, owner: c.owner, members: c.members.length, createdAt: c.createdAt });
+
+/** Classes the user runs and the ones they joined → { owned, joined } summaries, newest first. */
+export async function cohortsFor(user) {
+  const all = (await getStore().list("cohorts")).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return {
+    owned: all.filter((c) => c.ownerId === user.id).map(cohortSummary),
+    joined: all.filter((c) => c.members.some((m) => m.id === user.id)).map(cohortSummary),
+  };
+}
+
+/**
+ * One row per member from their synced save → [{ username, joinedAt, lastActive, xp, done: { [chapterId]: true }, doneCount, weakest }],
+ * ranked for the leaderboard: most XP, then most chapters, then name. Members who never synced show up with zeros.
+ */
+export async function cohortReport(cohort, course) {
+  const store = getStore();
+  const rows = await Promise.all(cohort.members.map(async (m) => {
+    const stored = await store.get("saves", `${m.id}:${cohort.track}`);
+    let save = null;
+    try { save = stored ? migrate(stored) : null; } catch { save = null; }
+    const done = Object.fromEntries(course.chapters.filter((c) => save?.chapters[c.id]?.done).map((c) => [c.id, true]));
+    return {
+      username: m.username, joinedAt: m.joinedAt, lastActive: save?.updatedAt ?? null,
+      xp: save?.meta.xp ?? 0, done, doneCount: Object.keys(done).length,
+      weakest: save ? weakestTopics(save, course) : [],
+    };
+  }));
+  return rows.sort((a, b) => b.xp - a.xp || b.doneCount - a.doneCount || a.username.localeCompare(b.username))
+    .map((r, i) => ({ rank: i + 1, ...r }));
+}
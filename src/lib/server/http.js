@@ -0,0 +1,48 @@
+/**
+ * Route handler helpers — JSON bodies with a size cap, the signed-in user from the session cookie,
+ * and one error shape ({ error }) for every API response.
+ */
+import { cookies } from "next/headers";
+import { SaveError } from "@/lib/quest/save";
+import { AuthError, SESSION_COOKIE, userForSession } from "./accounts.js";
+import { CohortError } from "./cohorts.js";
+
+export class HttpError extends Error {
+  constructor(status, message) { super(message); this.name = "HttpError"; this.status = status; }
+}
+
+/** The request's JSON object body; `limit` is in bytes, checked against content-length before reading when it is sent. */
+export async function readJson(request, limit = 256 * 1024) {
+  const tooLarge = () => new HttpError(413, "request body too large");
+  if (Number(request.headers.get("content-length")) > limit) throw tooLarge();
+  const bytes = await request.arrayBuffer();
+  if (bytes.byteLength > limit) throw tooLarge();
+  let body;
+  try { body = JSON.parse(new TextDecoder().decode(bytes)); } catch { throw new HttpError(400, "request body must be JSON"); }
+  if (body === null || typeof body !== "object" || Array.isArray(body)) throw new HttpError(400, "request body must be a JSON object");
+  return body;
+}
+
+export async function sessionToken() {
+  return (await cookies()).get(SESSION_COOKIE)?.value ?? null;
+}
+
+export async function requireUser() {
+  const user = await userForSession(await sessionToken());
+  if (!user) throw new HttpError(401, "sign in to sync progress");
+  return user;
+}
+
+/** Wrap a handler so thrown HttpError/AuthError/CohortError/SaveError become JSON responses; anything else is a 500. */
+export function handler(fn) {
+  return async (request, ctx) => {
+    try {
+      return await fn(request, ctx);
+    } catch (e) {
+      if (e instanceof HttpError || e instanceof AuthError || e instanceof CohortError) return Response.json({ error: e.message }, { status: e.status });
+      if (e instanceof SaveError) return Response.json({ error: e.message }, { status: 400 });
+      console.error("[api]", e);
+      return Response.json({ error: "internal error" }, { status: 500 });
+    }
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Server storage — a tiny collection/key → JSON value store behind a pluggable adapter.
+ * Route handlers only use `getStore()`; an adapter implements `get(collection, key)`, `put(collection, key, value)`,
+ * `delete(collection, key)` and `list(collection)` (all async).
+ *
+ * Adapters (pick with AGENFORGE_STORE):
+ *   "file"   (default) — one JSON file at AGENFORGE_DATA_FILE (default .data/agenforge.json), for local dev
+ *   "memory" — process memory only, lost on restart (tests, previews)
+ * A database adapter (SQLite, Postgres…) only needs the same four methods; register it in ADAPTERS.
+ */
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+// Collections are keyed by user input (usernames, tokens), so they have no prototype: "__proto__" or "constructor"
+// is just another key, never Object.prototype.
+const collection = (entries = {}) => Object.assign(Object.create(null), entries);
+const collections = (data) => collection(Object.fromEntries(Object.entries(data ?? {}).map(([c, entries]) => [c, collection(entries)])));
+const own = (col, key) => (Object.hasOwn(col, key) ? col[key] : null);
+
+export function memoryAdapter(initial = {}) {
+  const data = collections(structuredClone(initial));
+  const col = (c) => (data[c] ??= collection());
+  return {
+    async get(c, key) { return structuredClone(own(col(c), key)); },
+    async put(c, key, value) { col(c)[key] = structuredClone(value); },
+    async delete(c, key) { delete col(c)[key]; },
+    async list(c) { return structuredClone(Object.values(col(c))); },
+  };
+}
+
+export function fileAdapter(file) {
+  let cache = null;
+  let queue = Promise.resolve(); // serialize writes so concurrent requests don't clobber each other
+
+  async function load() {
+    if (cache) return cache;
+    try { cache = collections(JSON.parse(await readFile(file, "utf8"))); }
+    catch (e) { if (e.code !== "ENOENT") throw e; cache = collections(); }
+    return cache;
+  }
+  function persist() {
+    const write = queue.then(async () => {
+      await mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await writeFile(tmp, JSON.stringify(cache, null, 2));
+      await rename(tmp, file);
+    });
+    queue = write.catch(() => {}); // a failed write is reported to its caller, not to every write after it
+    return write;
+  }
+  const col = async (c) => ((await load())[c] ??= collection());
+  return {
+    async get(c, key) { return structuredClone(own(await col(c), key)); },
+    async put(c, key, value) { (await col(c))[key] = structuredClone(value); await persist(); },
+    async delete(c, key) { delete (await col(c))[key]; await persist(); },
+    async list(c) { return structuredClone(Object.values(await col(c))); },
+  };
+}
+
+const ADAPTERS = {
+  file: () => fileAdapter(process.env.AGENFORGE_DATA_FILE || path.join(process.cwd(), ".data/agenforge.json")),
+  memory: () => memoryAdapter(),
+};
+
+/** The process-wide store (kept on globalThis so dev hot reloads don't open a second one). */
+export function getStore() {
+  const kind = process.env.AGENFORGE_STORE || "file";
+  if (!ADAPTERS[kind]) throw new Error(`unknown AGENFORGE_STORE "${kind}" (expected one of: ${Object.keys(ADAPTERS).join(", ")})`);
+  globalThis.__agenforgeStore ??= ADAPTERS[kind]();
+  return globalThis.__agenforgeStore;
+}